@@ -19,14 +19,18 @@ import {
   SHOW_TRASH,
   HIDE_TRASH,
   TOGGLE_MARK_FOR_KICK,
-  ROOM_STATE_FETCHED
+  ROOM_STATE_FETCHED,
+  ROOM_TEMPLATE_SAVED,
+  ROOM_TEMPLATE_DELETED
 } from './types';
 
 import clientSettingsStore from '../store/clientSettingsStore';
 import readDroppedFile from '../services/readDroppedFile';
 import findNextStoryIdToEstimate from '../services/findNextStoryIdToEstimate';
+import hasMissedRoomRevision from '../services/hasMissedRoomRevision';
 import {getRoom} from '../services/roomService';
 import {getAppStatus} from '../services/appStatusService';
+import {toRoomTemplateSettings} from '../services/roomTemplates';
 
 const isRoomIdGivenInPathname = (pathname) =>
   pathname && pathname.length > 1 && pathname.substring(1) !== appConfig.APP_STATUS_IDENTIFIER;
@@ -74,6 +78,8 @@ export const eventReceived = (event) => (dispatch, getState) => {
     return;
   }
 
+  const missedRoomRevision = hasMissedRoomRevision(getState(), event);
+
   // dispatch generic "event_received" action
   dispatch({
     type: EVENT_RECEIVED,
@@ -91,9 +97,20 @@ export const eventReceived = (event) => (dispatch, getState) => {
     history.push('/' + event.roomId);
   }
 
+  if (event.name === 'roomDeleted') {
+    history.push('/');
+  }
+
   if (matchingType === EVENT_ACTION_TYPES.commandRejected) {
     tryToRecoverOnRejection(event, dispatch, getState);
   }
+
+  if (missedRoomRevision) {
+    log.warn(
+      `Missed at least one revision of the room before event ${event.name}. Re-fetching room.`
+    );
+    fetchCurrentRoom(dispatch, getState);
+  }
 };
 
 /**
@@ -101,7 +118,11 @@ export const eventReceived = (event) => (dispatch, getState) => {
  * They produce commands and pass them to the hub for sending.
  */
 
-export const joinRoom = (roomId, password) => (dispatch, getState, sendCommand) => {
+export const joinRoom = (roomId, password, spectator, template) => (
+  dispatch,
+  getState,
+  sendCommand
+) => {
   const normalizedRoomId = roomId ? roomId.toLowerCase() : uuid();
 
   const joinCommandPayload = {};
@@ -123,6 +144,13 @@ export const joinRoom = (roomId, password) => (dispatch, getState, sendCommand)
     // join with jwt if present (after joining password-protected room, jwt is stored in our redux state)
     joinCommandPayload.token = state.userToken;
   }
+  if (spectator) {
+    joinCommandPayload.spectator = true;
+  }
+  if (template) {
+    // only applied by the backend, if the room does not yet exist
+    joinCommandPayload.template = toRoomTemplateSettings(template);
+  }
 
   const joinCommand = {
     name: 'joinRoom',
@@ -137,15 +165,32 @@ export const joinRoom = (roomId, password) => (dispatch, getState, sendCommand)
   sendCommand(joinCommand);
 };
 
-export const addStory = (storyTitle, storyDescription) => (dispatch, getState, sendCommand) => {
+export const addStory = (
+  storyTitle,
+  storyDescription,
+  labels = [],
+  {key, url, cardConfig} = {}
+) => (dispatch, getState, sendCommand) => {
   const state = getState();
+  const payload = {
+    title: storyTitle,
+    description: storyDescription,
+    labels
+  };
+  if (key) {
+    payload.key = key;
+  }
+  if (url) {
+    payload.url = url;
+  }
+  if (cardConfig && cardConfig.length > 0) {
+    payload.cardConfig = cardConfig;
+  }
+
   sendCommand({
     name: 'addStory',
     roomId: state.roomId,
-    payload: {
-      title: storyTitle,
-      description: storyDescription
-    }
+    payload
   });
 };
 
@@ -226,6 +271,18 @@ export const reveal = (storyId) => (dispatch, getState, sendCommand) => {
   });
 };
 
+export const settleStory = (storyId, value) => (dispatch, getState, sendCommand) => {
+  const state = getState();
+  sendCommand({
+    name: 'settleStory',
+    roomId: state.roomId,
+    payload: {
+      storyId,
+      value
+    }
+  });
+};
+
 export const setUsername = (username) => (dispatch, getState, sendCommand) => {
   const state = getState();
   sendCommand({
@@ -277,6 +334,27 @@ export const toggleAutoReveal = () => (dispatch, getState, sendCommand) => {
   });
 };
 
+export const startTimer = (storyId, duration) => (dispatch, getState, sendCommand) => {
+  const state = getState();
+  sendCommand({
+    name: 'startTimer',
+    roomId: state.roomId,
+    payload: {
+      storyId,
+      duration
+    }
+  });
+};
+
+export const stopTimer = () => (dispatch, getState, sendCommand) => {
+  const state = getState();
+  sendCommand({
+    name: 'stopTimer',
+    roomId: state.roomId,
+    payload: {}
+  });
+};
+
 export const kick = (userId) => (dispatch, getState, sendCommand) => {
   const state = getState();
   sendCommand({
@@ -288,22 +366,51 @@ export const kick = (userId) => (dispatch, getState, sendCommand) => {
   });
 };
 
+export const setUserRole = (userId, role) => (dispatch, getState, sendCommand) => {
+  const state = getState();
+  sendCommand({
+    name: 'setUserRole',
+    roomId: state.roomId,
+    payload: {
+      userId,
+      role
+    }
+  });
+};
+
 export const leaveRoom = () => () => {
   // we only need to navigate to the landing page
   // locationChanged will trigger sending "leaveRoom" command to backend
   history.push('/');
 };
 
-export const changeStory = (storyId, title, description) => (dispatch, getState, sendCommand) => {
+/**
+ * An empty "key" or "url" removes the respective property from the story.
+ */
+export const changeStory = (
+  storyId,
+  title,
+  description,
+  labels = [],
+  {key = '', url = '', cardConfig} = {}
+) => (dispatch, getState, sendCommand) => {
   const state = getState();
+  const payload = {
+    storyId,
+    title,
+    description,
+    labels,
+    key,
+    url
+  };
+  if (cardConfig) {
+    payload.cardConfig = cardConfig; // empty array removes the own card deck of the story
+  }
+
   sendCommand({
     name: 'changeStory',
     roomId: state.roomId,
-    payload: {
-      storyId,
-      title,
-      description
-    }
+    payload
   });
 };
 
@@ -318,6 +425,24 @@ export const trashStory = (storyId) => (dispatch, getState, sendCommand) => {
   });
 };
 
+/**
+ * Moves the story before the story with the given "beforeStoryId" (manual backlog order). Without "beforeStoryId", the story is moved to the bottom of the backlog.
+ */
+export const moveStory = (storyId, beforeStoryId) => (dispatch, getState, sendCommand) => {
+  const state = getState();
+  const payload = {
+    storyId
+  };
+  if (beforeStoryId) {
+    payload.beforeStoryId = beforeStoryId;
+  }
+  sendCommand({
+    name: 'moveStory',
+    roomId: state.roomId,
+    payload
+  });
+};
+
 export const restoreStory = (storyId) => (dispatch, getState, sendCommand) => {
   const state = getState();
   sendCommand({
@@ -351,6 +476,85 @@ export const setCardConfig = (cardConfig) => (dispatch, getState, sendCommand) =
   });
 };
 
+export const deleteRoom = () => (dispatch, getState, sendCommand) => {
+  const state = getState();
+  sendCommand({
+    name: 'deleteRoom',
+    roomId: state.roomId,
+    payload: {}
+  });
+};
+
+export const applyRoomTemplate = (template) => (dispatch, getState, sendCommand) => {
+  const state = getState();
+  sendCommand({
+    name: 'applyRoomTemplate',
+    roomId: state.roomId,
+    payload: toRoomTemplateSettings(template)
+  });
+};
+
+/**
+ * Saves the current settings of the room as new template (in the localStorage of the browser)
+ */
+export const saveRoomTemplate = (name) => (dispatch, getState) => {
+  const state = getState();
+  const template = {
+    id: uuid(),
+    name,
+    cardConfig: state.cardConfig,
+    autoReveal: !!state.autoReveal
+  };
+  if (state.issueUrlTemplate) {
+    template.issueUrlTemplate = state.issueUrlTemplate;
+  }
+
+  clientSettingsStore.setRoomTemplates([...state.roomTemplates, template]);
+  dispatch({type: ROOM_TEMPLATE_SAVED, template});
+};
+
+export const deleteRoomTemplate = (templateId) => (dispatch, getState) => {
+  clientSettingsStore.setRoomTemplates(
+    getState().roomTemplates.filter((template) => template.id !== templateId)
+  );
+  dispatch({type: ROOM_TEMPLATE_DELETED, templateId});
+};
+
+export const setIssueUrlTemplate = (issueUrlTemplate) => (dispatch, getState, sendCommand) => {
+  const state = getState();
+  sendCommand({
+    name: 'setIssueUrlTemplate',
+    roomId: state.roomId,
+    payload: {
+      issueUrlTemplate
+    }
+  });
+};
+
+export const addWebhook = (url, events, secret) => (dispatch, getState, sendCommand) => {
+  const state = getState();
+  sendCommand({
+    name: 'addWebhook',
+    roomId: state.roomId,
+    payload: {
+      url,
+      events,
+      secret
+    }
+  });
+};
+
+export const removeWebhook = (webhookId) => (dispatch, getState, sendCommand) => {
+  const state = getState();
+  sendCommand({
+    name: 'removeWebhook',
+    roomId: state.roomId,
+    payload: {
+      webhookId
+    }
+  });
+};
+
 export const setPassword = (password) => (dispatch, getState, sendCommand) => {
   const state = getState();
   sendCommand({
@@ -362,15 +566,31 @@ export const setPassword = (password) => (dispatch, getState, sendCommand) => {
   });
 };
 
-export const importCsvFile = (file) => (dispatch, getState, sendCommand) => {
+/**
+ * Imports stories from a csv file or from a json room export.
+ * The optional "mapping" defines the csv columns for title, key, description and estimate.
+ * If "withEstimations" is set, consensus and estimations from a json room export are kept.
+ */
+export const importStoriesFile = (file, {mapping, withEstimations} = {}) => (
+  dispatch,
+  getState,
+  sendCommand
+) => {
   readDroppedFile(file).then((content) => {
     const state = getState();
+    const payload = {
+      data: content
+    };
+    if (mapping) {
+      payload.mapping = mapping;
+    }
+    if (withEstimations) {
+      payload.withEstimations = true;
+    }
     sendCommand({
       name: 'importStories',
       roomId: state.roomId,
-      payload: {
-        data: content
-      }
+      payload
     });
   });
 };
@@ -14,6 +14,8 @@ export const HIDE_NEW_USER_HINTS = 'HIDE_NEW_USER_HINTS';
 export const SHOW_TRASH = 'SHOW_TRASH';
 export const HIDE_TRASH = 'HIDE_TRASH';
 export const TOGGLE_MARK_FOR_KICK = 'TOGGLE_MARK_FOR_KICK';
+export const ROOM_TEMPLATE_SAVED = 'ROOM_TEMPLATE_SAVED';
+export const ROOM_TEMPLATE_DELETED = 'ROOM_TEMPLATE_DELETED';
 
 /**
  * Action types for backend events
@@ -32,7 +34,9 @@ export const EVENT_ACTION_TYPES = {
   emailSet: 'EMAIL_SET',
   avatarSet: 'AVATAR_SET',
   storyEstimateGiven: 'STORY_ESTIMATE_GIVEN',
+  ownEstimateGiven: 'OWN_ESTIMATE_GIVEN',
   consensusAchieved: 'CONSENSUS_ACHIEVED',
+  storySettled: 'STORY_SETTLED',
   storyEstimateCleared: 'STORY_ESTIMATE_CLEARED',
   revealed: 'REVEALED',
   newEstimationRoundStarted: 'NEW_ESTIMATION_ROUND_STARTED',
@@ -41,13 +45,22 @@ export const EVENT_ACTION_TYPES = {
   storyChanged: 'STORY_CHANGED',
   storyDeleted: 'STORY_DELETED',
   storyTrashed: 'STORY_TRASHED',
+  storyMoved: 'STORY_MOVED',
   storyRestored: 'STORY_RESTORED',
   cardConfigSet: 'CARD_CONFIG_SET',
   autoRevealOn: 'AUTO_REVEAL_ON',
   autoRevealOff: 'AUTO_REVEAL_OFF',
+  issueUrlTemplateSet: 'ISSUE_URL_TEMPLATE_SET',
+  webhookAdded: 'WEBHOOK_ADDED',
+  webhookRemoved: 'WEBHOOK_REMOVED',
+  timerStarted: 'TIMER_STARTED',
+  timerStopped: 'TIMER_STOPPED',
   passwordSet: 'PASSWORD_SET',
   passwordCleared: 'PASSWORD_CLEARED',
-  tokenIssued: 'TOKEN_ISSUED'
+  tokenIssued: 'TOKEN_ISSUED',
+  userRoleSet: 'USER_ROLE_SET',
+  moderatorAssigned: 'MODERATOR_ASSIGNED',
+  roomDeleted: 'ROOM_DELETED'
 };
 
 /** various **/
@@ -5,41 +5,69 @@ import {useDropzone} from 'react-dropzone';
 
 import StoryEditForm from './StoryEditForm';
 import Story from './Story';
-import {importCsvFile} from '../../actions';
+import CsvImportMappingForm from './CsvImportMappingForm';
+import {importStoriesFile, moveStory} from '../../actions';
 import {getActiveStories} from '../../services/selectors';
+import {readCsvHeaders} from '../../services/csvHeaders';
+import {getAllLabels} from '../../services/storyLabels';
+import isJsonFile from '../../services/isJsonFile';
 import BacklogSortForm, {sortings} from './BacklogSortForm';
 
 import {
   StyledStories,
+  StyledDraggableStory,
   StyledFileImportDropZone,
   StyledFileImportDropZoneOverlay,
   StyledBacklogInfoText
 } from './_styled';
 
-const sortAndFilter = (activeStories, comparator, query) => {
+const sortAndFilter = (activeStories, comparator, query, label) => {
   const lcQuery = query.toLowerCase();
   let shallowCopy = query
     ? [...activeStories.filter((s) => s.title.toLowerCase().includes(lcQuery))]
     : [...activeStories];
+  if (label) {
+    shallowCopy = shallowCopy.filter((s) => s.labels && s.labels.includes(label));
+  }
   return shallowCopy.sort(comparator);
 };
 
 /**
- * show the story add form and list of active stories
+ * show the story add form and list of active stories.
+ * In "manual order" (default sorting), stories can be re-ordered via drag-and-drop.
  */
-const BacklogActive = ({t, activeStories, importCsvFile}) => {
+const BacklogActive = ({t, activeStories, importStoriesFile, moveStory}) => {
   const hasActiveStories = activeStories.length > 0;
 
   const [filterQuery, setFilterQuery] = useState('');
-  const [sorting, setSorting] = useState(sortings.newestFirst);
+  const [labelFilter, setLabelFilter] = useState('');
+  const allLabels = getAllLabels(activeStories);
+  useEffect(() => {
+    if (labelFilter && !allLabels.includes(labelFilter)) {
+      setLabelFilter(''); // the last story with this label was removed or changed
+    }
+  }, [activeStories]);
+  const [sorting, setSorting] = useState(sortings.manualOrder);
   const [sortedStories, setSortedStories] = useState(activeStories);
   useEffect(() => {
-    setSortedStories(sortAndFilter(activeStories, sorting.comp, filterQuery));
-  }, [activeStories, sorting, filterQuery]);
+    setSortedStories(sortAndFilter(activeStories, sorting.comp, filterQuery, labelFilter));
+  }, [activeStories, sorting, filterQuery, labelFilter]);
+
+  const isDragAndDropEnabled = sorting.id === sortings.manualOrder.id;
+  const [draggedStoryId, setDraggedStoryId] = useState(undefined);
+  const [dropTarget, setDropTarget] = useState(undefined); // {storyId, below}
+
+  // a dropped csv file is not imported right away: the user maps the csv columns first
+  const [csvImport, setCsvImport] = useState(undefined);
 
   const onDrop = useCallback((acceptedFiles) => {
     if (acceptedFiles && acceptedFiles.length > 0) {
-      importCsvFile(acceptedFiles[0]);
+      const file = acceptedFiles[0];
+      if (isJsonFile(file)) {
+        importStoriesFile(file);
+      } else {
+        readCsvHeaders(file).then((headers) => setCsvImport({file, headers}));
+      }
     }
   }, []);
   const {getRootProps, isDragActive, isDragAccept, isDragReject} = useDropzone({
@@ -48,7 +76,7 @@ const BacklogActive = ({t, activeStories, importCsvFile}) => {
     noClick: true,
     maxSize: 200000,
     accept:
-      'text/csv, application/vnd.ms-excel, application/csv, text/x-csv, application/x-csv, text/comma-separated-values, text/x-comma-separated-values'
+      'text/csv, application/vnd.ms-excel, application/csv, text/x-csv, application/x-csv, text/comma-separated-values, text/x-comma-separated-values, application/json, .json'
   });
 
   return (
@@ -59,6 +87,19 @@ const BacklogActive = ({t, activeStories, importCsvFile}) => {
         isReject={isDragReject}
       ></StyledFileImportDropZoneOverlay>
 
+      {csvImport && (
+        <CsvImportMappingForm
+          t={t}
+          fileName={csvImport.file.name}
+          headers={csvImport.headers}
+          onImport={(mapping) => {
+            importStoriesFile(csvImport.file, {mapping});
+            setCsvImport(undefined);
+          }}
+          onCancel={() => setCsvImport(undefined)}
+        />
+      )}
+
       {hasActiveStories && (
         <React.Fragment>
           {activeStories.length > 1 && (
@@ -67,6 +108,9 @@ const BacklogActive = ({t, activeStories, importCsvFile}) => {
               sorting={sorting}
               onQueryChanged={setFilterQuery}
               filterQuery={filterQuery}
+              labels={allLabels}
+              labelFilter={labelFilter}
+              onLabelFilterChanged={setLabelFilter}
             />
           )}
 
@@ -75,7 +119,23 @@ const BacklogActive = ({t, activeStories, importCsvFile}) => {
               story.editMode ? (
                 <StoryEditForm key={story.id} story={story} />
               ) : (
-                <Story key={story.id} story={story} />
+                <StyledDraggableStory
+                  key={story.id}
+                  draggable={isDragAndDropEnabled}
+                  onDragStart={(e) => onStoryDragStart(e, story.id)}
+                  onDragOver={(e) => onStoryDragOver(e, story.id)}
+                  onDrop={(e) => onStoryDrop(e)}
+                  onDragEnd={resetDrag}
+                  dropIndicator={
+                    dropTarget && dropTarget.storyId === story.id
+                      ? dropTarget.below
+                        ? 'below'
+                        : 'above'
+                      : undefined
+                  }
+                >
+                  <Story story={story} />
+                </StyledDraggableStory>
               )
             )}
           </StyledStories>
@@ -85,12 +145,60 @@ const BacklogActive = ({t, activeStories, importCsvFile}) => {
       {!hasActiveStories && <StyledBacklogInfoText>{t('noActiveStories')}</StyledBacklogInfoText>}
     </StyledFileImportDropZone>
   );
+
+  function onStoryDragStart(e, storyId) {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', storyId); // firefox does not start dragging without data
+    setDraggedStoryId(storyId);
+  }
+
+  function onStoryDragOver(e, storyId) {
+    if (!draggedStoryId) {
+      return; // not one of our stories (e.g. a file)
+    }
+    e.preventDefault();
+    const boundingRect = e.currentTarget.getBoundingClientRect();
+    const below = e.clientY > boundingRect.top + boundingRect.height / 2;
+    if (!dropTarget || dropTarget.storyId !== storyId || dropTarget.below !== below) {
+      setDropTarget({storyId, below});
+    }
+  }
+
+  function onStoryDrop(e) {
+    if (!draggedStoryId || !dropTarget) {
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+
+    const beforeStoryId = dropTarget.below
+      ? getStoryIdBelow(dropTarget.storyId)
+      : dropTarget.storyId;
+    if (draggedStoryId !== beforeStoryId && draggedStoryId !== dropTarget.storyId) {
+      moveStory(draggedStoryId, beforeStoryId);
+    }
+    resetDrag();
+  }
+
+  /**
+   * If the story is the last one in the (possibly filtered) list, the dragged story is moved to the bottom of the backlog
+   */
+  function getStoryIdBelow(storyId) {
+    const index = sortedStories.findIndex((s) => s.id === storyId);
+    return index > -1 && index < sortedStories.length - 1 ? sortedStories[index + 1].id : undefined;
+  }
+
+  function resetDrag() {
+    setDraggedStoryId(undefined);
+    setDropTarget(undefined);
+  }
 };
 
 BacklogActive.propTypes = {
   t: PropTypes.func.isRequired,
   activeStories: PropTypes.array,
-  importCsvFile: PropTypes.func.isRequired
+  importStoriesFile: PropTypes.func.isRequired,
+  moveStory: PropTypes.func.isRequired
 };
 
 export default connect(
@@ -98,5 +206,5 @@ export default connect(
     t: state.translator,
     activeStories: getActiveStories(state)
   }),
-  {importCsvFile}
+  {importStoriesFile, moveStory}
 )(BacklogActive);
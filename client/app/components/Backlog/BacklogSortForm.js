@@ -2,12 +2,20 @@ import React, {useState, useEffect, useRef} from 'react';
 import {connect} from 'react-redux';
 import PropTypes from 'prop-types';
 
+import {compareByRank} from '../../services/storyRanks';
+
 import {StyledBacklogSortForm, StyledSortDropdown, StyledSortDropdownItem} from './_styled';
 
 /**
- * available sort options with their respective story comparators
+ * available sort options with their respective story comparators.
+ * "manualOrder" is the default: the order set by the users via drag-and-drop (see BacklogActive)
  */
 export const sortings = {
+  manualOrder: {
+    id: 'manual',
+    labelKey: 'manualOrder',
+    comp: compareByRank
+  },
   newestFirst: {
     id: 'newest',
     labelKey: 'newest',
@@ -30,7 +38,19 @@ export const sortings = {
   }
 };
 
-const BacklogSortForm = ({t, filterQuery, onQueryChanged, sorting, onSortingChanged}) => {
+/**
+ * Text query, label filter and sorting for the active stories in the backlog
+ */
+const BacklogSortForm = ({
+  t,
+  filterQuery,
+  onQueryChanged,
+  labels,
+  labelFilter,
+  onLabelFilterChanged,
+  sorting,
+  onSortingChanged
+}) => {
   const dropdownRef = useRef(null);
   const [extended, setExtended] = useState(false);
 
@@ -45,6 +65,21 @@ const BacklogSortForm = ({t, filterQuery, onQueryChanged, sorting, onSortingChan
         value={filterQuery}
         onChange={(e) => onQueryChanged(e.target.value)}
       />
+      {labels && labels.length > 0 && (
+        <select
+          data-testid="labelFilterSelect"
+          value={labelFilter}
+          onChange={(e) => onLabelFilterChanged(e.target.value)}
+          title={t('filterByLabel')}
+        >
+          <option value="">{t('allLabels')}</option>
+          {labels.map((label) => (
+            <option key={label} value={label}>
+              {label}
+            </option>
+          ))}
+        </select>
+      )}
       <i
         onClick={() => setExtended(!extended)}
         className="clickable icon-exchange"
@@ -80,7 +115,10 @@ BacklogSortForm.propTypes = {
   sorting: PropTypes.object,
   onSortingChanged: PropTypes.func.isRequired,
   filterQuery: PropTypes.string,
-  onQueryChanged: PropTypes.func.isRequired
+  onQueryChanged: PropTypes.func.isRequired,
+  labels: PropTypes.array,
+  labelFilter: PropTypes.string,
+  onLabelFilterChanged: PropTypes.func
 };
 
 export default connect((state) => ({
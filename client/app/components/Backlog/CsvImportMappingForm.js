@@ -0,0 +1,89 @@
+import React, {useState} from 'react';
+import PropTypes from 'prop-types';
+
+import {guessCsvColumnMapping} from '../../services/csvHeaders';
+
+import {StyledCsvImportMappingForm, StyledEditFormButtonGroup} from './_styled';
+
+const MAPPING_FIELDS = ['title', 'key', 'url', 'description', 'estimate', 'labels'];
+
+/**
+ * Shown after a csv file was dropped (or selected): lets the user map the columns of the csv file to title, key, url, description, estimate and labels of the stories.
+ * Only the title is mandatory.
+ */
+const CsvImportMappingForm = ({t, fileName, headers, onImport, onCancel}) => {
+  const [mapping, setMapping] = useState(guessCsvColumnMapping(headers));
+
+  return (
+    <StyledCsvImportMappingForm
+      className="pure-form"
+      onSubmit={(e) => e.preventDefault()}
+      data-testid="csvImportMappingForm"
+    >
+      <h5>
+        {t('csvImportMapping')} <span>{fileName}</span>
+      </h5>
+
+      {MAPPING_FIELDS.map((field) => (
+        <label key={field}>
+          <span>{t('csvColumn_' + field)}</span>
+          <select
+            value={mapping[field]}
+            onChange={(e) => setMapping({...mapping, [field]: e.target.value})}
+            data-testid={'csvColumnSelect.' + field}
+          >
+            {field !== 'title' && <option value="">-</option>}
+            {headers.map((header) => (
+              <option key={header} value={header}>
+                {header}
+              </option>
+            ))}
+          </select>
+        </label>
+      ))}
+
+      <StyledEditFormButtonGroup className="pure-g">
+        <div className="pure-u-1-2">
+          <button type="button" className="pure-button pure-input-1" onClick={onCancel}>
+            {t('cancel')}
+            <i className="icon-cancel button-icon-right"></i>
+          </button>
+        </div>
+        <div className="pure-u-1-2">
+          <button
+            type="button"
+            className="pure-button pure-input-1 pure-button-primary"
+            onClick={triggerImport}
+            disabled={!mapping.title}
+            data-testid="csvImportButton"
+          >
+            {t('import')}
+            <i className="icon-plus button-icon-right"></i>
+          </button>
+        </div>
+      </StyledEditFormButtonGroup>
+    </StyledCsvImportMappingForm>
+  );
+
+  function triggerImport() {
+    // the server expects only mapped columns
+    const nonEmptyMapping = MAPPING_FIELDS.filter((field) => !!mapping[field]).reduce(
+      (total, field) => {
+        total[field] = mapping[field];
+        return total;
+      },
+      {}
+    );
+    onImport(nonEmptyMapping);
+  }
+};
+
+CsvImportMappingForm.propTypes = {
+  t: PropTypes.func.isRequired,
+  fileName: PropTypes.string,
+  headers: PropTypes.array.isRequired,
+  onImport: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default CsvImportMappingForm;
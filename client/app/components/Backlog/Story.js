@@ -4,13 +4,18 @@ import Anchorify from 'react-anchorify-text';
 import PropTypes from 'prop-types';
 
 import {selectStory, editStory, highlightStory, trashStory} from '../../actions';
-import {isThisStoryWaiting} from '../../services/selectors';
+import {getCardConfigForStory, isThisStoryWaiting} from '../../services/selectors';
+import {getStoryUrl} from '../../services/storyUrls';
 import ConsensusBadge from '../common/ConsensusBadge';
+import StoryRounds from './StoryRounds';
 
 import {
   StyledStoryToolbar,
   StyledStory,
   StyledStoryText,
+  StyledStoryLabels,
+  StyledStoryKey,
+  StyledStoryLink,
   StyledHighlightButtonWrapper
 } from './_styled';
 import {StyledStoryTitle} from '../_styled';
@@ -24,6 +29,7 @@ const Story = ({
   selectedStoryId,
   highlightedStoryId,
   cardConfig,
+  issueUrlTemplate,
   selectStory,
   highlightStory,
   editStory,
@@ -33,6 +39,7 @@ const Story = ({
   const isSelected = selectedStoryId === story.id;
   const isHighlighted = highlightedStoryId === story.id;
   const hasConsensus = story.consensus !== undefined && story.consensus !== null; // value could be "0" which is falsy, check for undefined
+  const storyUrl = getStoryUrl(story, issueUrlTemplate);
 
   return (
     <StyledStory
@@ -58,12 +65,35 @@ const Story = ({
       </StyledStoryToolbar>
 
       <StyledStoryTitle>
-        <div>{story.title}</div>
+        <div>
+          {story.key && <StyledStoryKey data-testid="storyKey">{story.key}</StyledStoryKey>}
+          {story.title}
+          {storyUrl && (
+            <StyledStoryLink
+              href={storyUrl}
+              target="_blank"
+              rel="noopener noreferrer"
+              onClick={(e) => e.stopPropagation()}
+              title={t('openStoryUrl')}
+              data-testid="storyLink"
+            >
+              <i className="icon-right-big" />
+            </StyledStoryLink>
+          )}
+        </div>
         {hasConsensus && (
           <ConsensusBadge cardConfig={cardConfig} consensusValue={story.consensus} />
         )}
       </StyledStoryTitle>
 
+      {story.labels && story.labels.length > 0 && (
+        <StyledStoryLabels data-testid="storyLabels">
+          {story.labels.map((label) => (
+            <span key={label}>{label}</span>
+          ))}
+        </StyledStoryLabels>
+      )}
+
       {
         // only display story text for highlighted story. improves overall readibility / usability (see #24)
         isHighlighted && (
@@ -72,6 +102,9 @@ const Story = ({
           </StyledStoryText>
         )
       }
+      {isHighlighted && story.rounds && story.rounds.length > 0 && (
+        <StoryRounds rounds={story.rounds} storyId={story.id} />
+      )}
       {isHighlighted && !isSelected && (
         <StyledHighlightButtonWrapper>
           <button
@@ -110,6 +143,7 @@ Story.propTypes = {
   story: PropTypes.object,
   isWaiting: PropTypes.bool,
   cardConfig: PropTypes.array,
+  issueUrlTemplate: PropTypes.string,
   selectedStoryId: PropTypes.string,
   highlightedStoryId: PropTypes.string,
   selectStory: PropTypes.func,
@@ -122,7 +156,8 @@ Story.propTypes = {
 export default connect(
   (state, props) => ({
     t: state.translator,
-    cardConfig: state.cardConfig,
+    cardConfig: getCardConfigForStory(state, props.story.id),
+    issueUrlTemplate: state.issueUrlTemplate,
     selectedStoryId: state.selectedStory,
     highlightedStoryId: state.highlightedStory,
     isWaiting: isThisStoryWaiting(state, props.story.id)
@@ -5,19 +5,29 @@ import PropTypes from 'prop-types';
 import {addStory} from '../../actions';
 import {
   STORY_DESCRIPTION_MAX_LENGTH,
-  STORY_TITLE_REGEX
+  STORY_KEY_REGEX,
+  STORY_TITLE_REGEX,
+  STORY_URL_REGEX
 } from '../../services/frontendInputValidation';
+import {getStoryCardConfigForSelection} from '../../services/roomTemplates';
 import {hasMatchingPendingCommand} from '../../services/selectors';
+import {parseLabelsInput} from '../../services/storyLabels';
+import {isValidStoryUrlInput} from '../../services/storyUrls';
 import ValidatedInput from '../common/ValidatedInput';
+import StoryCardDeckSelect from './StoryCardDeckSelect';
 
 import {StyledAddForm} from './_styled';
 
 /**
  * Form for adding stories to the backlog
  */
-const StoryAddForm = ({t, addStory, waiting}) => {
+const StoryAddForm = ({t, addStory, waiting, roomTemplates}) => {
   const [storyTitle, setStoryTitle] = useState('');
   const [storyDescr, setStoryDescr] = useState('');
+  const [storyLabels, setStoryLabels] = useState('');
+  const [storyKey, setStoryKey] = useState('');
+  const [storyUrl, setStoryUrl] = useState('');
+  const [storyCardDeck, setStoryCardDeck] = useState('');
 
   return (
     <StyledAddForm
@@ -43,6 +53,37 @@ const StoryAddForm = ({t, addStory, waiting}) => {
           value={storyDescr}
           onChange={onDescriptionChange}
         />
+
+        <input
+          type="text"
+          className="pure-input-1"
+          placeholder={t('labelsPlaceholder')}
+          value={storyLabels}
+          onChange={(e) => setStoryLabels(e.target.value)}
+          data-testid="storyLabelsInput"
+        />
+
+        <ValidatedInput
+          type="text"
+          className="pure-input-1"
+          placeholder={t('storyKeyPlaceholder')}
+          fieldValue={storyKey}
+          setFieldValue={setStoryKey}
+          regexPattern={STORY_KEY_REGEX}
+          data-testid="storyKeyInput"
+        />
+
+        <ValidatedInput
+          type="text"
+          className={`pure-input-1 ${isValidStoryUrlInput(storyUrl) ? '' : 'invalid'}`}
+          placeholder={t('storyUrlPlaceholder')}
+          fieldValue={storyUrl}
+          setFieldValue={setStoryUrl}
+          regexPattern={STORY_URL_REGEX}
+          data-testid="storyUrlInput"
+        />
+
+        <StoryCardDeckSelect selection={storyCardDeck} onChange={setStoryCardDeck} />
       </fieldset>
 
       <button
@@ -64,10 +105,17 @@ const StoryAddForm = ({t, addStory, waiting}) => {
   }
 
   function triggerAddAndClearForm() {
-    if (storyTitle) {
-      addStory(storyTitle, storyDescr);
+    if (storyTitle && isValidStoryUrlInput(storyUrl)) {
+      addStory(storyTitle, storyDescr, parseLabelsInput(storyLabels), {
+        key: storyKey,
+        url: storyUrl,
+        cardConfig: getStoryCardConfigForSelection(roomTemplates, storyCardDeck)
+      });
       setStoryTitle('');
       setStoryDescr('');
+      setStoryLabels('');
+      setStoryKey('');
+      setStoryUrl('');
     }
   }
 };
@@ -75,13 +123,15 @@ const StoryAddForm = ({t, addStory, waiting}) => {
 StoryAddForm.propTypes = {
   t: PropTypes.func,
   addStory: PropTypes.func,
-  waiting: PropTypes.bool
+  waiting: PropTypes.bool,
+  roomTemplates: PropTypes.array
 };
 
 export default connect(
   (state) => ({
     t: state.translator,
-    waiting: hasMatchingPendingCommand(state, 'addStory')
+    waiting: hasMatchingPendingCommand(state, 'addStory'),
+    roomTemplates: state.roomTemplates
   }),
   {addStory}
 )(StoryAddForm);
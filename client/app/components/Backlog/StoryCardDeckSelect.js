@@ -0,0 +1,39 @@
+import React from 'react';
+import {connect} from 'react-redux';
+import PropTypes from 'prop-types';
+
+import {KEEP_STORY_CARD_DECK} from '../../services/roomTemplates';
+import RoomTemplateSelect from '../common/RoomTemplateSelect';
+
+/**
+ * Dropdown to select the card deck of a story (in the add and edit forms):
+ * The card config of the room (default) or the cards of a room template (e.g. hours for bugs, while features are estimated in points).
+ * If the story already has its own card deck, it can be kept.
+ */
+const StoryCardDeckSelect = ({t, roomTemplates, selection, onChange, hasOwnCardDeck}) => (
+  <RoomTemplateSelect
+    t={t}
+    className="pure-input-1"
+    testId="storyCardDeckSelect"
+    savedTemplates={roomTemplates}
+    templateId={selection}
+    onChange={onChange}
+    noTemplateLabel={t('roomCardDeck')}
+    additionalOption={
+      hasOwnCardDeck ? {value: KEEP_STORY_CARD_DECK, label: t('storyOwnCardDeck')} : undefined
+    }
+  />
+);
+
+StoryCardDeckSelect.propTypes = {
+  t: PropTypes.func,
+  roomTemplates: PropTypes.array,
+  selection: PropTypes.string,
+  onChange: PropTypes.func,
+  hasOwnCardDeck: PropTypes.bool
+};
+
+export default connect((state) => ({
+  t: state.translator,
+  roomTemplates: state.roomTemplates
+}))(StoryCardDeckSelect);
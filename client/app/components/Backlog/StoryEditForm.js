@@ -5,22 +5,40 @@ import PropTypes from 'prop-types';
 import {changeStory, cancelEditStory} from '../../actions';
 import {
   STORY_DESCRIPTION_MAX_LENGTH,
-  STORY_TITLE_REGEX
+  STORY_KEY_REGEX,
+  STORY_TITLE_REGEX,
+  STORY_URL_REGEX
 } from '../../services/frontendInputValidation';
+import {getStoryCardConfigForSelection, KEEP_STORY_CARD_DECK} from '../../services/roomTemplates';
 import {isThisStoryEditFormWaiting} from '../../services/selectors';
+import {formatLabelsInput, parseLabelsInput} from '../../services/storyLabels';
+import {isValidStoryUrlInput} from '../../services/storyUrls';
 import ValidatedInput from '../common/ValidatedInput';
 import StoryEditFormButtonGroup from './StoryEditFormButtonGroup';
+import StoryCardDeckSelect from './StoryCardDeckSelect';
 
 import {StyledStory, StyledEditForm} from './_styled';
 
 /**
  * If a story is in "editMode" this form is displayed (in the backlog)
  */
-const StoryEditForm = ({t, story, selectedStoryId, changeStory, cancelEditStory, isWaiting}) => {
+const StoryEditForm = ({
+  t,
+  story,
+  selectedStoryId,
+  roomTemplates,
+  changeStory,
+  cancelEditStory,
+  isWaiting
+}) => {
   const isSelected = selectedStoryId === story.id;
 
   const [storyTitle, setStoryTitle] = useState(story.title);
   const [storyDescr, setStoryDescr] = useState(story.description);
+  const [storyLabels, setStoryLabels] = useState(formatLabelsInput(story.labels));
+  const [storyKey, setStoryKey] = useState(story.key || '');
+  const [storyUrl, setStoryUrl] = useState(story.url || '');
+  const [storyCardDeck, setStoryCardDeck] = useState(story.cardConfig ? KEEP_STORY_CARD_DECK : '');
 
   return (
     <StyledStory
@@ -46,6 +64,41 @@ const StoryEditForm = ({t, story, selectedStoryId, changeStory, cancelEditStory,
             value={storyDescr}
             onChange={onDescriptionChange}
           />
+
+          <input
+            type="text"
+            className="pure-input-1"
+            placeholder={t('labelsPlaceholder')}
+            value={storyLabels}
+            onChange={(e) => setStoryLabels(e.target.value)}
+            data-testid="storyLabelsInput"
+          />
+
+          <ValidatedInput
+            type="text"
+            className="pure-input-1"
+            placeholder={t('storyKeyPlaceholder')}
+            fieldValue={storyKey}
+            setFieldValue={setStoryKey}
+            regexPattern={STORY_KEY_REGEX}
+            data-testid="storyKeyInput"
+          />
+
+          <ValidatedInput
+            type="text"
+            className={`pure-input-1 ${isValidStoryUrlInput(storyUrl) ? '' : 'invalid'}`}
+            placeholder={t('storyUrlPlaceholder')}
+            fieldValue={storyUrl}
+            setFieldValue={setStoryUrl}
+            regexPattern={STORY_URL_REGEX}
+            data-testid="storyUrlInput"
+          />
+
+          <StoryCardDeckSelect
+            selection={storyCardDeck}
+            onChange={setStoryCardDeck}
+            hasOwnCardDeck={!!story.cardConfig}
+          />
         </fieldset>
 
         <StoryEditFormButtonGroup t={t} onSave={triggerChange} onCancel={triggerCancel} />
@@ -61,8 +114,18 @@ const StoryEditForm = ({t, story, selectedStoryId, changeStory, cancelEditStory,
   }
 
   function triggerChange() {
-    if (storyTitle) {
-      changeStory(story.id, storyTitle, storyDescr ? storyDescr : '');
+    if (storyTitle && isValidStoryUrlInput(storyUrl)) {
+      changeStory(
+        story.id,
+        storyTitle,
+        storyDescr ? storyDescr : '',
+        parseLabelsInput(storyLabels),
+        {
+          key: storyKey,
+          url: storyUrl,
+          cardConfig: getStoryCardConfigForSelection(roomTemplates, storyCardDeck)
+        }
+      );
     }
   }
 
@@ -75,6 +138,7 @@ StoryEditForm.propTypes = {
   t: PropTypes.func.isRequired,
   story: PropTypes.object,
   selectedStoryId: PropTypes.string,
+  roomTemplates: PropTypes.array,
   changeStory: PropTypes.func,
   cancelEditStory: PropTypes.func,
   isWaiting: PropTypes.bool
@@ -84,6 +148,7 @@ export default connect(
   (state, props) => ({
     t: state.translator,
     selectedStoryId: state.selectedStory,
+    roomTemplates: state.roomTemplates,
     isWaiting: isThisStoryEditFormWaiting(state, props.story.id)
   }),
   {changeStory, cancelEditStory}
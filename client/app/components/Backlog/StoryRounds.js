@@ -0,0 +1,54 @@
+import React from 'react';
+import {connect} from 'react-redux';
+import PropTypes from 'prop-types';
+
+import {getCardConfigForValue} from '../../services/getCardConfigForValue';
+import {formatDateTime} from '../../services/timeUtil';
+import {getCardConfigForStory} from '../../services/selectors';
+
+import {StyledStoryRound, StyledStoryRounds} from './_styled';
+
+/**
+ * Displays the archived estimation rounds of a story (each round that was revealed before a new round was started).
+ * Per round: the given estimations (sorted), the consensus (if any), reveal time and the revealing user.
+ */
+const StoryRounds = ({t, rounds, cardConfig, users}) => (
+  <StyledStoryRounds data-testid="storyRounds">
+    <div>{t('roundHistory')}</div>
+    {rounds.map((round, index) => (
+      <StyledStoryRound key={'round.' + index} data-testid="storyRound">
+        <span>{index + 1}.</span>
+        <span>
+          {Object.values(round.estimations)
+            .sort((vA, vB) => vA - vB)
+            .map((value) => getCardConfigForValue(cardConfig, value).label)
+            .join(', ')}
+        </span>
+        {round.consensus !== undefined && round.consensus !== null && (
+          <span>→ {getCardConfigForValue(cardConfig, round.consensus).label}</span>
+        )}
+        {round.revealedAt && (
+          <span title={t('revealedBy') + ' ' + getUsername(users, round.revealedBy)}>
+            {formatDateTime(round.revealedAt)}
+          </span>
+        )}
+      </StyledStoryRound>
+    ))}
+  </StyledStoryRounds>
+);
+
+StoryRounds.propTypes = {
+  storyId: PropTypes.string,
+  t: PropTypes.func,
+  rounds: PropTypes.array,
+  cardConfig: PropTypes.array,
+  users: PropTypes.object
+};
+
+const getUsername = (users, userId) => (users[userId] && users[userId].username) || '-';
+
+export default connect((state, props) => ({
+  t: state.translator,
+  cardConfig: getCardConfigForStory(state, props.storyId),
+  users: state.users
+}))(StoryRounds);
@@ -4,6 +4,7 @@ import PropTypes from 'prop-types';
 
 import {restoreStory, deleteStory} from '../../actions';
 import ConsensusBadge from '../common/ConsensusBadge';
+import {getCardConfigForStory} from '../../services/selectors';
 
 import {StyledStoryToolbar, StyledStory} from './_styled';
 import {StyledStoryTitle} from '../_styled';
@@ -48,9 +49,9 @@ TrashedStory.propTypes = {
 };
 
 export default connect(
-  (state) => ({
+  (state, props) => ({
     t: state.translator,
-    cardConfig: state.cardConfig
+    cardConfig: getCardConfigForStory(state, props.story.id)
   }),
   {restoreStory, deleteStory}
 )(TrashedStory);
@@ -64,6 +64,10 @@ export const StyledEditForm = styled.form`
     border-bottom: 1px solid ${COLOR_LIGHTER_GREY};
   }
 
+  input.invalid {
+    border-bottom-color: ${COLOR_WARNING};
+  }
+
   textarea {
     min-height: 64px;
   }
@@ -82,6 +86,31 @@ export const StyledAddForm = styled(StyledEditForm)`
   border: 1px solid ${COLOR_LIGHTER_GREY};
 `;
 
+export const StyledCsvImportMappingForm = styled(StyledEditForm)`
+  padding: 8px 16px 16px 16px;
+  margin: 3px 8px 16px 8px;
+  border: 1px solid ${COLOR_LIGHTER_GREY};
+
+  h5 > span {
+    font-weight: normal;
+    color: ${COLOR_FONT_GREY};
+  }
+
+  > label {
+    display: flex;
+    align-items: center;
+    margin-bottom: 8px;
+
+    > span {
+      width: 35%;
+    }
+
+    > select {
+      flex-grow: 1;
+    }
+  }
+`;
+
 export const StyledBacklogInfoText = styled.div`
   margin-top: 16px;
   text-align: center;
@@ -125,6 +154,13 @@ export const StyledFileImportDropZoneOverlay = styled.div`
       : 'transparent'};
 `;
 
+export const StyledDraggableStory = styled.div`
+  border-top: 2px solid
+    ${({dropIndicator}) => (dropIndicator === 'above' ? COLOR_ORANGE : 'transparent')};
+  border-bottom: 2px solid
+    ${({dropIndicator}) => (dropIndicator === 'below' ? COLOR_ORANGE : 'transparent')};
+`;
+
 export const StyledStory = styled.div`
   position: relative;
   background: white;
@@ -178,6 +214,43 @@ export const StyledStoryToolbar = styled.div`
   }
 `;
 
+export const StyledStoryLabels = styled.div`
+  margin-top: 4px;
+  display: flex;
+  flex-wrap: wrap;
+
+  > span {
+    font-size: 11px;
+    line-height: 16px;
+    padding: 0 6px;
+    margin: 0 4px 4px 0;
+    border-radius: 8px;
+    background: ${COLOR_LIGHTER_GREY};
+    color: ${COLOR_FONT_GREY};
+  }
+`;
+
+export const StyledStoryKey = styled.span`
+  font-size: 12px;
+  font-weight: normal;
+  padding: 0 6px;
+  margin-right: 6px;
+  border: 1px solid ${COLOR_LIGHTER_GREY};
+  border-radius: 2px;
+  color: ${COLOR_FONT_GREY};
+  white-space: nowrap;
+`;
+
+export const StyledStoryLink = styled.a`
+  margin-left: 6px;
+  font-size: 14px;
+  color: ${COLOR_FONT_GREY};
+
+  &:hover {
+    color: ${COLOR_ORANGE};
+  }
+`;
+
 export const StyledStoryText = styled.div`
   overflow-x: hidden;
 `;
@@ -207,6 +280,13 @@ export const StyledBacklogSortForm = styled.form`
     padding: 0;
   }
 
+  > select {
+    margin-left: 4px;
+    max-width: 40%;
+    padding: 0 4px;
+    height: auto;
+  }
+
   > i {
     margin-left: 4px;
     transform: rotate(90deg);
@@ -241,3 +321,21 @@ export const StyledSortDropdown = styled.div`
 export const StyledSortDropdownItem = styled.div`
   color: ${({selected}) => (selected ? COLOR_LIGHTER_GREY : 'inherit')};
 `;
+
+export const StyledStoryRounds = styled.div`
+  margin-top: 8px;
+  font-size: small;
+`;
+
+export const StyledStoryRound = styled.div`
+  display: flex;
+
+  > span {
+    margin-right: 8px;
+  }
+
+  > span:last-child {
+    margin-left: auto;
+    margin-right: 0;
+  }
+`;
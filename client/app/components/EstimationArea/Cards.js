@@ -3,13 +3,13 @@ import {connect} from 'react-redux';
 import PropTypes from 'prop-types';
 
 import Card from './Card';
-import {getOwnEstimate} from '../../services/selectors';
+import {getOwnEstimate, getSelectedStoryCardConfig} from '../../services/selectors';
 
 import {StyledCards} from './_styled';
 
 /**
  * All estimation cards on the board.
- * (number of available cards and their value is set in cardConfig)
+ * (number of available cards and their value is set in cardConfig. If the selected story has its own card deck, this deck is shown)
  */
 const Cards = ({cardConfig, selectedStoryId, ownEstimate}) => {
   return (
@@ -38,7 +38,7 @@ export default connect((state) => {
   const ownEstimate = getOwnEstimate(state);
   return {
     selectedStoryId: state.selectedStory,
-    cardConfig: state.cardConfig,
+    cardConfig: getSelectedStoryCardConfig(state),
     ownEstimate
   };
 })(Cards);
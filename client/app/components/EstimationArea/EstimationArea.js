@@ -9,6 +9,7 @@ import Cards from './Cards';
 
 import ConsensusBadge from '../common/ConsensusBadge';
 import findNextStoryIdToEstimate from '../../services/findNextStoryIdToEstimate';
+import {getSelectedStoryCardConfig, isOwnUserSpectator} from '../../services/selectors';
 import {
   EstimationAreaButtons,
   StyledEstimation,
@@ -17,12 +18,18 @@ import {
 } from './_styled';
 import {StyledStoryTitle} from '../_styled';
 import ApplauseHighlight from './ApplauseHighlight';
+import RevealSummary from './RevealSummary';
+import SettleStory from './SettleStory';
+import EstimationTimer from './EstimationTimer';
 
 /**
  * Displays
  * - the currently selected story
  * - a list of available cards if the user can currently give estimations.
  * - action buttons ("reveal manually" and "new round")
+ * - the estimation timer, if the story is not yet revealed
+ * - a summary of the estimation statistics, if the story is revealed
+ * - the card deck to settle a revealed story on a final value
  *
  */
 const EstimationArea = ({
@@ -68,6 +75,8 @@ const EstimationArea = ({
             {t('reveal')}
             <i className="icon-hand-paper-o button-icon-right"></i>
           </button>
+
+          <EstimationTimer storyId={selectedStory.id} />
         </EstimationAreaButtons>
       )}
 
@@ -97,6 +106,10 @@ const EstimationArea = ({
         </EstimationAreaButtons>
       )}
 
+      {revealed && selectedStory.stats && <RevealSummary stats={selectedStory.stats} />}
+
+      {revealed && <SettleStory story={selectedStory} />}
+
       {userCanCurrentlyEstimate && <Cards />}
     </StyledEstimation>
   );
@@ -118,14 +131,15 @@ export default connect(
   (state) => {
     const selectedStory = state.stories[state.selectedStory];
     const isExcluded = state.users[state.userId].excluded;
-    const userCanCurrentlyEstimate = !selectedStory.revealed && !isExcluded;
+    const userCanCurrentlyEstimate =
+      !selectedStory.revealed && !isExcluded && !isOwnUserSpectator(state);
 
     return {
       t: state.translator,
       selectedStory,
       userCanCurrentlyEstimate,
       applause: state.applause,
-      cardConfig: state.cardConfig,
+      cardConfig: getSelectedStoryCardConfig(state),
       hasNextStory: !!findNextStoryIdToEstimate(state)
     };
   },
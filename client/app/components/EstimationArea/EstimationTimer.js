@@ -0,0 +1,94 @@
+import React, {useEffect, useState} from 'react';
+import {connect} from 'react-redux';
+import PropTypes from 'prop-types';
+
+import {startTimer, stopTimer} from '../../actions';
+
+import {StyledEstimationTimer} from './_styled';
+
+const TIMER_DURATIONS = [30, 60, 120, 300]; // in seconds
+
+/**
+ * The estimation timer for the selected story.
+ * If no timer is running, a duration can be chosen and the timer started.
+ * If a timer is running, the countdown is displayed (the backend reveals the story on expiry).
+ */
+const EstimationTimer = ({t, storyId, timer, startTimer, stopTimer}) => {
+  const [duration, setDuration] = useState(TIMER_DURATIONS[1]);
+  const isRunning = !!timer && timer.storyId === storyId;
+
+  if (isRunning) {
+    return (
+      <StyledEstimationTimer data-testid="estimationTimer">
+        <Countdown endsAt={timer.endsAt} />
+        <button
+          type="button"
+          className="pure-button pure-button-primary"
+          onClick={stopTimer}
+          data-testid="stopTimerButton"
+          title={t('stopTimer')}
+        >
+          <i className="icon-cancel"></i>
+        </button>
+      </StyledEstimationTimer>
+    );
+  }
+
+  return (
+    <StyledEstimationTimer data-testid="estimationTimer">
+      <select value={duration} onChange={(e) => setDuration(parseInt(e.target.value, 10))}>
+        {TIMER_DURATIONS.map((d) => (
+          <option key={'timerDuration.' + d} value={d}>
+            {formatSeconds(d)}
+          </option>
+        ))}
+      </select>
+      <button
+        type="button"
+        className="pure-button pure-button-primary"
+        onClick={() => startTimer(storyId, duration)}
+        data-testid="startTimerButton"
+      >
+        {t('startTimer')}
+      </button>
+    </StyledEstimationTimer>
+  );
+};
+
+EstimationTimer.propTypes = {
+  t: PropTypes.func,
+  storyId: PropTypes.string,
+  timer: PropTypes.object,
+  startTimer: PropTypes.func,
+  stopTimer: PropTypes.func
+};
+
+/**
+ * Re-renders every second, displays the remaining time until "endsAt"
+ */
+const Countdown = ({endsAt}) => {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const intervalHandle = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(intervalHandle);
+  }, [endsAt]);
+
+  const remainingSeconds = Math.max(0, Math.ceil((endsAt - now) / 1000));
+  return <span data-testid="timerCountdown">{formatSeconds(remainingSeconds)}</span>;
+};
+
+Countdown.propTypes = {
+  endsAt: PropTypes.number
+};
+
+const formatSeconds = (seconds) =>
+  Math.floor(seconds / 60) + ':' + String(seconds % 60).padStart(2, '0');
+
+export default connect(
+  (state) => ({
+    t: state.translator,
+    timer: state.timer
+  }),
+  {startTimer, stopTimer}
+)(EstimationTimer);
@@ -0,0 +1,113 @@
+import React from 'react';
+import {connect} from 'react-redux';
+import PropTypes from 'prop-types';
+
+import {getCardConfigForValue} from '../../services/getCardConfigForValue';
+import {getSelectedStoryCardConfig} from '../../services/selectors';
+
+import {
+  StyledRevealSummary,
+  StyledRevealSummaryDistribution,
+  StyledRevealSummaryDistributionBar,
+  StyledRevealSummaryFigures,
+  StyledRevealSummaryVoters
+} from './_styled';
+
+/**
+ * Displays the estimation statistics of a revealed story:
+ * - mean, median and standard deviation over the card weights (special cards like "?" and cards without weight, e.g. T-shirt sizes, are not part of these)
+ * - the range (labels of the lowest and the highest card)
+ * - the distribution of the given estimations per card
+ * - the users that gave the highest and the lowest estimations (if estimations differ)
+ */
+const RevealSummary = ({t, stats, cardConfig, users}) => {
+  const hasNumericStats = stats.mean !== undefined && stats.mean !== null;
+  const range = getRange(stats);
+  const hasSpread = range && range.lowest !== range.highest;
+  const maxCount = Math.max(...stats.distribution.map((d) => d.count));
+
+  return (
+    <StyledRevealSummary data-testid="revealSummary">
+      {range && (
+        <StyledRevealSummaryFigures>
+          {hasNumericStats && (
+            <span>
+              {t('statsMean')}: <b>{formatNumber(stats.mean)}</b>
+            </span>
+          )}
+          {hasNumericStats && (
+            <span>
+              {t('statsMedian')}: <b>{formatNumber(stats.median)}</b>
+            </span>
+          )}
+          <span>
+            {t('statsRange')}: <b>{range.lowest}</b> - <b>{range.highest}</b>
+          </span>
+          {hasNumericStats && (
+            <span>
+              {t('statsStandardDeviation')}: <b>{formatNumber(stats.standardDeviation)}</b>
+            </span>
+          )}
+        </StyledRevealSummaryFigures>
+      )}
+
+      <StyledRevealSummaryDistribution>
+        {stats.distribution.map((d) => {
+          const matchingCardConfig = getCardConfigForValue(cardConfig, d.value);
+          return (
+            <div key={'distribution.' + d.value} data-testid={'statsDistribution.' + d.value}>
+              <span>{d.label || matchingCardConfig.label}</span>
+              <StyledRevealSummaryDistributionBar
+                cardColor={matchingCardConfig.color}
+                widthPercentage={Math.round((d.count / maxCount) * 100)}
+              />
+              <span>{d.count}</span>
+            </div>
+          );
+        })}
+      </StyledRevealSummaryDistribution>
+
+      {hasSpread && (
+        <StyledRevealSummaryVoters>
+          <div>
+            {t('statsHighestVoters')}: {getUsernames(users, stats.highestVoters)}
+          </div>
+          <div>
+            {t('statsLowestVoters')}: {getUsernames(users, stats.lowestVoters)}
+          </div>
+        </StyledRevealSummaryVoters>
+      )}
+    </StyledRevealSummary>
+  );
+};
+
+RevealSummary.propTypes = {
+  t: PropTypes.func,
+  stats: PropTypes.object,
+  cardConfig: PropTypes.array,
+  users: PropTypes.object
+};
+
+const formatNumber = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Stats of stories revealed before cards had positions contain no labels of the lowest and highest card, only numeric "min" and "max"
+ */
+function getRange(stats) {
+  if (stats.lowest !== undefined && stats.highest !== undefined) {
+    return {lowest: stats.lowest, highest: stats.highest};
+  }
+  if (stats.min !== undefined && stats.max !== undefined) {
+    return {lowest: formatNumber(stats.min), highest: formatNumber(stats.max)};
+  }
+  return undefined;
+}
+
+const getUsernames = (users, userIds) =>
+  userIds.map((userId) => (users[userId] && users[userId].username) || '-').join(', ');
+
+export default connect((state) => ({
+  t: state.translator,
+  cardConfig: getSelectedStoryCardConfig(state),
+  users: state.users
+}))(RevealSummary);
@@ -0,0 +1,45 @@
+import React from 'react';
+import {connect} from 'react-redux';
+import PropTypes from 'prop-types';
+
+import {settleStory} from '../../actions';
+import {getSelectedStoryCardConfig} from '../../services/selectors';
+
+import {StyledSettleCard, StyledSettleStory} from './_styled';
+
+/**
+ * Lets the user settle a revealed story on a final value from the card deck (e.g. if the team agreed after a discussion).
+ * The current consensus (achieved or settled) is highlighted.
+ */
+const SettleStory = ({t, story, cardConfig, settleStory}) => (
+  <StyledSettleStory data-testid="settleStory">
+    <span>{t('settleOn')}</span>
+    {cardConfig.map((cc) => (
+      <StyledSettleCard
+        key={'settleCard.' + cc.value}
+        type="button"
+        cardColor={cc.color}
+        selected={story.consensus === cc.value}
+        onClick={() => settleStory(story.id, cc.value)}
+        data-testid={'settleCard.' + cc.value}
+      >
+        {cc.label}
+      </StyledSettleCard>
+    ))}
+  </StyledSettleStory>
+);
+
+SettleStory.propTypes = {
+  t: PropTypes.func,
+  story: PropTypes.object,
+  cardConfig: PropTypes.array,
+  settleStory: PropTypes.func
+};
+
+export default connect(
+  (state) => ({
+    t: state.translator,
+    cardConfig: getSelectedStoryCardConfig(state)
+  }),
+  {settleStory}
+)(SettleStory);
@@ -102,3 +102,89 @@ export const StyledCardInner = styled.div`
     border-width: 4px;
   }
 `;
+
+export const StyledRevealSummary = styled.div`
+  margin-top: 16px;
+  padding: 8px;
+  background: #fff;
+  border: 1px solid #e8e8e8;
+`;
+
+export const StyledRevealSummaryFigures = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  justify-content: space-between;
+  margin-bottom: 8px;
+
+  > span {
+    margin-right: 16px;
+  }
+`;
+
+export const StyledRevealSummaryDistribution = styled.div`
+  > div {
+    display: flex;
+    align-items: center;
+    line-height: 24px;
+
+    > span:first-child {
+      width: 40px;
+      text-align: right;
+      margin-right: 8px;
+    }
+
+    > span:last-child {
+      margin-left: 8px;
+    }
+  }
+`;
+
+export const StyledRevealSummaryDistributionBar = styled.span`
+  display: inline-block;
+  height: 12px;
+  border-radius: 2px;
+  width: ${({widthPercentage}) => widthPercentage * 0.6}%;
+  background: ${({cardColor}) => (cardColor ? cardColor : '#bdbfbf')};
+`;
+
+export const StyledRevealSummaryVoters = styled.div`
+  margin-top: 8px;
+`;
+
+export const StyledSettleStory = styled.div`
+  margin-top: 16px;
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+
+  > span {
+    margin-right: 8px;
+  }
+`;
+
+export const StyledSettleCard = styled.button`
+  cursor: pointer;
+  min-width: 32px;
+  margin: 2px;
+  padding: 2px 6px;
+  border-radius: 4px;
+  background: ${({cardColor}) => (cardColor ? cardColor : 'white')};
+  color: ${({cardColor}) => (cardColor ? 'white' : 'inherit')};
+  border: ${({selected}) => (selected ? '2px solid ' + COLOR_ORANGE : '2px solid transparent')};
+  outline: none;
+`;
+
+export const StyledEstimationTimer = styled.div`
+  display: flex;
+  align-items: center;
+
+  > select,
+  > span {
+    margin-right: 8px;
+  }
+
+  > span {
+    font-size: 20px;
+    font-variant-numeric: tabular-nums;
+  }
+`;
@@ -10,20 +10,27 @@ import {
   StyledLandingDoubleButtonL,
   StyledLandingDoubleButtonR,
   StyledLandingDoubleButtonWrapper,
-  StyledLandingForm
+  StyledLandingForm,
+  StyledSpectatorToggle
 } from './_styled';
 import {ROOM_ID_REGEX} from '../../services/frontendInputValidation';
 import PasswordField from '../common/PasswordField';
+import RoomTemplateSelect from '../common/RoomTemplateSelect';
+import {findRoomTemplate} from '../../services/roomTemplates';
 
 /**
  * The form on the landing page where the user can join a room.
  * By default a new room (roomId is randomly generated in the ui).
  * User can optionally set a own roomId "roomName")
+ * When joining an existing room, the user can join as spectator.
+ * A new room can be created from a room template (the template is ignored if the room already exists).
  */
-const JoinRoomForm = ({t, presetUsername, joinRoom}) => {
+const JoinRoomForm = ({t, presetUsername, roomTemplates, joinRoom}) => {
   const [showExtended, setShowExtended] = useState(false);
   const [customRoomId, setCustomRoomId] = useState('');
   const [customRoomPassword, setCustomRoomPassword] = useState('');
+  const [spectator, setSpectator] = useState(false);
+  const [templateId, setTemplateId] = useState('');
 
   return (
     <StyledEyecatcher>
@@ -80,6 +87,25 @@ const JoinRoomForm = ({t, presetUsername, joinRoom}) => {
               value={customRoomPassword}
               onKeyPress={onPwInputFieldKeyPress}
             />
+
+            <RoomTemplateSelect
+              t={t}
+              savedTemplates={roomTemplates}
+              templateId={templateId}
+              onChange={setTemplateId}
+              noTemplateLabel={t('noRoomTemplate')}
+            />
+
+            {customRoomId && (
+              <StyledSpectatorToggle
+                onClick={() => setSpectator(!spectator)}
+                className="clickable"
+                data-testid="spectatorToggle"
+              >
+                <i className={spectator ? 'icon-check' : 'icon-check-empty'}></i>{' '}
+                {t('joinAsSpectator')}
+              </StyledSpectatorToggle>
+            )}
           </React.Fragment>
         )}
       </StyledLandingForm>
@@ -96,7 +122,9 @@ const JoinRoomForm = ({t, presetUsername, joinRoom}) => {
   function onTriggerJoin() {
     joinRoom(
       customRoomId ? customRoomId : undefined,
-      customRoomPassword ? customRoomPassword : undefined
+      customRoomPassword ? customRoomPassword : undefined,
+      customRoomId ? spectator : false, // a new room cannot be created by a spectator
+      templateId ? findRoomTemplate(roomTemplates, templateId) : undefined
     );
   }
 };
@@ -104,13 +132,15 @@ const JoinRoomForm = ({t, presetUsername, joinRoom}) => {
 JoinRoomForm.propTypes = {
   t: PropTypes.func,
   presetUsername: PropTypes.string,
+  roomTemplates: PropTypes.array,
   joinRoom: PropTypes.func
 };
 
 export default connect(
   (state) => ({
     t: state.translator,
-    presetUsername: state.presetUsername
+    presetUsername: state.presetUsername,
+    roomTemplates: state.roomTemplates
   }),
   {joinRoom}
 )(JoinRoomForm);
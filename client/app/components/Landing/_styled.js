@@ -155,6 +155,17 @@ export const StyledLandingForm = styled.form`
       opacity: 0.7;
     }
   }
+
+  select {
+    width: 100%;
+    margin-bottom: 12px;
+  }
+`;
+
+export const StyledSpectatorToggle = styled.p`
+  align-self: flex-start;
+  margin: 0;
+  color: white;
 `;
 
 export const StyledGithubRibbon = styled.a`
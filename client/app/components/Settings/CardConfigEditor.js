@@ -7,7 +7,8 @@ import CardConfigEditorItem from './CardConfigEditorItem';
 import {AddItemButton, ErrorMsg, StyledItems, StyledTextarea} from './_styled';
 
 /**
- *
+ * Edits the cards of the room: label, value (identifies the card), optional weight (numeric worth of the card, used for mean, median etc.) and color.
+ * The order of the cards in the editor defines their position.
  */
 export const CardConfigEditor = ({cardConfig, onSave, t}) => {
   const [validationError, setValidationError] = useState('');
@@ -43,7 +44,7 @@ export const CardConfigEditor = ({cardConfig, onSave, t}) => {
 
       {showTextEditor && (
         <StyledTextarea
-          value={JSON.stringify(stripIds(internalCC), null, 4)}
+          value={JSON.stringify(toCardConfig(internalCC), null, 4)}
           onChange={onTextChange}
         />
       )}
@@ -52,6 +53,7 @@ export const CardConfigEditor = ({cardConfig, onSave, t}) => {
         <StyledItems>
           {internalCC.map((ccItem, index) => (
             <CardConfigEditorItem
+              t={t}
               key={ccItem.id}
               item={ccItem}
               isFirst={index === 0}
@@ -73,7 +75,7 @@ export const CardConfigEditor = ({cardConfig, onSave, t}) => {
       <button
         type="button"
         className="pure-button pure-button-primary"
-        onClick={() => onSave(stripIds(internalCC))}
+        onClick={() => onSave(toCardConfig(internalCC))}
         disabled={validationError}
       >
         {t('iKnowWhatImDoin')} <i className="icon-floppy" />
@@ -89,7 +91,7 @@ export const CardConfigEditor = ({cardConfig, onSave, t}) => {
   function onTextChange(e) {
     try {
       const modifiedCC = JSON.parse(e.target.value);
-      setAndValidate(addIds(modifiedCC));
+      setAndValidate(addIds(sortByPosition(modifiedCC)));
     } catch (err) {
       setValidationError(t('customCardsJsonError'));
     }
@@ -140,9 +142,12 @@ CardConfigEditor.propTypes = {
   t: PropTypes.func
 };
 
-function stripIds(cc) {
-  return cc.map((item) => {
-    const itemWitouthId = {...item};
+/**
+ * strips the internal ids and sets the position of every card (order in the editor)
+ */
+function toCardConfig(cc) {
+  return cc.map((item, index) => {
+    const itemWitouthId = {...item, position: index};
     delete itemWitouthId.id;
     return itemWitouthId;
   });
@@ -154,3 +159,15 @@ function addIds(cc) {
   }
   return cc.map((ccItem) => ({...ccItem, id: uuid()}));
 }
+
+function sortByPosition(cc) {
+  if (!Array.isArray(cc)) {
+    return cc;
+  }
+  const positionOf = (ccItem, index) =>
+    Number.isInteger(ccItem.position) ? ccItem.position : cc.length + index;
+  return cc
+    .map((ccItem, index) => ({ccItem, sortKey: positionOf(ccItem, index)}))
+    .sort((cA, cB) => cA.sortKey - cB.sortKey)
+    .map(({ccItem}) => ccItem);
+}
@@ -4,12 +4,12 @@ import PropTypes from 'prop-types';
 import {StyledCCTableCell, StyledColorBadge} from './_styled';
 
 /**
- * one item in the editor. consists of three input fields for label,value,color as well as "move" and "delete" buttons
+ * one item in the editor. consists of four input fields for label,value,weight,color as well as "move" and "delete" buttons
  */
-const CardConfigEditorItem = ({item, isLast, isFirst, onChange, onUp, onDown, onDelete}) => {
+const CardConfigEditorItem = ({t, item, isLast, isFirst, onChange, onUp, onDown, onDelete}) => {
   return (
     <React.Fragment>
-      <StyledCCTableCell style={{width: '25%'}}>
+      <StyledCCTableCell style={{width: '22%'}}>
         <input type="text" defaultValue={item.label} onBlur={onValueChange.bind(this, 'label')} />
       </StyledCCTableCell>
       <StyledCCTableCell style={{width: '10%'}}>
@@ -20,7 +20,17 @@ const CardConfigEditorItem = ({item, isLast, isFirst, onChange, onUp, onDown, on
           onBlur={onValueChange.bind(this, 'value')}
         />
       </StyledCCTableCell>
-      <StyledCCTableCell style={{width: '40%'}}>
+      <StyledCCTableCell style={{width: '10%'}}>
+        <input
+          type="number"
+          step="0.5"
+          placeholder="-"
+          title={t('cardWeight')}
+          defaultValue={item.weight}
+          onBlur={onWeightChange}
+        />
+      </StyledCCTableCell>
+      <StyledCCTableCell style={{width: '33%'}}>
         <StyledColorBadge color={item.color} />
         <input type="text" defaultValue={item.color} onBlur={onValueChange.bind(this, 'color')} />
       </StyledCCTableCell>
@@ -53,9 +63,24 @@ const CardConfigEditorItem = ({item, isLast, isFirst, onChange, onUp, onDown, on
     changedItem[propName] = e.target.value;
     onChange(changedItem);
   }
+
+  /**
+   * weight is optional (e.g. T-shirt sizes). An empty field removes the weight
+   */
+  function onWeightChange(e) {
+    const changedItem = {...item};
+    const weight = parseFloat(e.target.value);
+    if (isNaN(weight)) {
+      delete changedItem.weight;
+    } else {
+      changedItem.weight = weight;
+    }
+    onChange(changedItem);
+  }
 };
 
 CardConfigEditorItem.propTypes = {
+  t: PropTypes.func,
   item: PropTypes.object,
   isLast: PropTypes.bool,
   isFirst: PropTypes.bool,
@@ -1,18 +1,45 @@
-import React from 'react';
+import React, {useState} from 'react';
 import {connect} from 'react-redux';
 import PropTypes from 'prop-types';
 import {getRoomExport} from '../../services/roomService';
 
+const EXPORT_FORMATS = {
+  json: {label: 'JSON', fileExtension: 'json', contentType: 'application/json'},
+  csv: {label: 'CSV', fileExtension: 'csv', contentType: 'text/csv'},
+  markdown: {label: 'Markdown', fileExtension: 'md', contentType: 'text/markdown'}
+};
+
 const RoomExportFileDownload = ({t, roomId, userToken}) => {
+  const [format, setFormat] = useState('json');
+
   return (
-    <button type="button" className="pure-button pure-button-primary" onClick={onDownloadClick}>
-      {t('exportLinkText')} <i className="icon-download-cloud"></i>
-    </button>
+    <React.Fragment>
+      <select
+        value={format}
+        onChange={(e) => setFormat(e.target.value)}
+        data-testid="exportFormatSelect"
+        title={t('exportFormat')}
+      >
+        {Object.keys(EXPORT_FORMATS).map((f) => (
+          <option key={f} value={f}>
+            {EXPORT_FORMATS[f].label}
+          </option>
+        ))}
+      </select>{' '}
+      <button type="button" className="pure-button pure-button-primary" onClick={onDownloadClick}>
+        {t('exportLinkText')} <i className="icon-download-cloud"></i>
+      </button>
+    </React.Fragment>
   );
 
   function onDownloadClick() {
-    getRoomExport(roomId, userToken).then((data) =>
-      fakeDownload(JSON.stringify(data, null, 4), `${roomId}.json`)
+    const exportFormat = EXPORT_FORMATS[format];
+    getRoomExport(roomId, userToken, format).then((data) =>
+      fakeDownload(
+        format === 'json' ? JSON.stringify(data, null, 4) : data,
+        `${roomId}.${exportFormat.fileExtension}`,
+        exportFormat.contentType
+      )
     );
   }
 
@@ -22,8 +49,8 @@ const RoomExportFileDownload = ({t, roomId, userToken}) => {
    *
    * see https://github.com/kennethjiang/js-file-download/blob/master/file-download.js
    */
-  function fakeDownload(data, filename) {
-    const blob = new Blob([data], {type: 'application/json'});
+  function fakeDownload(data, filename, contentType) {
+    const blob = new Blob([data], {type: contentType});
     const blobURL = window.URL.createObjectURL(blob);
     const tempAnchorElement = document.createElement('a');
     tempAnchorElement.style.display = 'none';
@@ -0,0 +1,71 @@
+import React, {useState} from 'react';
+import {connect} from 'react-redux';
+import PropTypes from 'prop-types';
+
+import {importStoriesFile} from '../../actions';
+import {readCsvHeaders} from '../../services/csvHeaders';
+import isJsonFile from '../../services/isJsonFile';
+import CsvImportMappingForm from '../Backlog/CsvImportMappingForm';
+
+/**
+ * Lets the user select a csv file or a json room export (see RoomExportFileDownload) to import stories from.
+ * Consensus and estimations can only be kept from a json room export. For csv files, the user maps the columns first (see CsvImportMappingForm).
+ */
+const RoomImportFileUpload = ({t, importStoriesFile}) => {
+  const [withEstimations, setWithEstimations] = useState(false);
+  const [csvImport, setCsvImport] = useState(undefined);
+
+  return (
+    <React.Fragment>
+      <p
+        onClick={() => setWithEstimations(!withEstimations)}
+        className="clickable"
+        data-testid="toggleImportWithEstimations"
+      >
+        <i className={withEstimations ? 'icon-check' : 'icon-check-empty'}></i>{' '}
+        {t('importWithEstimations')}
+      </p>
+      <input
+        type="file"
+        accept=".csv,.json,text/csv,application/json"
+        data-testid="importFileInput"
+        onChange={onFileSelected}
+      />
+
+      {csvImport && (
+        <CsvImportMappingForm
+          t={t}
+          fileName={csvImport.file.name}
+          headers={csvImport.headers}
+          onImport={(mapping) => {
+            importStoriesFile(csvImport.file, {mapping});
+            setCsvImport(undefined);
+          }}
+          onCancel={() => setCsvImport(undefined)}
+        />
+      )}
+    </React.Fragment>
+  );
+
+  function onFileSelected(e) {
+    const file = e.target.files && e.target.files[0];
+    if (file && isJsonFile(file)) {
+      importStoriesFile(file, {withEstimations});
+    } else if (file) {
+      readCsvHeaders(file).then((headers) => setCsvImport({file, headers}));
+    }
+    e.target.value = ''; // allows to import the same file again
+  }
+};
+
+RoomImportFileUpload.propTypes = {
+  t: PropTypes.func,
+  importStoriesFile: PropTypes.func
+};
+
+export default connect(
+  (state) => ({
+    t: state.translator
+  }),
+  {importStoriesFile}
+)(RoomImportFileUpload);
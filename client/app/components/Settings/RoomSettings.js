@@ -2,10 +2,23 @@ import React, {useState} from 'react';
 import {connect} from 'react-redux';
 import PropTypes from 'prop-types';
 
-import {toggleAutoReveal, setCardConfig, setPassword, SIDEBAR_SETTINGS} from '../../actions';
+import {
+  toggleAutoReveal,
+  setCardConfig,
+  setPassword,
+  setIssueUrlTemplate,
+  deleteRoom,
+  SIDEBAR_SETTINGS
+} from '../../actions';
+import {ISSUE_URL_TEMPLATE_REGEX} from '../../services/frontendInputValidation';
+import {hasModeratorPermissions} from '../../services/selectors';
 import {CardConfigEditor} from './CardConfigEditor';
 import PasswordField from '../common/PasswordField';
+import ValidatedInput from '../common/ValidatedInput';
 import RoomExportFileDownload from './RoomExportFileDownload';
+import RoomImportFileUpload from './RoomImportFileUpload';
+import WebhooksEditor from './WebhooksEditor';
+import RoomTemplates from './RoomTemplates';
 
 import {StyledSection, StyledExpandButton, StyledArea, StyledTextInput} from './_styled';
 
@@ -18,11 +31,17 @@ const RoomSettings = ({
   setCardConfig,
   toggleAutoReveal,
   setPassword,
-  passwordProtected
+  passwordProtected,
+  issueUrlTemplate,
+  setIssueUrlTemplate,
+  canModerate,
+  deleteRoom
 }) => {
   const [customCardConfigExpanded, setCustomCardConfigExpanded] = useState(false);
+  const [deleteRoomConfirmationShown, setDeleteRoomConfirmationShown] = useState(false);
   React.useEffect(() => {
     setCustomCardConfigExpanded(false);
+    setDeleteRoomConfirmationShown(false);
   }, [shown]);
 
   const [myRoomPassword, setMyRoomPassword] = useState(''); // we never [can] pre-set the pw.
@@ -30,6 +49,12 @@ const RoomSettings = ({
     setMyRoomPassword('');
   }, [passwordProtected]);
 
+  // derive template for input field from prop
+  const [myIssueUrlTemplate, setMyIssueUrlTemplate] = useState(issueUrlTemplate || '');
+  React.useEffect(() => {
+    setMyIssueUrlTemplate(issueUrlTemplate || '');
+  }, [issueUrlTemplate]);
+
   return (
     <StyledArea>
       <h4>{t('room')}</h4>
@@ -96,6 +121,38 @@ const RoomSettings = ({
         )}
       </StyledSection>
 
+      <StyledSection>
+        <h5>{t('issueUrlTemplate')}</h5>
+        {t('issueUrlTemplateInfo')}
+
+        <StyledTextInput>
+          <ValidatedInput
+            data-testid="issueUrlTemplateInput"
+            type="text"
+            placeholder="https://jira.example.com/browse/{key}"
+            fieldValue={myIssueUrlTemplate}
+            setFieldValue={setMyIssueUrlTemplate}
+            regexPattern={ISSUE_URL_TEMPLATE_REGEX}
+            onEnter={saveIssueUrlTemplate}
+          />
+
+          <button
+            data-testid="saveIssueUrlTemplateButton"
+            className="pure-button pure-button-primary"
+            onClick={saveIssueUrlTemplate}
+          >
+            <i className="icon-floppy" />
+          </button>
+        </StyledTextInput>
+      </StyledSection>
+
+      <StyledSection>
+        <h5>{t('roomTemplates')}</h5>
+        {t('roomTemplatesInfo')}
+
+        <RoomTemplates />
+      </StyledSection>
+
       <StyledSection>
         <h5>{t('customCards')}</h5>
         {t('customCardsInfo')}
@@ -123,6 +180,60 @@ const RoomSettings = ({
           <RoomExportFileDownload roomId={roomId} />
         </p>
       </StyledSection>
+
+      <StyledSection>
+        <h5>{t('import')}</h5>
+        {t('importInfo')}
+
+        <RoomImportFileUpload />
+      </StyledSection>
+
+      <StyledSection>
+        <h5>{t('webhooks')}</h5>
+        {t('webhooksInfo')}
+
+        <WebhooksEditor />
+      </StyledSection>
+
+      {canModerate && (
+        <StyledSection>
+          <h5>{t('deleteRoom')}</h5>
+          {t('deleteRoomInfo')}
+
+          {deleteRoomConfirmationShown ? (
+            <p>
+              {t('deleteRoomConfirm')}{' '}
+              <button
+                type="button"
+                className="pure-button pure-button-primary"
+                data-testid="confirmDeleteRoomButton"
+                onClick={deleteRoom}
+              >
+                {t('deleteRoom')} <i className="icon-trash button-icon-right"></i>
+              </button>{' '}
+              <button
+                type="button"
+                className="pure-button"
+                data-testid="cancelDeleteRoomButton"
+                onClick={() => setDeleteRoomConfirmationShown(false)}
+              >
+                {t('cancel')} <i className="icon-cancel button-icon-right"></i>
+              </button>
+            </p>
+          ) : (
+            <p>
+              <button
+                type="button"
+                className="pure-button pure-button-primary"
+                data-testid="deleteRoomButton"
+                onClick={() => setDeleteRoomConfirmationShown(true)}
+              >
+                {t('deleteRoom')} <i className="icon-trash button-icon-right"></i>
+              </button>
+            </p>
+          )}
+        </StyledSection>
+      )}
     </StyledArea>
   );
 
@@ -136,6 +247,10 @@ const RoomSettings = ({
   function savePassword() {
     setPassword(myRoomPassword);
   }
+
+  function saveIssueUrlTemplate() {
+    setIssueUrlTemplate(myIssueUrlTemplate);
+  }
 };
 
 RoomSettings.propTypes = {
@@ -147,7 +262,11 @@ RoomSettings.propTypes = {
   setPassword: PropTypes.func,
   cardConfig: PropTypes.array,
   roomId: PropTypes.string,
-  passwordProtected: PropTypes.bool
+  passwordProtected: PropTypes.bool,
+  issueUrlTemplate: PropTypes.string,
+  setIssueUrlTemplate: PropTypes.func,
+  canModerate: PropTypes.bool,
+  deleteRoom: PropTypes.func
 };
 
 export default connect(
@@ -157,11 +276,15 @@ export default connect(
     autoReveal: state.autoReveal,
     cardConfig: state.cardConfig,
     roomId: state.roomId,
-    passwordProtected: state.passwordProtected
+    passwordProtected: state.passwordProtected,
+    issueUrlTemplate: state.issueUrlTemplate,
+    canModerate: hasModeratorPermissions(state)
   }),
   {
     toggleAutoReveal,
     setCardConfig,
-    setPassword
+    setPassword,
+    setIssueUrlTemplate,
+    deleteRoom
   }
 )(RoomSettings);
@@ -0,0 +1,110 @@
+import React, {useState} from 'react';
+import {connect} from 'react-redux';
+import PropTypes from 'prop-types';
+
+import {applyRoomTemplate, deleteRoomTemplate, saveRoomTemplate} from '../../actions';
+import {BUILT_IN_ROOM_TEMPLATES, findRoomTemplate} from '../../services/roomTemplates';
+import RoomTemplateSelect from '../common/RoomTemplateSelect';
+
+import {StyledRoomTemplates, StyledTextInput} from './_styled';
+
+/**
+ * Lets the user apply a room template (built-in or saved) to the room,
+ * and save the current settings of the room as new template (stored in the browser).
+ */
+const RoomTemplates = ({
+  t,
+  roomTemplates,
+  applyRoomTemplate,
+  saveRoomTemplate,
+  deleteRoomTemplate
+}) => {
+  const [templateId, setTemplateId] = useState(BUILT_IN_ROOM_TEMPLATES[0].id);
+  const [templateName, setTemplateName] = useState('');
+
+  const selectedTemplate = findRoomTemplate(roomTemplates, templateId);
+  const isSavedTemplateSelected = roomTemplates.some((template) => template.id === templateId);
+
+  return (
+    <StyledRoomTemplates>
+      <StyledTextInput>
+        <RoomTemplateSelect
+          t={t}
+          savedTemplates={roomTemplates}
+          templateId={selectedTemplate ? templateId : BUILT_IN_ROOM_TEMPLATES[0].id}
+          onChange={setTemplateId}
+        />
+
+        <button
+          data-testid="applyRoomTemplateButton"
+          className="pure-button pure-button-primary"
+          onClick={() => selectedTemplate && applyRoomTemplate(selectedTemplate)}
+          title={t('applyRoomTemplate')}
+        >
+          <i className="icon-magic" />
+        </button>
+
+        {isSavedTemplateSelected && (
+          <button
+            data-testid="deleteRoomTemplateButton"
+            className="pure-button pure-button-primary"
+            onClick={onDelete}
+            title={t('deleteRoomTemplate')}
+          >
+            <i className="icon-trash" />
+          </button>
+        )}
+      </StyledTextInput>
+
+      <StyledTextInput>
+        <input
+          type="text"
+          data-testid="roomTemplateNameInput"
+          placeholder={t('roomTemplateName')}
+          value={templateName}
+          maxLength={50}
+          onChange={(e) => setTemplateName(e.target.value)}
+          onKeyPress={(e) => e.key === 'Enter' && onSave()}
+        />
+
+        <button
+          data-testid="saveRoomTemplateButton"
+          className="pure-button pure-button-primary"
+          onClick={onSave}
+          title={t('saveRoomTemplate')}
+        >
+          <i className="icon-floppy" />
+        </button>
+      </StyledTextInput>
+    </StyledRoomTemplates>
+  );
+
+  function onSave() {
+    const name = templateName.trim();
+    if (name) {
+      saveRoomTemplate(name);
+      setTemplateName('');
+    }
+  }
+
+  function onDelete() {
+    deleteRoomTemplate(templateId);
+    setTemplateId(BUILT_IN_ROOM_TEMPLATES[0].id);
+  }
+};
+
+RoomTemplates.propTypes = {
+  t: PropTypes.func,
+  roomTemplates: PropTypes.array,
+  applyRoomTemplate: PropTypes.func,
+  saveRoomTemplate: PropTypes.func,
+  deleteRoomTemplate: PropTypes.func
+};
+
+export default connect(
+  (state) => ({
+    t: state.translator,
+    roomTemplates: state.roomTemplates
+  }),
+  {applyRoomTemplate, saveRoomTemplate, deleteRoomTemplate}
+)(RoomTemplates);
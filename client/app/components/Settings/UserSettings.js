@@ -138,14 +138,21 @@ const UserSettings = ({
         </StyledTextInput>
       </StyledSection>
 
-      <StyledSection>
-        <h5>{t('markExcluded')}</h5>
-        {t('excludedInfo')}
-
-        <p onClick={toggleExcluded} className="clickable" data-testid="excludedToggle">
-          <i className={excluded ? 'icon-check' : 'icon-check-empty'}></i> {t('excluded')}
-        </p>
-      </StyledSection>
+      {user.spectator ? (
+        <StyledSection>
+          <h5>{t('spectator')}</h5>
+          {t('spectatorInfo')}
+        </StyledSection>
+      ) : (
+        <StyledSection>
+          <h5>{t('markExcluded')}</h5>
+          {t('excludedInfo')}
+
+          <p onClick={toggleExcluded} className="clickable" data-testid="excludedToggle">
+            <i className={excluded ? 'icon-check' : 'icon-check-empty'}></i> {t('excluded')}
+          </p>
+        </StyledSection>
+      )}
     </StyledArea>
   );
 
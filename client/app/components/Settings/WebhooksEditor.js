@@ -0,0 +1,124 @@
+import React, {useState} from 'react';
+import {connect} from 'react-redux';
+import PropTypes from 'prop-types';
+
+import {addWebhook, removeWebhook} from '../../actions';
+import {WEBHOOK_SECRET_MIN_LENGTH, WEBHOOK_URL_REGEX} from '../../services/frontendInputValidation';
+import ValidatedInput from '../common/ValidatedInput';
+
+import {StyledWebhooks} from './_styled';
+
+// the events users can choose from. The backend accepts all events that are sent to the whole room.
+export const WEBHOOK_EVENT_NAMES = [
+  'storyAdded',
+  'storyChanged',
+  'storyTrashed',
+  'storySelected',
+  'revealed',
+  'consensusAchieved',
+  'storySettled',
+  'newEstimationRoundStarted',
+  'roomDeleted'
+];
+
+/**
+ * Lists the webhooks of the room and lets the user add new ones (with url, secret and event filter).
+ * The secrets of existing webhooks are never sent to clients.
+ */
+const WebhooksEditor = ({t, webhooks, addWebhook, removeWebhook}) => {
+  const [url, setUrl] = useState('');
+  const [secret, setSecret] = useState('');
+  const [events, setEvents] = useState(['revealed', 'consensusAchieved', 'storySettled']);
+
+  const canAdd =
+    /^https?:\/\/\S+$/.test(url) && secret.length >= WEBHOOK_SECRET_MIN_LENGTH && events.length > 0;
+
+  return (
+    <StyledWebhooks>
+      {webhooks.length > 0 && (
+        <ul data-testid="webhooksList">
+          {webhooks.map((webhook) => (
+            <li key={webhook.id}>
+              <span>
+                {webhook.url}
+                <small>{webhook.events.join(', ')}</small>
+              </span>
+              <i
+                className="icon-trash"
+                title={t('removeWebhook')}
+                onClick={() => removeWebhook(webhook.id)}
+              />
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <ValidatedInput
+        type="text"
+        data-testid="webhookUrlInput"
+        placeholder="https://..."
+        fieldValue={url}
+        setFieldValue={setUrl}
+        regexPattern={WEBHOOK_URL_REGEX}
+      />
+      <input
+        type="password"
+        data-testid="webhookSecretInput"
+        placeholder={t('webhookSecret')}
+        value={secret}
+        onChange={(e) => setSecret(e.target.value)}
+        autoComplete="new-password"
+      />
+
+      <div>
+        {WEBHOOK_EVENT_NAMES.map((eventName) => (
+          <label key={eventName} onClick={() => toggleEvent(eventName)}>
+            <i className={events.includes(eventName) ? 'icon-check' : 'icon-check-empty'}></i>{' '}
+            {eventName}
+          </label>
+        ))}
+      </div>
+
+      <button
+        type="button"
+        className="pure-button pure-button-primary"
+        data-testid="addWebhookButton"
+        disabled={!canAdd}
+        onClick={triggerAdd}
+      >
+        {t('addWebhook')} <i className="icon-plus button-icon-right"></i>
+      </button>
+    </StyledWebhooks>
+  );
+
+  function toggleEvent(eventName) {
+    setEvents(
+      events.includes(eventName)
+        ? events.filter((evtName) => evtName !== eventName)
+        : [...events, eventName]
+    );
+  }
+
+  function triggerAdd() {
+    if (canAdd) {
+      addWebhook(url, events, secret);
+      setUrl('');
+      setSecret('');
+    }
+  }
+};
+
+WebhooksEditor.propTypes = {
+  t: PropTypes.func,
+  webhooks: PropTypes.array,
+  addWebhook: PropTypes.func,
+  removeWebhook: PropTypes.func
+};
+
+export default connect(
+  (state) => ({
+    t: state.translator,
+    webhooks: state.webhooks || []
+  }),
+  {addWebhook, removeWebhook}
+)(WebhooksEditor);
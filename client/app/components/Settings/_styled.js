@@ -3,6 +3,7 @@ import styled from 'styled-components';
 import {
   COLOR_BACKGROUND_GREY,
   COLOR_BLUE,
+  COLOR_FONT_GREY,
   COLOR_LIGHTER_GREY,
   COLOR_ORANGE,
   COLOR_WARNING
@@ -131,7 +132,7 @@ export const StyledItems = styled.div`
   flex-wrap: wrap;
   border: 1px solid #ccc;
   margin-bottom: 8px;
-  width: 250px;
+  width: 290px;
 
   > div button {
     display: inline-block;
@@ -190,3 +191,57 @@ export const AddItemButton = styled.button`
   display: inline-block;
   font-size: small;
 `;
+
+export const StyledWebhooks = styled.div`
+  ul {
+    list-style: none;
+    padding: 0;
+    margin: 8px 0;
+  }
+
+  li {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    padding: 4px 0;
+    border-bottom: 1px solid ${COLOR_LIGHTER_GREY};
+    word-break: break-all;
+
+    small {
+      display: block;
+      color: ${COLOR_FONT_GREY};
+    }
+
+    i {
+      cursor: pointer;
+      margin-left: 4px;
+    }
+  }
+
+  input[type='text'],
+  input[type='password'] {
+    width: 100%;
+    border: none;
+    border-bottom: 1px solid ${COLOR_LIGHTER_GREY};
+    padding: 1px 0;
+    margin-bottom: 8px;
+  }
+
+  label {
+    display: inline-block;
+    margin-right: 8px;
+    cursor: pointer;
+    font-size: small;
+  }
+`;
+
+export const StyledRoomTemplates = styled.div`
+  select {
+    flex-grow: 1;
+    margin-right: 4px;
+  }
+
+  button {
+    margin-left: 2px;
+  }
+`;
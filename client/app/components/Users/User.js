@@ -4,7 +4,8 @@ import PropTypes from 'prop-types';
 
 import {getCardConfigForValue} from '../../services/getCardConfigForValue';
 import Avatar from '../common/Avatar';
-import {kick, toggleMarkForKick} from '../../actions';
+import {kick, setUserRole, toggleMarkForKick} from '../../actions';
+import {getSelectedStoryCardConfig, hasModeratorPermissions} from '../../services/selectors';
 
 import {
   StyledUser,
@@ -13,7 +14,8 @@ import {
   StyledUserEstimationExcluded,
   StyledUserEstimationGiven,
   StyledUserKickOverlay,
-  StyledUserName
+  StyledUserName,
+  StyledUserRoleBadge
 } from './_styled';
 
 const User = ({
@@ -23,12 +25,15 @@ const User = ({
   userEstimationValue,
   ownUserId,
   cardConfig,
+  isModerator,
   kick,
+  setUserRole,
   toggleMarkForKick
 }) => {
   const isExcluded = user.excluded;
   const isDisconnected = user.disconnected;
   const isMarkedForKick = user.markedForKick;
+  const isUserModerator = user.role === 'moderator';
   const revealed = selectedStory && selectedStory.revealed;
   const userHasEstimation = userEstimationValue !== undefined && userEstimationValue !== null; // value could be "0" which is falsy, check for undefined
 
@@ -39,6 +44,7 @@ const User = ({
     <StyledUser
       data-testid="user"
       isOwn={user.id === ownUserId}
+      clickable={isModerator && user.id !== ownUserId}
       shaded={isDisconnected || isMarkedForKick}
     >
       {!isDisconnected && isExcluded && (
@@ -53,6 +59,12 @@ const User = ({
         </StyledUserBadge>
       )}
 
+      {isUserModerator && (
+        <StyledUserRoleBadge title={t('moderator')} data-testid="moderatorBadge">
+          <i className="icon-star"></i>
+        </StyledUserRoleBadge>
+      )}
+
       <Avatar
         onClick={onMarkForKick}
         user={user}
@@ -64,6 +76,19 @@ const User = ({
       {isMarkedForKick && (
         <StyledUserKickOverlay>
           <i className="icon-cancel" onClick={onMarkForKick} title={t('cancel')}></i>
+          {isUserModerator ? (
+            <i
+              className="icon-star-empty"
+              onClick={() => setUserRole(user.id, 'participant')}
+              title={t('makeParticipant')}
+            ></i>
+          ) : (
+            <i
+              className="icon-star"
+              onClick={() => setUserRole(user.id, 'moderator')}
+              title={t('makeModerator')}
+            ></i>
+          )}
           <i className="icon-logout" onClick={() => kick(user.id)} title={t('kickUser')}></i>
         </StyledUserKickOverlay>
       )}
@@ -89,18 +114,23 @@ const User = ({
   );
 
   function onMarkForKick() {
-    toggleMarkForKick(user.id);
+    // kicking users and managing roles is only allowed for moderators
+    if (isModerator) {
+      toggleMarkForKick(user.id);
+    }
   }
 };
 
 User.propTypes = {
   t: PropTypes.func,
   user: PropTypes.object,
-  userEstimationValue: PropTypes.number,
+  userEstimationValue: PropTypes.oneOfType([PropTypes.number, PropTypes.bool]), // "true" for sealed estimations (not yet revealed)
   selectedStory: PropTypes.object,
   ownUserId: PropTypes.string,
   cardConfig: PropTypes.array,
+  isModerator: PropTypes.bool,
   kick: PropTypes.func.isRequired,
+  setUserRole: PropTypes.func.isRequired,
   toggleMarkForKick: PropTypes.func.isRequired
 };
 
@@ -111,11 +141,12 @@ export default connect(
 
     return {
       t: state.translator,
-      cardConfig: state.cardConfig,
+      cardConfig: getSelectedStoryCardConfig(state),
       ownUserId: state.userId,
       selectedStory: state.stories[state.selectedStory],
+      isModerator: hasModeratorPermissions(state),
       userEstimationValue
     };
   },
-  {kick, toggleMarkForKick}
+  {kick, setUserRole, toggleMarkForKick}
 )(User);
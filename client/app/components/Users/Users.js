@@ -3,25 +3,37 @@ import {connect} from 'react-redux';
 import PropTypes from 'prop-types';
 
 import User from './User';
-import {getSortedUserArray} from '../../services/selectors';
+import {getSortedSpectatorArray, getSortedUserArray} from '../../services/selectors';
 
-import {StyledUsers} from './_styled';
+import {StyledSpectators, StyledUsers} from './_styled';
 
 /**
  * The list of users (avatars) and their estimations.
+ * Spectators are listed separately (they do not estimate).
  */
-const Users = ({userArray}) => (
+const Users = ({t, userArray, spectatorArray}) => (
   <StyledUsers data-testid="users">
     {userArray.map((user) => (
       <User key={'usr_' + user.id} user={user} />
     ))}
+
+    {spectatorArray.length > 0 && (
+      <StyledSpectators data-testid="spectators">
+        <i className="icon-eye" title={t('spectators')} />
+        {spectatorArray.map((spectator) => spectator.username || '-').join(', ')}
+      </StyledSpectators>
+    )}
   </StyledUsers>
 );
 
 Users.propTypes = {
-  userArray: PropTypes.array
+  t: PropTypes.func,
+  userArray: PropTypes.array,
+  spectatorArray: PropTypes.array
 };
 
 export default connect((state) => ({
-  userArray: getSortedUserArray(state)
+  t: state.translator,
+  userArray: getSortedUserArray(state),
+  spectatorArray: getSortedSpectatorArray(state)
 }))(Users);
@@ -21,6 +21,17 @@ export const StyledUsers = styled.div`
   }
 `;
 
+export const StyledSpectators = styled.div`
+  margin-top: 16px;
+  color: ${COLOR_LIGHT_GREY};
+  font-size: 12px;
+  overflow-wrap: anywhere;
+
+  i {
+    margin-right: 4px;
+  }
+`;
+
 export const StyledUser = styled.div`
   display: flex;
   justify-content: space-between;
@@ -30,7 +41,7 @@ export const StyledUser = styled.div`
 
   position: relative;
   color: ${({isOwn, shaded}) => (shaded ? COLOR_LIGHT_GREY : isOwn ? COLOR_ORANGE : 'inherit')};
-  cursor: ${({isOwn}) => (isOwn ? 'inherit' : 'pointer')};
+  cursor: ${({clickable}) => (clickable ? 'pointer' : 'inherit')};
 
   @media ${device.modernMobile} {
     display: inline-block;
@@ -64,6 +75,18 @@ export const StyledUserBadge = styled.span`
   }
 `;
 
+export const StyledUserRoleBadge = styled.span`
+  position: absolute;
+  top: 6px;
+  left: 0;
+  color: ${COLOR_ORANGE};
+
+  @media ${device.modernMobile} {
+    top: 0;
+    left: 0;
+  }
+`;
+
 export const StyledUserEstimation = styled.div`
   transition: all 0.2s ease-out;
   box-sizing: border-box;
@@ -148,7 +171,9 @@ export const StyledUserKickOverlay = styled.span`
   i:hover.icon-logout {
     color: ${COLOR_WARNING};
   }
-  i:hover.icon-cancel {
+  i:hover.icon-cancel,
+  i:hover.icon-star,
+  i:hover.icon-star-empty {
     color: ${COLOR_FONT_GREY};
   }
 
@@ -0,0 +1,58 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+import {BUILT_IN_ROOM_TEMPLATES, getRoomTemplateName} from '../../services/roomTemplates';
+
+/**
+ * Dropdown to select a room template (built-in templates and the templates saved by the user).
+ * Passes the id of the selected template to "onChange" (empty string if "noTemplateLabel" is given and selected, the value of "additionalOption" if given and selected)
+ */
+const RoomTemplateSelect = ({
+  t,
+  savedTemplates,
+  templateId,
+  onChange,
+  noTemplateLabel,
+  additionalOption,
+  className,
+  testId = 'roomTemplateSelect'
+}) => (
+  <select
+    data-testid={testId}
+    className={className}
+    value={templateId}
+    onChange={(e) => onChange(e.target.value)}
+  >
+    {noTemplateLabel && <option value="">{noTemplateLabel}</option>}
+    {additionalOption && <option value={additionalOption.value}>{additionalOption.label}</option>}
+    <optgroup label={t('builtInTemplates')}>
+      {BUILT_IN_ROOM_TEMPLATES.map((template) => (
+        <option key={template.id} value={template.id}>
+          {getRoomTemplateName(t, template)}
+        </option>
+      ))}
+    </optgroup>
+    {savedTemplates.length > 0 && (
+      <optgroup label={t('savedTemplates')}>
+        {savedTemplates.map((template) => (
+          <option key={template.id} value={template.id}>
+            {getRoomTemplateName(t, template)}
+          </option>
+        ))}
+      </optgroup>
+    )}
+  </select>
+);
+
+RoomTemplateSelect.propTypes = {
+  t: PropTypes.func.isRequired,
+  savedTemplates: PropTypes.array.isRequired,
+  templateId: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  noTemplateLabel: PropTypes.string,
+  additionalOption: PropTypes.shape({value: PropTypes.string, label: PropTypes.string}),
+  className: PropTypes.string,
+  testId: PropTypes.string
+};
+
+export default RoomTemplateSelect;
@@ -13,10 +13,12 @@ import {
   HIDE_TRASH,
   TOGGLE_MARK_FOR_KICK,
   TOGGLE_SIDEBAR,
-  ROOM_STATE_FETCHED
+  ROOM_STATE_FETCHED,
+  ROOM_TEMPLATE_SAVED,
+  ROOM_TEMPLATE_DELETED
 } from '../actions/types';
 import {SIDEBAR_ACTIONLOG} from '../actions';
-import {indexEstimations, indexStories, indexUsers} from './roomStateMapper';
+import {indexEstimations, indexStories, indexUsers, toClientTimer} from './roomStateMapper';
 
 /**
  *  The client Action Reducer handles actions triggered by the client (view state, etc.)
@@ -119,6 +121,15 @@ export default function clientActionReducer(state, action) {
     case HIDE_NEW_USER_HINTS: {
       return {...state, hideNewUserHints: true};
     }
+    case ROOM_TEMPLATE_SAVED: {
+      return {...state, roomTemplates: [...state.roomTemplates, action.template]};
+    }
+    case ROOM_TEMPLATE_DELETED: {
+      return {
+        ...state,
+        roomTemplates: state.roomTemplates.filter((template) => template.id !== action.templateId)
+      };
+    }
     case LOCATION_CHANGED: {
       return {...state, pathname: action.pathname};
     }
@@ -147,14 +158,27 @@ export default function clientActionReducer(state, action) {
         return state;
       }
 
+      // events received in the meantime are newer than the fetched room
+      if (room.revision !== undefined && room.revision < state.roomRevision) {
+        return state;
+      }
+
       return {
         ...state,
         selectedStory: room.selectedStory,
         cardConfig: room.cardConfig,
         autoReveal: room.autoReveal,
+        issueUrlTemplate: room.issueUrlTemplate,
+        webhooks: room.webhooks || [],
         users: indexUsers(room.users),
         stories: indexStories(room.stories),
-        estimations: indexEstimations(room.stories)
+        estimations: keepOwnSealedEstimations(
+          indexEstimations(room.stories),
+          state.estimations,
+          state.userId
+        ),
+        roomRevision: room.revision,
+        timer: room.timer ? toClientTimer(room.timer, room.timer.remaining) : undefined
       };
     }
 
@@ -162,3 +186,22 @@ export default function clientActionReducer(state, action) {
       return state;
   }
 }
+
+/**
+ * The fetched room contains sealed estimations ("true" instead of the value) for stories that are not yet revealed.
+ * The value of our own estimation is known to this client: keep it from the current state.
+ */
+function keepOwnSealedEstimations(fetchedEstimations, currentEstimations, ownUserId) {
+  return Object.keys(fetchedEstimations).reduce((total, storyId) => {
+    const storyEstimations = fetchedEstimations[storyId];
+    const currentStoryEstimations = currentEstimations && currentEstimations[storyId];
+    const ownCurrentValue = currentStoryEstimations && currentStoryEstimations[ownUserId];
+
+    if (storyEstimations && storyEstimations[ownUserId] === true && ownCurrentValue !== undefined) {
+      total[storyId] = {...storyEstimations, [ownUserId]: ownCurrentValue};
+    } else {
+      total[storyId] = storyEstimations;
+    }
+    return total;
+  }, {});
+}
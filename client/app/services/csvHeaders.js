@@ -0,0 +1,107 @@
+// delimiters and well-known column names are shared with the server (see "storyImportDefaults" in the backend)
+import storyImportColumns from '../../../server/src/commandHandlers/storyImportColumns.json';
+
+const DELIMITERS = storyImportColumns.delimiters;
+const COLUMN_NAMES = storyImportColumns.columnNames;
+
+/**
+ * Reads the header line of the given csv file.
+ * Used to show a preview of the columns, so that the user can map them to title, key, url, description, estimate and labels before importing.
+ *
+ * @param {File} file
+ * @return {Promise<string[]>}
+ */
+export function readCsvHeaders(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+
+    reader.onabort = () => reject('aborted');
+    reader.onerror = () => reject('error');
+    reader.onload = () => resolve(parseCsvHeaders(reader.result));
+
+    reader.readAsText(file);
+  });
+}
+
+/**
+ * Parses the column names from the first line of the given csv text.
+ * The delimiter (comma, semicolon or tab) is detected the same way as on the server: the one that occurs most often (outside of quotes) in the first line.
+ *
+ * @param {string} csvText
+ * @return {string[]}
+ */
+export function parseCsvHeaders(csvText) {
+  const headerLine = getHeaderLine(csvText.replace(/^\ufeff/, ''));
+  const delimiter = detectDelimiter(headerLine);
+
+  const headers = [];
+  let current = '';
+  let inQuotes = false;
+  for (let i = 0; i < headerLine.length; i++) {
+    const char = headerLine[i];
+    if (char === '"') {
+      if (inQuotes && headerLine[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        inQuotes = !inQuotes;
+      }
+    } else if (char === delimiter && !inQuotes) {
+      headers.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  headers.push(current);
+
+  return headers.filter((header) => !!header);
+}
+
+/**
+ * Pre-selects columns with well-known names (the same names the server uses if no mapping is given).
+ *
+ * @param {string[]} headers
+ * @return {{title: string, key: string, url: string, description: string, estimate: string, labels: string}}
+ */
+export function guessCsvColumnMapping(headers) {
+  const findColumn = (columnNames) => columnNames.find((name) => headers.includes(name)) || '';
+
+  return {
+    title: findColumn(COLUMN_NAMES.title) || headers[0] || '',
+    key: findColumn(COLUMN_NAMES.key),
+    url: findColumn(COLUMN_NAMES.url),
+    description: findColumn(COLUMN_NAMES.description),
+    estimate: findColumn(COLUMN_NAMES.estimate),
+    labels: findColumn(COLUMN_NAMES.labels)
+  };
+}
+
+function getHeaderLine(csvText) {
+  let inQuotes = false;
+  for (let i = 0; i < csvText.length; i++) {
+    const char = csvText[i];
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      return csvText.substring(0, i);
+    }
+  }
+  return csvText;
+}
+
+function detectDelimiter(headerLine) {
+  let inQuotes = false;
+  const counts = {};
+  for (const char of headerLine) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && DELIMITERS.includes(char)) {
+      counts[char] = (counts[char] || 0) + 1;
+    }
+  }
+
+  return DELIMITERS.reduce((best, delimiter) =>
+    (counts[delimiter] || 0) > (counts[best] || 0) ? delimiter : best
+  );
+}
@@ -6,7 +6,8 @@ import clientSettingsStore from '../store/clientSettingsStore';
 import initialState from '../store/initialState';
 import {getCardConfigForValue} from './getCardConfigForValue';
 import {formatTime} from './timeUtil';
-import {indexEstimations, indexStories, indexUsers} from './roomStateMapper';
+import {indexEstimations, indexStories, indexUsers, toClientTimer} from './roomStateMapper';
+import {getCardConfigForStory} from './selectors';
 
 /**
  * The event reducer handles backend-event actions.
@@ -55,10 +56,26 @@ export default function eventReducer(state, action) {
   }
 
   let modifiedState = matchingHandler.fn(state, event.payload, event) || state;
+  modifiedState = updateRoomRevision(modifiedState, event);
   modifiedState = updateActionLog(matchingHandler.log, state, modifiedState, event);
   return modifiedState;
 }
 
+/**
+ * Events carry the revision of the room after the correlating command (incremented with every command in the room).
+ * Not set on "commandRejected" events. If we left the room (state was reset), we do not set it.
+ */
+function updateRoomRevision(modifiedState, event) {
+  if (event.revision === undefined || modifiedState.roomId !== event.roomId) {
+    return modifiedState;
+  }
+
+  return {
+    ...modifiedState,
+    roomRevision: event.revision
+  };
+}
+
 function isFailedJoinRoom(event) {
   return (
     event.name === 'commandRejected' &&
@@ -68,6 +85,43 @@ function isFailedJoinRoom(event) {
   );
 }
 
+/**
+ * The story's own card deck: not given: unchanged,  empty array: removed
+ */
+const getChangedCardConfig = (newCardConfig, oldCardConfig) => {
+  if (newCardConfig === undefined) {
+    return oldCardConfig;
+  }
+  return newCardConfig.length > 0 ? newCardConfig : undefined;
+};
+
+/**
+ * If cards are removed from a card deck, the backend clears all estimations of unrevealed stories, where some estimations no longer match a card.
+ * "storiesWithClearedEstimations" lists the ids of these stories.
+ */
+const clearEstimations = (estimations, storiesWithClearedEstimations) => {
+  if (!storiesWithClearedEstimations) {
+    return estimations;
+  }
+  return storiesWithClearedEstimations.reduce(
+    (total, storyId) => ({...total, [storyId]: undefined}),
+    estimations
+  );
+};
+
+/**
+ * Rejected estimations (e.g. the value does not match a card of the current card deck) get a clear message
+ */
+const getCommandRejectedMessage = (payload) => {
+  if (payload.command.name === 'giveStoryEstimate') {
+    return `Your estimate was rejected: ${payload.reason.replace(
+      /^Precondition Error during "giveStoryEstimate": /,
+      ''
+    )}`;
+  }
+  return `Command "${payload.command.name}" was not successful. \n ${payload.reason}`;
+};
+
 /**
  * adds a log message for a backend event to the state.
  *
@@ -154,7 +208,11 @@ const eventActionHandlers = {
           authorizationFailed: undefined,
           cardConfig: payload.cardConfig,
           autoReveal: payload.autoReveal,
-          passwordProtected: !!payload.passwordProtected
+          issueUrlTemplate: payload.issueUrlTemplate,
+          webhooks: payload.webhooks || [],
+          passwordProtected: !!payload.passwordProtected,
+          roomRevision: payload.revision,
+          timer: payload.timer ? toClientTimer(payload.timer, payload.timer.remaining) : undefined
         };
       } else {
         // if our client state has already a userId set, this event indicates that someone else joined, we only need to update our list of users in the room
@@ -167,11 +225,14 @@ const eventActionHandlers = {
     log: (username, payload, oldState, newState, event) => {
       const youJoined = !oldState.userId;
 
+      const joinedUser = newState.users[event.userId];
+      const asSpectator = joinedUser && joinedUser.spectator ? ' as spectator' : '';
+
       if (youJoined) {
-        return `You joined room "${newState.roomId}"`;
+        return `You joined room "${newState.roomId}"${asSpectator}`;
       }
 
-      return `${newState.users[event.userId].username || 'New user'} joined`; // cannot directly use parameter "username". event is not yet reduced.
+      return `${(joinedUser && joinedUser.username) || 'New user'} joined${asSpectator}`; // cannot directly use parameter "username". event is not yet reduced.
     }
   },
 
@@ -253,11 +314,22 @@ const eventActionHandlers = {
         id: payload.storyId,
         title: payload.title,
         description: payload.description,
-        createdAt: payload.createdAt
+        key: payload.key,
+        url: payload.url,
+        labels: payload.labels,
+        createdAt: payload.createdAt,
+        rank: payload.rank,
+        revealed: payload.revealed,
+        consensus: payload.consensus,
+        cardConfig: payload.cardConfig
       };
       return {
         ...state,
-        stories: modifiedStories
+        stories: modifiedStories,
+        estimations:
+          payload.estimations && Object.keys(payload.estimations).length > 0
+            ? {...state.estimations, [payload.storyId]: payload.estimations}
+            : state.estimations
       };
     },
     log: (username, payload) => `${username} added new story "${payload.title}"`
@@ -265,16 +337,41 @@ const eventActionHandlers = {
 
   [EVENT_ACTION_TYPES.storyChanged]: {
     fn: (state, payload) => {
+      const story = state.stories[payload.storyId];
       const modifiedStory = {
-        ...state.stories[payload.storyId],
+        ...story,
         title: payload.title,
         description: payload.description,
+        labels: payload.labels ? payload.labels : story.labels,
+        key: payload.key === undefined ? story.key : payload.key || undefined, // empty string removes the key
+        url: payload.url === undefined ? story.url : payload.url || undefined,
+        cardConfig: getChangedCardConfig(payload.cardConfig, story.cardConfig),
         editMode: false
       };
 
-      return {...state, stories: {...state.stories, [payload.storyId]: modifiedStory}};
+      return {
+        ...state,
+        stories: {...state.stories, [payload.storyId]: modifiedStory},
+        estimations: clearEstimations(state.estimations, payload.storiesWithClearedEstimations)
+      };
     },
-    log: (username, payload) => `${username} changed story "${payload.title}"`
+    log: (username, payload) =>
+      payload.storiesWithClearedEstimations
+        ? `${username} changed story "${payload.title}" (estimations were cleared, some did not match a card of the new card deck)`
+        : `${username} changed story "${payload.title}"`
+  },
+
+  [EVENT_ACTION_TYPES.storyMoved]: {
+    fn: (state, payload) => ({
+      ...state,
+      stories: Object.values(state.stories).reduce((total, story) => {
+        total[story.id] =
+          payload.ranks[story.id] !== undefined ? {...story, rank: payload.ranks[story.id]} : story;
+        return total;
+      }, {})
+    }),
+    log: (username, payload, oldState) =>
+      `${username} moved story "${oldState.stories[payload.storyId].title}" in the backlog`
   },
 
   [EVENT_ACTION_TYPES.storyTrashed]: {
@@ -351,7 +448,8 @@ const eventActionHandlers = {
       ...state,
       selectedStory: payload.storyId,
       highlightedStory: state.highlightedStory || payload.storyId,
-      applause: false
+      applause: false,
+      timer: state.timer && state.timer.storyId !== payload.storyId ? undefined : state.timer
     }),
     log: (username, payload, oldState, newState) =>
       payload.storyId
@@ -474,7 +572,34 @@ const eventActionHandlers = {
     log: (username) => `${username} is no longer excluded from estimations`
   },
 
+  /**
+   * Estimations are sealed: the event does not contain the value, we only know that the user did estimate the story.
+   * A sealed estimation is stored as "true". Our own value is set by "ownEstimateGiven", all values are set by "revealed".
+   */
   [EVENT_ACTION_TYPES.storyEstimateGiven]: {
+    fn: (state, payload, event) => {
+      const storyEstimations = state.estimations[payload.storyId] || {};
+      const isOwnKnownEstimation =
+        event.userId === state.userId && storyEstimations[event.userId] !== undefined;
+
+      return {
+        ...state,
+        estimations: {
+          ...state.estimations,
+          [payload.storyId]: {
+            ...storyEstimations,
+            [event.userId]: isOwnKnownEstimation ? storyEstimations[event.userId] : true
+          }
+        }
+      };
+    }
+    // do not log -> if user is uncertain and switches between cards -> gives hints to other colleagues
+  },
+
+  /**
+   * restricted event, we get the value of our own estimation
+   */
+  [EVENT_ACTION_TYPES.ownEstimateGiven]: {
     fn: (state, payload, event) => ({
       ...state,
       estimations: {
@@ -485,7 +610,7 @@ const eventActionHandlers = {
         }
       }
     })
-    // do not log -> if user is uncertain and switches between cards -> gives hints to other colleagues
+    // do not log
   },
 
   [EVENT_ACTION_TYPES.consensusAchieved]: {
@@ -502,7 +627,7 @@ const eventActionHandlers = {
     }),
     log: (username, eventPayload, oldState, modifiedState) => {
       const matchingCardConfig = getCardConfigForValue(
-        oldState.cardConfig,
+        getCardConfigForStory(oldState, eventPayload.storyId),
         modifiedState.stories[eventPayload.storyId].consensus
       );
       return `Consensus achieved for story "${
@@ -511,6 +636,31 @@ const eventActionHandlers = {
     }
   },
 
+  /**
+   * A user settled a revealed story on a final value, this is stored as consensus
+   */
+  [EVENT_ACTION_TYPES.storySettled]: {
+    fn: (state, payload) => ({
+      ...state,
+      stories: {
+        ...state.stories,
+        [payload.storyId]: {
+          ...state.stories[payload.storyId],
+          consensus: payload.value
+        }
+      }
+    }),
+    log: (username, eventPayload, oldState, modifiedState) => {
+      const matchingCardConfig = getCardConfigForValue(
+        getCardConfigForStory(oldState, eventPayload.storyId),
+        eventPayload.value
+      );
+      return `${username} settled story "${modifiedState.stories[eventPayload.storyId].title}" on ${
+        matchingCardConfig.label
+      }`;
+    }
+  },
+
   [EVENT_ACTION_TYPES.storyEstimateCleared]: {
     fn: (state, payload, event) => {
       const modifiedEstimations = {...state.estimations[payload.storyId]};
@@ -527,22 +677,38 @@ const eventActionHandlers = {
     // do not log -> if user is uncertain and switches between cards -> gives hints to other colleagues
   },
 
+  /**
+   * the event contains all estimation values and the estimation statistics for the revealed story
+   */
   [EVENT_ACTION_TYPES.revealed]: {
-    fn: (state, payload) => ({
+    fn: (state, payload, event) => ({
       ...state,
+      timer: state.timer && state.timer.storyId === payload.storyId ? undefined : state.timer,
       stories: {
         ...state.stories,
-        [payload.storyId]: {...state.stories[payload.storyId], revealed: true}
+        [payload.storyId]: {
+          ...state.stories[payload.storyId],
+          revealed: true,
+          revealedAt: payload.revealedAt,
+          revealedBy: event.userId,
+          stats: payload.stats
+        }
+      },
+      estimations: {
+        ...state.estimations,
+        [payload.storyId]: payload.estimations || state.estimations[payload.storyId]
       }
     }),
-    log: (username, payload, oldState, modifiedState) =>
-      payload.manually
-        ? `${username} manually revealed estimates for story "${
-            modifiedState.stories[payload.storyId].title
-          }"`
-        : `Estimates were automatically revealed for story "${
-            modifiedState.stories[payload.storyId].title
-          }"`
+    log: (username, payload, oldState, modifiedState) => {
+      const storyTitle = modifiedState.stories[payload.storyId].title;
+      if (payload.manually) {
+        return `${username} manually revealed estimates for story "${storyTitle}"`;
+      }
+      if (payload.timerExpired) {
+        return `Timer expired. Estimates were revealed for story "${storyTitle}"`;
+      }
+      return `Estimates were automatically revealed for story "${storyTitle}"`;
+    }
   },
 
   [EVENT_ACTION_TYPES.newEstimationRoundStarted]: {
@@ -554,7 +720,13 @@ const eventActionHandlers = {
         [payload.storyId]: {
           ...state.stories[payload.storyId],
           revealed: false,
-          consensus: undefined
+          revealedAt: undefined,
+          revealedBy: undefined,
+          consensus: undefined,
+          stats: undefined,
+          rounds: payload.archivedRound
+            ? [...(state.stories[payload.storyId].rounds || []), payload.archivedRound]
+            : state.stories[payload.storyId].rounds
         }
       },
       estimations: {
@@ -571,9 +743,15 @@ const eventActionHandlers = {
   [EVENT_ACTION_TYPES.cardConfigSet]: {
     fn: (state, payload) => ({
       ...state,
-      cardConfig: payload.cardConfig
+      cardConfig: payload.cardConfig,
+      estimations: clearEstimations(state.estimations, payload.storiesWithClearedEstimations)
     }),
-    log: (username) => `${username} set new custom card configuration for this room`
+    log: (username, payload) => {
+      const clearedCount = (payload.storiesWithClearedEstimations || []).length;
+      return clearedCount > 0
+        ? `${username} set new custom card configuration for this room. Estimations of ${clearedCount} story(ies) were cleared, some did not match a card`
+        : `${username} set new custom card configuration for this room`;
+    }
   },
 
   [EVENT_ACTION_TYPES.autoRevealOn]: {
@@ -592,6 +770,58 @@ const eventActionHandlers = {
     log: (username) => `${username} disabled auto reveal for this room`
   },
 
+  [EVENT_ACTION_TYPES.issueUrlTemplateSet]: {
+    fn: (state, payload) => ({
+      ...state,
+      issueUrlTemplate: payload.issueUrlTemplate || undefined
+    }),
+    log: (username, payload) =>
+      payload.issueUrlTemplate
+        ? `${username} set the issue url template to "${payload.issueUrlTemplate}"`
+        : `${username} removed the issue url template`
+  },
+
+  [EVENT_ACTION_TYPES.webhookAdded]: {
+    fn: (state, payload) => ({
+      ...state,
+      webhooks: [
+        ...(state.webhooks || []),
+        {id: payload.webhookId, url: payload.url, events: payload.events}
+      ]
+    }),
+    log: (username, payload) => `${username} added a webhook for ${payload.events.join(', ')}`
+  },
+
+  [EVENT_ACTION_TYPES.webhookRemoved]: {
+    fn: (state, payload) => ({
+      ...state,
+      webhooks: (state.webhooks || []).filter((webhook) => webhook.id !== payload.webhookId)
+    }),
+    log: (username) => `${username} removed a webhook`
+  },
+
+  /**
+   * The countdown is calculated with the local clock (clocks of clients and server might differ)
+   */
+  [EVENT_ACTION_TYPES.timerStarted]: {
+    fn: (state, payload, event) => ({
+      ...state,
+      timer: toClientTimer({...payload, startedBy: event.userId}, payload.duration * 1000)
+    }),
+    log: (username, payload, oldState, modifiedState) =>
+      `${username} started a timer of ${payload.duration} seconds for story "${
+        modifiedState.stories[payload.storyId].title
+      }"`
+  },
+
+  [EVENT_ACTION_TYPES.timerStopped]: {
+    fn: (state) => ({
+      ...state,
+      timer: undefined
+    }),
+    log: (username) => `${username} stopped the timer`
+  },
+
   [EVENT_ACTION_TYPES.passwordSet]: {
     fn: (state) => ({
       ...state,
@@ -616,6 +846,45 @@ const eventActionHandlers = {
     // do not log
   },
 
+  /**
+   * A moderator did set the role of a user ("moderator" or "participant")
+   */
+  [EVENT_ACTION_TYPES.userRoleSet]: {
+    fn: (state, payload) => ({
+      ...state,
+      users: {
+        ...state.users,
+        [payload.userId]: {...state.users[payload.userId], role: payload.role}
+      }
+    }),
+    log: (username, payload, oldState, modifiedState) =>
+      `${username} made ${modifiedState.users[payload.userId].username || 'New user'} a ${
+        payload.role
+      }`
+  },
+
+  /**
+   * The last moderator left the room, the user in the payload became moderator
+   */
+  [EVENT_ACTION_TYPES.moderatorAssigned]: {
+    fn: (state, payload) => ({
+      ...state,
+      users: {
+        ...state.users,
+        [payload.userId]: {...state.users[payload.userId], role: 'moderator'}
+      }
+    }),
+    log: (username, payload, oldState, modifiedState) =>
+      `${modifiedState.users[payload.userId].username || 'New user'} is now the moderator`
+  },
+
+  /**
+   * The room was deleted (by a moderator). All users are removed from the room, the backend no longer knows the room.
+   */
+  [EVENT_ACTION_TYPES.roomDeleted]: {
+    fn: () => ({...initialState()})
+  },
+
   [EVENT_ACTION_TYPES.commandRejected]: {
     fn: (state, payload, event) => {
       log.error(event);
@@ -625,7 +894,7 @@ const eventActionHandlers = {
       };
     },
     log: (username, payload) => ({
-      message: `Command "${payload.command.name}" was not successful. \n ${payload.reason}`,
+      message: getCommandRejectedMessage(payload),
       isError: true
     })
   }
@@ -1,13 +1,15 @@
+import {compareByRank} from './storyRanks';
+
 /**
  * Find the id of the "next story to estimate":
- * - Look through the backlog of active (=untrashed) stories, find the first one that is not revealed.
- * - If all are revealed, find the first one without consensus.
+ * - Look through the backlog of active (=untrashed) stories in manual order (see "rank"), find the first one that is not revealed.
+ * - If all are revealed, find the first one without consensus (stories that were settled on a final value have a consensus, they are finished).
  * - Else, return undefined.
  *
  * @param {object} state the Redux state
  */
 export default function findNextStoryIdToEstimate(state) {
-  const storyArray = Object.values(state.stories);
+  const storyArray = Object.values(state.stories).sort(compareByRank);
 
   const nextUnrevealedStory = storyArray.find(
     (stry) => !stry.trashed && !stry.revealed && stry.id !== state.selectedStory
@@ -17,9 +19,11 @@ export default function findNextStoryIdToEstimate(state) {
   }
 
   const nextStoryWithoutConsensus = storyArray.find(
-    (stry) => !stry.trashed && !stry.consensus && stry.id !== state.selectedStory
+    (stry) => !stry.trashed && !hasConsensus(stry) && stry.id !== state.selectedStory
   );
   if (nextStoryWithoutConsensus) {
     return nextStoryWithoutConsensus.id;
   }
 }
+
+const hasConsensus = (story) => story.consensus !== undefined && story.consensus !== null; // value could be "0" which is falsy, check for undefined
@@ -13,3 +13,8 @@ export const EMAIL_REGEX = /^[-a-zA-Z0-9._@*]{0,245}$/;
 export const ROOM_ID_REGEX = /^[-a-z0-9_]*$/;
 export const STORY_TITLE_REGEX = /^.{0,100}$/;
 export const STORY_DESCRIPTION_MAX_LENGTH = 2000;
+export const STORY_KEY_REGEX = /^\S{0,50}$/;
+export const STORY_URL_REGEX = /^\S{0,2000}$/;
+export const ISSUE_URL_TEMPLATE_REGEX = /^\S{0,500}$/;
+export const WEBHOOK_URL_REGEX = /^\S{0,2000}$/;
+export const WEBHOOK_SECRET_MIN_LENGTH = 8;
@@ -1,4 +1,5 @@
 /**
+ * Cards are identified by their value (estimations and consensus are stored as card values). Cards have a label, a color, a position and an optional numeric weight.
  *
  * If no matching config is found, a config is created on the fly (warning color and " !" suffix), so that this function never returns undefined.
  *
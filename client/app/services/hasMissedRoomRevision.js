@@ -0,0 +1,17 @@
+/**
+ * Events carry the revision of the room after the correlating command (all events of one command have the same revision, every command increments it by one).
+ * If a received event is more than one revision ahead of our state, we missed the events of at least one command (e.g. while the socket was reconnecting) and must re-fetch the room.
+ * Our own "joinedRoom" contains the whole room state, it never indicates a missed revision.
+ *
+ * @param {object} state The client state before the event is reduced
+ * @param {object} event
+ * @return {boolean}
+ */
+const hasMissedRoomRevision = (state, event) =>
+  state.roomRevision !== undefined &&
+  event.revision !== undefined &&
+  state.roomId === event.roomId &&
+  state.pendingJoinCommandId !== event.correlationId &&
+  event.revision > state.roomRevision + 1;
+
+export default hasMissedRoomRevision;
@@ -0,0 +1,9 @@
+/**
+ * Json files are recognized by their file extension (browsers do not always know the mime type of json files).
+ *
+ * @param {File} file
+ * @return {boolean}
+ */
+const isJsonFile = (file) => !!file.name && file.name.toLowerCase().endsWith('.json');
+
+export default isJsonFile;
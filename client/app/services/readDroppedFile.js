@@ -1,11 +1,24 @@
+import isJsonFile from './isJsonFile';
+
+const JSON_DATA_URL_PREFIX = 'data:application/json;base64,';
+
+/**
+ * Reads the given file (csv or json) as base64 encoded "data url".
+ *
+ * Browsers do not always know the mime type of json files (e.g. "data:application/octet-stream;base64,...").
+ * Since the server decides on the mime type how to parse the data, ".json" files get a proper json data url.
+ */
 export default function readDroppedFile(file) {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
 
     reader.onabort = () => reject('aborted');
     reader.onerror = () => reject('error');
-    reader.onload = () => resolve(reader.result);
+    reader.onload = () => resolve(isJsonFile(file) ? toJsonDataUrl(reader.result) : reader.result);
 
     reader.readAsDataURL(file);
   });
 }
+
+const toJsonDataUrl = (dataUrl) =>
+  JSON_DATA_URL_PREFIX + dataUrl.substring(dataUrl.indexOf(',') + 1);
@@ -22,13 +22,19 @@ export async function getRoom(roomId, userToken) {
  * Get a room object from the PoinZ backend for export.
  * Contains stories, and their estimations
  *
+ * For format "json", the returned promise resolves to the export object.
+ * For formats "csv" and "markdown" it resolves to the file content (string).
+ *
  * @param {string} roomId
  * @param {string} userToken
+ * @param {string} [format] "json" (default), "csv" or "markdown"
  * @return {Promise<*>}
  */
-export async function getRoomExport(roomId, userToken) {
+export async function getRoomExport(roomId, userToken, format = 'json') {
   const response = await axios.get('/api/export/room/' + roomId, {
-    headers: getHeaders(userToken)
+    headers: getHeaders(userToken),
+    params: {format},
+    responseType: format === 'json' ? 'json' : 'text'
   });
 
   return response.data;
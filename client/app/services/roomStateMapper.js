@@ -6,6 +6,7 @@
  * - estimations is a separate object
  * - stories is not an array but an object, indexed by storyId. "estimations" property is removed.
  * - users is not an array but an object, indexed by userId
+ * - the timer holds the local point in time when the countdown ends
  *
  */
 
@@ -30,3 +31,19 @@ export function indexUsers(beUsers) {
     return total;
   }, {});
 }
+
+/**
+ * The estimation timer in the client state holds the local point in time when the countdown ends.
+ *
+ * @param {object} timer The timer as sent by the backend (storyId, duration, startedBy)
+ * @param {number} remaining Remaining milliseconds
+ * @return {{storyId: string, duration: number, startedBy: string, endsAt: number}}
+ */
+export function toClientTimer(timer, remaining) {
+  return {
+    storyId: timer.storyId,
+    duration: timer.duration,
+    startedBy: timer.startedBy,
+    endsAt: Date.now() + remaining
+  };
+}
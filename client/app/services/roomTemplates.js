@@ -0,0 +1,167 @@
+/**
+ * Room templates set the card configuration, the "autoReveal" flag and (optionally) the issue url template of a room in one go.
+ * Built-in templates are listed here, templates saved by the user are stored in the localStorage (see clientSettingsStore).
+ * Built-in templates have a "nameKey" (translated), saved templates have a "name".
+ */
+
+/**
+ * Cards are listed in their order. Sets "position" and (unless "withoutWeights") the "weight" of cards with non-negative values (special cards like "?" have no weight).
+ */
+const toCards = (cards, withoutWeights = false) =>
+  cards.map((card, index) =>
+    !withoutWeights && card.value >= 0
+      ? {...card, position: index, weight: card.value}
+      : {...card, position: index}
+  );
+
+export const BUILT_IN_ROOM_TEMPLATES = [
+  {
+    id: 'fibonacci',
+    nameKey: 'templateFibonacci',
+    autoReveal: true,
+    cardConfig: toCards([
+      {label: '?', value: -2, color: '#bdbfbf'},
+      {label: '0', value: 0, color: '#667a66'},
+      {label: '1', value: 1, color: '#839e7a'},
+      {label: '2', value: 2, color: '#8cb876'},
+      {label: '3', value: 3, color: '#96ba5b'},
+      {label: '5', value: 5, color: '#b6c76b'},
+      {label: '8', value: 8, color: '#c9c857'},
+      {label: '13', value: 13, color: '#d9be3b'},
+      {label: '21', value: 21, color: '#d6cda1'},
+      {label: '34', value: 34, color: '#9fa6bd'},
+      {label: '55', value: 55, color: '#6a80ab'},
+      {label: '89', value: 89, color: '#1d508f'}
+    ])
+  },
+  {
+    id: 'modifiedFibonacci',
+    nameKey: 'templateModifiedFibonacci',
+    autoReveal: true,
+    cardConfig: toCards([
+      {label: '?', value: -2, color: '#bdbfbf'},
+      {label: '0', value: 0, color: '#667a66'},
+      {label: '1/2', value: 0.5, color: '#839e7a'},
+      {label: '1', value: 1, color: '#8cb876'},
+      {label: '2', value: 2, color: '#96ba5b'},
+      {label: '3', value: 3, color: '#b6c76b'},
+      {label: '5', value: 5, color: '#c9c857'},
+      {label: '8', value: 8, color: '#d9be3b'},
+      {label: '13', value: 13, color: '#d6cda1'},
+      {label: '20', value: 20, color: '#9fa6bd'},
+      {label: '40', value: 40, color: '#6a80ab'},
+      {label: '100', value: 100, color: '#1d508f'}
+    ])
+  },
+  {
+    id: 'tShirtSizes',
+    nameKey: 'templateTShirtSizes',
+    autoReveal: true,
+    // T-shirt sizes are not numeric: values only identify the cards, no weights
+    cardConfig: toCards(
+      [
+        {label: '?', value: -2, color: '#bdbfbf'},
+        {label: 'XS', value: 1, color: '#839e7a'},
+        {label: 'S', value: 2, color: '#8cb876'},
+        {label: 'M', value: 3, color: '#b6c76b'},
+        {label: 'L', value: 4, color: '#d9be3b'},
+        {label: 'XL', value: 5, color: '#9fa6bd'},
+        {label: 'XXL', value: 6, color: '#1d508f'}
+      ],
+      true
+    )
+  },
+  {
+    id: 'powersOfTwo',
+    nameKey: 'templatePowersOfTwo',
+    autoReveal: true,
+    cardConfig: toCards([
+      {label: '?', value: -2, color: '#bdbfbf'},
+      {label: '0', value: 0, color: '#667a66'},
+      {label: '1', value: 1, color: '#839e7a'},
+      {label: '2', value: 2, color: '#8cb876'},
+      {label: '4', value: 4, color: '#96ba5b'},
+      {label: '8', value: 8, color: '#c9c857'},
+      {label: '16', value: 16, color: '#d9be3b'},
+      {label: '32', value: 32, color: '#9fa6bd'},
+      {label: '64', value: 64, color: '#1d508f'}
+    ])
+  },
+  {
+    id: 'hours',
+    nameKey: 'templateHours',
+    autoReveal: true,
+    cardConfig: toCards([
+      {label: '?', value: -2, color: '#bdbfbf'},
+      {label: '1/2h', value: 0.5, color: '#667a66'},
+      {label: '1h', value: 1, color: '#839e7a'},
+      {label: '2h', value: 2, color: '#8cb876'},
+      {label: '4h', value: 4, color: '#b6c76b'},
+      {label: '1d', value: 8, color: '#c9c857'},
+      {label: '2d', value: 16, color: '#d9be3b'},
+      {label: '3d', value: 24, color: '#9fa6bd'},
+      {label: '1w', value: 40, color: '#1d508f'}
+    ])
+  }
+];
+
+/**
+ * @param {function} t The translator function
+ * @param {object} template
+ * @return {string}
+ */
+export const getRoomTemplateName = (t, template) =>
+  template.nameKey ? t(template.nameKey) : template.name;
+
+/**
+ * Returns the settings of the given template, as expected by the backend (see commands "applyRoomTemplate" and "joinRoom")
+ *
+ * @param {object} template
+ * @return {{cardConfig: object[], autoReveal: boolean, issueUrlTemplate?: string}}
+ */
+export function toRoomTemplateSettings(template) {
+  const settings = {
+    cardConfig: template.cardConfig,
+    autoReveal: template.autoReveal
+  };
+  if (template.issueUrlTemplate) {
+    settings.issueUrlTemplate = template.issueUrlTemplate;
+  }
+  return settings;
+}
+
+/**
+ * Looks up a template by its id, in the built-in templates and the given saved templates.
+ *
+ * @param {object[]} savedTemplates
+ * @param {string} templateId
+ * @return {object|undefined}
+ */
+export const findRoomTemplate = (savedTemplates, templateId) =>
+  [...BUILT_IN_ROOM_TEMPLATES, ...(savedTemplates || [])].find(
+    (template) => template.id === templateId
+  );
+
+/**
+ * Stories can have their own card deck, taken from a room template (see "StoryCardDeckSelect").
+ * Selection value for "keep the current card deck of the story".
+ */
+export const KEEP_STORY_CARD_DECK = 'keepStoryCardDeck';
+
+/**
+ * Returns the card config to send with "addStory" / "changeStory" for the given selection:
+ * - empty string: the story uses the card config of the room (empty array)
+ * - KEEP_STORY_CARD_DECK: unchanged (undefined)
+ * - template id: the cards of the template
+ *
+ * @param {object[]} savedTemplates
+ * @param {string} selection
+ * @return {object[]|undefined}
+ */
+export function getStoryCardConfigForSelection(savedTemplates, selection) {
+  if (selection === KEEP_STORY_CARD_DECK) {
+    return undefined;
+  }
+  const template = selection && findRoomTemplate(savedTemplates, selection);
+  return template ? template.cardConfig : [];
+}
@@ -6,6 +6,7 @@ const getSelectedStoryId = (state) => state.selectedStory;
 const getEstimations = (state) => state.estimations;
 const getPendingCmds = (state) => state.pendingCommands;
 const getUsers = (state) => state.users;
+const getCardConfig = (state) => state.cardConfig;
 
 /**
  * Returns active stories as array. Never returns undefined.
@@ -23,11 +24,54 @@ export const getTrashedStories = createSelector([getStories], (stories) =>
 
 /**
  * Returns own estimate for the currently selectedStory. Can return undefined.
+ * Also returns undefined if we only know that we did estimate, but not the value (sealed estimation, e.g. after re-joining the room)
  */
 export const getOwnEstimate = createSelector(
   [getSelectedStoryId, getEstimations, getOwnUserId],
-  (selectedStoryId, estimations, ownUserId) =>
-    estimations && estimations[selectedStoryId] && estimations[selectedStoryId][ownUserId]
+  (selectedStoryId, estimations, ownUserId) => {
+    const ownEstimate =
+      estimations && estimations[selectedStoryId] && estimations[selectedStoryId][ownUserId];
+    return ownEstimate === true ? undefined : ownEstimate;
+  }
+);
+
+/**
+ * Returns the card deck of the currently selected story: stories can have their own card deck, otherwise the card config of the room is used.
+ */
+export const getSelectedStoryCardConfig = createSelector(
+  [getStories, getSelectedStoryId, getCardConfig],
+  (stories, selectedStoryId, cardConfig) =>
+    getStoryCardConfig(stories && stories[selectedStoryId], cardConfig)
+);
+
+/**
+ * Returns the card deck of the given story (see "getSelectedStoryCardConfig")
+ */
+export const getCardConfigForStory = (state, storyId) =>
+  getStoryCardConfig(state.stories && state.stories[storyId], state.cardConfig);
+
+const getStoryCardConfig = (story, roomCardConfig) =>
+  story && story.cardConfig ? story.cardConfig : roomCardConfig;
+
+/**
+ * Returns true if our own user is allowed to send moderator-only commands.
+ * In rooms without moderator (rooms that were created before roles were introduced), every user is allowed to.
+ */
+export const hasModeratorPermissions = createSelector(
+  [getUsers, getOwnUserId],
+  (users, ownUserId) => {
+    const userArray = Object.values(users || {});
+    const roomHasModerator = userArray.some((usr) => usr.role === 'moderator');
+    return !roomHasModerator || (users[ownUserId] && users[ownUserId].role === 'moderator');
+  }
+);
+
+/**
+ * Returns true if our own user joined the room as spectator. Spectators do not estimate and cannot modify the room.
+ */
+export const isOwnUserSpectator = createSelector(
+  [getUsers, getOwnUserId],
+  (users, ownUserId) => !!(users && users[ownUserId] && users[ownUserId].spectator)
 );
 
 export const getOwnUsername = createSelector([getUsers, getOwnUserId], (users, ownUserId) =>
@@ -69,15 +113,27 @@ export const isAStorySelected = createSelector(
 );
 
 /**
- * Returns an array of all users in our room, specially sorted: my own user always first.
+ * Returns an array of all users in our room that are not spectators, specially sorted: my own user always first.
  * All others sorted alphabetically (username)
  */
 export const getSortedUserArray = createSelector([getUsers, getOwnUserId], (users, ownUserId) => {
-  const userArray = Object.values(users || {});
+  const userArray = Object.values(users || {}).filter((usr) => !usr.spectator);
   userArray.sort(myUserFirstUserComparator.bind(undefined, ownUserId));
   return userArray;
 });
 
+/**
+ * Returns an array of all spectators in our room, sorted like "getSortedUserArray"
+ */
+export const getSortedSpectatorArray = createSelector(
+  [getUsers, getOwnUserId],
+  (users, ownUserId) => {
+    const spectatorArray = Object.values(users || {}).filter((usr) => usr.spectator);
+    spectatorArray.sort(myUserFirstUserComparator.bind(undefined, ownUserId));
+    return spectatorArray;
+  }
+);
+
 /**
  * Returns true if this card (specified by its value) should be shown "waiting".
  * (either because you just estimated or cleared your estimation)
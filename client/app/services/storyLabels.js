@@ -0,0 +1,32 @@
+const LABEL_MAX_LENGTH = 30;
+const LABELS_MAX_COUNT = 10;
+
+/**
+ * Parses the comma separated labels the user typed (e.g. "frontend, spike") into a list of labels, as expected by the commands "addStory" and "changeStory".
+ *
+ * @param {string} labelsInput
+ * @return {string[]}
+ */
+export function parseLabelsInput(labelsInput) {
+  const labels = (labelsInput || '')
+    .split(',')
+    .map((label) => label.trim().substring(0, LABEL_MAX_LENGTH).trim())
+    .filter((label) => !!label);
+
+  return [...new Set(labels)].slice(0, LABELS_MAX_COUNT);
+}
+
+/**
+ * @param {string[]} [labels]
+ * @return {string}
+ */
+export const formatLabelsInput = (labels) => (labels || []).join(', ');
+
+/**
+ * @param {object[]} stories
+ * @return {string[]} All distinct labels of the given stories, sorted alphabetically
+ */
+export const getAllLabels = (stories) =>
+  [...new Set(stories.flatMap((story) => story.labels || []))].sort((lA, lB) =>
+    lA.localeCompare(lB)
+  );
@@ -0,0 +1,19 @@
+/**
+ * Compares stories by their "rank" (manual backlog order, see command "moveStory" on the server). The story with the lowest rank is at the top of the backlog.
+ * Stories without a rank are sorted after ranked stories and keep their order.
+ *
+ * @param {object} sA
+ * @param {object} sB
+ * @return {number}
+ */
+export function compareByRank(sA, sB) {
+  if (hasRank(sA) && hasRank(sB)) {
+    return sA.rank - sB.rank;
+  }
+  if (hasRank(sA) !== hasRank(sB)) {
+    return hasRank(sA) ? -1 : 1;
+  }
+  return 0;
+}
+
+const hasRank = (story) => typeof story.rank === 'number';
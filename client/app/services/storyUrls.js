@@ -0,0 +1,27 @@
+const STORY_URL_PATTERN = /^https?:\/\/\S+$/;
+
+/**
+ * Whether the given input can be sent as "url" of a story (see commands "addStory" and "changeStory"): empty or an absolute http(s) url.
+ *
+ * @param {string} urlInput
+ * @return {boolean}
+ */
+export const isValidStoryUrlInput = (urlInput) => !urlInput || STORY_URL_PATTERN.test(urlInput);
+
+/**
+ * Returns the url of the given story. An explicitly set "url" wins over the url built from the issue url template of the room.
+ * Must match "getStoryUrl" on the server (used for exports).
+ *
+ * @param {object} story
+ * @param {string} [issueUrlTemplate] e.g. "https://jira.example.com/browse/{key}"
+ * @return {string|undefined}
+ */
+export function getStoryUrl(story, issueUrlTemplate) {
+  if (story.url) {
+    return story.url;
+  }
+  if (story.key && issueUrlTemplate) {
+    return issueUrlTemplate.replace(/\{key\}/g, encodeURIComponent(story.key));
+  }
+  return undefined;
+}
@@ -56,6 +56,24 @@ function setHideNewUserHints(flag) {
   setItem('hideNewUserHints', flag);
 }
 
+/**
+ * Room templates saved by the user (see services/roomTemplates.js)
+ *
+ * @return {object[]} never undefined
+ */
+function getRoomTemplates() {
+  try {
+    const templates = JSON.parse(getItem('roomTemplates'));
+    return Array.isArray(templates) ? templates : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function setRoomTemplates(templates) {
+  setItem('roomTemplates', JSON.stringify(templates));
+}
+
 export default {
   getPresetUsername,
   setPresetUsername,
@@ -68,5 +86,7 @@ export default {
   getPresetUserId,
   setPresetUserId,
   getHideNewUserHints,
-  setHideNewUserHints
+  setHideNewUserHints,
+  getRoomTemplates,
+  setRoomTemplates
 };
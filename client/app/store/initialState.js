@@ -24,11 +24,13 @@ const INITIAL_STATE = () => ({
   presetEmail: clientSettingsStore.getPresetEmail(),
   presetUserId: clientSettingsStore.getPresetUserId(),
   presetAvatar: clientSettingsStore.getPresetAvatar(),
+  roomTemplates: clientSettingsStore.getRoomTemplates(), // room templates saved by the user. built-in templates are not part of the state
   backlogShown: false, // only relevant in mobile view. in desktop the backlog is always visible and not "toggleable"
   sidebar: undefined,
   stories: {}, // in our frontend, we store stories as object (key is the story's id). this differs from the PoinZ Backend, where stories is a array...
   users: {}, // in our frontend, we store users as object (key is the user's id). this differs from the PoinZ Backend, where users is a array...
   estimations: {},
+  roomRevision: undefined, // revision of the room, as received with the last event (incremented by the backend with every command in the room)
   actionLog: [], // will contain human readable "log messages" of actions that did take place in the current room
   pendingCommands: {}, // will contain pending commands (commands for which no event is received yet)
   backlogFilterQuery: '',
@@ -15,7 +15,9 @@ import {
   TOGGLE_BACKLOG,
   SHOW_TRASH,
   HIDE_TRASH,
-  ROOM_STATE_FETCHED
+  ROOM_STATE_FETCHED,
+  ROOM_TEMPLATE_SAVED,
+  ROOM_TEMPLATE_DELETED
 } from '../../app/actions/types';
 
 import {
@@ -273,7 +275,8 @@ test(ROOM_STATE_FETCHED, () => {
         emailHash: '349256fe3ca7a83b273f4c609c6a2a87'
       }
     ],
-    cardConfig: [{label: 'some', value: '1', color: 'red'}]
+    cardConfig: [{label: 'some', value: '1', color: 'red'}],
+    revision: 7
   };
 
   let modifiedState = clientActionReducer(startingState, {
@@ -308,4 +311,87 @@ test(ROOM_STATE_FETCHED, () => {
   });
 
   expect(modifiedState.cardConfig.length).toBe(1);
+  expect(modifiedState.roomRevision).toBe(7);
+});
+
+test(ROOM_STATE_FETCHED + ' : fetched room older than our state is ignored', () => {
+  const startingState = initialState();
+  const roomId = uuid();
+  startingState.roomId = roomId;
+  startingState.roomRevision = 8; // events of a later command were received while fetching
+
+  const modifiedState = clientActionReducer(startingState, {
+    type: ROOM_STATE_FETCHED,
+    room: {id: roomId, stories: [], users: [], cardConfig: [], revision: 7}
+  });
+
+  expect(modifiedState).toBe(startingState);
+});
+
+test(ROOM_TEMPLATE_SAVED + ' and ' + ROOM_TEMPLATE_DELETED, () => {
+  const startingState = initialState();
+  expect(startingState.roomTemplates).toEqual([]);
+
+  const template = {
+    id: uuid(),
+    name: 'Our team',
+    cardConfig: [{label: 'S', value: 1, color: '#8cb876'}],
+    autoReveal: false
+  };
+
+  let modifiedState = clientActionReducer(startingState, {type: ROOM_TEMPLATE_SAVED, template});
+  expect(modifiedState.roomTemplates).toEqual([template]);
+
+  modifiedState = clientActionReducer(modifiedState, {
+    type: ROOM_TEMPLATE_DELETED,
+    templateId: template.id
+  });
+  expect(modifiedState.roomTemplates).toEqual([]);
+});
+
+test(ROOM_STATE_FETCHED + ' : keeps own estimation of sealed story and restores timer', () => {
+  const startingState = initialState();
+  const roomId = uuid();
+  const ownUserId = uuid();
+  const otherUserId = uuid();
+  const storyId = uuid();
+  startingState.roomId = roomId;
+  startingState.userId = ownUserId;
+  startingState.roomRevision = 4;
+  startingState.estimations = {
+    [storyId]: {[ownUserId]: 5}
+  };
+
+  const modifiedState = clientActionReducer(startingState, {
+    type: ROOM_STATE_FETCHED,
+    room: {
+      id: roomId,
+      selectedStory: storyId,
+      stories: [
+        {
+          id: storyId,
+          title: 'sealed',
+          estimations: {[ownUserId]: true, [otherUserId]: true}
+        }
+      ],
+      users: [{id: ownUserId}, {id: otherUserId}],
+      cardConfig: [],
+      revision: 6,
+      timer: {storyId, duration: 60, startedBy: otherUserId, startedAt: 1, remaining: 30000}
+    }
+  });
+
+  // the value of our own estimation is kept, the estimation of the other user stays sealed
+  expect(modifiedState.estimations).toEqual({
+    [storyId]: {[ownUserId]: 5, [otherUserId]: true}
+  });
+
+  expect(modifiedState.timer).toEqual({
+    storyId,
+    duration: 60,
+    startedBy: otherUserId,
+    endsAt: expect.any(Number)
+  });
+  expect(modifiedState.timer.endsAt - Date.now()).toBeGreaterThan(20000);
+  expect(modifiedState.timer.endsAt - Date.now()).toBeLessThanOrEqual(30000);
 });
@@ -0,0 +1,45 @@
+import {parseCsvHeaders, guessCsvColumnMapping} from '../../app/services/csvHeaders';
+
+test('#parseCsvHeaders comma separated', () => {
+  expect(parseCsvHeaders('Summary,Issue key,Description\nfirst,PRJ-1,descr')).toEqual([
+    'Summary',
+    'Issue key',
+    'Description'
+  ]);
+});
+
+test('#parseCsvHeaders semicolon separated with byte order mark and quotes', () => {
+  expect(parseCsvHeaders('\ufeffName;"Details, long";"Say ""hi"""\r\nfirst;some;hi')).toEqual([
+    'Name',
+    'Details, long',
+    'Say "hi"'
+  ]);
+});
+
+test('#parseCsvHeaders tab separated', () => {
+  expect(parseCsvHeaders('ID\tTitle\tEffort')).toEqual(['ID', 'Title', 'Effort']);
+});
+
+test('#guessCsvColumnMapping well-known columns', () => {
+  expect(
+    guessCsvColumnMapping(['Issue key', 'Summary', 'Description', 'Story Points', 'Labels', 'Link'])
+  ).toEqual({
+    title: 'Summary',
+    key: 'Issue key',
+    url: 'Link',
+    description: 'Description',
+    estimate: 'Story Points',
+    labels: 'Labels'
+  });
+});
+
+test('#guessCsvColumnMapping unknown columns', () => {
+  expect(guessCsvColumnMapping(['ID', 'Name', 'Details'])).toEqual({
+    title: 'ID',
+    key: '',
+    url: '',
+    description: '',
+    estimate: '',
+    labels: ''
+  });
+});
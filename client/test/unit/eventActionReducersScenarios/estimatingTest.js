@@ -25,7 +25,7 @@ test('Estimation with two users', () => {
       roomId: events[0].roomId,
       pendingJoinCommandId: joinedEvtOne.correlationId
     },
-    events.slice(0, 11) // up until first story estimate given
+    events.slice(0, 11) // up until first story estimate given (value is sealed)
   );
 
   expect(modifiedState.stories[storyIdOne]).toEqual({
@@ -41,35 +41,68 @@ test('Estimation with two users', () => {
     title: 'ISSUE-SUPER-5'
   });
 
+  expect(modifiedState.estimations).toEqual({
+    [storyIdOne]: {
+      [joinedEvtOne.userId]: true
+    }
+  });
+
+  modifiedState = reduceMultipleEvents(modifiedState, [events[11]]); //  ownEstimateGiven (restricted)
   expect(modifiedState.estimations).toEqual({
     [storyIdOne]: {
       [joinedEvtOne.userId]: 3
     }
   });
 
-  modifiedState = reduceMultipleEvents(modifiedState, [events[11]]); //  storyEstimateCleared
+  modifiedState = reduceMultipleEvents(modifiedState, [events[12]]); //  storyEstimateCleared
   expect(modifiedState.estimations).toEqual({
     [storyIdOne]: {
       // no estimations for this story anymore
     }
   });
 
-  modifiedState = reduceMultipleEvents(modifiedState, events.slice(12, 14)); // both did estimate
+  // both did estimate. we don't get the "ownEstimateGiven" event of the other user (event 16)
+  modifiedState = reduceMultipleEvents(modifiedState, events.slice(13, 16));
   expect(modifiedState.estimations).toEqual({
     [storyIdOne]: {
       [joinedEvtOne.userId]: 5,
-      [joinedEvtTwo.userId]: 5
+      [joinedEvtTwo.userId]: true // sealed
     }
   });
 
-  modifiedState = reduceMultipleEvents(modifiedState, events.slice(14, 16)); // revealed and consensus
+  modifiedState = reduceMultipleEvents(modifiedState, events.slice(17, 19)); // revealed and consensus
   expect(modifiedState.stories[storyIdOne].revealed).toBe(true);
   expect(modifiedState.stories[storyIdOne].consensus).toBe(5);
   expect(modifiedState.applause).toBe(true);
+  expect(modifiedState.estimations).toEqual({
+    [storyIdOne]: {
+      [joinedEvtOne.userId]: 5,
+      [joinedEvtTwo.userId]: 5 // values are sent with "revealed"
+    }
+  });
+  expect(modifiedState.stories[storyIdOne].stats).toMatchObject({
+    estimationCount: 2,
+    mean: 5,
+    median: 5,
+    standardDeviation: 0,
+    distribution: [{value: 5, count: 2}]
+  });
 
-  modifiedState = reduceMultipleEvents(modifiedState, [events[16]]); // new round
+  modifiedState = reduceMultipleEvents(modifiedState, [events[19]]); // new round
   expect(modifiedState.stories[storyIdOne].revealed).toBe(false); // story no longer revealed
   expect(modifiedState.stories[storyIdOne].consensus).toBe(undefined);
+  expect(modifiedState.stories[storyIdOne].stats).toBe(undefined);
+  expect(modifiedState.stories[storyIdOne].rounds).toEqual([
+    expect.objectContaining({
+      estimations: {
+        [joinedEvtOne.userId]: 5,
+        [joinedEvtTwo.userId]: 5
+      },
+      revealedAt: expect.any(Number),
+      revealedBy: joinedEvtTwo.userId,
+      consensus: 5
+    })
+  ]); // revealed round is archived
   expect(modifiedState.estimations).toEqual({
     // old values for story removed
   });
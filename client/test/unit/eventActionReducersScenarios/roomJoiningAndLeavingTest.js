@@ -15,7 +15,7 @@ test('You join an existing room', () => {
   const otherJoinEvent = events[2];
   const otherUserId = otherJoinEvent.userId;
 
-  const ourJoinEvent = events[9];
+  const ourJoinEvent = events[10];
   const ourUserId = ourJoinEvent.userId;
 
   const storyAddedEvent = events[4];
@@ -27,7 +27,7 @@ test('You join an existing room', () => {
       roomId: events[0].roomId,
       pendingJoinCommandId: ourJoinEvent.correlationId
     },
-    events.slice(9, 13) // skip everything up until second user (that's us!) joined
+    events.slice(10, 14) // skip everything up until second user (that's us!) joined
   );
 
   expect(modifiedState.autoReveal).toBe(true);
@@ -40,6 +40,7 @@ test('You join an existing room', () => {
       avatar: 0,
       disconnected: false,
       id: otherUserId,
+      role: 'moderator', // room creator
       username: 'Jim'
     },
     [ourUserId]: {
@@ -61,7 +62,20 @@ test('You join an existing room', () => {
       createdAt: storyAddedEvent.payload.createdAt,
       description: storyAddedEvent.payload.description,
       consensus: 4,
-      revealed: true
+      revealed: true,
+      revealedAt: expect.any(Number),
+      revealedBy: otherUserId,
+      stats: {
+        estimationCount: 1,
+        mean: 4,
+        median: 4,
+        min: 4,
+        max: 4,
+        standardDeviation: 0,
+        distribution: [{value: 4, count: 1}],
+        highestVoters: [otherUserId],
+        lowestVoters: [otherUserId]
+      }
     }
   });
 
@@ -73,9 +87,9 @@ test('You join an existing room', () => {
   });
 
   expect(clientSettingsStore.getPresetUserId()).toEqual(ourUserId);
-  expect(clientSettingsStore.getPresetAvatar()).toEqual(events[10].payload.avatar);
-  expect(clientSettingsStore.getPresetUsername()).toEqual(events[11].payload.username);
-  expect(clientSettingsStore.getPresetEmail()).toEqual(events[12].payload.email);
+  expect(clientSettingsStore.getPresetAvatar()).toEqual(events[11].payload.avatar);
+  expect(clientSettingsStore.getPresetUsername()).toEqual(events[12].payload.username);
+  expect(clientSettingsStore.getPresetEmail()).toEqual(events[13].payload.email);
 });
 
 test('You in a room, other user joins ', () => {
@@ -84,7 +98,7 @@ test('You in a room, other user joins ', () => {
   const ourJoinEvent = events[2];
   const ourUserId = ourJoinEvent.userId;
 
-  const otherJoinEvent = events[9];
+  const otherJoinEvent = events[10];
   const otherUserId = otherJoinEvent.userId;
 
   modifiedState = reduceMultipleEvents(
@@ -93,7 +107,7 @@ test('You in a room, other user joins ', () => {
       roomId: events[0].roomId,
       pendingJoinCommandId: ourJoinEvent.correlationId
     },
-    events.slice(0, 13)
+    events.slice(0, 14)
   );
 
   expect(modifiedState.roomId).toEqual(ourJoinEvent.roomId);
@@ -113,6 +127,7 @@ test('You in a room, other user joins ', () => {
       avatar: 0,
       disconnected: false,
       id: ourUserId,
+      role: 'moderator',
       username: 'Jim'
     }
   });
@@ -126,7 +141,7 @@ test('You join an existing room, the other leaves', () => {
   const otherJoinEvent = events[1];
   const otherUserId = otherJoinEvent.userId;
 
-  const ourJoinEvent = events[9];
+  const ourJoinEvent = events[10];
   const ourUserId = ourJoinEvent.userId;
 
   const storyAddedEvent = events[4];
@@ -138,14 +153,14 @@ test('You join an existing room, the other leaves', () => {
       roomId: events[0].roomId,
       pendingJoinCommandId: ourJoinEvent.correlationId
     },
-    events.slice(9, 13) // skip everything up until second user (that's us!) joined
+    events.slice(10, 14) // skip everything up until second user (that's us!) joined
   );
 
   expect(modifiedState.roomId).toEqual(events[0].roomId);
   expect(modifiedState.userId).toEqual(ourUserId); // we got the userId from the server, correctly set to state
   expect(Object.values(modifiedState.users).length).toBe(2);
 
-  modifiedState = reduceMultipleEvents(modifiedState, [events[13]]); // leftRoom event
+  modifiedState = reduceMultipleEvents(modifiedState, [events[14]]); // leftRoom event
   expect(modifiedState.roomId).toEqual(events[0].roomId);
   expect(modifiedState.userId).toEqual(ourUserId);
   expect(Object.values(modifiedState.users).length).toBe(1); // only one user left
@@ -157,7 +172,10 @@ test('You join an existing room, the other leaves', () => {
       id: storyId,
       consensus: 4,
       revealed: true,
-      createdAt: storyAddedEvent.payload.createdAt
+      revealedAt: expect.any(Number),
+      revealedBy: otherUserId,
+      createdAt: storyAddedEvent.payload.createdAt,
+      stats: expect.objectContaining({estimationCount: 1, mean: 4})
     }
   });
 
@@ -179,11 +197,11 @@ test('You in a room, other user joins, you leave', () => {
       roomId: events[0].roomId,
       pendingJoinCommandId: ourJoinEvent.correlationId
     },
-    events.slice(0, 13)
+    events.slice(0, 14)
   );
   expect(Object.values(modifiedState.users).length).toBe(2);
 
-  modifiedState = reduceMultipleEvents(modifiedState, [events[13]]);
+  modifiedState = reduceMultipleEvents(modifiedState, [events[14]]);
 
   // When own user leaves, state is reset. except, actionLog has one new entry (log is added after event reduced).
   expect(modifiedState.actionLog.length).toBe(1);
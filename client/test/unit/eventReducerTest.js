@@ -59,3 +59,663 @@ test('ignores actions where no matching eventAction handler', () => {
 
   expect(modifiedState).toBe(startingState);
 });
+
+test('userRoleSet: sets role of user and writes log item', () => {
+  const roomId = uuid();
+  const userIdOne = uuid();
+  const userIdTwo = uuid();
+
+  const startingState = {
+    ...initialState(),
+    roomId,
+    userId: userIdOne,
+    users: {
+      [userIdOne]: {id: userIdOne, username: 'Jim', role: 'moderator'},
+      [userIdTwo]: {id: userIdTwo, username: 'John', role: 'participant'}
+    }
+  };
+
+  const modifiedState = eventReducer(startingState, {
+    event: {
+      userId: userIdOne,
+      roomId,
+      payload: {
+        userId: userIdTwo,
+        role: 'moderator'
+      }
+    },
+    type: EVENT_ACTION_TYPES.userRoleSet
+  });
+
+  expect(modifiedState.users[userIdTwo].role).toBe('moderator');
+  expect(modifiedState.actionLog.length).toBe(1);
+});
+
+test('moderatorAssigned: sets role of user and writes log item', () => {
+  const roomId = uuid();
+  const userIdOne = uuid();
+  const userIdTwo = uuid();
+
+  const startingState = {
+    ...initialState(),
+    roomId,
+    userId: userIdTwo,
+    users: {
+      [userIdTwo]: {id: userIdTwo, username: 'John', role: 'participant'}
+    }
+  };
+
+  const modifiedState = eventReducer(startingState, {
+    event: {
+      userId: userIdOne, // the moderator that left the room
+      roomId,
+      payload: {
+        userId: userIdTwo
+      }
+    },
+    type: EVENT_ACTION_TYPES.moderatorAssigned
+  });
+
+  expect(modifiedState.users[userIdTwo].role).toBe('moderator');
+  expect(modifiedState.actionLog.length).toBe(1);
+  expect(modifiedState.actionLog[0].message).toBe('John is now the moderator');
+});
+
+test('storySettled: sets consensus on story and writes log item', () => {
+  const roomId = uuid();
+  const userId = uuid();
+  const storyId = uuid();
+
+  const startingState = {
+    ...initialState(),
+    roomId,
+    userId,
+    users: {
+      [userId]: {id: userId, username: 'Jim'}
+    },
+    stories: {
+      [storyId]: {id: storyId, title: 'some story', revealed: true}
+    },
+    cardConfig: [
+      {label: '3', value: 3, color: 'green'},
+      {label: '5', value: 5, color: 'red'}
+    ]
+  };
+
+  const modifiedState = eventReducer(startingState, {
+    event: {
+      userId,
+      roomId,
+      payload: {
+        storyId,
+        value: 5
+      }
+    },
+    type: EVENT_ACTION_TYPES.storySettled
+  });
+
+  expect(modifiedState.stories[storyId].consensus).toBe(5);
+  expect(modifiedState.actionLog.length).toBe(1);
+  expect(modifiedState.actionLog[0].message).toBe('Jim settled story "some story" on 5');
+});
+
+test('storyAdded: imported story with consensus and estimations', () => {
+  const roomId = uuid();
+  const userId = uuid();
+  const storyId = uuid();
+
+  const startingState = {
+    ...initialState(),
+    roomId,
+    userId,
+    users: {
+      [userId]: {id: userId, username: 'Jim'}
+    },
+    stories: {},
+    estimations: {}
+  };
+
+  const modifiedState = eventReducer(startingState, {
+    event: {
+      userId,
+      roomId,
+      payload: {
+        storyId,
+        title: 'imported story',
+        estimations: {[userId]: 3},
+        consensus: 3,
+        revealed: true,
+        createdAt: 1600000000000
+      }
+    },
+    type: EVENT_ACTION_TYPES.storyAdded
+  });
+
+  expect(modifiedState.stories[storyId]).toMatchObject({
+    id: storyId,
+    title: 'imported story',
+    consensus: 3,
+    revealed: true
+  });
+  expect(modifiedState.estimations[storyId]).toEqual({[userId]: 3});
+  expect(modifiedState.actionLog[0].message).toBe('Jim added new story "imported story"');
+});
+
+test('storyChanged: sets labels, keeps them if not in payload', () => {
+  const roomId = uuid();
+  const userId = uuid();
+  const storyId = uuid();
+
+  const startingState = {
+    ...initialState(),
+    roomId,
+    userId,
+    users: {
+      [userId]: {id: userId, username: 'Jim'}
+    },
+    stories: {
+      [storyId]: {id: storyId, title: 'some story', labels: ['frontend'], editMode: true}
+    }
+  };
+
+  let modifiedState = eventReducer(startingState, {
+    event: {
+      userId,
+      roomId,
+      payload: {storyId, title: 'changed story', description: ''}
+    },
+    type: EVENT_ACTION_TYPES.storyChanged
+  });
+  expect(modifiedState.stories[storyId]).toMatchObject({
+    title: 'changed story',
+    labels: ['frontend'],
+    editMode: false
+  });
+
+  modifiedState = eventReducer(modifiedState, {
+    event: {
+      userId,
+      roomId,
+      payload: {storyId, title: 'changed story', description: '', labels: ['backend', 'spike']}
+    },
+    type: EVENT_ACTION_TYPES.storyChanged
+  });
+  expect(modifiedState.stories[storyId].labels).toEqual(['backend', 'spike']);
+});
+
+test('storyChanged: sets key and url, keeps them if not in payload, removes them if empty', () => {
+  const roomId = uuid();
+  const userId = uuid();
+  const storyId = uuid();
+
+  const startingState = {
+    ...initialState(),
+    roomId,
+    userId,
+    users: {
+      [userId]: {id: userId, username: 'Jim'}
+    },
+    stories: {
+      [storyId]: {id: storyId, title: 'some story', key: 'PRJ-1'}
+    }
+  };
+
+  let modifiedState = eventReducer(startingState, {
+    event: {
+      userId,
+      roomId,
+      payload: {storyId, title: 'changed story', description: '', url: 'https://example.com/1'}
+    },
+    type: EVENT_ACTION_TYPES.storyChanged
+  });
+  expect(modifiedState.stories[storyId]).toMatchObject({
+    key: 'PRJ-1',
+    url: 'https://example.com/1'
+  });
+
+  modifiedState = eventReducer(modifiedState, {
+    event: {
+      userId,
+      roomId,
+      payload: {storyId, title: 'changed story', description: '', key: '', url: ''}
+    },
+    type: EVENT_ACTION_TYPES.storyChanged
+  });
+  expect(modifiedState.stories[storyId].key).toBeUndefined();
+  expect(modifiedState.stories[storyId].url).toBeUndefined();
+});
+
+test('storyChanged and storySettled: sets and removes own card deck of story, uses it for log item', () => {
+  const roomId = uuid();
+  const userId = uuid();
+  const storyId = uuid();
+  const storyCardConfig = [
+    {label: 'S', value: 1, color: 'green', position: 0},
+    {label: 'M', value: 2, color: 'red', position: 1}
+  ];
+
+  const startingState = {
+    ...initialState(),
+    roomId,
+    userId,
+    users: {
+      [userId]: {id: userId, username: 'Jim'}
+    },
+    stories: {
+      [storyId]: {id: storyId, title: 'some story', revealed: true}
+    },
+    cardConfig: [{label: '2', value: 2, color: 'green', position: 0}]
+  };
+
+  let modifiedState = eventReducer(startingState, {
+    event: {
+      userId,
+      roomId,
+      payload: {storyId, title: 'some story', description: '', cardConfig: storyCardConfig}
+    },
+    type: EVENT_ACTION_TYPES.storyChanged
+  });
+  expect(modifiedState.stories[storyId].cardConfig).toEqual(storyCardConfig);
+
+  modifiedState = eventReducer(modifiedState, {
+    event: {
+      userId,
+      roomId,
+      payload: {storyId, value: 2}
+    },
+    type: EVENT_ACTION_TYPES.storySettled
+  });
+  expect(modifiedState.actionLog[0].message).toBe('Jim settled story "some story" on M');
+
+  // kept, if not in payload
+  modifiedState = eventReducer(modifiedState, {
+    event: {
+      userId,
+      roomId,
+      payload: {storyId, title: 'some story', description: ''}
+    },
+    type: EVENT_ACTION_TYPES.storyChanged
+  });
+  expect(modifiedState.stories[storyId].cardConfig).toEqual(storyCardConfig);
+
+  // removed, if empty
+  modifiedState = eventReducer(modifiedState, {
+    event: {
+      userId,
+      roomId,
+      payload: {storyId, title: 'some story', description: '', cardConfig: []}
+    },
+    type: EVENT_ACTION_TYPES.storyChanged
+  });
+  expect(modifiedState.stories[storyId].cardConfig).toBeUndefined();
+});
+
+test('cardConfigSet: sets card config and clears estimations of stories with estimations not matching a card', () => {
+  const roomId = uuid();
+  const userId = uuid();
+  const otherUserId = uuid();
+  const storyId = uuid();
+
+  const startingState = {
+    ...initialState(),
+    roomId,
+    userId,
+    users: {
+      [userId]: {id: userId, username: 'Jim'},
+      [otherUserId]: {id: otherUserId, username: 'John'}
+    },
+    stories: {
+      [storyId]: {id: storyId, title: 'some story'}
+    },
+    estimations: {
+      [storyId]: {[userId]: 8, [otherUserId]: 3}
+    }
+  };
+
+  const cardConfig = [{label: '3', value: 3, color: 'red', position: 0, weight: 3}];
+  const modifiedState = eventReducer(startingState, {
+    event: {
+      userId,
+      roomId,
+      payload: {cardConfig, storiesWithClearedEstimations: [storyId]}
+    },
+    type: EVENT_ACTION_TYPES.cardConfigSet
+  });
+
+  expect(modifiedState.cardConfig).toEqual(cardConfig);
+  expect(modifiedState.estimations[storyId]).toBeUndefined();
+  expect(modifiedState.actionLog[0].message).toBe(
+    'Jim set new custom card configuration for this room. Estimations of 1 story(ies) were cleared, some did not match a card'
+  );
+});
+
+test('commandRejected: rejected estimation is logged with a clear message', () => {
+  const roomId = uuid();
+  const userId = uuid();
+
+  const startingState = {
+    ...initialState(),
+    roomId,
+    userId,
+    users: {
+      [userId]: {id: userId, username: 'Jim'}
+    }
+  };
+
+  const modifiedState = eventReducer(startingState, {
+    event: {
+      userId,
+      roomId,
+      payload: {
+        command: {name: 'giveStoryEstimate', payload: {storyId: uuid(), value: 4}},
+        reason:
+          'Precondition Error during "giveStoryEstimate": Given value 4 does not match any card of this room!'
+      }
+    },
+    type: EVENT_ACTION_TYPES.commandRejected
+  });
+
+  expect(modifiedState.unseenError).toBe(true);
+  expect(modifiedState.actionLog[0]).toMatchObject({
+    message: 'Your estimate was rejected: Given value 4 does not match any card of this room!',
+    isError: true
+  });
+});
+
+test('stores the room revision of events', () => {
+  const roomId = uuid();
+  const userId = uuid();
+
+  const startingState = {
+    ...initialState(),
+    roomId,
+    userId,
+    users: {
+      [userId]: {id: userId, username: 'Jim'}
+    },
+    roomRevision: 6
+  };
+
+  let modifiedState = eventReducer(startingState, {
+    event: {
+      userId,
+      roomId,
+      revision: 7,
+      payload: {}
+    },
+    type: EVENT_ACTION_TYPES.connectionLost
+  });
+  expect(modifiedState.roomRevision).toBe(7);
+
+  // events without revision (e.g. commandRejected) do not change it
+  modifiedState = eventReducer(modifiedState, {
+    event: {
+      userId,
+      roomId,
+      payload: {command: {name: 'addStory'}, reason: 'some reason'}
+    },
+    type: EVENT_ACTION_TYPES.commandRejected
+  });
+  expect(modifiedState.roomRevision).toBe(7);
+
+  // not set after we left the room
+  modifiedState = eventReducer(modifiedState, {
+    event: {
+      userId,
+      roomId,
+      revision: 8,
+      payload: {}
+    },
+    type: EVENT_ACTION_TYPES.roomDeleted
+  });
+  expect(modifiedState.roomRevision).toBeUndefined();
+});
+
+test('roomDeleted: resets the state', () => {
+  const roomId = uuid();
+  const userId = uuid();
+
+  const startingState = {
+    ...initialState(),
+    roomId,
+    userId,
+    users: {
+      [userId]: {id: userId, username: 'Jim'}
+    },
+    stories: {
+      [uuid()]: {title: 'some story'}
+    }
+  };
+
+  const modifiedState = eventReducer(startingState, {
+    event: {
+      userId,
+      roomId,
+      payload: {}
+    },
+    type: EVENT_ACTION_TYPES.roomDeleted
+  });
+
+  expect(modifiedState.roomId).toBeUndefined();
+  expect(modifiedState.stories).toEqual(initialState().stories);
+});
+
+test('issueUrlTemplateSet: sets and removes template and writes log item', () => {
+  const roomId = uuid();
+  const userId = uuid();
+
+  const startingState = {
+    ...initialState(),
+    roomId,
+    userId,
+    users: {
+      [userId]: {id: userId, username: 'Jim'}
+    }
+  };
+
+  let modifiedState = eventReducer(startingState, {
+    event: {
+      userId,
+      roomId,
+      payload: {issueUrlTemplate: 'https://jira.example.com/browse/{key}'}
+    },
+    type: EVENT_ACTION_TYPES.issueUrlTemplateSet
+  });
+  expect(modifiedState.issueUrlTemplate).toBe('https://jira.example.com/browse/{key}');
+  expect(modifiedState.actionLog[0].message).toBe(
+    'Jim set the issue url template to "https://jira.example.com/browse/{key}"'
+  );
+
+  modifiedState = eventReducer(modifiedState, {
+    event: {
+      userId,
+      roomId,
+      payload: {issueUrlTemplate: ''}
+    },
+    type: EVENT_ACTION_TYPES.issueUrlTemplateSet
+  });
+  expect(modifiedState.issueUrlTemplate).toBeUndefined();
+  expect(modifiedState.actionLog[0].message).toBe('Jim removed the issue url template');
+});
+
+test('webhookAdded and webhookRemoved: adds and removes webhook, writes log items', () => {
+  const roomId = uuid();
+  const userId = uuid();
+  const webhookId = uuid();
+
+  const startingState = {
+    ...initialState(),
+    roomId,
+    userId,
+    users: {
+      [userId]: {id: userId, username: 'Jim'}
+    },
+    webhooks: []
+  };
+
+  let modifiedState = eventReducer(startingState, {
+    event: {
+      userId,
+      roomId,
+      payload: {
+        webhookId,
+        url: 'https://tools.example.com/hook',
+        events: ['revealed', 'storyAdded']
+      }
+    },
+    type: EVENT_ACTION_TYPES.webhookAdded
+  });
+  expect(modifiedState.webhooks).toEqual([
+    {id: webhookId, url: 'https://tools.example.com/hook', events: ['revealed', 'storyAdded']}
+  ]);
+  expect(modifiedState.actionLog[0].message).toBe('Jim added a webhook for revealed, storyAdded');
+
+  modifiedState = eventReducer(modifiedState, {
+    event: {
+      userId,
+      roomId,
+      payload: {webhookId}
+    },
+    type: EVENT_ACTION_TYPES.webhookRemoved
+  });
+  expect(modifiedState.webhooks).toEqual([]);
+  expect(modifiedState.actionLog[0].message).toBe('Jim removed a webhook');
+});
+
+test('storyMoved: sets ranks of stories and writes log item', () => {
+  const roomId = uuid();
+  const userId = uuid();
+  const storyIdOne = uuid();
+  const storyIdTwo = uuid();
+  const trashedStoryId = uuid();
+
+  const startingState = {
+    ...initialState(),
+    roomId,
+    userId,
+    users: {
+      [userId]: {id: userId, username: 'Jim'}
+    },
+    stories: {
+      [storyIdOne]: {id: storyIdOne, title: 'first story', rank: 0},
+      [storyIdTwo]: {id: storyIdTwo, title: 'second story', rank: 1},
+      [trashedStoryId]: {id: trashedStoryId, title: 'trashed story', rank: 2, trashed: true}
+    }
+  };
+
+  const modifiedState = eventReducer(startingState, {
+    event: {
+      userId,
+      roomId,
+      payload: {
+        storyId: storyIdTwo,
+        ranks: {
+          [storyIdTwo]: 0,
+          [storyIdOne]: 1
+        }
+      }
+    },
+    type: EVENT_ACTION_TYPES.storyMoved
+  });
+
+  expect(modifiedState.stories[storyIdOne].rank).toBe(1);
+  expect(modifiedState.stories[storyIdTwo].rank).toBe(0);
+  expect(modifiedState.stories[trashedStoryId]).toBe(startingState.stories[trashedStoryId]);
+  expect(modifiedState.actionLog[0].message).toBe('Jim moved story "second story" in the backlog');
+});
+
+test('timerStarted, timerStopped and revealed: sets and removes timer', () => {
+  const roomId = uuid();
+  const userId = uuid();
+  const storyId = uuid();
+
+  const startingState = {
+    ...initialState(),
+    roomId,
+    userId,
+    users: {
+      [userId]: {id: userId, username: 'Jim'}
+    },
+    stories: {
+      [storyId]: {id: storyId, title: 'some story'}
+    }
+  };
+
+  const timerStartedAction = {
+    event: {
+      userId,
+      roomId,
+      payload: {
+        storyId,
+        duration: 60,
+        startedAt: Date.now()
+      }
+    },
+    type: EVENT_ACTION_TYPES.timerStarted
+  };
+
+  let modifiedState = eventReducer(startingState, timerStartedAction);
+  expect(modifiedState.timer).toEqual({
+    storyId,
+    duration: 60,
+    startedBy: userId,
+    endsAt: expect.any(Number)
+  });
+  expect(modifiedState.timer.endsAt).toBeGreaterThan(Date.now() + 59000);
+  expect(modifiedState.actionLog[0].message).toBe(
+    'Jim started a timer of 60 seconds for story "some story"'
+  );
+
+  modifiedState = eventReducer(modifiedState, {
+    event: {userId, roomId, payload: {storyId}},
+    type: EVENT_ACTION_TYPES.timerStopped
+  });
+  expect(modifiedState.timer).toBeUndefined();
+
+  modifiedState = eventReducer(modifiedState, timerStartedAction);
+  modifiedState = eventReducer(modifiedState, {
+    event: {
+      userId,
+      roomId,
+      payload: {storyId, manually: false, timerExpired: true, estimations: {}}
+    },
+    type: EVENT_ACTION_TYPES.revealed
+  });
+  expect(modifiedState.timer).toBeUndefined();
+  expect(modifiedState.actionLog[0].message).toBe(
+    'Timer expired. Estimates were revealed for story "some story"'
+  );
+});
+
+test(EVENT_ACTION_TYPES.joinedRoom + ' : other user joins as spectator', () => {
+  const roomId = uuid();
+  const ownUserId = uuid();
+  const spectatorId = uuid();
+
+  const startingState = {
+    ...initialState(),
+    roomId,
+    userId: ownUserId,
+    users: {
+      [ownUserId]: {id: ownUserId, username: 'me', avatar: 0}
+    }
+  };
+
+  const modifiedState = eventReducer(startingState, {
+    event: {
+      userId: spectatorId,
+      roomId,
+      correlationId: uuid(),
+      payload: {
+        users: [
+          {id: ownUserId, username: 'me', avatar: 0},
+          {id: spectatorId, username: 'wallboard', avatar: 0, spectator: true}
+        ]
+      }
+    },
+    type: EVENT_ACTION_TYPES.joinedRoom
+  });
+
+  expect(modifiedState.users[spectatorId].spectator).toBe(true);
+  expect(modifiedState.actionLog[0].message).toBe('wallboard joined as spectator');
+});
@@ -73,6 +73,28 @@ test('all revealed and consensus ', () => {
   expect(findNextStoryIdToEstimate(state)).toBeUndefined();
 });
 
+test('settled on value 0 counts as consensus', () => {
+  const state = {
+    selectedStory: 1,
+    stories: {
+      1: {
+        id: 1,
+        title: 'one',
+        revealed: true,
+        consensus: 5
+      },
+      2: {
+        id: 2,
+        title: 'two',
+        revealed: true,
+        consensus: 0
+      }
+    }
+  };
+
+  expect(findNextStoryIdToEstimate(state)).toBeUndefined();
+});
+
 test('all trashed', () => {
   const state = {
     selectedStory: 1,
@@ -93,3 +115,28 @@ test('all trashed', () => {
 
   expect(findNextStoryIdToEstimate(state)).toBeUndefined();
 });
+
+test('follows manual order (rank)', () => {
+  const state = {
+    selectedStory: 1,
+    stories: {
+      1: {
+        id: 1,
+        title: 'one',
+        rank: 0
+      },
+      2: {
+        id: 2,
+        title: 'two',
+        rank: 2
+      },
+      3: {
+        id: 3,
+        title: 'three',
+        rank: 1
+      }
+    }
+  };
+
+  expect(findNextStoryIdToEstimate(state)).toBe(3);
+});
@@ -0,0 +1,40 @@
+import {v4 as uuid} from 'uuid';
+
+import hasMissedRoomRevision from '../../app/services/hasMissedRoomRevision';
+
+const roomId = uuid();
+
+const event = (revision, correlationId = uuid()) => ({
+  id: uuid(),
+  correlationId,
+  roomId,
+  name: 'storyAdded',
+  revision,
+  payload: {}
+});
+
+test('next revision or same revision (further event of the same command)', () => {
+  const state = {roomId, roomRevision: 4};
+
+  expect(hasMissedRoomRevision(state, event(5))).toBe(false);
+  expect(hasMissedRoomRevision(state, event(4))).toBe(false);
+});
+
+test('skipped revision', () => {
+  const state = {roomId, roomRevision: 4};
+
+  expect(hasMissedRoomRevision(state, event(6))).toBe(true);
+});
+
+test('no revision known yet, or event without revision', () => {
+  expect(hasMissedRoomRevision({roomId}, event(6))).toBe(false);
+  expect(hasMissedRoomRevision({roomId, roomRevision: 4}, event(undefined))).toBe(false);
+});
+
+test('own joinedRoom event or event of other room', () => {
+  const joinCommandId = uuid();
+  const state = {roomId, roomRevision: 4, pendingJoinCommandId: joinCommandId};
+
+  expect(hasMissedRoomRevision(state, event(9, joinCommandId))).toBe(false);
+  expect(hasMissedRoomRevision(state, {...event(9), roomId: uuid()})).toBe(false);
+});
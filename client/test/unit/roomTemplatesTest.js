@@ -0,0 +1,93 @@
+import {
+  BUILT_IN_ROOM_TEMPLATES,
+  findRoomTemplate,
+  getRoomTemplateName,
+  getStoryCardConfigForSelection,
+  KEEP_STORY_CARD_DECK,
+  toRoomTemplateSettings
+} from '../../app/services/roomTemplates';
+
+test('built-in templates have unique ids and unique card values', () => {
+  const ids = BUILT_IN_ROOM_TEMPLATES.map((template) => template.id);
+  expect(new Set(ids).size).toBe(ids.length);
+
+  BUILT_IN_ROOM_TEMPLATES.forEach((template) => {
+    const values = template.cardConfig.map((card) => card.value);
+    expect(new Set(values).size).toBe(values.length);
+    expect(typeof template.autoReveal).toBe('boolean');
+  });
+});
+
+test('built-in templates have card positions, weights only for numeric decks', () => {
+  BUILT_IN_ROOM_TEMPLATES.forEach((template) => {
+    expect(template.cardConfig.map((card) => card.position)).toEqual(
+      template.cardConfig.map((card, index) => index)
+    );
+  });
+
+  const fibonacci = findRoomTemplate([], 'fibonacci');
+  expect(fibonacci.cardConfig[0]).toEqual({label: '?', value: -2, color: '#bdbfbf', position: 0});
+  expect(fibonacci.cardConfig[2]).toEqual({
+    label: '1',
+    value: 1,
+    color: '#839e7a',
+    position: 2,
+    weight: 1
+  });
+
+  const tShirtSizes = findRoomTemplate([], 'tShirtSizes');
+  expect(tShirtSizes.cardConfig.every((card) => card.weight === undefined)).toBe(true);
+});
+
+test('#getRoomTemplateName', () => {
+  const t = (key) => 'translated_' + key;
+
+  expect(getRoomTemplateName(t, BUILT_IN_ROOM_TEMPLATES[0])).toBe('translated_templateFibonacci');
+  expect(getRoomTemplateName(t, {id: 'abc', name: 'Our team'})).toBe('Our team');
+});
+
+test('#toRoomTemplateSettings', () => {
+  const cardConfig = [{label: 'S', value: 1, color: '#8cb876'}];
+
+  expect(
+    toRoomTemplateSettings({id: 'abc', name: 'Our team', cardConfig, autoReveal: false})
+  ).toEqual({cardConfig, autoReveal: false});
+
+  expect(
+    toRoomTemplateSettings({
+      id: 'abc',
+      name: 'Our team',
+      cardConfig,
+      autoReveal: true,
+      issueUrlTemplate: 'https://jira.example.com/browse/{key}'
+    })
+  ).toEqual({
+    cardConfig,
+    autoReveal: true,
+    issueUrlTemplate: 'https://jira.example.com/browse/{key}'
+  });
+});
+
+test('#findRoomTemplate', () => {
+  const savedTemplate = {id: 'abc', name: 'Our team', cardConfig: [], autoReveal: true};
+
+  expect(findRoomTemplate([savedTemplate], 'hours').id).toBe('hours');
+  expect(findRoomTemplate([savedTemplate], 'abc')).toBe(savedTemplate);
+  expect(findRoomTemplate([], 'unknown')).toBeUndefined();
+});
+
+test('#getStoryCardConfigForSelection', () => {
+  const savedTemplate = {
+    id: 'abc',
+    name: 'Our team',
+    cardConfig: [{label: 'S', value: 1, color: '#8cb876', position: 0}],
+    autoReveal: true
+  };
+
+  expect(getStoryCardConfigForSelection([savedTemplate], '')).toEqual([]);
+  expect(getStoryCardConfigForSelection([savedTemplate], KEEP_STORY_CARD_DECK)).toBeUndefined();
+  expect(getStoryCardConfigForSelection([savedTemplate], 'abc')).toEqual(savedTemplate.cardConfig);
+  expect(getStoryCardConfigForSelection([], 'hours')).toEqual(
+    findRoomTemplate([], 'hours').cardConfig
+  );
+});
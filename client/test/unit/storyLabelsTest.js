@@ -0,0 +1,19 @@
+import {parseLabelsInput, formatLabelsInput, getAllLabels} from '../../app/services/storyLabels';
+
+test('#parseLabelsInput', () => {
+  expect(parseLabelsInput(' frontend, spike,,frontend , ')).toEqual(['frontend', 'spike']);
+  expect(parseLabelsInput('')).toEqual([]);
+  expect(parseLabelsInput(undefined)).toEqual([]);
+  expect(parseLabelsInput('x'.repeat(40))).toEqual(['x'.repeat(30)]);
+});
+
+test('#formatLabelsInput', () => {
+  expect(formatLabelsInput(['frontend', 'spike'])).toBe('frontend, spike');
+  expect(formatLabelsInput(undefined)).toBe('');
+});
+
+test('#getAllLabels', () => {
+  expect(
+    getAllLabels([{labels: ['spike', 'frontend']}, {}, {labels: ['backend', 'spike']}])
+  ).toEqual(['backend', 'frontend', 'spike']);
+});
@@ -0,0 +1,20 @@
+import {getStoryUrl, isValidStoryUrlInput} from '../../app/services/storyUrls';
+
+test('#isValidStoryUrlInput', () => {
+  expect(isValidStoryUrlInput('')).toBe(true);
+  expect(isValidStoryUrlInput('https://jira.example.com/browse/PRJ-1')).toBe(true);
+  expect(isValidStoryUrlInput('http://localhost:8080/1')).toBe(true);
+  expect(isValidStoryUrlInput('jira.example.com/browse/PRJ-1')).toBe(false);
+  expect(isValidStoryUrlInput('javascript:alert(1)')).toBe(false);
+});
+
+test('#getStoryUrl', () => {
+  const template = 'https://jira.example.com/browse/{key}';
+
+  expect(getStoryUrl({key: 'PRJ-1'}, template)).toBe('https://jira.example.com/browse/PRJ-1');
+  expect(getStoryUrl({key: 'PRJ-1', url: 'https://example.com/own'}, template)).toBe(
+    'https://example.com/own'
+  );
+  expect(getStoryUrl({key: 'PRJ-1'}, undefined)).toBeUndefined();
+  expect(getStoryUrl({}, template)).toBeUndefined();
+});
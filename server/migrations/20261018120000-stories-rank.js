@@ -0,0 +1,49 @@
+const migrateUtil = require('../migrate-util');
+
+module.exports = {
+  /**
+   * sets a "rank" on all stories (manual backlog ordering) of rooms with stories without a rank. Initial order is the order of the stories in the room.
+   */
+  async up(db) {
+    const ops = [];
+
+    await db
+      .collection('rooms')
+      .find({})
+      .forEach((room) => {
+        if (!room.stories || room.stories.every((story) => typeof story.rank === 'number')) {
+          return;
+        }
+
+        room.stories.forEach((story, index) => {
+          story.rank = index;
+        });
+        migrateUtil.toBulkOps(ops, room);
+      });
+
+    if (ops.length) {
+      return db.collection('rooms').bulkWrite(ops);
+    }
+  },
+
+  /**
+   * removes the rank on every story
+   */
+  async down(db) {
+    const ops = [];
+
+    await db
+      .collection('rooms')
+      .find({})
+      .forEach((room) => {
+        (room.stories || []).forEach((story) => {
+          delete story.rank;
+        });
+        migrateUtil.toBulkOps(ops, room);
+      });
+
+    if (ops.length) {
+      return db.collection('rooms').bulkWrite(ops);
+    }
+  }
+};
@@ -0,0 +1,64 @@
+const migrateUtil = require('../migrate-util');
+
+module.exports = {
+  /**
+   * sets "position" and "weight" on the cards of all rooms with a custom card config without positions.
+   * Position is the index of the card in the config, weight is the value of the card (for cards with a non-negative value, special cards like "?" have no weight).
+   */
+  async up(db) {
+    const ops = [];
+
+    await db
+      .collection('rooms')
+      .find({})
+      .forEach((room) => {
+        if (
+          !Array.isArray(room.cardConfig) ||
+          room.cardConfig.every((card) => typeof card.position === 'number')
+        ) {
+          return;
+        }
+
+        room.cardConfig.forEach((card, index) => {
+          card.position = index;
+          if (card.value >= 0) {
+            card.weight = card.value;
+          }
+        });
+        migrateUtil.toBulkOps(ops, room);
+      });
+
+    if (ops.length) {
+      return db.collection('rooms').bulkWrite(ops);
+    }
+  },
+
+  /**
+   * removes position and weight on every card
+   */
+  async down(db) {
+    const ops = [];
+
+    await db
+      .collection('rooms')
+      .find({})
+      .forEach((room) => {
+        if (
+          !Array.isArray(room.cardConfig) ||
+          room.cardConfig.every((card) => card.position === undefined && card.weight === undefined)
+        ) {
+          return;
+        }
+
+        room.cardConfig.forEach((card) => {
+          delete card.position;
+          delete card.weight;
+        });
+        migrateUtil.toBulkOps(ops, room);
+      });
+
+    if (ops.length) {
+      return db.collection('rooms').bulkWrite(ops);
+    }
+  }
+};
@@ -1,8 +1,14 @@
 import {v4 as uuid} from 'uuid';
 import hasActiveStories from './hasActiveStories';
+import {getNextStoryRank} from './storyRanks';
+import {cardConfigSchema, sanitizeCardConfig} from './setCardConfig';
 
 /**
- * A user adds a story to the estimation backlog of the room
+ * A user adds a story to the estimation backlog of the room.
+ * The story is added to the bottom of the (manually ordered) backlog.
+ * Stories can have free-form labels (e.g. "frontend", "spike"), that can be used to filter the backlog.
+ * Stories can optionally reference an issue in an external issue tracker (e.g. jira) via "key" (e.g. "PRJ-123") and/or "url".
+ * Stories can have their own card deck ("cardConfig", e.g. hours for bugs, while features are estimated in points). Otherwise the card config of the room is used.
  */
 
 const schema = {
@@ -24,7 +30,29 @@ const schema = {
               type: 'string',
               minLength: 0,
               maxLength: 2000
-            }
+            },
+            key: {
+              type: 'string',
+              maxLength: 50,
+              pattern: '^\\S*$'
+            },
+            url: {
+              type: 'string',
+              maxLength: 2000,
+              pattern: '^(https?://\\S+)?$'
+            },
+            labels: {
+              type: 'array',
+              maxItems: 10,
+              uniqueItems: true,
+              items: {
+                type: 'string',
+                minLength: 1,
+                maxLength: 30,
+                pattern: '^[^,]+$'
+              }
+            },
+            cardConfig: cardConfigSchema
           },
           required: ['title'],
           additionalProperties: false
@@ -42,13 +70,30 @@ const addStoryCommandHandler = {
       storyId: newStoryId,
       title: command.payload.title,
       estimations: {},
-      createdAt: Date.now()
+      createdAt: Date.now(),
+      rank: getNextStoryRank(room)
     };
 
     if (command.payload.description) {
       eventPayload.description = command.payload.description;
     }
 
+    if (command.payload.key) {
+      eventPayload.key = command.payload.key;
+    }
+
+    if (command.payload.url) {
+      eventPayload.url = command.payload.url;
+    }
+
+    if (command.payload.labels && command.payload.labels.length > 0) {
+      eventPayload.labels = command.payload.labels;
+    }
+
+    if (command.payload.cardConfig && command.payload.cardConfig.length > 0) {
+      eventPayload.cardConfig = sanitizeCardConfig(command.payload.cardConfig);
+    }
+
     room.applyEvent('storyAdded', eventPayload);
 
     if (!hasActiveStories(room)) {
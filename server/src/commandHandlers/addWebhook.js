@@ -0,0 +1,74 @@
+/**
+ * A user adds a webhook to the room: produced events that match the given event names are posted to the given url (see webhookDispatcher.js).
+ * The "secret" is used to sign the posted events. It is stored on the room, but never sent to clients.
+ * A room can have up to 5 webhooks.
+ * Only moderators of the room are allowed to do this (if the room has a moderator).
+ */
+import {v4 as uuid} from 'uuid';
+
+import eventHandlers from '../eventHandlers/eventHandlers';
+
+export const MAX_WEBHOOKS_PER_ROOM = 5;
+
+// restricted events are only sent to the user that sent the command, never to webhooks
+const WEBHOOK_EVENT_NAMES = Object.keys(eventHandlers).filter(
+  (eventName) => !['tokenIssued', 'ownEstimateGiven'].includes(eventName)
+);
+
+const schema = {
+  allOf: [
+    {
+      $ref: 'command'
+    },
+    {
+      properties: {
+        payload: {
+          type: 'object',
+          properties: {
+            url: {
+              type: 'string',
+              maxLength: 2000,
+              pattern: '^https?://\\S+$'
+            },
+            events: {
+              type: 'array',
+              minItems: 1,
+              uniqueItems: true,
+              items: {
+                type: 'string',
+                enum: WEBHOOK_EVENT_NAMES
+              }
+            },
+            secret: {
+              type: 'string',
+              minLength: 8,
+              maxLength: 200
+            }
+          },
+          required: ['url', 'events', 'secret'],
+          additionalProperties: false
+        }
+      }
+    }
+  ]
+};
+
+const addWebhookCommandHandler = {
+  schema,
+  moderatorOnly: true,
+  preCondition: (room) => {
+    if ((room.webhooks || []).length >= MAX_WEBHOOKS_PER_ROOM) {
+      throw new Error(`A room cannot have more than ${MAX_WEBHOOKS_PER_ROOM} webhooks!`);
+    }
+  },
+  fn: (room, command) => {
+    room.applyEvent('webhookAdded', {
+      webhookId: uuid(),
+      url: command.payload.url,
+      events: command.payload.events,
+      secret: command.payload.secret
+    });
+  }
+};
+
+export default addWebhookCommandHandler;
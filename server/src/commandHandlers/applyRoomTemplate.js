@@ -0,0 +1,62 @@
+/**
+ * A user applies a room template to the room: card configuration, "autoReveal" flag and (optionally) the issue url template are set in one go.
+ * Templates (built-in ones and the ones saved by users) are managed by the client. The payload contains the settings of the template.
+ *
+ * Will trigger "cardConfigSet" event.
+ * Will trigger "autoRevealOn" / "autoRevealOff" and "issueUrlTemplateSet" events, if the respective setting differs from the current one.
+ * Only moderators of the room are allowed to do this (if the room has a moderator).
+ */
+import {buildCardConfigSetPayload, cardConfigSchema, sanitizeCardConfig} from './setCardConfig';
+import {issueUrlTemplateSchema} from './setIssueUrlTemplate';
+
+/**
+ * The settings of a room template. Also used when creating a new room (see joinRoom).
+ */
+export const roomTemplateSchema = {
+  type: 'object',
+  properties: {
+    cardConfig: cardConfigSchema,
+    autoReveal: {
+      type: 'boolean'
+    },
+    issueUrlTemplate: issueUrlTemplateSchema
+  },
+  required: ['cardConfig', 'autoReveal'],
+  additionalProperties: false
+};
+
+const schema = {
+  allOf: [
+    {
+      $ref: 'command'
+    },
+    {
+      properties: {
+        payload: roomTemplateSchema
+      }
+    }
+  ]
+};
+
+const applyRoomTemplateCommandHandler = {
+  schema,
+  moderatorOnly: true,
+  fn: (room, command) => {
+    const {autoReveal, issueUrlTemplate} = command.payload;
+
+    room.applyEvent(
+      'cardConfigSet',
+      buildCardConfigSetPayload(room, sanitizeCardConfig(command.payload.cardConfig))
+    );
+
+    if (autoReveal !== !!room.autoReveal) {
+      room.applyEvent(autoReveal ? 'autoRevealOn' : 'autoRevealOff', {});
+    }
+
+    if (issueUrlTemplate !== undefined && issueUrlTemplate !== (room.issueUrlTemplate || '')) {
+      room.applyEvent('issueUrlTemplateSet', {issueUrlTemplate});
+    }
+  }
+};
+
+export default applyRoomTemplateCommandHandler;
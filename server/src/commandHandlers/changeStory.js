@@ -1,7 +1,13 @@
-import {throwIfStoryTrashed} from './commonPreconditions';
+import {getMatchingStoryOrThrow, throwIfStoryTrashed} from './commonPreconditions';
+import {cardConfigSchema, sanitizeCardConfig} from './setCardConfig';
+import getStoriesWithEstimationsNotMatchingCardConfig from './getStoriesWithEstimationsNotMatchingCardConfig';
+import {getActiveCardConfig} from '../getCardConfigForValue';
 
 /**
- * A user changes the title and/or description of a story
+ * A user changes the title and/or description of a story.
+ * If "labels", "key" or "url" are given, they replace the respective property of the story (an empty string removes key or url). If not given, the property is not changed.
+ * If "cardConfig" is given, it replaces the story's own card deck. An empty array removes it (the card config of the room is used again).
+ * If the story is not yet revealed, estimations that no longer match a card of the story's new card deck are removed.
  */
 
 const schema = {
@@ -26,7 +32,29 @@ const schema = {
               type: 'string',
               minLength: 0,
               maxLength: 2000
-            }
+            },
+            key: {
+              type: 'string',
+              maxLength: 50,
+              pattern: '^\\S*$'
+            },
+            url: {
+              type: 'string',
+              maxLength: 2000,
+              pattern: '^(https?://\\S+)?$'
+            },
+            labels: {
+              type: 'array',
+              maxItems: 10,
+              uniqueItems: true,
+              items: {
+                type: 'string',
+                minLength: 1,
+                maxLength: 30,
+                pattern: '^[^,]+$'
+              }
+            },
+            cardConfig: cardConfigSchema
           },
           required: ['title', 'description', 'storyId'],
           additionalProperties: false
@@ -42,7 +70,24 @@ const changeStoryCommandHandler = {
     throwIfStoryTrashed(room, command.payload.storyId);
   },
   fn: (room, command) => {
-    room.applyEvent('storyChanged', command.payload);
+    const {cardConfig} = command.payload;
+    if (!cardConfig) {
+      room.applyEvent('storyChanged', command.payload);
+      return;
+    }
+
+    const newStoryCardConfig = cardConfig.length > 0 ? sanitizeCardConfig(cardConfig) : undefined;
+    const story = getMatchingStoryOrThrow(room, command.payload.storyId);
+    const storiesWithClearedEstimations = getStoriesWithEstimationsNotMatchingCardConfig(
+      [story],
+      getActiveCardConfig(room, {...story, cardConfig: newStoryCardConfig})
+    );
+
+    const eventPayload = {...command.payload, cardConfig: newStoryCardConfig || []};
+    if (storiesWithClearedEstimations.length > 0) {
+      eventPayload.storiesWithClearedEstimations = storiesWithClearedEstimations;
+    }
+    room.applyEvent('storyChanged', eventPayload);
   }
 };
 
@@ -4,6 +4,7 @@ import deleteStory from './deleteStory';
 import trashStory from './trashStory';
 import restoreStory from './restoreStory';
 import importStories from './importStories';
+import moveStory from './moveStory';
 import clearStoryEstimate from './clearStoryEstimate';
 import giveStoryEstimate from './giveStoryEstimate';
 import joinRoom from './joinRoom';
@@ -11,6 +12,8 @@ import kick from './kick';
 import leaveRoom from './leaveRoom';
 import newEstimationRound from './newEstimationRound';
 import reveal from './reveal';
+import expireTimer from './expireTimer';
+import settleStory from './settleStory';
 import selectStory from './selectStory';
 import setUsername from './setUsername';
 import setEmail from './setEmail';
@@ -18,7 +21,15 @@ import setAvatar from './setAvatar';
 import toggleExclude from './toggleExclude';
 import setCardConfig from './setCardConfig';
 import toggleAutoReveal from './toggleAutoReveal';
+import setIssueUrlTemplate from './setIssueUrlTemplate';
+import applyRoomTemplate from './applyRoomTemplate';
+import addWebhook from './addWebhook';
+import removeWebhook from './removeWebhook';
+import startTimer from './startTimer';
+import stopTimer from './stopTimer';
 import setPassword from './setPassword';
+import setUserRole from './setUserRole';
+import deleteRoom from './deleteRoom';
 
 export default {
   addStory,
@@ -27,6 +38,7 @@ export default {
   trashStory,
   restoreStory,
   importStories,
+  moveStory,
   clearStoryEstimate,
   giveStoryEstimate,
   joinRoom,
@@ -34,6 +46,8 @@ export default {
   leaveRoom,
   newEstimationRound,
   reveal,
+  expireTimer,
+  settleStory,
   selectStory,
   setUsername,
   setEmail,
@@ -41,7 +55,15 @@ export default {
   toggleExclude,
   setCardConfig,
   toggleAutoReveal,
-  setPassword
+  setIssueUrlTemplate,
+  applyRoomTemplate,
+  addWebhook,
+  removeWebhook,
+  startTimer,
+  stopTimer,
+  setPassword,
+  setUserRole,
+  deleteRoom
 };
 
 /**
@@ -1,3 +1,5 @@
+import {getActiveCardConfig, getCardConfigForValue} from '../getCardConfigForValue';
+
 /**
  *
  * @param room
@@ -21,6 +23,41 @@ export function getMatchingUserOrThrow(room, userId) {
   return match;
 }
 
+/**
+ * Throws if the given user is not a moderator of the room.
+ * Legacy rooms (created before roles were introduced, they are not flagged as "moderated") without any moderator do not restrict any commands.
+ *
+ * @param {object} room
+ * @param {string} userId
+ */
+export function throwIfUserIsNotModerator(room, userId) {
+  if (!room.moderated && !roomHasModerator(room)) {
+    return;
+  }
+
+  const matchingUser = getMatchingUserOrThrow(room, userId);
+  if (matchingUser.role !== 'moderator') {
+    throw new Error('Only moderators are allowed to do this!');
+  }
+}
+
+/**
+ * Throws if the given user joined the room as spectator.
+ * Spectators receive the room state and all events, but cannot send commands that modify the room (see flag "spectatorAllowed" on command handlers).
+ *
+ * @param {object} room
+ * @param {string} userId
+ */
+export function throwIfUserIsSpectator(room, userId) {
+  const matchingUser = (room.users || []).find((usr) => usr.id === userId);
+  if (matchingUser && matchingUser.spectator) {
+    throw new Error('Spectators are not allowed to do this!');
+  }
+}
+
+export const roomHasModerator = (room) =>
+  (room.users || []).some((usr) => usr.role === 'moderator');
+
 /**
  *
  * @param {object} room
@@ -43,3 +80,20 @@ export function throwIfStoryTrashed(room, storyId) {
     );
   }
 }
+
+/**
+ * Throws if the given value does not match any card of the active card deck of the story (see "getActiveCardConfig").
+ *
+ * @param {object} room
+ * @param {object} story
+ * @param {number} value
+ */
+export function throwIfValueNotInActiveCardConfig(room, story, value) {
+  if (!getCardConfigForValue(getActiveCardConfig(room, story), value)) {
+    throw new Error(
+      `Given value ${value} does not match any card of ${
+        story.cardConfig ? 'this story' : 'this room'
+      }!`
+    );
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * A user deletes the room: the room and its event log are removed from the store.
+ * All users in the room are removed from it (their sockets leave the room).
+ * Only moderators of the room are allowed to do this (if the room has a moderator).
+ *
+ * Will trigger "roomDeleted" event.
+ */
+
+const schema = {
+  allOf: [
+    {
+      $ref: 'command'
+    },
+    {
+      properties: {
+        payload: {
+          type: 'object',
+          properties: {},
+          required: [],
+          additionalProperties: false
+        }
+      }
+    }
+  ]
+};
+
+const deleteRoomCommandHandler = {
+  schema,
+  moderatorOnly: true,
+  fn: (room) => {
+    room.applyEvent('roomDeleted', {});
+  }
+};
+
+export default deleteRoomCommandHandler;
@@ -2,6 +2,7 @@ import {getMatchingStoryOrThrow} from './commonPreconditions';
 
 /**
  * A user deletes a story.
+ * Only moderators of the room are allowed to do this (if the room has a moderator).
  * A story must be first marked as "trashed", before it can be deleted.
  * Story will be completely removed from room.
  */
@@ -31,6 +32,7 @@ const schema = {
 
 const deleteStoryCommandHandler = {
   schema,
+  moderatorOnly: true,
   preCondition: (room, command) => {
     const matchingStory = getMatchingStoryOrThrow(room, command.payload.storyId);
 
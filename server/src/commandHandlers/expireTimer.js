@@ -0,0 +1,55 @@
+/**
+ * The estimation timer expired: the story is revealed, even if not all users estimated.
+ *
+ * This command is issued by the server only (see "timerScheduler"), in the name of the user that started the timer.
+ * The user that started the timer might have left the room in the meantime: the story is revealed nevertheless.
+ */
+import {applyRevealEvents, throwIfStoryCannotBeRevealed} from './reveal';
+
+const schema = {
+  allOf: [
+    {
+      $ref: 'command'
+    },
+    {
+      properties: {
+        payload: {
+          type: 'object',
+          properties: {
+            storyId: {
+              type: 'string',
+              minLength: 1
+            }
+          },
+          required: ['storyId'],
+          additionalProperties: false
+        }
+      }
+    }
+  ]
+};
+
+const expireTimerCommandHandler = {
+  schema,
+  serverOnly: true,
+  skipUserIdRoomCheck: true,
+  spectatorAllowed: true,
+  preCondition: (room, command) => {
+    const storyId = command.payload.storyId;
+
+    throwIfStoryCannotBeRevealed(room, storyId);
+
+    if (!room.timer || room.timer.storyId !== storyId) {
+      throw new Error('There is no running timer for this story!');
+    }
+
+    if (room.timer.startedAt + room.timer.duration * 1000 > Date.now()) {
+      throw new Error('The timer has not yet expired!');
+    }
+  },
+  fn: (room, command) => {
+    applyRevealEvents(room, command.payload.storyId, {manually: false, timerExpired: true});
+  }
+};
+
+export default expireTimerCommandHandler;
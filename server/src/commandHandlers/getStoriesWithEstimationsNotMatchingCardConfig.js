@@ -0,0 +1,22 @@
+import {getCardConfigForValue} from '../getCardConfigForValue';
+
+/**
+ * When cards are removed from a card deck (see "setCardConfig", "applyRoomTemplate" and "changeStory"), estimations on stories that are not yet revealed might no longer match a card.
+ * All estimations on these stories are cleared (see "clearEstimations" in roomModifiers), the users have to estimate again.
+ * Clearing only the estimations that no longer match would tell the other users who estimated one of the removed cards, before the story is revealed.
+ * Estimations on revealed stories are kept, they are part of the story's history.
+ *
+ * @param {object[]} stories The stories that use the given card config
+ * @param {object[]} cardConfig
+ * @return {string[]} The ids of the stories with at least one estimation that does no longer match a card. Empty array if all estimations match.
+ */
+export default function getStoriesWithEstimationsNotMatchingCardConfig(stories, cardConfig) {
+  return stories
+    .filter((story) => !story.revealed)
+    .filter((story) =>
+      Object.values(story.estimations || {}).some(
+        (value) => !getCardConfigForValue(cardConfig, value)
+      )
+    )
+    .map((story) => story.id);
+}
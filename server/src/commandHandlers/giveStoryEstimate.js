@@ -3,8 +3,16 @@
  * Users may only give estimations for the currently selected story.
  * A user that is marked as excluded (see toggleExclude/excludedFromEstimations)  cannot give estimations
  * As soon as all users (that can estimate) estimated the story, a "revealed" event is produced
+ * The value must match one of the cards of the story's card deck (or the room's card config, if the story has no own deck).
+ *
+ * Estimations are sealed: the "storyEstimateGiven" event that is sent to all users in the room does not contain the value.
+ * The estimating user gets his value back with the restricted "ownEstimateGiven" event. All values are sent with the "revealed" event.
  */
-import {getMatchingStoryOrThrow, getMatchingUserOrThrow} from './commonPreconditions';
+import {
+  getMatchingStoryOrThrow,
+  getMatchingUserOrThrow,
+  throwIfValueNotInActiveCardConfig
+} from './commonPreconditions';
 
 const schema = {
   allOf: [
@@ -50,12 +58,12 @@ const giveStoryEstimateCommandHandler = {
     if (matchingUser.excluded) {
       throw new Error('Users that are excluded from estimations cannot give estimations!');
     }
+
+    throwIfValueNotInActiveCardConfig(room, matchingStory, command.payload.value);
   },
   fn: (room, command, userId) => {
-    // currently estimation value is also sent to clients (hidden there)
-    // user could "sniff" network traffic and see estimations of colleagues...
-    // this could be improved in the future.. (e.g. not send value with "storyEstimateGiven" -> but send all values later with "revealed" )
     room.applyEvent('storyEstimateGiven', command.payload);
+    room.applyRestrictedEvent('ownEstimateGiven', command.payload);
 
     if (!room.autoReveal) {
       // if room has autoReveal disabled, we can stop here
@@ -66,7 +74,8 @@ const giveStoryEstimateCommandHandler = {
     if (allValidUsersEstimated(room, matchingStory, userId)) {
       room.applyEvent('revealed', {
         storyId: command.payload.storyId,
-        manually: false
+        manually: false,
+        revealedAt: Date.now()
       });
 
       if (allEstimationsSame(matchingStory, userId, command.payload.value)) {
@@ -80,7 +89,7 @@ const giveStoryEstimateCommandHandler = {
 };
 
 /**
- * Checks if every user in the room (that is not marked as excluded and is not disconnected) did give an estimate for the specified story
+ * Checks if every user in the room (that is not marked as excluded, is not a spectator and is not disconnected) did give an estimate for the specified story
  *
  * @param room
  * @param matchingStory
@@ -126,6 +135,7 @@ function allEstimationsSame(matchingStory, userId, ownEstimate) {
 const countAllUsersThatCanEstimate = (room) =>
   Object.values(room.users || {})
     .filter((usr) => !usr.excluded)
+    .filter((usr) => !usr.spectator)
     .filter((usr) => !usr.disconnected).length;
 
 export default giveStoryEstimateCommandHandler;
@@ -1,11 +1,19 @@
 import parseCsvDataUrlToStories from './parseCsvDataUrlToStories';
+import parseJsonDataUrlToStories from './parseJsonDataUrlToStories';
+import defaultCardConfig from '../defaultCardConfig';
 import hasActiveStories from './hasActiveStories';
+import {getNextStoryRank} from './storyRanks';
 
 /**
  * A user wants to import multiple stories.
- * payload.data is expected to be a base64 encoded "data url" (something like   data:text/csv;base64,U3VtbWFyeSxJc3N1ZSBrZXksSXNzdW.......   )
+ * payload.data is expected to be a base64 encoded "data url". Either
+ * - a csv file (something like   data:text/csv;base64,U3VtbWFyeSxJc3N1ZSBrZXksSXNzdW.......   ) or
+ * - a json room export (something like   data:application/json;base64,eyJyb29tSWQiOiJteS1yb29tIi.......   ), see "buildRoomExportObject" in rest.js
  *
- * Will trigger "storyAdded" events for all successfully parsed stories
+ * payload.mapping optionally defines the csv columns that contain title, key, url, description, estimate and labels of the stories (see parseCsvDataUrlToStories).
+ * If payload.withEstimations is set, the consensus and estimations of stories from a json room export are kept (see parseJsonDataUrlToStories).
+ *
+ * Will trigger "storyAdded" events for all successfully parsed stories (added to the bottom of the backlog, in the order of the imported file)
  * Will trigger "storySelected" event, if no story is selected
  *
  */
@@ -22,7 +30,36 @@ const schema = {
           properties: {
             data: {
               type: 'string',
-              format: 'csvDataUrl'
+              anyOf: [{format: 'csvDataUrl'}, {format: 'jsonDataUrl'}]
+            },
+            withEstimations: {
+              type: 'boolean'
+            },
+            mapping: {
+              type: 'object',
+              properties: {
+                title: {
+                  type: 'string',
+                  minLength: 1
+                },
+                key: {
+                  type: 'string'
+                },
+                url: {
+                  type: 'string'
+                },
+                description: {
+                  type: 'string'
+                },
+                estimate: {
+                  type: 'string'
+                },
+                labels: {
+                  type: 'string'
+                }
+              },
+              required: ['title'],
+              additionalProperties: false
             }
           },
           required: ['data'],
@@ -37,15 +74,24 @@ const importStoriesCommandHandler = {
   schema,
   fn: (room, command) => {
     try {
-      const stories = parseCsvDataUrlToStories(command.payload.data);
+      const cardConfig = room.cardConfig ? room.cardConfig : defaultCardConfig;
+      const stories = isJsonDataUrl(command.payload.data)
+        ? parseJsonDataUrlToStories(
+            command.payload.data,
+            !!command.payload.withEstimations,
+            room.users,
+            cardConfig
+          )
+        : parseCsvDataUrlToStories(command.payload.data, command.payload.mapping, cardConfig);
 
       if (stories.length < 1) {
         applyFailed(room, new Error('No Stories in payload'));
         return;
       }
 
-      stories.forEach((story) => {
-        room.applyEvent('storyAdded', story);
+      const firstRank = getNextStoryRank(room);
+      stories.forEach((story, index) => {
+        room.applyEvent('storyAdded', {...story, rank: firstRank + index});
       });
 
       if (!hasActiveStories(room)) {
@@ -60,6 +106,8 @@ const importStoriesCommandHandler = {
 
 export default importStoriesCommandHandler;
 
+const isJsonDataUrl = (data) => /^data:(application|text)\/json;/.test(data);
+
 function applyFailed(room, err) {
   room.applyEvent('importFailed', {message: err.message});
 }
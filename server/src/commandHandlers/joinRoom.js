@@ -3,18 +3,35 @@ import {calcEmailHash} from './setEmail';
 import {modifyUser} from '../eventHandlers/roomModifiers';
 import {hashRoomPassword, checkRoomPassword} from './auth/roomPasswordService';
 import {issueJwt, validateJwt} from './auth/jwtService';
+import sealStoryEstimations from './sealStoryEstimations';
+import sanitizeWebhooks from './sanitizeWebhooks';
+import {sanitizeCardConfig} from './setCardConfig';
+import {roomTemplateSchema} from './applyRoomTemplate';
+import {getRevision} from '../store/revisionConflict';
+import {roomHasModerator} from './commonPreconditions';
 
 /**
  * A user joins a room.
  *
  * Two scenarios:  either the room exists already or the room with the given id does not exist yet.
  *
- * If the room does not yet exist, an additional "roomCreated" event is produced (as the first event).
- * Produces also a "roomJoined" event (which contains the room state).
+ * If the room does not yet exist, an additional "roomCreated" event is produced (as the first event). The user that creates the room is the moderator of the room.
+ * If nobody in an existing room is moderator (e.g. only spectators were left when the last moderator left), the joining user becomes moderator.
+ * Produces also a "roomJoined" event (which contains the room state). Estimation values of stories that are not yet revealed are sealed.
  * Produces also events for additional properties if they are preset "usernameSet", "emailSet", "excludedFromEstimations".
  *
  * For password protected rooms, we will create a Json Web Token (JWT) with an expiration date of 1 hour and pass it to the one joining user via "tokenIssued" event.
  *
+ * If "template" is set and the room does not yet exist, the new room is created with the settings of the template (card configuration, "autoReveal" flag, issue url template).
+ * For existing rooms, "template" is ignored (see command "applyRoomTemplate").
+ *
+ * If "spectator" is set, the user joins as spectator (e.g. stakeholders or a shared screen): Spectators receive the room state and all events,
+ * but do not estimate and cannot modify the room. A new room cannot be created by a spectator, moderators cannot join as spectators.
+ * If "spectator" is not set, users that re-join keep their previous mode.
+ *
+ * If "excluded" is set, the user joins excluded from estimations (see command "toggleExclude"). Users that join over the REST api are excluded by default (see rest.js).
+ * If "excluded" is not set, users that re-join keep their previous setting.
+ *
  */
 
 const schema = {
@@ -45,7 +62,14 @@ const schema = {
             },
             token: {
               type: 'string'
-            }
+            },
+            spectator: {
+              type: 'boolean'
+            },
+            excluded: {
+              type: 'boolean'
+            },
+            template: roomTemplateSchema
           },
           additionalProperties: false
         }
@@ -57,7 +81,20 @@ const schema = {
 const joinRoomCommandHandler = {
   canCreateRoom: true,
   skipUserIdRoomCheck: true, // will not check whether userId is part of the room.  for most other commands this is a precondition. not for "joinRoom".
+  spectatorAllowed: true,
   schema,
+  preCondition: (room, command, userId) => {
+    if (!command.payload.spectator) {
+      return;
+    }
+    if (room.pristine) {
+      throw new Error('A new room cannot be created by a spectator!');
+    }
+    const matchingUser = (room.users || []).find((usr) => usr.id === userId);
+    if (matchingUser && matchingUser.role === 'moderator') {
+      throw new Error('Moderators cannot join as spectators!');
+    }
+  },
   fn: (room, command, userId) => {
     if (room.pristine) {
       joinNewRoom(room, command, userId);
@@ -70,8 +107,17 @@ const joinRoomCommandHandler = {
 export default joinRoomCommandHandler;
 
 function joinNewRoom(room, command, userId) {
+  const template = command.payload.template;
+  const cardConfig = template ? sanitizeCardConfig(template.cardConfig) : defaultCardConfig;
+  const autoReveal = template ? template.autoReveal : true;
+  const issueUrlTemplate =
+    template && template.issueUrlTemplate ? template.issueUrlTemplate : undefined;
+
   room.applyEvent('roomCreated', {
-    password: command.payload.password ? hashRoomPassword(command.payload.password) : undefined
+    password: command.payload.password ? hashRoomPassword(command.payload.password) : undefined,
+    cardConfig: template ? cardConfig : undefined,
+    autoReveal,
+    issueUrlTemplate
   });
 
   const avatar = Number.isInteger(command.payload.avatar) ? command.payload.avatar : 0;
@@ -84,14 +130,17 @@ function joinNewRoom(room, command, userId) {
       {
         disconnected: false,
         id: userId,
-        avatar
+        avatar,
+        role: 'moderator'
       }
     ],
     stories: [],
     selectedStory: undefined,
-    cardConfig: defaultCardConfig,
-    autoReveal: true,
-    passwordProtected: !!command.payload.password
+    cardConfig,
+    autoReveal,
+    issueUrlTemplate,
+    passwordProtected: !!command.payload.password,
+    revision: getRevision(room) + 1
   };
   room.applyEvent('joinedRoom', joinedRoomEventPayload);
 
@@ -115,6 +164,10 @@ function joinNewRoom(room, command, userId) {
   room.applyEvent('avatarSet', {
     avatar
   });
+
+  if (command.payload.excluded) {
+    room.applyEvent('excludedFromEstimations', {});
+  }
 }
 
 function joinExistingRoom(room, command, userId) {
@@ -133,27 +186,45 @@ function joinExistingRoom(room, command, userId) {
   // this event must contain all information about the room, such that every joining user gets the current room state!
 
   const joinedRoomEventPayload = {
-    stories: [...room.stories],
+    stories: room.stories.map(sealStoryEstimations),
     selectedStory: room.selectedStory,
     cardConfig: room.cardConfig ? room.cardConfig : defaultCardConfig,
     autoReveal: room.autoReveal,
-    passwordProtected: !!room.password
+    issueUrlTemplate: room.issueUrlTemplate,
+    webhooks: sanitizeWebhooks(room.webhooks),
+    passwordProtected: !!room.password,
+    revision: getRevision(room) + 1 // the revision of the room after this command. The client compares it with the revisions of later events (see "hasMissedRoomRevision")
   };
 
-  if (userObject) {
-    joinedRoomEventPayload.users = modifyUser(room, userId, () => userObject).users;
-  } else {
+  if (room.timer) {
+    // clocks of clients might differ from the server clock. the client calculates the end of the countdown with the remaining milliseconds
+    joinedRoomEventPayload.timer = {
+      ...room.timer,
+      remaining: Math.max(0, room.timer.startedAt + room.timer.duration * 1000 - Date.now())
+    };
+  }
+
+  const isNewUser = !userObject;
+  if (isNewUser) {
     userObject = {
       id: userId,
       username: command.payload.username,
       email: command.payload.email,
       avatar: command.payload.avatar || 0,
       disconnected: false,
-      excluded: false
+      excluded: !!command.payload.excluded,
+      spectator: !!command.payload.spectator
     };
-    joinedRoomEventPayload.users = [...room.users, userObject];
   }
 
+  if (room.moderated && !userObject.spectator && !roomHasModerator(room)) {
+    userObject = {...userObject, role: 'moderator'};
+  }
+
+  joinedRoomEventPayload.users = isNewUser
+    ? [...room.users, userObject]
+    : modifyUser(room, userId, () => userObject).users;
+
   room.applyEvent('joinedRoom', joinedRoomEventPayload);
 
   if (room.password && !command.payload.token) {
@@ -225,6 +296,14 @@ function getMatchingUserObjectFromRoom(room, command, userId) {
       matchingExistingUser.avatar = command.payload.avatar;
     }
 
+    if (command.payload.spectator !== undefined) {
+      matchingExistingUser.spectator = command.payload.spectator;
+    }
+
+    if (command.payload.excluded !== undefined) {
+      matchingExistingUser.excluded = command.payload.excluded;
+    }
+
     matchingExistingUser.disconnected = false;
 
     return matchingExistingUser;
@@ -1,8 +1,11 @@
 /**
  * A user removes a disconnected user from the room.
+ * Only moderators of the room are allowed to do this (if the room has a moderator).
+ * If the kicked user was the last moderator of the room, another user becomes moderator.
  *
  */
 import {throwIfUserIdNotFoundInRoom} from './commonPreconditions';
+import {handOverModeratorRole} from './setUserRole';
 
 const schema = {
   allOf: [
@@ -29,6 +32,7 @@ const schema = {
 
 const kickCommandHandler = {
   schema,
+  moderatorOnly: true,
   preCondition: (room, command, userId) => {
     if (userId === command.payload.userId) {
       throw new Error('User cannot kick himself!');
@@ -38,6 +42,7 @@ const kickCommandHandler = {
   },
   fn: (room, command) => {
     room.applyEvent('kicked', {userId: command.payload.userId});
+    handOverModeratorRole(room, command.payload.userId);
   }
 };
 
@@ -2,7 +2,9 @@
  * A user wants to leave the room.
  * Is also produced by the socketServer itself on connection lost!
  *
+ * If the last moderator leaves the room, another user becomes moderator.
  */
+import {handOverModeratorRole} from './setUserRole';
 
 const schema = {
   allOf: [
@@ -28,11 +30,13 @@ const schema = {
 
 const leaveRoomCommandHandler = {
   schema,
-  fn: (room, command) => {
+  spectatorAllowed: true,
+  fn: (room, command, userId) => {
     if (command.payload.connectionLost) {
       room.applyEvent('connectionLost', {});
     } else {
       room.applyEvent('leftRoom', {});
+      handOverModeratorRole(room, userId);
     }
   }
 };
@@ -0,0 +1,78 @@
+import {throwIfStoryTrashed} from './commonPreconditions';
+import {sortStoriesByRank} from './storyRanks';
+
+/**
+ * A user moves a story in the (manually ordered) backlog.
+ * The story is placed before the story with the given "beforeStoryId". If "beforeStoryId" is not set, the story is placed at the bottom of the backlog.
+ *
+ * All active (not trashed) stories get a new rank (0,1,2,...). The event contains the new ranks of all active stories, so that all clients see the same order.
+ */
+
+const schema = {
+  allOf: [
+    {
+      $ref: 'command'
+    },
+    {
+      properties: {
+        payload: {
+          type: 'object',
+          properties: {
+            storyId: {
+              type: 'string',
+              format: 'uuidv4'
+            },
+            beforeStoryId: {
+              type: 'string',
+              format: 'uuidv4'
+            }
+          },
+          required: ['storyId'],
+          additionalProperties: false
+        }
+      }
+    }
+  ]
+};
+
+const moveStoryCommandHandler = {
+  schema,
+  preCondition: (room, command) => {
+    const {storyId, beforeStoryId} = command.payload;
+
+    throwIfStoryTrashed(room, storyId);
+
+    if (beforeStoryId) {
+      if (beforeStoryId === storyId) {
+        throw new Error('Cannot move a story before itself!');
+      }
+      throwIfStoryTrashed(room, beforeStoryId);
+    }
+  },
+  fn: (room, command) => {
+    const {storyId, beforeStoryId} = command.payload;
+
+    const otherActiveStoryIds = sortStoriesByRank(room.stories)
+      .filter((story) => !story.trashed && story.id !== storyId)
+      .map((story) => story.id);
+
+    const insertIndex = beforeStoryId
+      ? otherActiveStoryIds.indexOf(beforeStoryId)
+      : otherActiveStoryIds.length;
+    const orderedStoryIds = [
+      ...otherActiveStoryIds.slice(0, insertIndex),
+      storyId,
+      ...otherActiveStoryIds.slice(insertIndex)
+    ];
+
+    room.applyEvent('storyMoved', {
+      storyId,
+      ranks: orderedStoryIds.reduce((total, id, index) => {
+        total[id] = index;
+        return total;
+      }, {})
+    });
+  }
+};
+
+export default moveStoryCommandHandler;
@@ -1,27 +1,54 @@
 import {v4 as uuid} from 'uuid';
 import {parse as parseCsv} from 'papaparse';
 import getLogger from '../getLogger';
-
-const LOGGER = getLogger('storyImportParser');
-
-const STORY_TITLE_CHAR_LIMIT = 100;
-const STORY_DESCRIPTION_CHAR_LIMIT = 2000;
+import sanitizeLabels from './sanitizeLabels';
+import {isStoryUrl} from './storyUrls';
+import {getCardValueForEstimate} from '../getCardConfigForValue';
+import {
+  DELIMITERS,
+  DESCR_COLUMN_NAMES,
+  KEY_COLUMN_NAMES,
+  LABELS_COLUMN_NAMES,
+  STORY_DESCRIPTION_CHAR_LIMIT,
+  STORY_KEY_CHAR_LIMIT,
+  STORY_TITLE_CHAR_LIMIT,
+  TITLE_COLUMN_NAMES,
+  URL_COLUMN_NAMES
+} from './storyImportDefaults';
+
+const LOGGER = getLogger('csvStoryImportParser');
 
 /**
  * parses the given data url (data:text/csv;base64,U3VtbWFyeSxJc3N1ZSBrZXksSXNzdW.......) containing a list of "issues" (e.g. from jira)
  * into Poinz stories
  *
- * @param data
+ * The delimiter (comma, semicolon or tab) is detected from the header line (e.g. Excel with german locale writes semicolon separated files).
+ *
+ * Without a column mapping, well-known column names are used (see KEY_COLUMN_NAMES, TITLE_COLUMN_NAMES, DESCR_COLUMN_NAMES, LABELS_COLUMN_NAMES, URL_COLUMN_NAMES in "storyImportDefaults").
+ * A column mapping specifies the column names for "title" (mandatory), "key", "url", "description", "estimate" and "labels" (all optional).
+ * The issue key (e.g. "PRJ-123") and the url of the issue are set as "key" and "url" of the story. Urls that are not absolute http(s) urls are ignored.
+ * Multiple labels in one column are separated by comma, semicolon or whitespace (e.g. jira labels cannot contain whitespace).
+ * Values in the "estimate" column that match a card (label or value) in the given cardConfig are set as consensus of the story.
+ *
+ * @param {string} data
+ * @param {object} [mapping] The column mapping, e.g. {title: 'Name', key: 'ID', url: 'Link', description: 'Details', estimate: 'Story Points', labels: 'Tags'}
+ * @param {object[]} [cardConfig]
  * @return {object[]}
  */
-export default function parseCsvDataUrlToStories(data) {
+export default function parseCsvDataUrlToStories(data, mapping, cardConfig = []) {
   try {
     LOGGER.debug('Parsing stories...');
 
     const b64Data = data.substring(data.lastIndexOf(','));
-    const plainData = Buffer.from(b64Data, 'base64').toString();
+    const plainData = Buffer.from(b64Data, 'base64')
+      .toString()
+      .replace(/^\ufeff/, ''); // e.g. Excel writes a "byte order mark" at the beginning of the file
 
-    const results = parseCsv(plainData, {header: true, skipEmptyLines: true});
+    const results = parseCsv(plainData, {
+      header: true,
+      skipEmptyLines: true,
+      delimiter: detectDelimiter(plainData)
+    });
 
     if (
       (results.errors && results.errors.length > 0) ||
@@ -31,12 +58,97 @@ export default function parseCsvDataUrlToStories(data) {
       throw new Error('Got errors from parsing or input got truncated...');
     }
 
+    if (mapping) {
+      throwIfMappedColumnsMissing(mapping, results.meta.fields);
+      return results.data
+        .map((issueObject) => mappedIssueObjectToStory(issueObject, mapping, cardConfig))
+        .filter((story) => !!story);
+    }
+
     return results.data.map(issueObjectToStory).filter((story) => !!story);
   } catch (err) {
     throw new Error('Could not parse to stories ' + err);
   }
 }
 
+/**
+ * Returns the delimiter that occurs most often in the header (first) line. Delimiters within quotes are ignored.
+ * Falls back to comma.
+ *
+ * @param {string} plainData
+ * @return {string}
+ */
+export function detectDelimiter(plainData) {
+  const counts = DELIMITERS.reduce((total, delimiter) => {
+    total[delimiter] = 0;
+    return total;
+  }, {});
+
+  let inQuotes = false;
+  for (let i = 0; i < plainData.length; i++) {
+    const char = plainData[i];
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      break;
+    } else if (!inQuotes && counts[char] !== undefined) {
+      counts[char]++;
+    }
+  }
+
+  return DELIMITERS.reduce((best, delimiter) =>
+    counts[delimiter] > counts[best] ? delimiter : best
+  );
+}
+
+function throwIfMappedColumnsMissing(mapping, fields = []) {
+  Object.values(mapping)
+    .filter((columnName) => !!columnName)
+    .forEach((columnName) => {
+      if (!fields.includes(columnName)) {
+        throw new Error(`Column "${columnName}" not found in csv`);
+      }
+    });
+}
+
+function mappedIssueObjectToStory(issueObject, mapping, cardConfig) {
+  const title = (issueObject[mapping.title] || '').trim().substring(0, STORY_TITLE_CHAR_LIMIT);
+  if (!title) {
+    return undefined;
+  }
+
+  const story = {
+    title,
+    description: mapping.description
+      ? (issueObject[mapping.description] || '').trim().substring(0, STORY_DESCRIPTION_CHAR_LIMIT)
+      : '',
+    storyId: uuid(),
+    estimations: {},
+    createdAt: Date.now()
+  };
+
+  setKeyAndUrl(
+    story,
+    mapping.key ? issueObject[mapping.key] : undefined,
+    mapping.url ? issueObject[mapping.url] : undefined
+  );
+
+  const labels = mapping.labels ? parseLabels(issueObject[mapping.labels]) : [];
+  if (labels.length > 0) {
+    story.labels = labels;
+  }
+
+  const estimate = mapping.estimate
+    ? getCardValueForEstimate(cardConfig, issueObject[mapping.estimate])
+    : undefined;
+  if (estimate !== undefined) {
+    story.consensus = estimate;
+    story.revealed = true;
+  }
+
+  return story;
+}
+
 function issueObjectToStory(issueObject) {
   const title = getTitleFromIssueObject(issueObject);
 
@@ -44,27 +156,47 @@ function issueObjectToStory(issueObject) {
     return undefined;
   }
 
-  return {
+  const story = {
     title,
     description: getDescriptionFromIssueObject(issueObject),
     storyId: uuid(),
     estimations: {},
     createdAt: Date.now()
   };
+
+  const keyProp = KEY_COLUMN_NAMES.find(isPropMatch.bind(issueObject));
+  const urlProp = URL_COLUMN_NAMES.find(isPropMatch.bind(issueObject));
+  setKeyAndUrl(
+    story,
+    keyProp ? issueObject[keyProp] : undefined,
+    urlProp ? issueObject[urlProp] : undefined
+  );
+
+  const labelsProp = LABELS_COLUMN_NAMES.find(isPropMatch.bind(issueObject));
+  const labels = labelsProp ? parseLabels(issueObject[labelsProp]) : [];
+  if (labels.length > 0) {
+    story.labels = labels;
+  }
+
+  return story;
 }
 
-const KEY_PROPERTY_NAMES = ['Issue key', 'Issue', 'issue', 'Key', 'key'];
-const TITLE_PROPERTY_NAMES = ['Summary', 'summary', 'Title', 'title'];
-const DESCR_PROPERTY_NAMES = ['Description', 'description', 'Descr', 'descr'];
+function setKeyAndUrl(story, rawKey, rawUrl) {
+  const key = (rawKey || '').trim().substring(0, STORY_KEY_CHAR_LIMIT);
+  if (key && !/\s/.test(key)) {
+    story.key = key;
+  }
+
+  const url = (rawUrl || '').trim();
+  if (isStoryUrl(url)) {
+    story.url = url;
+  }
+}
 
 function getTitleFromIssueObject(issueObject) {
   let title = '';
 
-  const keyProp = KEY_PROPERTY_NAMES.find(isPropMatch.bind(issueObject));
-  if (keyProp) {
-    title += issueObject[keyProp] + ' ';
-  }
-  const titleProp = TITLE_PROPERTY_NAMES.find(isPropMatch.bind(issueObject));
+  const titleProp = TITLE_COLUMN_NAMES.find(isPropMatch.bind(issueObject));
   if (titleProp) {
     title += issueObject[titleProp];
   }
@@ -74,13 +206,15 @@ function getTitleFromIssueObject(issueObject) {
 
 function getDescriptionFromIssueObject(issueObject) {
   let description = '';
-  const descrProp = DESCR_PROPERTY_NAMES.find(isPropMatch.bind(issueObject));
+  const descrProp = DESCR_COLUMN_NAMES.find(isPropMatch.bind(issueObject));
   if (descrProp) {
     description += issueObject[descrProp];
   }
   return description.trim().substring(0, STORY_DESCRIPTION_CHAR_LIMIT);
 }
 
+const parseLabels = (rawLabels) => sanitizeLabels((rawLabels || '').split(/[,;\s]+/));
+
 function isPropMatch(propertyName) {
   return !!this[propertyName];
 }
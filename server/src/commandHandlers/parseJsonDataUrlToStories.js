@@ -0,0 +1,122 @@
+import {v4 as uuid} from 'uuid';
+import getLogger from '../getLogger';
+import sanitizeLabels from './sanitizeLabels';
+import {isStoryUrl} from './storyUrls';
+import {getCardValueForEstimate} from '../getCardConfigForValue';
+import {
+  STORY_DESCRIPTION_CHAR_LIMIT,
+  STORY_KEY_CHAR_LIMIT,
+  STORY_TITLE_CHAR_LIMIT
+} from './storyImportDefaults';
+
+const LOGGER = getLogger('jsonStoryImportParser');
+
+/**
+ * parses the given data url (data:application/json;base64,eyJyb29tSWQiOiJteS1yb29tIi.......) containing a room export
+ * (as produced by "buildRoomExportObject" in rest.js) into Poinz stories.
+ *
+ * Titles, descriptions, labels, issue keys and urls are always kept. If "withEstimations" is set, the consensus and the estimations of every story are kept.
+ * The export lists estimations by username. An estimation is only kept, if a user with that username is in the given room.
+ * The export lists card labels as consensus and estimations (exports of older versions list card values). Only consensus and estimations that match a card in the given cardConfig are kept.
+ * Stories with a consensus or estimations are imported as "revealed".
+ *
+ * @param {string} data
+ * @param {boolean} withEstimations
+ * @param {object[]} users The users in the room to which the stories are imported
+ * @param {object[]} cardConfig The card config of the room to which the stories are imported
+ * @return {object[]}
+ */
+export default function parseJsonDataUrlToStories(data, withEstimations, users, cardConfig) {
+  try {
+    LOGGER.debug('Parsing stories...');
+
+    const b64Data = data.substring(data.lastIndexOf(','));
+    const roomExport = JSON.parse(Buffer.from(b64Data, 'base64').toString());
+
+    if (!roomExport || !Array.isArray(roomExport.stories)) {
+      throw new Error('Given json is not a room export (no "stories" list)');
+    }
+
+    const userIdsByUsername = users.reduce((total, user) => {
+      if (user.username) {
+        total[user.username] = user.id;
+      }
+      return total;
+    }, {});
+
+    return roomExport.stories
+      .map((exportedStory) =>
+        exportedStoryToStory(exportedStory, withEstimations, userIdsByUsername, cardConfig)
+      )
+      .filter((story) => !!story);
+  } catch (err) {
+    throw new Error('Could not parse to stories ' + err);
+  }
+}
+
+function exportedStoryToStory(exportedStory, withEstimations, userIdsByUsername, cardConfig) {
+  const title = getTrimmedString(exportedStory && exportedStory.title, STORY_TITLE_CHAR_LIMIT);
+
+  if (!title) {
+    return undefined;
+  }
+
+  const story = {
+    title,
+    description: getTrimmedString(exportedStory.description, STORY_DESCRIPTION_CHAR_LIMIT),
+    storyId: uuid(),
+    estimations: {},
+    createdAt: Date.now()
+  };
+
+  const key = getTrimmedString(exportedStory.key, STORY_KEY_CHAR_LIMIT);
+  if (key && !/\s/.test(key)) {
+    story.key = key;
+  }
+
+  if (isStoryUrl(exportedStory.url)) {
+    story.url = exportedStory.url;
+  }
+
+  const labels = sanitizeLabels(exportedStory.labels);
+  if (labels.length > 0) {
+    story.labels = labels;
+  }
+
+  if (!withEstimations) {
+    return story;
+  }
+
+  story.estimations = getEstimations(exportedStory.estimations, userIdsByUsername, cardConfig);
+
+  const consensus = getCardValueForEstimate(cardConfig, exportedStory.consensus);
+  if (isNumber(consensus)) {
+    story.consensus = consensus;
+  }
+
+  if (Object.keys(story.estimations).length > 0 || isNumber(story.consensus)) {
+    story.revealed = true;
+  }
+
+  return story;
+}
+
+function getEstimations(exportedEstimations, userIdsByUsername, cardConfig) {
+  if (!Array.isArray(exportedEstimations)) {
+    return {};
+  }
+
+  return exportedEstimations.reduce((total, estimation) => {
+    const userId = estimation && userIdsByUsername[estimation.username];
+    const value = userId && getCardValueForEstimate(cardConfig, estimation.value);
+    if (isNumber(value)) {
+      total[userId] = value;
+    }
+    return total;
+  }, {});
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const getTrimmedString = (value, charLimit) =>
+  typeof value === 'string' ? value.trim().substring(0, charLimit) : '';
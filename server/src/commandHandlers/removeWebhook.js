@@ -0,0 +1,42 @@
+/**
+ * A user removes a webhook from the room.
+ * Only moderators of the room are allowed to do this (if the room has a moderator).
+ */
+const schema = {
+  allOf: [
+    {
+      $ref: 'command'
+    },
+    {
+      properties: {
+        payload: {
+          type: 'object',
+          properties: {
+            webhookId: {
+              type: 'string'
+            }
+          },
+          required: ['webhookId'],
+          additionalProperties: false
+        }
+      }
+    }
+  ]
+};
+
+const removeWebhookCommandHandler = {
+  schema,
+  moderatorOnly: true,
+  preCondition: (room, command) => {
+    if (!(room.webhooks || []).find((webhook) => webhook.id === command.payload.webhookId)) {
+      throw new Error(
+        `Given webhook ${command.payload.webhookId} does not belong to room ${room.id}`
+      );
+    }
+  },
+  fn: (room, command) => {
+    room.applyEvent('webhookRemoved', command.payload);
+  }
+};
+
+export default removeWebhookCommandHandler;
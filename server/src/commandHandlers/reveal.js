@@ -3,6 +3,7 @@
  * Users may only reveal the currently selected story
  * If story is already revealed, reject command.
  *
+ * If the estimation timer expires, the server reveals the story with the command "expireTimer".
  */
 import {getMatchingStoryOrThrow} from './commonPreconditions';
 
@@ -32,33 +33,55 @@ const schema = {
 const revealCommandHandler = {
   schema,
   preCondition: (room, command) => {
-    if (room.selectedStory !== command.payload.storyId) {
-      throw new Error('Can only reveal currently selected story!');
-    }
-
-    const matchingStory = getMatchingStoryOrThrow(room, command.payload.storyId);
-
-    if (matchingStory.revealed) {
-      throw new Error('Story is already revealed');
-    }
+    throwIfStoryCannotBeRevealed(room, command.payload.storyId);
   },
   fn: (room, command) => {
-    room.applyEvent('revealed', {
-      storyId: command.payload.storyId,
-      manually: true
-    });
-
-    const matchingStory = getMatchingStoryOrThrow(room, command.payload.storyId);
-    const estimValues = Object.values(matchingStory.estimations);
-    if (allEstimationsSame(estimValues)) {
-      room.applyEvent('consensusAchieved', {
-        storyId: command.payload.storyId,
-        value: estimValues[0]
-      });
-    }
+    applyRevealEvents(room, command.payload.storyId, {manually: true});
   }
 };
 
+/**
+ * Only the currently selected story can be revealed, and only once.
+ *
+ * @param {object} room
+ * @param {string} storyId
+ */
+export function throwIfStoryCannotBeRevealed(room, storyId) {
+  if (room.selectedStory !== storyId) {
+    throw new Error('Can only reveal currently selected story!');
+  }
+
+  const matchingStory = getMatchingStoryOrThrow(room, storyId);
+
+  if (matchingStory.revealed) {
+    throw new Error('Story is already revealed');
+  }
+}
+
+/**
+ * Applies "revealed" (with the given additional payload properties) and "consensusAchieved", if all estimations are the same.
+ *
+ * @param {object} room
+ * @param {string} storyId
+ * @param {object} revealedPayloadProperties e.g. {manually: true}
+ */
+export function applyRevealEvents(room, storyId, revealedPayloadProperties) {
+  room.applyEvent('revealed', {
+    storyId,
+    ...revealedPayloadProperties,
+    revealedAt: Date.now()
+  });
+
+  const matchingStory = getMatchingStoryOrThrow(room, storyId);
+  const estimValues = Object.values(matchingStory.estimations);
+  if (allEstimationsSame(estimValues)) {
+    room.applyEvent('consensusAchieved', {
+      storyId,
+      value: estimValues[0]
+    });
+  }
+}
+
 function allEstimationsSame(estimationValues) {
   if (estimationValues.length < 1) {
     return false;
@@ -0,0 +1,22 @@
+const LABEL_CHAR_LIMIT = 30;
+const LABELS_LIMIT = 10;
+
+/**
+ * Sanitizes labels of imported stories, so that they adhere to the same rules as labels set via "addStory" or "changeStory":
+ * trimmed, no commas, at most 30 characters, no duplicates, at most 10 labels per story.
+ *
+ * @param {string[]} labels
+ * @return {string[]}
+ */
+export default function sanitizeLabels(labels) {
+  if (!Array.isArray(labels)) {
+    return [];
+  }
+
+  const sanitized = labels
+    .filter((label) => typeof label === 'string')
+    .map((label) => label.replace(/,/g, ' ').trim().substring(0, LABEL_CHAR_LIMIT).trim())
+    .filter((label) => !!label);
+
+  return [...new Set(sanitized)].slice(0, LABELS_LIMIT);
+}
@@ -0,0 +1,33 @@
+/**
+ * Returns the webhooks of the given room as they can be sent to clients: without the secrets and with masked urls (see "maskWebhookUrl").
+ *
+ * @param {object[]} [webhooks]
+ * @return {object[]}
+ */
+const sanitizeWebhooks = (webhooks) =>
+  (webhooks || []).map((webhook) => ({
+    id: webhook.id,
+    url: maskWebhookUrl(webhook.url),
+    events: webhook.events
+  }));
+
+export default sanitizeWebhooks;
+
+/**
+ * Webhook urls often contain tokens in their path or query (e.g. Slack or MS Teams incoming webhooks). All users in the room can see the webhooks, thus only the origin of the url is sent to clients.
+ *
+ * @param {string} url
+ * @return {string} e.g. "https://hooks.slack.com/***"
+ */
+export function maskWebhookUrl(url) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (err) {
+    return '***';
+  }
+
+  const hasPathOrQuery =
+    parsedUrl.pathname.length > 1 || parsedUrl.search.length > 0 || parsedUrl.hash.length > 0;
+  return hasPathOrQuery ? parsedUrl.origin + '/***' : parsedUrl.origin;
+}
@@ -0,0 +1,23 @@
+/**
+ * Estimation values of stories that are not yet revealed must not be sent to clients.
+ * Clients will only learn *that* a user did estimate a story. The value of a sealed estimation is replaced by "true".
+ * Values are sent to all clients with the "revealed" event.
+ *
+ * @param {object} story
+ * @return {object} the story with sealed estimations (if not yet revealed)
+ */
+const sealStoryEstimations = (story) => {
+  if (story.revealed || !story.estimations) {
+    return story;
+  }
+
+  return {
+    ...story,
+    estimations: Object.keys(story.estimations).reduce((total, userId) => {
+      total[userId] = true;
+      return total;
+    }, {})
+  };
+};
+
+export default sealStoryEstimations;
@@ -28,6 +28,7 @@ const schema = {
 
 const setAvatarCommandHandler = {
   schema,
+  spectatorAllowed: true,
   fn: (room, command) => {
     room.applyEvent('avatarSet', command.payload);
   }
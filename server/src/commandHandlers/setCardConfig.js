@@ -1,7 +1,43 @@
 /**
  * A user sets a custom card configuration on the room.
+ * Every card has a (unique) numeric "value" that identifies it, a "label" and a "color".
+ * Optionally, a "position" (order of the cards) and a numeric "weight" (used for mean, median and standard deviation, see "computeEstimationStats") can be given.
+ * This allows for non-numeric decks like T-shirt sizes, where cards have no weight.
+ * If estimations on stories that are not yet revealed (and use the card config of the room) no longer match a card, all estimations on these stories are cleared. The users have to estimate again.
+ * Only moderators of the room are allowed to do this (if the room has a moderator).
  */
 import defaultCardConfig from '../defaultCardConfig';
+import getStoriesWithEstimationsNotMatchingCardConfig from './getStoriesWithEstimationsNotMatchingCardConfig';
+
+export const cardConfigSchema = {
+  type: 'array',
+  minItems: 0,
+  items: {
+    type: 'object',
+    properties: {
+      value: {
+        type: ['number', 'string'],
+        format: 'parseableNumber'
+      },
+      label: {
+        type: 'string'
+      },
+      color: {
+        type: 'string'
+      },
+      position: {
+        type: 'integer',
+        minimum: 0
+      },
+      weight: {
+        type: 'number'
+      }
+    },
+    required: ['value', 'label', 'color'],
+    additionalProperties: false
+  },
+  format: 'cardConfig'
+};
 
 const schema = {
   allOf: [
@@ -13,28 +49,7 @@ const schema = {
         payload: {
           type: 'object',
           properties: {
-            cardConfig: {
-              type: 'array',
-              minItems: 0,
-              items: {
-                type: 'object',
-                properties: {
-                  value: {
-                    type: ['number', 'string'],
-                    format: 'parseableNumber'
-                  },
-                  label: {
-                    type: 'string'
-                  },
-                  color: {
-                    type: 'string'
-                  }
-                },
-                required: ['value', 'label', 'color'],
-                additionalProperties: false
-              },
-              format: 'cardConfig'
-            }
+            cardConfig: cardConfigSchema
           },
           required: ['cardConfig'],
           additionalProperties: false
@@ -46,9 +61,10 @@ const schema = {
 
 const setCardConfigCommandHandler = {
   schema,
+  moderatorOnly: true,
   fn: (room, command) => {
     const cardConfig = sanitizeCardConfig(command.payload.cardConfig);
-    room.applyEvent('cardConfigSet', {...command.payload, cardConfig});
+    room.applyEvent('cardConfigSet', buildCardConfigSetPayload(room, cardConfig));
   }
 };
 
@@ -59,16 +75,50 @@ export default setCardConfigCommandHandler;
  * cardConfig is an array of objects with "label" "value" and "color" properties. (or an empty array).
  * We allow "value" passed as string. try to parse them to number
  *
+ * Cards are sorted by their position (cards without position are put last) and positions are set to 0..n-1.
+ * If none of the cards has a position (card config in the format before positions and weights were introduced), the weight of cards with non-negative values is set to their value.
+ *
  * @param {object[]} cc
  */
-function sanitizeCardConfig(cc) {
+export function sanitizeCardConfig(cc) {
   if (!cc || cc.length < 1) {
     return defaultCardConfig;
   }
-  return cc.map((cardConfigItem) => {
-    if (typeof cardConfigItem.value === 'string') {
-      cardConfigItem.value = parseFloat(cardConfigItem.value);
-    }
-    return cardConfigItem;
-  });
+
+  const isLegacyFormat = cc.every((cardConfigItem) => cardConfigItem.position === undefined);
+
+  return cc
+    .map((cardConfigItem, index) => {
+      const sanitizedItem = {...cardConfigItem};
+      if (typeof sanitizedItem.value === 'string') {
+        sanitizedItem.value = parseFloat(sanitizedItem.value);
+      }
+      if (isLegacyFormat && sanitizedItem.value >= 0) {
+        sanitizedItem.weight = sanitizedItem.value;
+      }
+      return {item: sanitizedItem, sortKey: isLegacyFormat ? index : sanitizedItem.position};
+    })
+    .sort((cA, cB) => sortKeyOf(cA) - sortKeyOf(cB))
+    .map(({item}, index) => ({...item, position: index}));
+}
+
+const sortKeyOf = (cardWithSortKey) =>
+  cardWithSortKey.sortKey === undefined ? Number.MAX_SAFE_INTEGER : cardWithSortKey.sortKey;
+
+/**
+ * The payload of the "cardConfigSet" event. Lists the stories whose estimations will be cleared, since some of them no longer match a card (if any).
+ * Stories with their own card deck are not affected.
+ *
+ * @param {object} room
+ * @param {object[]} cardConfig The sanitized card config
+ * @return {{cardConfig: object[], storiesWithClearedEstimations?: string[]}}
+ */
+export function buildCardConfigSetPayload(room, cardConfig) {
+  const storiesWithClearedEstimations = getStoriesWithEstimationsNotMatchingCardConfig(
+    room.stories.filter((story) => !story.cardConfig),
+    cardConfig
+  );
+  return storiesWithClearedEstimations.length > 0
+    ? {cardConfig, storiesWithClearedEstimations}
+    : {cardConfig};
 }
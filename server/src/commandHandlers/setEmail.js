@@ -31,6 +31,7 @@ const schema = {
 
 const setEmailCommandHandler = {
   schema,
+  spectatorAllowed: true,
   fn: (room, command) => {
     room.applyEvent('emailSet', {
       ...command.payload,
@@ -0,0 +1,41 @@
+/**
+ * A user sets the issue url template of the room (e.g. "https://jira.example.com/browse/{key}").
+ * The url of stories that have a "key" but no explicit "url" is built from this template: the placeholder "{key}" is replaced with the key of the story.
+ * An empty string removes the template.
+ * Only moderators of the room are allowed to do this (if the room has a moderator).
+ */
+export const issueUrlTemplateSchema = {
+  type: 'string',
+  maxLength: 500,
+  pattern: '^(https?://\\S*\\{key\\}\\S*)?$'
+};
+
+const schema = {
+  allOf: [
+    {
+      $ref: 'command'
+    },
+    {
+      properties: {
+        payload: {
+          type: 'object',
+          properties: {
+            issueUrlTemplate: issueUrlTemplateSchema
+          },
+          required: ['issueUrlTemplate'],
+          additionalProperties: false
+        }
+      }
+    }
+  ]
+};
+
+const setIssueUrlTemplateCommandHandler = {
+  schema,
+  moderatorOnly: true,
+  fn: (room, command) => {
+    room.applyEvent('issueUrlTemplateSet', command.payload);
+  }
+};
+
+export default setIssueUrlTemplateCommandHandler;
@@ -3,6 +3,7 @@ import {hashRoomPassword} from './auth/roomPasswordService';
 /**
  * A user sets (or re-sets) a password for this room. If the password is undefined or empty, the password protection is removed (passwordCleared event).
  * Currently this can be done without specifying the old password.
+ * Only moderators of the room are allowed to do this (if the room has a moderator).
  */
 
 const schema = {
@@ -33,6 +34,7 @@ const schema = {
 
 const setPasswordCommandHandler = {
   schema,
+  moderatorOnly: true,
   fn: (room, command) => {
     if (command.payload.password) {
       room.applyEvent('passwordSet', {
@@ -0,0 +1,92 @@
+/**
+ * A moderator sets the role of a user in the room. A user is either a "moderator" or a "participant".
+ * Moderators can promote other users to moderators or demote moderators to participants.
+ * The last moderator of a room cannot be demoted.
+ * If the last moderator leaves the room (or is kicked), the role is handed over (see "handOverModeratorRole").
+ *
+ * Some commands can only be sent by moderators (see "moderatorOnly" flag on command handlers).
+ */
+import {getMatchingUserOrThrow} from './commonPreconditions';
+
+const schema = {
+  allOf: [
+    {
+      $ref: 'command'
+    },
+    {
+      properties: {
+        payload: {
+          type: 'object',
+          properties: {
+            userId: {
+              type: 'string',
+              format: 'uuidv4'
+            },
+            role: {
+              type: 'string',
+              enum: ['moderator', 'participant']
+            }
+          },
+          required: ['userId', 'role'],
+          additionalProperties: false
+        }
+      }
+    }
+  ]
+};
+
+const setUserRoleCommandHandler = {
+  schema,
+  moderatorOnly: true,
+  preCondition: (room, command) => {
+    const matchingUser = getMatchingUserOrThrow(room, command.payload.userId);
+
+    if (command.payload.role === 'moderator' && matchingUser.spectator) {
+      throw new Error('Spectators cannot be moderators!');
+    }
+
+    const moderatorCount = room.users.filter((usr) => usr.role === 'moderator').length;
+    if (
+      command.payload.role !== 'moderator' &&
+      matchingUser.role === 'moderator' &&
+      moderatorCount < 2
+    ) {
+      throw new Error('The last moderator of a room cannot be demoted!');
+    }
+  },
+  fn: (room, command) => {
+    room.applyEvent('userRoleSet', {
+      userId: command.payload.userId,
+      role: command.payload.role
+    });
+  }
+};
+
+export default setUserRoleCommandHandler;
+
+/**
+ * If the given user is the last moderator of the room and is about to be removed from the room, the remaining user who is present the longest becomes moderator.
+ * Connected users are preferred over disconnected users, spectators cannot be moderators.
+ *
+ * @param {object} room The room before the user is removed
+ * @param {string} leavingUserId
+ */
+export function handOverModeratorRole(room, leavingUserId) {
+  const users = room.users || [];
+  const leavingUser = users.find((usr) => usr.id === leavingUserId);
+  if (!leavingUser || leavingUser.role !== 'moderator') {
+    return;
+  }
+
+  const remainingUsers = users.filter((usr) => usr.id !== leavingUserId);
+  if (remainingUsers.some((usr) => usr.role === 'moderator')) {
+    return;
+  }
+
+  // "users" are ordered by the time they joined the room
+  const candidates = remainingUsers.filter((usr) => !usr.spectator);
+  const successor = candidates.find((usr) => !usr.disconnected) || candidates[0];
+  if (successor) {
+    room.applyEvent('moderatorAssigned', {userId: successor.id});
+  }
+}
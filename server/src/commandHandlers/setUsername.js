@@ -27,6 +27,7 @@ const schema = {
 
 const setUsernameCommandHandler = {
   schema,
+  spectatorAllowed: true,
   fn: (room, command) => {
     room.applyEvent('usernameSet', command.payload);
   }
@@ -0,0 +1,57 @@
+/**
+ * A user settles a revealed story on a final value (e.g. after the team discussed differing estimations).
+ * The value must match one of the cards of the story's card deck (or the room's card config, if the story has no own deck). This sets the consensus of the story.
+ * A story can be settled again (the value is overwritten), as long as no new estimation round is started.
+ */
+import {
+  getMatchingStoryOrThrow,
+  throwIfStoryTrashed,
+  throwIfValueNotInActiveCardConfig
+} from './commonPreconditions';
+
+const schema = {
+  allOf: [
+    {
+      $ref: 'command'
+    },
+    {
+      properties: {
+        payload: {
+          type: 'object',
+          properties: {
+            storyId: {
+              type: 'string',
+              minLength: 1
+            },
+            value: {
+              type: 'number'
+            }
+          },
+          required: ['storyId', 'value'],
+          additionalProperties: false
+        }
+      }
+    }
+  ]
+};
+
+const settleStoryCommandHandler = {
+  schema,
+  preCondition: (room, command) => {
+    const storyId = command.payload.storyId;
+
+    throwIfStoryTrashed(room, storyId);
+
+    const matchingStory = getMatchingStoryOrThrow(room, storyId);
+    if (!matchingStory.revealed) {
+      throw new Error('You cannot settle a story that is not revealed!');
+    }
+
+    throwIfValueNotInActiveCardConfig(room, matchingStory, command.payload.value);
+  },
+  fn: (room, command) => {
+    room.applyEvent('storySettled', command.payload);
+  }
+};
+
+export default settleStoryCommandHandler;
@@ -0,0 +1,62 @@
+/**
+ * A user starts the estimation timer (a countdown) for the currently selected story.
+ * All users in the room see the same countdown. If the timer expires, the server reveals the story (see "timerScheduler"), even if not all users estimated.
+ * A running timer is replaced by the new one.
+ *
+ * The duration is given in seconds.
+ */
+import {getMatchingStoryOrThrow, throwIfStoryTrashed} from './commonPreconditions';
+
+const schema = {
+  allOf: [
+    {
+      $ref: 'command'
+    },
+    {
+      properties: {
+        payload: {
+          type: 'object',
+          properties: {
+            storyId: {
+              type: 'string',
+              minLength: 1
+            },
+            duration: {
+              type: 'integer',
+              minimum: 5,
+              maximum: 3600
+            }
+          },
+          required: ['storyId', 'duration'],
+          additionalProperties: false
+        }
+      }
+    }
+  ]
+};
+
+const startTimerCommandHandler = {
+  schema,
+  preCondition: (room, command) => {
+    const storyId = command.payload.storyId;
+
+    if (room.selectedStory !== storyId) {
+      throw new Error('Can only start the timer for currently selected story!');
+    }
+
+    throwIfStoryTrashed(room, storyId);
+
+    if (getMatchingStoryOrThrow(room, storyId).revealed) {
+      throw new Error('Cannot start the timer for a story that is already revealed!');
+    }
+  },
+  fn: (room, command) => {
+    room.applyEvent('timerStarted', {
+      storyId: command.payload.storyId,
+      duration: command.payload.duration,
+      startedAt: Date.now()
+    });
+  }
+};
+
+export default startTimerCommandHandler;
@@ -0,0 +1,35 @@
+/**
+ * A user stops the running estimation timer. The story will not be revealed automatically.
+ */
+
+const schema = {
+  allOf: [
+    {
+      $ref: 'command'
+    },
+    {
+      properties: {
+        payload: {
+          type: 'object',
+          properties: {},
+          required: [],
+          additionalProperties: false
+        }
+      }
+    }
+  ]
+};
+
+const stopTimerCommandHandler = {
+  schema,
+  preCondition: (room) => {
+    if (!room.timer) {
+      throw new Error('There is no running timer in this room!');
+    }
+  },
+  fn: (room) => {
+    room.applyEvent('timerStopped', {storyId: room.timer.storyId});
+  }
+};
+
+export default stopTimerCommandHandler;
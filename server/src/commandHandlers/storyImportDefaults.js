@@ -0,0 +1,19 @@
+import storyImportColumns from './storyImportColumns.json';
+
+/**
+ * Limits and well-known csv column names of the story import (see "parseCsvDataUrlToStories" and "parseJsonDataUrlToStories").
+ *
+ * Delimiters and column names are kept in a json file: the client uses the same file to detect the delimiter and to pre-select columns (see client/app/services/csvHeaders.js).
+ */
+
+export const STORY_TITLE_CHAR_LIMIT = 100;
+export const STORY_DESCRIPTION_CHAR_LIMIT = 2000;
+export const STORY_KEY_CHAR_LIMIT = 50;
+
+export const DELIMITERS = storyImportColumns.delimiters;
+
+export const KEY_COLUMN_NAMES = storyImportColumns.columnNames.key;
+export const TITLE_COLUMN_NAMES = storyImportColumns.columnNames.title;
+export const DESCR_COLUMN_NAMES = storyImportColumns.columnNames.description;
+export const LABELS_COLUMN_NAMES = storyImportColumns.columnNames.labels;
+export const URL_COLUMN_NAMES = storyImportColumns.columnNames.url;
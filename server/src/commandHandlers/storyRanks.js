@@ -0,0 +1,37 @@
+/**
+ * Stories in the backlog are manually ordered by their "rank" (see command "moveStory").
+ * The story with the lowest rank is at the top of the backlog.
+ *
+ * Stories from rooms that were created before ranks were introduced might not have a rank (see migration "stories-rank"). These are sorted after ranked stories and keep their order.
+ */
+
+/**
+ * @param {object} room
+ * @return {number} The rank for a story that is added to the bottom of the backlog
+ */
+export function getNextStoryRank(room) {
+  return (room.stories || []).reduce(
+    (nextRank, story) => (hasRank(story) && story.rank >= nextRank ? story.rank + 1 : nextRank),
+    0
+  );
+}
+
+/**
+ * @param {object[]} stories
+ * @return {object[]} A new array with the given stories sorted by rank
+ */
+export function sortStoriesByRank(stories) {
+  return [...stories].sort(compareByRank);
+}
+
+function compareByRank(sA, sB) {
+  if (hasRank(sA) && hasRank(sB) && sA.rank !== sB.rank) {
+    return sA.rank - sB.rank;
+  }
+  if (hasRank(sA) !== hasRank(sB)) {
+    return hasRank(sA) ? -1 : 1;
+  }
+  return 0; // Array.prototype.sort is stable
+}
+
+const hasRank = (story) => typeof story.rank === 'number';
@@ -0,0 +1,32 @@
+const STORY_URL_CHAR_LIMIT = 2000;
+
+/**
+ * Whether the given value is usable as "url" of a story (see commands "addStory" and "changeStory"): an absolute http(s) url without whitespace.
+ *
+ * @param {*} value
+ * @return {boolean}
+ */
+export function isStoryUrl(value) {
+  return (
+    typeof value === 'string' &&
+    value.length <= STORY_URL_CHAR_LIMIT &&
+    /^https?:\/\/\S+$/.test(value)
+  );
+}
+
+/**
+ * Returns the url of the given story. An explicitly set "url" wins over the url built from the room's issue url template (see command "setIssueUrlTemplate").
+ *
+ * @param {object} story
+ * @param {string} [issueUrlTemplate] e.g. "https://jira.example.com/browse/{key}"
+ * @return {string|undefined}
+ */
+export function getStoryUrl(story, issueUrlTemplate) {
+  if (story.url) {
+    return story.url;
+  }
+  if (story.key && issueUrlTemplate) {
+    return issueUrlTemplate.replace(/\{key\}/g, encodeURIComponent(story.key));
+  }
+  return undefined;
+}
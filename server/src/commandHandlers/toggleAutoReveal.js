@@ -1,5 +1,6 @@
 /**
  * A user toggles the "autoReveal" flag on the room
+ * Only moderators of the room are allowed to do this (if the room has a moderator).
  */
 
 const schema = {
@@ -22,6 +23,7 @@ const schema = {
 
 const toggleAutoRevealCommandHandler = {
   schema,
+  moderatorOnly: true,
   fn: (room) => {
     if (room.autoReveal) {
       room.applyEvent('autoRevealOff', {});
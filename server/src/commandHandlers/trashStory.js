@@ -1,9 +1,11 @@
 import {getMatchingStoryOrThrow} from './commonPreconditions';
+import {sortStoriesByRank} from './storyRanks';
 
 /**
  * A user "trashes" a story  (marked as trashed, still in room).
+ * Only moderators of the room are allowed to do this (if the room has a moderator).
  *
- * If the story that is "trashed" is the selectedStory in the room, an additional "storySelected" event is produced
+ * If the story that is "trashed" is the selectedStory in the room, an additional "storySelected" event is produced (selects the topmost remaining story in the backlog)
  */
 
 const schema = {
@@ -31,6 +33,7 @@ const schema = {
 
 const trashStoryCommandHandler = {
   schema,
+  moderatorOnly: true,
   preCondition: (room, command) => {
     getMatchingStoryOrThrow(room, command.payload.storyId);
   },
@@ -46,7 +49,7 @@ const trashStoryCommandHandler = {
 export default trashStoryCommandHandler;
 
 function findNextStoryToSelect(room, trashCommand) {
-  const remainingStories = (room.stories || []).filter(
+  const remainingStories = sortStoriesByRank(room.stories || []).filter(
     (story) => !story.trashed && story.id !== trashCommand.payload.storyId
   );
 
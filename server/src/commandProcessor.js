@@ -3,19 +3,29 @@ import {v4 as uuid} from 'uuid';
 import fastq from 'fastq';
 
 import getLogger from './getLogger';
-import {throwIfUserIdNotFoundInRoom} from './commandHandlers/commonPreconditions';
+import {
+  throwIfUserIdNotFoundInRoom,
+  throwIfUserIsNotModerator,
+  throwIfUserIsSpectator
+} from './commandHandlers/commonPreconditions';
 import {
   commandSchemaValidatorFactory,
   roomSchemaValidatorFactory,
   getSchemasFromRealCommandHandlers
 } from './validation/schemaValidators';
+import {getRevision, RevisionConflictError} from './store/revisionConflict';
 
 const LOGGER = getLogger('commandProcessor');
 
+/**
+ * How many times a command is handled again, if the room was modified concurrently (see step 7. "saveRoomBackToStore")
+ */
+const MAX_REVISION_CONFLICT_RETRIES = 3;
+
 /**
  * -- "The Core component" of the poinz backend --
  *
- * The command processor handles all incoming commands. And performs the same 7 steps for each command (details see below).
+ * The command processor handles all incoming commands. And performs the same 9 steps for each command (details see below).
  *
  * - If a command is processed successfully, a list of produced events is returned (wrapped in a promise)
  *
@@ -26,15 +36,17 @@ const LOGGER = getLogger('commandProcessor');
  * @param {object} baseCommandSchema The base command schema that every command must fulfil. (can be referenced by all commands).
  * @param {object} eventHandlers
  * @param {object} store The Rooms Store
+ * @param {object} [webhookDispatcher] If set, produced events are handed over to the dispatcher (see webhookDispatcher.js)
  * @returns {function} the processCommand function
  */
 export default function commandProcessorFactory(
   commandHandlers,
   baseCommandSchema,
   eventHandlers,
-  store
+  store,
+  webhookDispatcher
 ) {
-  const queue = fastq(jobHandler, 1);
+  const roomQueues = {}; // roomId -> fastq queue
 
   checkCommandHandlersForStructure(commandHandlers);
 
@@ -56,15 +68,19 @@ export default function commandProcessorFactory(
    *  4. Precondition check
    *  5. Handle Command
    *  6. Apply events
-   *  7. Store room
+   *  7. Store room (or delete it, see command "deleteRoom")
+   *  8. Append events to the event log of the room
+   *  9. Dispatch events to the webhooks of the room
    *
    *  Every step can throw an error which will reject the promise.
+   *  If the room was modified concurrently (by another server instance), the command is handled again (steps 1 - 9) on the current room.
    *
    *  @param {object} command
    *  @param {string} userId The id of the user that sent the command
+   *  @param {boolean} [issuedByServer] True for commands that the server issues itself (e.g. "expireTimer"). Only these can be handled by command handlers flagged with "serverOnly:true"
    *  @returns {Promise<object[]>} Promise that resolves to a list of events that were produced by this command. (they are already applied to the room state)
    */
-  return function processCommand(command, userId) {
+  return function processCommand(command, userId, issuedByServer = false) {
     if (!userId) {
       throw new Error('Fatal! socketServer has to provide userId!');
     }
@@ -73,10 +89,14 @@ export default function commandProcessorFactory(
      * In a scenario where two commands for the same room arrive only a few ms apart, both command handlers
      * would receive the same room object from the store. the second command would override the state manipulations of the first.
      *
-     * This is why we push incoming commands into a queue. Commands will be handled in sequence.
+     * This is why we push incoming commands into a queue per room. Commands for the same room will be handled in sequence,
+     * commands for different rooms are handled in parallel.
+     * (Queues are held in memory: if multiple server instances process commands for the same room, they are not serialized across instances)
      */
+    const queue = getRoomQueue(sanitizeRoomId(command));
+
     return new Promise((resolve, reject) =>
-      queue.push({command, userId}, (err, result) => {
+      queue.push({command, userId, issuedByServer}, (err, result) => {
         if (err) {
           reject(err);
         } else {
@@ -86,6 +106,27 @@ export default function commandProcessorFactory(
     );
   };
 
+  /**
+   * Returns the queue of the room of the given command. Created if there is no queue for this room.
+   * As soon as all commands of a room are handled, the queue is removed (we do not want to keep a queue for every room ever seen).
+   *
+   * @param {object} command
+   * @return {object} the fastq queue
+   */
+  function getRoomQueue(command) {
+    const queueKey = (command && command.roomId) || ''; // commands without roomId will be rejected by validation
+    if (!roomQueues[queueKey]) {
+      const queue = fastq(jobHandler, 1);
+      queue.drain = () => {
+        if (roomQueues[queueKey] === queue) {
+          delete roomQueues[queueKey];
+        }
+      };
+      roomQueues[queueKey] = queue;
+    }
+    return roomQueues[queueKey];
+  }
+
   /**
    * queue job handler
    *
@@ -93,25 +134,14 @@ export default function commandProcessorFactory(
    * @param {function} proceed function to proceed the queue (handle the next job/command)
    */
   async function jobHandler(job, proceed) {
-    const {userId} = job;
+    const {userId, issuedByServer} = job;
     const command = sanitizeRoomId(job.command);
 
-    const context = {userId};
-
     logCommand(command, userId);
 
+    let context;
     try {
-      const steps = [
-        validate,
-        findMatchingCommandHandler,
-        loadRoom,
-        preConditions,
-        handle,
-        applyEvents,
-        saveRoomBackToStore
-      ];
-
-      await steps.reduce((p, step) => p.then(() => step(context, command)), Promise.resolve(null));
+      context = await handleCommand(command, userId, issuedByServer);
     } catch (err) {
       proceed(err); // proceed with next job in queue
       return;
@@ -125,6 +155,45 @@ export default function commandProcessorFactory(
     }); // proceed with next job in queue
   }
 
+  /**
+   * Performs all steps for the given command.
+   * If the room could not be saved because it was modified concurrently, all steps are performed again with a fresh context (the room is loaded again).
+   * Events are appended to the log and dispatched only after the room was saved, so nothing is done twice.
+   *
+   * @param {object} command
+   * @param {string} userId
+   * @param {boolean} issuedByServer
+   * @param {number} [retryCount]
+   * @return {Promise<object>} the context
+   */
+  async function handleCommand(command, userId, issuedByServer, retryCount = 0) {
+    const context = {userId, issuedByServer};
+
+    const steps = [
+      validate,
+      findMatchingCommandHandler,
+      loadRoom,
+      preConditions,
+      handle,
+      applyEvents,
+      saveRoomBackToStore,
+      appendEventsToLog,
+      dispatchToWebhooks
+    ];
+
+    try {
+      await steps.reduce((p, step) => p.then(() => step(context, command)), Promise.resolve(null));
+    } catch (err) {
+      if (err instanceof RevisionConflictError && retryCount < MAX_REVISION_CONFLICT_RETRIES) {
+        LOGGER.warn(`${err.message}. Handling command ${command.id} again...`);
+        return handleCommand(command, userId, issuedByServer, retryCount + 1);
+      }
+      throw err;
+    }
+
+    return context;
+  }
+
   /**
    * 1. Validate incoming command (syntactically, against schema)
    */
@@ -134,6 +203,7 @@ export default function commandProcessorFactory(
 
   /**
    * 2. Find matching command handler according to command name.
+   * Commands that are flagged with "serverOnly:true" are rejected, if they were not issued by the server itself.
    * */
   async function findMatchingCommandHandler(ctx, cmd) {
     const handler = commandHandlers[cmd.name];
@@ -141,6 +211,12 @@ export default function commandProcessorFactory(
     if (!handler) {
       throw new Error(`No command handler found for ${cmd.name}`);
     }
+    if (handler.serverOnly && !ctx.issuedByServer) {
+      throw new PreconditionError(
+        new Error(`Command ${cmd.name} can only be issued by the server`),
+        cmd
+      );
+    }
     ctx.handler = handler;
   }
 
@@ -162,6 +238,7 @@ export default function commandProcessorFactory(
 
     // try loading by id
     const room = await store.getRoomById(cmd.roomId);
+    ctx.loadedRevision = getRevision(room);
     if (room) {
       ctx.room = room;
       return;
@@ -169,7 +246,10 @@ export default function commandProcessorFactory(
 
     // room does not yet exist. if handler allows it, we create it.
     if (!ctx.handler.canCreateRoom) {
-      throw new Error(`Command "${cmd.name}" only wants to get handled for an existing room!`);
+      throw new PreconditionError(
+        new Error(`Command "${cmd.name}" only wants to get handled for an existing room!`),
+        cmd
+      );
     }
 
     // command is allowed to create new room.
@@ -182,6 +262,9 @@ export default function commandProcessorFactory(
   /**
    * 4. Run command preconditions which are defined in commandHandlers.
    * Preconditions receive the room, the command and the userId and can do some semantic checks.
+   * By default, the user must belong to the room. Command handlers can skip this check with "skipUserIdRoomCheck:true".
+   * Commands that are flagged with "moderatorOnly:true" can only be sent by moderators of the room.
+   * Spectators can only send commands that are flagged with "spectatorAllowed:true".
    */
   async function preConditions(ctx, cmd) {
     try {
@@ -189,6 +272,14 @@ export default function commandProcessorFactory(
         throwIfUserIdNotFoundInRoom(ctx.room, ctx.userId);
       }
 
+      if (!ctx.handler.spectatorAllowed) {
+        throwIfUserIsSpectator(ctx.room, ctx.userId);
+      }
+
+      if (ctx.handler.moderatorOnly) {
+        throwIfUserIsNotModerator(ctx.room, ctx.userId);
+      }
+
       if (ctx.handler.preCondition) {
         ctx.handler.preCondition(ctx.room, cmd, ctx.userId);
       }
@@ -205,6 +296,7 @@ export default function commandProcessorFactory(
   async function handle(ctx, cmd) {
     ctx.eventHandlingQueue = [];
     ctx.eventsToSend = [];
+    ctx.eventsToLog = [];
 
     /**
      * called from command handlers: room.apply('someEvent', payload)
@@ -220,6 +312,8 @@ export default function commandProcessorFactory(
 
       // events are handled sequentially since events most often update the state of the room ("are applied to the room")
       ctx.eventHandlingQueue.push((currentRoom) => {
+        const originalEventPayload = eventPayload;
+
         /*
          * Call actual eventHandler function:
          * "modifyEventPayload": In some cases we need to pass data from commandHandler to eventHandler (because properties need to be stored on the room object).
@@ -239,15 +333,24 @@ export default function commandProcessorFactory(
         }
 
         // build the event object that is sent back to clients
-        ctx.eventsToSend.push({
+        const event = {
           id: uuid(),
           userId: ctx.userId, // which user triggered the command / is "responsible" for the event
           correlationId: cmd.id,
           name: eventName,
           roomId: updatedRoom.id,
+          revision: ctx.loadedRevision + 1, // the revision of the room after this command, allows clients to detect missed changes
           restricted,
           payload: eventPayload
-        });
+        };
+        ctx.eventsToSend.push(event);
+
+        // the event log must contain the original payload (that was passed to the event handler), otherwise we would not be able to replay the event
+        ctx.eventsToLog.push(
+          eventPayload === originalEventPayload
+            ? event
+            : {...event, replayPayload: originalEventPayload}
+        );
 
         return updatedRoom;
       });
@@ -273,18 +376,68 @@ export default function commandProcessorFactory(
    *  7. Store modified room object (asynchronous)
    *  Command was processed successfully and all produced events were applied and modified the room object.
    *  Now store the new state.
+   *  If the room was deleted (see event "roomDeleted"), it is removed from the store together with its event log.
+   *
+   *  The room is saved with the next revision, but only if nobody else saved the room since we loaded it (optimistic concurrency).
+   *  Otherwise the store throws a RevisionConflictError (see revisionConflict.js).
    *
    *  @returns {Promise} returns a promise that resolves as soon as the room is stored
    */
   async function saveRoomBackToStore(ctx) {
-    ctx.room.lastActivity = Date.now();
-    ctx.room.markedForDeletion = false;
     delete ctx.room.applyEvent;
     delete ctx.room.applyRestrictedEvent;
 
+    if (ctx.room.deleted) {
+      await store.deleteRoom(ctx.room.id);
+      return;
+    }
+
+    ctx.room.lastActivity = Date.now();
+    ctx.room.markedForDeletion = false;
+    delete ctx.room.markedForDeletionAt;
+
+    ctx.room.revision = ctx.loadedRevision + 1;
+
     validateRoom(ctx.room);
 
-    await store.saveRoom(ctx.room);
+    await store.saveRoom(ctx.room, ctx.loadedRevision);
+  }
+
+  /**
+   * 8. Append produced events to the event log of the room (asynchronous)
+   * The log allows to rebuild the room by replaying its events (see eventReplay.js)
+   *
+   * At this point, the room is already saved. If appending fails, the command must not be rejected (the room state did change, the events must still be sent to the clients).
+   * The failure is logged as error: the event log of the room is incomplete from now on, a replay of the log would not match the room.
+   *
+   * @returns {Promise} returns a promise that resolves as soon as the events are stored (or appending failed)
+   */
+  async function appendEventsToLog(ctx, cmd) {
+    if (ctx.room.deleted) {
+      return;
+    }
+
+    const timestamp = ctx.room.lastActivity;
+    try {
+      await store.appendEvents(
+        ctx.room.id,
+        ctx.eventsToLog.map((evt) => ({...evt, timestamp}))
+      );
+    } catch (appendError) {
+      LOGGER.error(
+        `Could not append events of command ${cmd.id} to the event log of room ${ctx.room.id}. The event log is incomplete! ${appendError.message}`
+      );
+    }
+  }
+
+  /**
+   * 9. Hand the produced events over to the webhook dispatcher (if the room has webhooks, see command "addWebhook").
+   * Delivery (including retries) happens in the background, we do not wait for it.
+   */
+  async function dispatchToWebhooks(ctx) {
+    if (webhookDispatcher && ctx.room.webhooks && ctx.room.webhooks.length > 0) {
+      webhookDispatcher.dispatch(ctx.room, ctx.eventsToSend);
+    }
   }
 }
 
@@ -360,7 +513,7 @@ function logEvents(context, correlationId) {
   }
 }
 
-function PreconditionError(err, cmd) {
+export function PreconditionError(err, cmd) {
   this.stack = err.stack;
   this.name = this.constructor.name;
   this.message = `Precondition Error during "${cmd.name}": ${err.message}`;
@@ -1,16 +1,20 @@
+/**
+ * Cards are identified by their "value" (stored as estimation and consensus). Negative values mark special cards ("?", "BIG").
+ * "position" defines the order of the cards, "weight" (optional) is the numeric worth of a card, used for mean, median and standard deviation.
+ */
 const defaultCardConfig = [
-  {label: '?', value: -2, color: '#bdbfbf'},
-  {label: '1/2', value: 0.5, color: '#667a66'},
-  {label: '1', value: 1, color: '#839e7a'},
-  {label: '2', value: 2, color: '#8cb876'},
-  {label: '3', value: 3, color: '#96ba5b'},
-  {label: '5', value: 5, color: '#b6c76b'},
-  {label: '8', value: 8, color: '#c9c857'},
-  {label: '13', value: 13, color: '#d9be3b'},
-  {label: '21', value: 21, color: '#d6cda1'},
-  {label: '34', value: 34, color: '#9fa6bd'},
-  {label: '55', value: 55, color: '#6a80ab'},
-  {label: 'BIG', value: -1, color: '#1d508f'}
+  {label: '?', value: -2, color: '#bdbfbf', position: 0},
+  {label: '1/2', value: 0.5, color: '#667a66', position: 1, weight: 0.5},
+  {label: '1', value: 1, color: '#839e7a', position: 2, weight: 1},
+  {label: '2', value: 2, color: '#8cb876', position: 3, weight: 2},
+  {label: '3', value: 3, color: '#96ba5b', position: 4, weight: 3},
+  {label: '5', value: 5, color: '#b6c76b', position: 5, weight: 5},
+  {label: '8', value: 8, color: '#c9c857', position: 6, weight: 8},
+  {label: '13', value: 13, color: '#d9be3b', position: 7, weight: 13},
+  {label: '21', value: 21, color: '#d6cda1', position: 8, weight: 21},
+  {label: '34', value: 34, color: '#9fa6bd', position: 9, weight: 34},
+  {label: '55', value: 55, color: '#6a80ab', position: 10, weight: 55},
+  {label: 'BIG', value: -1, color: '#1d508f', position: 11}
 ];
 
 export default defaultCardConfig;
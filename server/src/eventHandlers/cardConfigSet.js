@@ -1,9 +1,16 @@
 /**
  * user did set custom cardConfig on room
+ * Estimations on stories that are not yet revealed, where some no longer match a card, are cleared (see "getStoriesWithEstimationsNotMatchingCardConfig").
  */
-const cardConfigSetEventHandler = (room, eventPayload) => ({
-  ...room,
-  cardConfig: eventPayload.cardConfig
-});
+import {clearEstimations} from './roomModifiers';
+
+const cardConfigSetEventHandler = (room, eventPayload) =>
+  clearEstimations(
+    {
+      ...room,
+      cardConfig: eventPayload.cardConfig
+    },
+    eventPayload.storiesWithClearedEstimations
+  );
 
 export default cardConfigSetEventHandler;
@@ -0,0 +1,102 @@
+/**
+ * Computes statistics over the estimations of a story (used when a story is revealed).
+ *
+ * Estimations are card values. The card config defines the label, the position (order) and the optional numeric weight of every card.
+ * - The distribution lists every given card (with its label) in the order of the cards.
+ * - Highest and lowest voters (and the labels of the highest and lowest card) are determined by card position. This works for non-numeric decks (e.g. T-shirt sizes) as well.
+ * - Mean, median, min/max and standard deviation are computed over the weights of the cards. Cards without weight are ignored.
+ *
+ * Special cards (negative values, e.g. "?" (-2) and "BIG" (-1) in the default card config) and cards that are no longer in the card config are only counted in the distribution.
+ *
+ * @param {object} estimations Object that maps userIds to estimation values
+ * @param {object[]} cardConfig
+ * @return {{estimationCount: number, distribution: {value: number, label: string, count: number}[], highestVoters: string[], lowestVoters: string[], highest?: string, lowest?: string, mean?: number, median?: number, min?: number, max?: number, standardDeviation?: number}}
+ */
+import defaultCardConfig from '../defaultCardConfig';
+import {getCardConfigForValue} from '../getCardConfigForValue';
+
+export default function computeEstimationStats(estimations = {}, cardConfig = defaultCardConfig) {
+  const entries = Object.entries(estimations).map(([userId, value]) => ({
+    userId,
+    value,
+    card: getCardConfigForValue(cardConfig, value)
+  }));
+
+  const stats = {
+    estimationCount: entries.length,
+    distribution: computeDistribution(entries),
+    highestVoters: [],
+    lowestVoters: []
+  };
+
+  const rankedEntries = entries.filter((entry) => entry.card && entry.value >= 0);
+  if (rankedEntries.length < 1) {
+    return stats;
+  }
+
+  const positions = rankedEntries.map((entry) => entry.card.position);
+  const highestPosition = Math.max(...positions);
+  const lowestPosition = Math.min(...positions);
+  const highestEntries = rankedEntries.filter((entry) => entry.card.position === highestPosition);
+  const lowestEntries = rankedEntries.filter((entry) => entry.card.position === lowestPosition);
+
+  const rankedStats = {
+    ...stats,
+    highest: highestEntries[0].card.label,
+    lowest: lowestEntries[0].card.label,
+    highestVoters: highestEntries.map((entry) => entry.userId),
+    lowestVoters: lowestEntries.map((entry) => entry.userId)
+  };
+
+  const weights = rankedEntries
+    .filter((entry) => typeof entry.card.weight === 'number')
+    .map((entry) => entry.card.weight);
+  if (weights.length < 1) {
+    return rankedStats;
+  }
+
+  const mean = weights.reduce((total, weight) => total + weight, 0) / weights.length;
+  const variance =
+    weights.reduce((total, weight) => total + (weight - mean) * (weight - mean), 0) /
+    weights.length;
+
+  return {
+    ...rankedStats,
+    mean,
+    median: computeMedian(weights),
+    min: Math.min(...weights),
+    max: Math.max(...weights),
+    standardDeviation: Math.sqrt(variance)
+  };
+}
+
+/**
+ * A list of objects (not an object with values as keys): values like 0.5 are not valid keys in mongodb documents.
+ * Ordered by card position. Values that are no longer in the card config are listed last.
+ */
+function computeDistribution(entries) {
+  const distribution = entries.reduce((total, entry) => {
+    const existing = total.find((d) => d.value === entry.value);
+    if (existing) {
+      existing.count++;
+    } else {
+      total.push({
+        value: entry.value,
+        label: entry.card ? entry.card.label : String(entry.value),
+        count: 1,
+        position: entry.card ? entry.card.position : Number.MAX_SAFE_INTEGER
+      });
+    }
+    return total;
+  }, []);
+
+  return distribution
+    .sort((dA, dB) => dA.position - dB.position || dA.value - dB.value)
+    .map(({value, label, count}) => ({value, label, count}));
+}
+
+function computeMedian(values) {
+  const sorted = [...values].sort((vA, vB) => vA - vB);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
@@ -9,10 +9,12 @@ import storyAdded from './storyAdded';
 import storyChanged from './storyChanged';
 import storyDeleted from './storyDeleted';
 import storyTrashed from './storyTrashed';
+import storyMoved from './storyMoved';
 import storyRestored from './storyRestored';
 import importFailed from './importFailed';
 import storyEstimateCleared from './storyEstimateCleared';
 import storyEstimateGiven from './storyEstimateGiven';
+import ownEstimateGiven from './ownEstimateGiven';
 import storySelected from './storySelected';
 import usernameSet from './usernameSet';
 import emailSet from './emailSet';
@@ -20,12 +22,21 @@ import avatarSet from './avatarSet';
 import excludedFromEstimations from './excludedFromEstimations';
 import includedInEstimations from './includedInEstimations';
 import consensusAchieved from './consensusAchieved';
+import storySettled from './storySettled';
 import cardConfigSet from './cardConfigSet';
 import autoRevealOff from './autoRevealOff';
 import autoRevealOn from './autoRevealOn';
+import issueUrlTemplateSet from './issueUrlTemplateSet';
+import webhookAdded from './webhookAdded';
+import webhookRemoved from './webhookRemoved';
+import timerStarted from './timerStarted';
+import timerStopped from './timerStopped';
 import passwordSet from './passwordSet';
 import passwordCleared from './passwordCleared';
 import tokenIssued from './tokenIssued';
+import userRoleSet from './userRoleSet';
+import moderatorAssigned from './moderatorAssigned';
+import roomDeleted from './roomDeleted';
 
 export default {
   connectionLost,
@@ -39,11 +50,14 @@ export default {
   storyChanged,
   storyDeleted,
   storyTrashed,
+  storyMoved,
   storyRestored,
   importFailed,
   storyEstimateCleared,
   storyEstimateGiven,
+  ownEstimateGiven,
   consensusAchieved,
+  storySettled,
   storySelected,
   usernameSet,
   emailSet,
@@ -53,7 +67,15 @@ export default {
   cardConfigSet,
   autoRevealOff,
   autoRevealOn,
+  issueUrlTemplateSet,
+  webhookAdded,
+  webhookRemoved,
+  timerStarted,
+  timerStopped,
   passwordSet,
   passwordCleared,
-  tokenIssued
+  tokenIssued,
+  userRoleSet,
+  moderatorAssigned,
+  roomDeleted
 };
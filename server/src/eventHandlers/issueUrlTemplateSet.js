@@ -0,0 +1,9 @@
+/**
+ * user did set (or remove) the issue url template of the room
+ */
+const issueUrlTemplateSetEventHandler = (room, eventPayload) => ({
+  ...room,
+  issueUrlTemplate: eventPayload.issueUrlTemplate || undefined
+});
+
+export default issueUrlTemplateSetEventHandler;
@@ -0,0 +1,12 @@
+/**
+ * The last moderator left the room (or was kicked), the user specified in the payload became moderator.
+ */
+import {modifyUser} from './roomModifiers';
+
+const moderatorAssignedEventHandler = (room, eventPayload) =>
+  modifyUser(room, eventPayload.userId, (user) => ({
+    ...user,
+    role: 'moderator'
+  }));
+
+export default moderatorAssignedEventHandler;
@@ -1,15 +1,41 @@
 import {modifyStory} from './roomModifiers';
 
 /**
- * Clears all estimations on story, sets "revealed" flag to false and erases "consensus"
+ * Clears all estimations on story, sets "revealed" flag to false and erases "consensus" and estimation statistics.
+ *
+ * If the story was revealed, the round (estimations, reveal time, revealing user, consensus and statistics) is archived in "rounds" on the story.
+ * The archived round is added to the event payload.
+ * Unrevealed rounds are not archived: their estimation values were never visible to the other users.
  */
-const newEstimationRoundStartedEventHandler = (room, eventPayload) => {
+const newEstimationRoundStartedEventHandler = (room, eventPayload, userId, modifyEventPayload) => {
+  const story = room.stories.find((s) => s.id === eventPayload.storyId);
+  const archivedRound = story && story.revealed ? buildRound(story) : undefined;
+
+  if (archivedRound) {
+    modifyEventPayload({
+      ...eventPayload,
+      archivedRound
+    });
+  }
+
   return modifyStory(room, eventPayload.storyId, (story) => ({
     ...story,
     estimations: {},
     revealed: false,
-    consensus: undefined
+    revealedAt: undefined,
+    revealedBy: undefined,
+    consensus: undefined,
+    stats: undefined,
+    rounds: archivedRound ? [...(story.rounds || []), archivedRound] : story.rounds
   }));
 };
 
+const buildRound = (story) => ({
+  estimations: {...story.estimations},
+  revealedAt: story.revealedAt,
+  revealedBy: story.revealedBy,
+  consensus: story.consensus,
+  stats: story.stats
+});
+
 export default newEstimationRoundStartedEventHandler;
@@ -0,0 +1,7 @@
+/**
+ * The estimating user gets his own estimation value back (restricted event, only sent to the user that gave the estimation).
+ * The value was already stored on the story by "storyEstimateGiven", this does not modify the room in any way.
+ */
+const ownEstimateGivenEventHandler = (room) => ({...room});
+
+export default ownEstimateGivenEventHandler;
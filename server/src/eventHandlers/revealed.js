@@ -2,14 +2,36 @@
  * Estimations for the given story were revealed.
  * This happens automatically if all users that can estimate (not marked as excluded, not disconnected) did estimate the current story (i.e. if the last user gives his estimate)
  * This happens if a user manually reveals. (this is helpful, if someone is AFK and team wants to proceed with the estimation meeting)
+ *
+ * Since estimation values are sealed until the story is revealed (see "storyEstimateGiven"), all values are added to the event payload.
+ * Statistics over the revealed estimations (mean, median, spread, distribution, highest and lowest voters, see "computeEstimationStats") are stored on the story and added to the event payload.
+ * The time of the reveal and the user that revealed (or gave the last estimate) are stored on the story. They are archived with the round, if a new round is started.
+ * This happens if the estimation timer expired (see "timerScheduler"). A running timer for the story is removed.
  */
 import {modifyStory} from './roomModifiers';
+import computeEstimationStats from './computeEstimationStats';
+import {getActiveCardConfig} from '../getCardConfigForValue';
 
-const revealedEventHandler = (room, eventPayload) => {
-  return modifyStory(room, eventPayload.storyId, (story) => ({
+const revealedEventHandler = (room, eventPayload, userId, modifyEventPayload) => {
+  const modifiedRoom = modifyStory(room, eventPayload.storyId, (story) => ({
     ...story,
-    revealed: true
+    revealed: true,
+    revealedAt: eventPayload.revealedAt,
+    revealedBy: userId,
+    stats: computeEstimationStats(story.estimations, getActiveCardConfig(room, story))
   }));
+
+  const revealedStory = modifiedRoom.stories.find((s) => s.id === eventPayload.storyId);
+  modifyEventPayload({
+    ...eventPayload,
+    estimations: {...revealedStory.estimations},
+    stats: revealedStory.stats
+  });
+
+  if (modifiedRoom.timer && modifiedRoom.timer.storyId === eventPayload.storyId) {
+    return {...modifiedRoom, timer: undefined};
+  }
+  return modifiedRoom;
 };
 
 export default revealedEventHandler;
@@ -1,5 +1,6 @@
 /**
- * A room was created. Creates a new default room object
+ * A room was created. Creates a new default room object.
+ * If the room was created from a template, the payload contains the settings of the template.
  * @param room
  * @param eventPayload
  * @param userId
@@ -11,14 +12,23 @@ function roomCreatedEventHandler(room, eventPayload, userId, modifyEventPayload)
     users: [],
     stories: [],
     created: Date.now(),
-    autoReveal: true
+    moderated: true, // rooms that were created before roles were introduced do not have this flag (see "throwIfUserIsNotModerator")
+    autoReveal: eventPayload.autoReveal !== false
   };
 
+  if (eventPayload.cardConfig) {
+    roomObject.cardConfig = eventPayload.cardConfig;
+  }
+
+  if (eventPayload.issueUrlTemplate) {
+    roomObject.issueUrlTemplate = eventPayload.issueUrlTemplate;
+  }
+
   if (eventPayload.password) {
     roomObject.password = eventPayload.password;
   }
 
-  modifyEventPayload({}); // clear password from event payload. we don't want to send it to clients
+  modifyEventPayload({}); // clear password from event payload. we don't want to send it to clients (room settings are part of "joinedRoom")
 
   return roomObject;
 }
@@ -0,0 +1,9 @@
+/**
+ * Flags the room as deleted. The commandProcessor then removes the room (and its event log) from the store, instead of saving it.
+ */
+const roomDeletedEventHandler = (room) => ({
+  ...room,
+  deleted: true
+});
+
+export default roomDeletedEventHandler;
@@ -46,3 +46,22 @@ export function removeById(arr, id) {
 
   return [...arr.slice(0, matchindIndex), ...arr.slice(matchindIndex + 1)];
 }
+
+/**
+ * Clears all estimations of the given stories (that are not yet revealed) after cards were removed from a card deck.
+ *
+ * @param room
+ * @param {string[]} storyIds The ids of the stories (see "getStoriesWithEstimationsNotMatchingCardConfig")
+ * @return {object} The modified room
+ */
+export function clearEstimations(room, storyIds) {
+  if (!storyIds) {
+    return room;
+  }
+
+  return storyIds.reduce(
+    (modifiedRoom, storyId) =>
+      modifyStory(modifiedRoom, storyId, (story) => ({...story, estimations: {}})),
+    room
+  );
+}
@@ -6,13 +6,38 @@ const storyAddedEventHandler = (room, eventPayload) => {
     id: eventPayload.storyId,
     title: eventPayload.title,
     estimations: eventPayload.estimations,
-    createdAt: eventPayload.createdAt
+    createdAt: eventPayload.createdAt,
+    rank: eventPayload.rank
   };
 
   if (eventPayload.description) {
     newStory.description = eventPayload.description;
   }
 
+  if (eventPayload.key) {
+    newStory.key = eventPayload.key;
+  }
+
+  if (eventPayload.url) {
+    newStory.url = eventPayload.url;
+  }
+
+  if (eventPayload.labels && eventPayload.labels.length > 0) {
+    newStory.labels = eventPayload.labels;
+  }
+
+  if (eventPayload.cardConfig) {
+    newStory.cardConfig = eventPayload.cardConfig;
+  }
+
+  // stories imported from a room export can carry the consensus and estimations of the exported room (see command "importStories")
+  if (eventPayload.revealed) {
+    newStory.revealed = true;
+  }
+  if (eventPayload.consensus !== undefined && eventPayload.consensus !== null) {
+    newStory.consensus = eventPayload.consensus;
+  }
+
   const modifiedStories = [...room.stories, newStory];
 
   return {
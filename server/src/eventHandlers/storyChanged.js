@@ -1,17 +1,41 @@
 /**
- * Title and/or Description of story changed
+ * Title and/or Description (and optionally labels, key, url and the story's own card deck) of story changed
+ * If the card deck of the story changed and some estimations no longer match a card, all estimations of the story are cleared.
  */
-import {modifyStory} from './roomModifiers';
+import {clearEstimations, modifyStory} from './roomModifiers';
 
 const storyChangedEventHandler = (room, eventPayload) => {
   // for now, the changeStory command must contain always both attributes (see validation schema)
   // so we can just overwrite both
 
-  return modifyStory(room, eventPayload.storyId, (story) => ({
+  const modifiedRoom = modifyStory(room, eventPayload.storyId, (story) => ({
     ...story,
     title: eventPayload.title,
-    description: eventPayload.description
+    description: eventPayload.description,
+    labels: eventPayload.labels ? eventPayload.labels : story.labels,
+    key: getChangedOptionalValue(eventPayload.key, story.key),
+    url: getChangedOptionalValue(eventPayload.url, story.url),
+    cardConfig: getChangedCardConfig(eventPayload.cardConfig, story.cardConfig)
   }));
+
+  // some estimations do no longer match a card of the changed card deck of the story (see "getStoriesWithEstimationsNotMatchingCardConfig")
+  return clearEstimations(modifiedRoom, eventPayload.storiesWithClearedEstimations);
+};
+
+/**
+ * not given: unchanged,  empty string: removed
+ */
+const getChangedOptionalValue = (newValue, oldValue) =>
+  newValue === undefined ? oldValue : newValue || undefined;
+
+/**
+ * not given: unchanged,  empty array: removed
+ */
+const getChangedCardConfig = (newCardConfig, oldCardConfig) => {
+  if (newCardConfig === undefined) {
+    return oldCardConfig;
+  }
+  return newCardConfig.length > 0 ? newCardConfig : undefined;
 };
 
 export default storyChangedEventHandler;
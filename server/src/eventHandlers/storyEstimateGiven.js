@@ -1,16 +1,22 @@
 /**
- * Stores the given estimation value on the story for the given user
+ * Stores the given estimation value on the story for the given user.
+ * The value is removed from the event payload: other users only learn that this user did estimate the story. (sealed estimations)
+ * The value itself is sent back to the estimating user with the restricted "ownEstimateGiven" event and to all users with the "revealed" event.
  */
 import {modifyStory} from './roomModifiers';
 
-const storyEstimateGivenEventHandler = (room, eventPayload, userId) => {
-  return modifyStory(room, eventPayload.storyId, (story) => ({
+const storyEstimateGivenEventHandler = (room, eventPayload, userId, modifyEventPayload) => {
+  const modifiedRoom = modifyStory(room, eventPayload.storyId, (story) => ({
     ...story,
     estimations: {
       ...story.estimations,
       [userId]: eventPayload.value
     }
   }));
+
+  modifyEventPayload({storyId: eventPayload.storyId});
+
+  return modifiedRoom;
 };
 
 export default storyEstimateGivenEventHandler;
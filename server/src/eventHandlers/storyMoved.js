@@ -0,0 +1,16 @@
+import {modifyStory} from './roomModifiers';
+
+/**
+ * A story was moved in the backlog. Sets the new rank on all given stories.
+ */
+const storyMovedEventHandler = (room, eventPayload) =>
+  Object.entries(eventPayload.ranks).reduce(
+    (modifiedRoom, [storyId, rank]) =>
+      modifyStory(modifiedRoom, storyId, (story) => ({
+        ...story,
+        rank
+      })),
+    room
+  );
+
+export default storyMovedEventHandler;
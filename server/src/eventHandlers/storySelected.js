@@ -1,9 +1,11 @@
 /**
  * Store id of given story as "selectedStory"
+ * A running estimation timer for another story is removed.
  */
 const storySelectedEventHandler = (room, eventPayload) => ({
   ...room,
-  selectedStory: eventPayload.storyId
+  selectedStory: eventPayload.storyId,
+  timer: room.timer && room.timer.storyId !== eventPayload.storyId ? undefined : room.timer
 });
 
 export default storySelectedEventHandler;
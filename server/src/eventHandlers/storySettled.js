@@ -0,0 +1,13 @@
+import {modifyStory} from './roomModifiers';
+
+/**
+ * Stores the final value (that the team settled on) as consensus on story.
+ */
+const storySettledEventHandler = (room, eventPayload) => {
+  return modifyStory(room, eventPayload.storyId, (story) => ({
+    ...story,
+    consensus: eventPayload.value
+  }));
+};
+
+export default storySettledEventHandler;
@@ -0,0 +1,15 @@
+/**
+ * Stores the running estimation timer on the room (for the given story).
+ * The user that started the timer is stored as well: on expiry, the "reveal" command is issued in his name.
+ */
+const timerStartedEventHandler = (room, eventPayload, userId) => ({
+  ...room,
+  timer: {
+    storyId: eventPayload.storyId,
+    duration: eventPayload.duration,
+    startedAt: eventPayload.startedAt,
+    startedBy: userId
+  }
+});
+
+export default timerStartedEventHandler;
@@ -0,0 +1,9 @@
+/**
+ * Removes the running estimation timer from the room
+ */
+const timerStoppedEventHandler = (room) => ({
+  ...room,
+  timer: undefined
+});
+
+export default timerStoppedEventHandler;
@@ -0,0 +1,12 @@
+/**
+ * A moderator did set the role of a user (the user specified in the payload, not the moderator)
+ */
+import {modifyUser} from './roomModifiers';
+
+const userRoleSetEventHandler = (room, eventPayload) =>
+  modifyUser(room, eventPayload.userId, (user) => ({
+    ...user,
+    role: eventPayload.role
+  }));
+
+export default userRoleSetEventHandler;
@@ -0,0 +1,30 @@
+/**
+ * user did add a webhook to the room
+ */
+import {maskWebhookUrl} from '../commandHandlers/sanitizeWebhooks';
+
+const webhookAddedEventHandler = (room, eventPayload, userId, modifyEventPayload) => {
+  const modifiedRoom = {
+    ...room,
+    webhooks: [
+      ...(room.webhooks || []),
+      {
+        id: eventPayload.webhookId,
+        url: eventPayload.url,
+        events: eventPayload.events,
+        secret: eventPayload.secret
+      }
+    ]
+  };
+
+  // clear secret and mask url in event payload. we don't want to send them to clients
+  modifyEventPayload({
+    webhookId: eventPayload.webhookId,
+    url: maskWebhookUrl(eventPayload.url),
+    events: eventPayload.events
+  });
+
+  return modifiedRoom;
+};
+
+export default webhookAddedEventHandler;
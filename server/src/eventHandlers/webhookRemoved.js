@@ -0,0 +1,9 @@
+/**
+ * user did remove a webhook from the room
+ */
+const webhookRemovedEventHandler = (room, eventPayload) => ({
+  ...room,
+  webhooks: (room.webhooks || []).filter((webhook) => webhook.id !== eventPayload.webhookId)
+});
+
+export default webhookRemovedEventHandler;
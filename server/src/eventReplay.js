@@ -0,0 +1,81 @@
+import {getRevision} from './store/revisionConflict';
+
+/**
+ * Rebuilds a room object by replaying its events (from the event log of the room, see commandProcessor).
+ * Uses the same event handlers that modify the room during command processing.
+ *
+ * This allows to rebuild corrupted room objects or to inspect the state of a room at a certain point in time ("time-travel").
+ *
+ * @param {object} eventHandlers
+ * @param {string} roomId
+ * @param {object[]} events All events of the room, in the order they were produced. The first event must be "roomCreated".
+ * @param {string} [untilEventId] If set, events are only replayed up to (and including) the event with this id
+ * @return {object} the rebuilt room
+ */
+export default function replayRoomEvents(eventHandlers, roomId, events, untilEventId) {
+  const eventsToReplay = untilEventId ? eventsUntil(events, untilEventId) : events;
+
+  if (eventsToReplay.length < 1 || eventsToReplay[0].name !== 'roomCreated') {
+    throw new Error(`Cannot replay events of room ${roomId}: First event must be "roomCreated"`);
+  }
+
+  const room = eventsToReplay.reduce(
+    (currentRoom, event) => applyEvent(eventHandlers, currentRoom, event),
+    {
+      id: roomId,
+      pristine: true
+    }
+  );
+
+  // timestamps that are set by event handlers would reflect the time of the replay. use the timestamps from the event log.
+  room.created = eventsToReplay[0].timestamp;
+  room.lastActivity = eventsToReplay[eventsToReplay.length - 1].timestamp;
+  room.markedForDeletion = false;
+
+  // events carry the revision of the room after the command (not set on events that were logged before revisions were introduced)
+  const lastRevision = eventsToReplay[eventsToReplay.length - 1].revision;
+  if (lastRevision !== undefined) {
+    room.revision = lastRevision;
+  }
+
+  return room;
+}
+
+function eventsUntil(events, untilEventId) {
+  const matchingIndex = events.findIndex((evt) => evt.id === untilEventId);
+  if (matchingIndex < 0) {
+    throw new Error(`Cannot replay events: No event with id ${untilEventId}`);
+  }
+  return events.slice(0, matchingIndex + 1);
+}
+
+function applyEvent(eventHandlers, room, event) {
+  const eventHandler = eventHandlers[event.name];
+  if (!eventHandler) {
+    throw new Error('Cannot replay unknown event ' + event.name);
+  }
+
+  // some event handlers remove data from the payload that is sent to clients. we need the original payload.
+  const payload = event.replayPayload || event.payload;
+
+  return eventHandler(room, payload, event.userId, () => {});
+}
+
+/**
+ * Rebuilds the room from its event log and saves it back to the store (replaces the current room object).
+ * The rebuilt room gets the next revision: commands that loaded the room before will not overwrite it (see revisionConflict.js).
+ *
+ * @param {object} eventHandlers
+ * @param {object} store
+ * @param {string} roomId
+ * @return {Promise<object>} the rebuilt room
+ */
+export async function rebuildRoom(eventHandlers, store, roomId) {
+  const {events} = await store.getEvents(roomId);
+  const room = replayRoomEvents(eventHandlers, roomId, events);
+
+  const currentRevision = getRevision(await store.getRoomById(roomId));
+  room.revision = currentRevision + 1;
+  await store.saveRoom(room, currentRevision);
+  return room;
+}
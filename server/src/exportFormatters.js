@@ -0,0 +1,80 @@
+/**
+ * Formats a room export object (see "buildRoomExportObject" in rest.js) as CSV or as Markdown table.
+ *
+ * Both contain one row per story, with the final estimate (the consensus) and one column per user with the estimation of the current round.
+ * Consensus and estimations in the room export are card labels (e.g. "?" instead of -2).
+ */
+
+/**
+ * @param {object} roomExport
+ * @return {string}
+ */
+export function roomExportToCsv(roomExport) {
+  const {header, rows} = buildTable(roomExport);
+
+  return [header, ...rows].map((row) => row.map(escapeCsvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * @param {object} roomExport
+ * @return {string}
+ */
+export function roomExportToMarkdown(roomExport) {
+  const {header, rows} = buildTable(roomExport);
+
+  const toMarkdownRow = (row) => '| ' + row.map(escapeMarkdownValue).join(' | ') + ' |';
+
+  return (
+    [
+      toMarkdownRow(header),
+      '|' + header.map(() => ' --- |').join(''),
+      ...rows.map(toMarkdownRow)
+    ].join('\n') + '\n'
+  );
+}
+
+function buildTable(roomExport) {
+  const usernames = getAllUsernames(roomExport.stories);
+
+  const header = ['Key', 'Title', 'Description', 'URL', 'Labels', 'Final Estimate', ...usernames];
+  const rows = roomExport.stories.map((story) => {
+    const estimationsByUsername = story.estimations.reduce((total, estimation) => {
+      total[estimation.username] = estimation.value;
+      return total;
+    }, {});
+
+    return [
+      story.key || '',
+      story.title,
+      story.description || '',
+      story.url || '',
+      (story.labels || []).join(', '),
+      hasValue(story.consensus) ? story.consensus : '',
+      ...usernames.map((username) =>
+        hasValue(estimationsByUsername[username]) ? estimationsByUsername[username] : ''
+      )
+    ];
+  });
+
+  return {header, rows};
+}
+
+const getAllUsernames = (stories) =>
+  [
+    ...new Set(
+      stories.flatMap((story) => story.estimations.map((estimation) => estimation.username))
+    )
+  ].sort((uA, uB) => uA.localeCompare(uB));
+
+const hasValue = (value) => value !== undefined && value !== null;
+
+function escapeCsvValue(value) {
+  const stringValue = String(value);
+  if (/[",\r\n]/.test(stringValue)) {
+    return '"' + stringValue.replace(/"/g, '""') + '"';
+  }
+  return stringValue;
+}
+
+const escapeMarkdownValue = (value) =>
+  String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
@@ -0,0 +1,65 @@
+import defaultCardConfig from './defaultCardConfig';
+
+/**
+ * The card deck that is active for the given story: Stories can have their own card deck (e.g. hours for bugs, while features are estimated in points).
+ * Otherwise the card config of the room (or the default card config) is used.
+ *
+ * @param {object} room
+ * @param {object} [story]
+ * @return {object[]}
+ */
+export function getActiveCardConfig(room, story) {
+  if (story && story.cardConfig) {
+    return story.cardConfig;
+  }
+  return room.cardConfig ? room.cardConfig : defaultCardConfig;
+}
+
+/**
+ * Looks up the card with the given value (cards are identified by their value, see defaultCardConfig).
+ *
+ * @param {object[]} cardConfig
+ * @param {number} value
+ * @return {object|undefined}
+ */
+export function getCardConfigForValue(cardConfig, value) {
+  return cardConfig.find((cc) => cc.value === value);
+}
+
+/**
+ * Estimations and consensus are stored as card values. In exports and statistics, we use the label of the card.
+ * If no matching card is found (e.g. the card config was changed after the estimation), the value itself is returned as string.
+ *
+ * @param {object[]} cardConfig
+ * @param {number} value
+ * @return {string}
+ */
+export function getCardLabelForValue(cardConfig, value) {
+  const matchingCard = getCardConfigForValue(cardConfig, value);
+  return matchingCard ? matchingCard.label : String(value);
+}
+
+/**
+ * Finds the value of the card that matches the given (imported) estimate.
+ * Estimates are matched against the card labels and the card values. A decimal comma is allowed ("0,5").
+ *
+ * @param {object[]} cardConfig
+ * @param {string|number} rawEstimate
+ * @return {number|undefined}
+ */
+export function getCardValueForEstimate(cardConfig, rawEstimate) {
+  if (typeof rawEstimate === 'number') {
+    const matchingCard = getCardConfigForValue(cardConfig, rawEstimate);
+    return matchingCard ? matchingCard.value : undefined;
+  }
+
+  const trimmedEstimate = typeof rawEstimate === 'string' ? rawEstimate.trim() : '';
+  if (!trimmedEstimate) {
+    return undefined;
+  }
+
+  const matchingCard =
+    cardConfig.find((card) => card.label === trimmedEstimate) ||
+    getCardConfigForValue(cardConfig, Number(trimmedEstimate.replace(',', '.')));
+  return matchingCard ? matchingCard.value : undefined;
+}
@@ -0,0 +1,68 @@
+import getLogger from './getLogger';
+
+const LOGGER = getLogger('housekeepingScheduler');
+
+/**
+ * Runs the housekeeping of the rooms store (marking inactive rooms for deletion, deleting marked rooms after the grace period)
+ * on startup and then periodically while the server runs.
+ *
+ * @param {object} store The rooms store
+ * @param {{inactivityThresholdMs: number, gracePeriodMs: number, intervalMs: number}} config see settings.js
+ * @return {{start: function, stop: function, runNow: function}}
+ */
+export default function housekeepingSchedulerFactory(store, config) {
+  let intervalHandle;
+
+  return {
+    start,
+    stop,
+    runNow
+  };
+
+  /**
+   * Runs the housekeeping once, then schedules it every "intervalMs"
+   *
+   * @return {Promise<void>}
+   */
+  async function start() {
+    stop();
+    await runNow();
+
+    intervalHandle = setInterval(runNow, config.intervalMs);
+    intervalHandle.unref(); // housekeeping must not keep the process alive
+  }
+
+  function stop() {
+    if (intervalHandle) {
+      clearInterval(intervalHandle);
+      intervalHandle = undefined;
+    }
+  }
+
+  /**
+   * @return {Promise<{deleted: string[], markedForDeletion: string[]}|undefined>} The housekeeping result, undefined if housekeeping failed
+   */
+  async function runNow() {
+    try {
+      const result = await store.housekeeping({
+        inactivityThresholdMs: config.inactivityThresholdMs,
+        gracePeriodMs: config.gracePeriodMs
+      });
+      logHouseKeepingResult(result);
+      return result;
+    } catch (err) {
+      LOGGER.error(`housekeeping for roomStore failed: ${err.message}`);
+      return undefined;
+    }
+  }
+}
+
+function logHouseKeepingResult(result) {
+  LOGGER.info(
+    `houskeeping for roomStore done. Marked rooms for deletion ${JSON.stringify(
+      result.markedForDeletion
+    )} (${result.markedForDeletion.length}). Deleted rooms ${JSON.stringify(result.deleted)} (${
+      result.deleted.length
+    }).`
+  );
+}
@@ -0,0 +1,35 @@
+/**
+ * In-process pub/sub adapter: published events are delivered synchronously to all subscribers of this process.
+ * Sufficient for a single server instance (and used in tests). For multiple instances, use the redis adapter (see pubSubFactory.js).
+ *
+ * @return {{publish: function, subscribe: function, close: function}}
+ */
+export default function localPubSubFactory() {
+  let subscribers = [];
+
+  return {
+    publish,
+    subscribe,
+    close
+  };
+
+  /**
+   * @param {object} event
+   */
+  async function publish(event) {
+    subscribers.forEach((subscriber) => subscriber(event));
+  }
+
+  /**
+   * @param {function} subscriber Is called with every published event
+   * @return {function} unsubscribe function
+   */
+  function subscribe(subscriber) {
+    subscribers.push(subscriber);
+    return () => (subscribers = subscribers.filter((sub) => sub !== subscriber));
+  }
+
+  async function close() {
+    subscribers = [];
+  }
+}
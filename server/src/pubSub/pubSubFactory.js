@@ -0,0 +1,29 @@
+import localPubSubFactory from './localPubSub';
+import redisPubSubFactory from './redisPubSub';
+
+/**
+ * The pub/sub adapter distributes the events that are sent to a room to all server instances (see socketManager.js).
+ * All adapters implement the same contract: publish(event), subscribe(subscriber) -> unsubscribe function, close()
+ */
+const ADAPTERS = {
+  local: localPubSubFactory,
+  redis: redisPubSubFactory
+};
+
+/**
+ * will return a new pub/sub adapter of the configured type (see settings.js)
+ *
+ * @param {object} [config] Configuration object with "type" ("local" or "redis") and the configuration of the respective adapter. If not set, the local adapter is used.
+ * @return {{publish: function, subscribe: function, close: function}}
+ */
+export default function getNewPubSub(config) {
+  const type = config ? config.type : 'local';
+  const adapterFactory = ADAPTERS[type];
+  if (!adapterFactory) {
+    throw new Error(
+      `Unknown pub/sub type "${type}". Use one of ${Object.keys(ADAPTERS).join(', ')}`
+    );
+  }
+
+  return adapterFactory(config);
+}
@@ -0,0 +1,77 @@
+import redis from 'redis';
+
+import getLogger from '../getLogger';
+
+const LOGGER = getLogger('redisPubSub');
+
+/**
+ * Pub/sub adapter on redis: published events are delivered to the subscribers of all server instances that use the same redis channel.
+ * Events are serialized as JSON. Redis pub/sub is fire-and-forget: instances that are not connected at the moment of publishing miss the event.
+ *
+ * @param {{redisUrl: string, channel: string}} config
+ * @return {{publish: function, subscribe: function, close: function}}
+ */
+export default function redisPubSubFactory(config) {
+  if (!config.redisUrl) {
+    throw new Error('Please provide "redisUrl"');
+  }
+
+  const publisher = redis.createClient(config.redisUrl);
+  const subscriberClient = redis.createClient(config.redisUrl);
+  let subscribers = [];
+
+  publisher.on('error', (err) => LOGGER.error(`redis publisher error: ${err.message}`));
+  subscriberClient.on('error', (err) => LOGGER.error(`redis subscriber error: ${err.message}`));
+
+  subscriberClient.on('message', (channel, message) => {
+    if (channel !== config.channel) {
+      return;
+    }
+
+    let event;
+    try {
+      event = JSON.parse(message);
+    } catch (err) {
+      LOGGER.warn(`Could not parse message on channel ${channel}: ${err.message}`);
+      return;
+    }
+    subscribers.forEach((subscriber) => subscriber(event));
+  });
+  subscriberClient.subscribe(config.channel);
+
+  LOGGER.info(`Using redis pub/sub on channel "${config.channel}"`);
+
+  return {
+    publish,
+    subscribe,
+    close
+  };
+
+  /**
+   * @param {object} event
+   * @return {Promise<void>}
+   */
+  function publish(event) {
+    return new Promise((resolve, reject) =>
+      publisher.publish(config.channel, JSON.stringify(event), (err) =>
+        err ? reject(err) : resolve()
+      )
+    );
+  }
+
+  /**
+   * @param {function} subscriber Is called with every published event (also with events published by this instance)
+   * @return {function} unsubscribe function
+   */
+  function subscribe(subscriber) {
+    subscribers.push(subscriber);
+    return () => (subscribers = subscribers.filter((sub) => sub !== subscriber));
+  }
+
+  async function close() {
+    subscribers = [];
+    await Promise.all([quit(subscriberClient), quit(publisher)]);
+  }
+}
+
+const quit = (client) => new Promise((resolve) => client.quit(() => resolve()));
@@ -0,0 +1,39 @@
+import settings from './settings';
+import getLogger from './getLogger';
+import eventHandlers from './eventHandlers/eventHandlers';
+import {rebuildRoom} from './eventReplay';
+import roomsStoreFactory from './store/roomStoreFactory';
+
+const LOGGER = getLogger('rebuildRoomScript');
+
+/**
+ * Admin script: Rebuilds a (corrupted) room document from its event log and saves it to the configured rooms store (see settings.js).
+ *
+ *   npm run rebuild-room -- <roomId>
+ *
+ * Rooms that were created before the event log was introduced cannot be rebuilt.
+ * With the "file" rooms store, stop the server first (it holds all rooms in memory and would overwrite the rebuilt room).
+ */
+run(process.argv[2]).then(
+  () => process.exit(0),
+  (err) => {
+    LOGGER.error(`Could not rebuild room: ${err.message}`);
+    process.exit(1);
+  }
+);
+
+async function run(roomId) {
+  if (!roomId) {
+    throw new Error('Please provide the roomId: npm run rebuild-room -- <roomId>');
+  }
+
+  const store = await roomsStoreFactory(settings.roomsStore);
+  try {
+    const room = await rebuildRoom(eventHandlers, store, roomId);
+    LOGGER.info(
+      `Rebuilt room ${roomId} with ${room.stories.length} stories and ${room.users.length} users (revision ${room.revision})`
+    );
+  } finally {
+    await store.close();
+  }
+}
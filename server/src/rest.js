@@ -1,6 +1,42 @@
 import express from 'express';
+import {v4 as uuid} from 'uuid';
 import defaultCardConfig from './defaultCardConfig';
-import {validateJwt} from './commandHandlers/auth/jwtService';
+import {getActiveCardConfig, getCardLabelForValue} from './getCardConfigForValue';
+import {issueJwt, validateJwt} from './commandHandlers/auth/jwtService';
+import sealStoryEstimations from './commandHandlers/sealStoryEstimations';
+import sanitizeWebhooks, {maskWebhookUrl} from './commandHandlers/sanitizeWebhooks';
+import {sortStoriesByRank} from './commandHandlers/storyRanks';
+import {getStoryUrl} from './commandHandlers/storyUrls';
+import eventHandlers from './eventHandlers/eventHandlers';
+import replayRoomEvents from './eventReplay';
+import {roomExportToCsv, roomExportToMarkdown} from './exportFormatters';
+import {getRevision, RevisionConflictError} from './store/revisionConflict';
+import {PreconditionError} from './commandProcessor';
+import {CommandValidationError} from './validation/schemaValidators';
+import getLogger from './getLogger';
+
+const LOGGER = getLogger('rest');
+
+const HISTORY_DEFAULT_LIMIT = 50;
+const HISTORY_MAX_LIMIT = 200;
+
+const EXPORT_FORMATS = {
+  json: {
+    contentType: 'application/json',
+    fileExtension: 'json',
+    render: (roomExport) => JSON.stringify(roomExport, null, 4)
+  },
+  csv: {
+    contentType: 'text/csv',
+    fileExtension: 'csv',
+    render: roomExportToCsv
+  },
+  markdown: {
+    contentType: 'text/markdown',
+    fileExtension: 'md',
+    render: roomExportToMarkdown
+  }
+};
 
 /**
  * This module handles incoming requests to the REST api.
@@ -10,8 +46,10 @@ import {validateJwt} from './commandHandlers/auth/jwtService';
  *
  * @param app the express app object
  * @param store the roomsStore object
+ * @param {function} issueCommand processes a given command for a given userId, resolves to the produced events (see socketManager "handleServerIssuedCommand")
+ * @param sseBroadcaster holds the Server-Sent Events streams of rooms
  */
-export default function restApiFactory(app, store) {
+export default function restApiFactory(app, store, issueCommand, sseBroadcaster) {
   const restRouter = express.Router();
 
   restRouter.get('/status', async (req, res) => {
@@ -19,15 +57,36 @@ export default function restApiFactory(app, store) {
     res.json(status);
   });
 
+  /**
+   * The export format is either given as query parameter "format" (json, csv or markdown) or negotiated via the "Accept" header. Defaults to json.
+   */
   restRouter.get('/export/room/:roomId', userIdInRoomCheck, async (req, res) => {
-    const roomExport = await buildRoomExportObject(store, req.params.roomId);
+    let format = req.query.format;
+    if (format === undefined) {
+      format = getExportFormatFromAcceptHeader(req);
+      if (!format) {
+        res
+          .status(406)
+          .json({message: `Supported formats: ${Object.keys(EXPORT_FORMATS).join(', ')}`});
+        return;
+      }
+    } else if (!EXPORT_FORMATS[format]) {
+      res.status(400).json({
+        message: `"format" must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+      return;
+    }
+
+    const roomExportFile = await buildRoomExportFile(store, req.params.roomId, format);
 
-    if (!roomExport) {
+    if (!roomExportFile) {
       res.status(404).json({message: 'room not found'});
       return;
     }
 
-    res.json(roomExport);
+    res.attachment(roomExportFile.fileName);
+    res.type(roomExportFile.contentType);
+    res.send(roomExportFile.content);
   });
 
   restRouter.get('/room/:roomId', userIdInRoomCheck, async (req, res) => {
@@ -40,6 +99,86 @@ export default function restApiFactory(app, store) {
     res.json(roomState);
   });
 
+  restRouter.get('/room/:roomId/history', userIdInRoomCheck, async (req, res) => {
+    const offset = parseNonNegativeInt(req.query.offset, 0);
+    const limit = parseNonNegativeInt(req.query.limit, HISTORY_DEFAULT_LIMIT);
+    if (offset === undefined || !limit || limit > HISTORY_MAX_LIMIT) {
+      res.status(400).json({
+        message: `"offset" must be zero or a positive integer, "limit" must be between 1 and ${HISTORY_MAX_LIMIT}`
+      });
+      return;
+    }
+
+    const history = await buildRoomHistoryObject(store, req.params.roomId, offset, limit);
+    res.json(history);
+  });
+
+  restRouter.get('/room/:roomId/history/:eventId', userIdInRoomCheck, async (req, res) => {
+    let roomState;
+    try {
+      roomState = await buildRoomStateAtEventObject(store, req.params.roomId, req.params.eventId);
+    } catch (replayError) {
+      res.status(replayError.status || 500).json({message: replayError.message});
+      return;
+    }
+
+    if (!roomState) {
+      res.status(404).json({message: 'event not found'});
+      return;
+    }
+    res.json(roomState);
+  });
+
+  /**
+   * Server-Sent Events stream of all (not restricted) events in the room. Same event objects as sent to the sockets in the room.
+   * Since browsers cannot set the "Authorization" header on an EventSource, the JWT for password-protected rooms can also be given as query parameter "token".
+   */
+  restRouter.get('/room/:roomId/events', userIdInRoomCheck, (req, res) => {
+    sseBroadcaster.subscribe(req.params.roomId, req, res, res.locals.jwtPayload);
+  });
+
+  /**
+   * Lets bots and scripts send commands (same shape as over the websocket) to a room.
+   * Commands are processed by the same command processor, produced events are sent to all sockets in the room and are returned in the response.
+   * The user is identified by the JWT in the "Authorization" header (see "getCommandUserId"). The response contains a fresh token for subsequent commands.
+   */
+  restRouter.post('/room/:roomId/commands', express.json({limit: '1mb'}), async (req, res) => {
+    const command = req.body;
+    if (!command || typeof command !== 'object' || Array.isArray(command)) {
+      res.status(400).json({message: 'Request body must be a command object'});
+      return;
+    }
+    if (command.roomId && command.roomId !== req.params.roomId) {
+      res.status(400).json({message: 'roomId in command does not match roomId in path'});
+      return;
+    }
+    command.roomId = req.params.roomId;
+    applyRestCommandDefaults(command);
+
+    let userId;
+    try {
+      userId = getCommandUserId(command, req.get('Authorization'));
+    } catch (authError) {
+      res.status(authError.status || 403).json({message: authError.message});
+      return;
+    }
+
+    try {
+      const producedEvents = await issueCommand(command, userId);
+      res.json({userId, token: issueJwt(userId, command.roomId), events: producedEvents});
+    } catch (commandProcessingError) {
+      const status = getCommandErrorStatus(commandProcessingError);
+      if (status >= 500) {
+        LOGGER.error(
+          `Could not process command ${command.id} (${command.name}) received over http: ${commandProcessingError.stack}`
+        );
+        res.status(status).json({message: 'Command could not be processed'});
+      } else {
+        res.status(status).json({message: commandProcessingError.message});
+      }
+    }
+  });
+
   app.use('/api', restRouter);
 
   /**
@@ -47,8 +186,9 @@ export default function restApiFactory(app, store) {
    * Checks if a valid JWT is passed in the request and that the specified user belongs to a specific room and is thus allowed to fetch information about this room.
    *
    * Use this middleware for routes with :roomId  path parameter!
-   * Request is expected to specify Header Field "Authorization"
+   * Request is expected to specify Header Field "Authorization" (or query parameter "token", for clients that cannot set headers)
    * Value of Header Field "Authorization" must contain a valid (issued by us, not expired) JWT and match userId of one of the users in the room
+   * The payload of the JWT is available to the route in "res.locals.jwtPayload".
    *
    * @param req
    * @param res
@@ -61,8 +201,11 @@ export default function restApiFactory(app, store) {
     } = req;
 
     try {
-      const isOK = await canUserReadRoom(roomId, req.get('Authorization'));
+      const authorizationHeaderField =
+        req.get('Authorization') || (req.query.token ? 'Bearer ' + req.query.token : undefined);
+      const {isOK, jwtPayload} = await canUserReadRoom(roomId, authorizationHeaderField);
       if (isOK) {
+        res.locals.jwtPayload = jwtPayload;
         next();
       } else {
         res.status(403).json({message: 'Forbidden'});
@@ -76,7 +219,7 @@ export default function restApiFactory(app, store) {
    *
    * @param roomId
    * @param {string} authorizationHeaderField
-   * @return {Promise<boolean>}
+   * @return {Promise<{isOK: boolean, jwtPayload: object}>} jwtPayload is only set for password-protected rooms
    */
   async function canUserReadRoom(roomId, authorizationHeaderField) {
     if (!roomId) {
@@ -87,22 +230,22 @@ export default function restApiFactory(app, store) {
       throw new Error('no such room');
     }
     if (!room.password) {
-      return true;
+      return {isOK: true};
     }
 
     if (!authorizationHeaderField || authorizationHeaderField.length < 8) {
-      return false;
+      return {isOK: false};
     }
     const token = authorizationHeaderField.substring(7);
     if (!token) {
-      return false;
+      return {isOK: false};
     }
 
     const payload = validateJwt(token, roomId);
     if (!payload) {
-      return false;
+      return {isOK: false};
     }
-    return !!room.users.find((usr) => usr.id === payload.sub);
+    return {isOK: !!room.users.find((usr) => usr.id === payload.sub), jwtPayload: payload};
   }
 }
 
@@ -132,31 +275,194 @@ export async function buildRoomExportObject(store, roomId) {
     return undefined;
   }
 
+  return roomToExportObject(room);
+}
+
+/**
+ * @param store
+ * @param {string} roomId
+ * @param {string} format One of "json", "csv" or "markdown"
+ * @return {Promise<undefined|{contentType: string, fileName: string, content: string}>}
+ */
+export async function buildRoomExportFile(store, roomId, format) {
+  const room = await store.getRoomById(roomId);
+  if (!room) {
+    return undefined;
+  }
+
+  const exportFormat = EXPORT_FORMATS[format];
+  return {
+    contentType: exportFormat.contentType,
+    fileName: `${room.id}.${exportFormat.fileExtension}`,
+    content: exportFormat.render(roomToExportObject(room))
+  };
+}
+
+/**
+ * Determines the userId for a command received over the REST api. The userId in the request body is never trusted on its own.
+ * - If the "Authorization" header specifies a JWT, it must be valid for the room. The userId is taken from the token (command.userId must match, if given).
+ * - Without token, only "joinRoom" is allowed and a new userId is generated (in password-protected rooms, the payload must contain the room password).
+ *   The token for subsequent commands is part of the response.
+ *
+ * Thrown errors hold the http status code to respond with in property "status".
+ *
+ * @param {object} command
+ * @param {string} authorizationHeaderField
+ * @return {string} the userId
+ */
+export function getCommandUserId(command, authorizationHeaderField) {
+  const token =
+    authorizationHeaderField && authorizationHeaderField.startsWith('Bearer ')
+      ? authorizationHeaderField.substring(7)
+      : undefined;
+
+  if (token) {
+    const payload = validateJwt(token, command.roomId);
+    if (!payload) {
+      throw restError(401, 'Invalid token');
+    }
+    if (command.userId && command.userId !== payload.sub) {
+      throw restError(403, 'userId in command does not match token');
+    }
+    return payload.sub;
+  }
+
+  if (command.name !== 'joinRoom') {
+    throw restError(401, 'A valid token is required, join the room first');
+  }
+
+  if (command.userId) {
+    throw restError(401, 'A valid token is required to join as an existing user');
+  }
+
+  return uuid();
+}
+
+/**
+ * Commands that are invalid or that are rejected by a precondition are errors of the client.
+ * A revision conflict (the room was still modified concurrently after all retries) can be resolved by sending the command again.
+ * Everything else (e.g. a failing store) is an error of the server.
+ *
+ * @param {Error} commandProcessingError
+ * @return {number} the http status code
+ */
+export function getCommandErrorStatus(commandProcessingError) {
+  if (
+    commandProcessingError instanceof CommandValidationError ||
+    commandProcessingError instanceof PreconditionError
+  ) {
+    return 400;
+  }
+  if (commandProcessingError instanceof RevisionConflictError) {
+    return 409;
+  }
+  return 500;
+}
+
+/**
+ * Users that join over the REST api (bots, scripts) have no socket: they never get disconnected ("connectionLost").
+ * If they could estimate, stories would never be revealed automatically ("autoReveal" waits for their estimation).
+ * Thus they are excluded from estimations, unless "excluded" is explicitly set to false in the "joinRoom" payload.
+ *
+ * @param {object} command
+ */
+export function applyRestCommandDefaults(command) {
+  if (
+    command.name === 'joinRoom' &&
+    command.payload &&
+    typeof command.payload === 'object' &&
+    command.payload.excluded === undefined
+  ) {
+    command.payload.excluded = true;
+  }
+}
+
+function restError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function getExportFormatFromAcceptHeader(req) {
+  const acceptedContentType = req.accepts(
+    Object.values(EXPORT_FORMATS).map((exportFormat) => exportFormat.contentType)
+  );
+  return Object.keys(EXPORT_FORMATS).find(
+    (format) => EXPORT_FORMATS[format].contentType === acceptedContentType
+  );
+}
+
+function roomToExportObject(room) {
   return {
     roomId: room.id,
     exportedAt: Date.now(),
-    stories: room.stories
+    stories: sortStoriesByRank(room.stories)
       .filter((story) => !story.trashed)
-      .map((story) => buildStoryExportObject(story, room.users))
+      .map((story) =>
+        buildStoryExportObject(
+          story,
+          room.users,
+          room.issueUrlTemplate,
+          getActiveCardConfig(room, story)
+        )
+      )
   };
 }
 
-const buildStoryExportObject = (story, users) => {
+/**
+ * Consensus and estimations are exported as card labels (see "getCardLabelForValue") of the story's card deck.
+ * Estimations of stories that are not yet revealed are not exported (see "sealStoryEstimations"), every user in the room can export the room.
+ */
+const buildStoryExportObject = (story, users, issueUrlTemplate, cardConfig) => {
   const usernamesMap = users.reduce((total, currentUser) => {
     total[currentUser.id] = currentUser.username || currentUser.id;
     return total;
   }, {});
 
+  const currentRound = {
+    estimations: story.estimations,
+    revealedAt: story.revealedAt,
+    revealedBy: story.revealedBy,
+    consensus: story.consensus
+  };
+  // like archived rounds (see "newEstimationRoundStarted"), the current round is only exported once it is revealed
+  const allRounds =
+    story.revealed && Object.keys(story.estimations).length
+      ? [...(story.rounds || []), currentRound]
+      : story.rounds || [];
+
   return {
     title: story.title,
     description: story.description,
-    estimations: Object.entries(story.estimations).map((entry) => {
-      const matchingUser = usernamesMap[entry[0]];
-      return {username: matchingUser ? matchingUser : entry[0], value: entry[1]};
-    })
+    key: story.key,
+    url: getStoryUrl(story, issueUrlTemplate),
+    labels: story.labels || [],
+    consensus: toCardLabel(cardConfig, story.consensus),
+    estimations: story.revealed
+      ? buildEstimationsExportArray(story.estimations, usernamesMap, cardConfig)
+      : [],
+    rounds: allRounds.map((round, index) => ({
+      round: index + 1,
+      revealedAt: round.revealedAt,
+      revealedBy: round.revealedBy ? usernamesMap[round.revealedBy] || round.revealedBy : undefined,
+      consensus: toCardLabel(cardConfig, round.consensus),
+      estimations: buildEstimationsExportArray(round.estimations, usernamesMap, cardConfig)
+    }))
   };
 };
 
+const buildEstimationsExportArray = (estimations, usernamesMap, cardConfig) =>
+  Object.entries(estimations).map((entry) => {
+    const matchingUser = usernamesMap[entry[0]];
+    return {
+      username: matchingUser ? matchingUser : entry[0],
+      value: getCardLabelForValue(cardConfig, entry[1])
+    };
+  });
+
+const toCardLabel = (cardConfig, value) =>
+  value === undefined || value === null ? value : getCardLabelForValue(cardConfig, value);
+
 /**
  * This should return the same information as contained in the "joinedRoom" event.
  */
@@ -165,14 +471,105 @@ export async function buildRoomStateObject(store, roomId) {
   if (!room) {
     return undefined;
   }
-  const {autoReveal, id, selectedStory, stories, users, cardConfig} = room;
+
+  const roomState = roomToStateObject(room);
+  if (room.timer) {
+    // same as in "joinedRoom": the client calculates the end of the countdown with the remaining milliseconds
+    roomState.timer = {
+      ...room.timer,
+      remaining: Math.max(0, room.timer.startedAt + room.timer.duration * 1000 - Date.now())
+    };
+  }
+  return roomState;
+}
+
+/**
+ * Returns a page of events from the event log of the room.
+ * Contains the events as they were sent to clients: restricted events are omitted (thus a page can contain fewer events than "limit").
+ */
+export async function buildRoomHistoryObject(store, roomId, offset, limit) {
+  const {total, events} = await store.getEvents(roomId, offset, limit);
 
   return {
+    roomId,
+    offset,
+    limit,
+    total,
+    events: events.filter((evt) => !evt.restricted).map(toClientEvent)
+  };
+}
+
+/**
+ * the "replayPayload" might contain sensitive data (e.g. passwords). it must not be sent to clients.
+ * The url of webhooks is masked in the payload of "webhookAdded" events (events that were logged before urls were masked contain the full url).
+ */
+const toClientEvent = (event) => {
+  const clientEvent = {...event};
+  delete clientEvent.replayPayload;
+  if (clientEvent.name === 'webhookAdded' && clientEvent.payload) {
+    clientEvent.payload = {...clientEvent.payload, url: maskWebhookUrl(clientEvent.payload.url)};
+  }
+  return clientEvent;
+};
+
+/**
+ * Rebuilds the room from its event log up to the given event and returns its state ("time-travel").
+ * Same information as returned by buildRoomStateObject.
+ *
+ * Rooms that were created before the event log was introduced have an incomplete log (it does not start with "roomCreated"), they cannot be replayed.
+ * Thrown errors hold the http status code to respond with in property "status".
+ */
+export async function buildRoomStateAtEventObject(store, roomId, eventId) {
+  const {events} = await store.getEvents(roomId);
+  if (!events.find((evt) => evt.id === eventId)) {
+    return undefined;
+  }
+
+  if (events[0].name !== 'roomCreated') {
+    throw restError(
+      409,
+      'The event log of this room is incomplete (the room is older than the event log). Its history cannot be replayed.'
+    );
+  }
+
+  let room;
+  try {
+    room = replayRoomEvents(eventHandlers, roomId, events, eventId);
+  } catch (replayError) {
+    throw restError(500, replayError.message);
+  }
+  return roomToStateObject(room);
+}
+
+function roomToStateObject(room) {
+  const {
     autoReveal,
+    issueUrlTemplate,
+    webhooks,
     id,
     selectedStory,
     stories,
     users,
-    cardConfig: cardConfig ? cardConfig : defaultCardConfig
+    cardConfig
+  } = room;
+
+  return {
+    autoReveal,
+    issueUrlTemplate,
+    webhooks: sanitizeWebhooks(webhooks),
+    id,
+    selectedStory,
+    stories: stories.map(sealStoryEstimations),
+    users,
+    cardConfig: cardConfig ? cardConfig : defaultCardConfig,
+    revision: getRevision(room)
   };
 }
+
+function parseNonNegativeInt(value, defaultValue) {
+  if (value === undefined) {
+    return defaultValue;
+  }
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : undefined;
+}
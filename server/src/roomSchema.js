@@ -1,3 +1,88 @@
+const estimationStatsSchema = {
+  type: 'object',
+  properties: {
+    estimationCount: {
+      type: 'number'
+    },
+    mean: {
+      type: 'number'
+    },
+    median: {
+      type: 'number'
+    },
+    min: {
+      type: 'number'
+    },
+    max: {
+      type: 'number'
+    },
+    standardDeviation: {
+      type: 'number'
+    },
+    highest: {
+      type: 'string'
+    },
+    lowest: {
+      type: 'string'
+    },
+    distribution: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          value: {
+            type: 'number'
+          },
+          label: {
+            type: 'string'
+          },
+          count: {
+            type: 'number'
+          }
+        }
+      }
+    },
+    highestVoters: {
+      type: 'array',
+      items: {
+        type: 'string'
+      }
+    },
+    lowestVoters: {
+      type: 'array',
+      items: {
+        type: 'string'
+      }
+    }
+  },
+  required: ['estimationCount', 'distribution'],
+  additionalProperties: false
+};
+
+const roundSchema = {
+  type: 'object',
+  properties: {
+    estimations: {
+      type: 'object'
+    },
+    revealedAt: {
+      type: ['number', 'undefined', 'null']
+    },
+    revealedBy: {
+      type: ['string', 'undefined', 'null']
+    },
+    consensus: {
+      type: ['number', 'undefined', 'null']
+    },
+    stats: {
+      ...estimationStatsSchema,
+      type: ['object', 'undefined', 'null']
+    }
+  },
+  required: ['estimations'],
+  additionalProperties: false
+};
+
 const storySchema = {
   type: 'object',
   properties: {
@@ -21,6 +106,25 @@ const storySchema = {
     createdAt: {
       type: 'number'
     },
+    rank: {
+      type: ['number', 'undefined', 'null']
+    },
+    key: {
+      type: ['string', 'undefined', 'null']
+    },
+    url: {
+      type: ['string', 'undefined', 'null']
+    },
+    labels: {
+      type: ['array', 'undefined', 'null'],
+      items: {
+        type: 'string'
+      }
+    },
+    cardConfig: {
+      type: ['array', 'undefined', 'null'],
+      format: 'cardConfig'
+    },
     consensus: {
       type: ['number', 'undefined', 'null']
     },
@@ -29,6 +133,20 @@ const storySchema = {
     },
     revealed: {
       type: 'boolean'
+    },
+    revealedAt: {
+      type: ['number', 'undefined', 'null']
+    },
+    revealedBy: {
+      type: ['string', 'undefined', 'null']
+    },
+    stats: {
+      ...estimationStatsSchema,
+      type: ['object', 'undefined', 'null']
+    },
+    rounds: {
+      type: ['array', 'undefined', 'null'],
+      items: roundSchema
     }
   },
   required: ['id', 'title', 'createdAt'],
@@ -61,6 +179,13 @@ const userSchema = {
     },
     excluded: {
       type: 'boolean'
+    },
+    spectator: {
+      type: 'boolean'
+    },
+    role: {
+      type: 'string',
+      enum: ['moderator', 'participant']
     }
   },
   required: ['id', 'avatar'],
@@ -95,12 +220,68 @@ const roomSchema = {
     lastActivity: {
       type: 'number'
     },
+    revision: {
+      type: 'number'
+    },
     autoReveal: {
       type: 'boolean'
     },
+    moderated: {
+      type: 'boolean'
+    },
+    issueUrlTemplate: {
+      type: ['string', 'undefined', 'null']
+    },
+    timer: {
+      type: ['object', 'undefined', 'null'],
+      properties: {
+        storyId: {
+          type: 'string'
+        },
+        duration: {
+          type: 'number'
+        },
+        startedAt: {
+          type: 'number'
+        },
+        startedBy: {
+          type: 'string'
+        }
+      },
+      required: ['storyId', 'duration', 'startedAt'],
+      additionalProperties: false
+    },
     markedForDeletion: {
       type: 'boolean'
     },
+    markedForDeletionAt: {
+      type: ['number', 'undefined', 'null']
+    },
+    webhooks: {
+      type: ['array', 'undefined', 'null'],
+      items: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string'
+          },
+          url: {
+            type: 'string'
+          },
+          events: {
+            type: 'array',
+            items: {
+              type: 'string'
+            }
+          },
+          secret: {
+            type: 'string'
+          }
+        },
+        required: ['id', 'url', 'events', 'secret'],
+        additionalProperties: false
+      }
+    },
     password: {
       type: 'object',
       properties: {
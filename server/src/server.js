@@ -7,7 +7,9 @@ import settings from './settings';
 import socketServer from './socketServer';
 import getLogger from './getLogger';
 import restApiFactory from './rest';
+import sseBroadcasterFactory from './sseBroadcaster';
 import roomsStoreFactory from './store/roomStoreFactory';
+import housekeepingSchedulerFactory from './housekeepingScheduler';
 
 const LOGGER = getLogger('server');
 
@@ -17,16 +19,20 @@ startup().catch((err) => {
 });
 
 async function startup() {
-  const store = await roomsStoreFactory(settings.persistentStore);
+  const store = await roomsStoreFactory(settings.roomsStore);
+  const housekeepingScheduler = housekeepingSchedulerFactory(store, settings.housekeeping);
+  await housekeepingScheduler.start();
+
   const app = express();
+  const sseBroadcaster = sseBroadcasterFactory();
 
   if (process.env.NODE_ENV === 'production') {
     LOGGER.info('enabling HTTPS enforce...');
     app.use(sslifyEnforce.HTTPS({trustProtoHeader: true}));
   }
 
-  // setup REST api
-  restApiFactory(app, store);
+  // setup REST api. commands received over REST are processed by the socketServer, so that produced events are sent to all connected sockets
+  restApiFactory(app, store, socketServer.handleCommand, sseBroadcaster);
 
   // serve static client files
   app.use(express.static(path.resolve(__dirname, '../public')));
@@ -37,7 +43,7 @@ async function startup() {
   );
 
   const httpServer = http.createServer(app);
-  socketServer.init(httpServer, store);
+  socketServer.init(httpServer, store, sseBroadcaster);
 
   httpServer.listen(settings.serverPort, () =>
     LOGGER.info(`-- SERVER STARTED -- (${settings.serverPort})`)
@@ -45,7 +51,9 @@ async function startup() {
 
   process.on('SIGINT', () => {
     LOGGER.info('-- SERVER RECEIVED SIGINT, shutting down --');
+    housekeepingScheduler.stop();
     socketServer.close();
+    sseBroadcaster.closeAll();
     httpServer.close(() => process.exit(0));
   });
 }
@@ -1,7 +1,20 @@
 // properties / settings for PoinZ backend
+import path from 'path';
 
 process.env.NODE_ENV = process.env.NODE_ENV || 'development';
 
+const ONE_DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * @param {string} [envValue] number of days, as set in an environment variable
+ * @param {number} defaultDays
+ * @return {number} milliseconds
+ */
+const daysToMs = (envValue, defaultDays) => {
+  const days = parseFloat(envValue);
+  return (Number.isNaN(days) || days < 0 ? defaultDays : days) * ONE_DAY_MS;
+};
+
 const settings = {
   // port for webserver & socketserver
   serverPort: process.env.PORT || 3000,
@@ -17,15 +30,43 @@ const settings = {
     }
   },
 
-  // if environment variable "ATLAS_DB_URI" is set (in heroku deployment), persistent store is used.
-  // if env variable is not set, "persistentStore" is false and in-memory store is used.
+  // the rooms store is selected with the environment variable "ROOMS_STORE" (see store/roomStoreFactory.js):
+  // "mongodb": persistent store on mongoDB, connection string in "ATLAS_DB_URI" (heroku deployment)
+  // "file": rooms are stored as JSON files in "ROOMS_STORE_DIRECTORY" (self-hosted setups without mongoDB)
+  // "memory": in-memory store, rooms are lost on restart
+  // if "ROOMS_STORE" is not set, "mongodb" is used if "ATLAS_DB_URI" is set, "memory" otherwise.
 
   // as of august 2020, switched from mLab to mongoDB Atlas
-  persistentStore: process.env.ATLAS_DB_URI
-    ? {
-        connectionURI: process.env.ATLAS_DB_URI
-      }
-    : false
+  roomsStore: {
+    type: process.env.ROOMS_STORE || (process.env.ATLAS_DB_URI ? 'mongodb' : 'memory'),
+    connectionURI: process.env.ATLAS_DB_URI,
+    directory: process.env.ROOMS_STORE_DIRECTORY || path.resolve(__dirname, '../data')
+  },
+
+  // pub/sub adapter that distributes room events to all server instances (see pubSub/pubSubFactory.js).
+  // "local" (default) for a single instance. If environment variable "REDIS_URL" is set, "redis" is used: run multiple instances behind a load balancer (with sticky sessions for socket.io).
+  pubSub: {
+    type: process.env.PUBSUB || (process.env.REDIS_URL ? 'redis' : 'local'),
+    redisUrl: process.env.REDIS_URL,
+    channel: 'poinz-events'
+  },
+
+  // outbound webhooks of rooms (see webhookDispatcher.js)
+  webhooks: {
+    maxAttempts: 4, // including the first attempt
+    initialBackoffMs: 1000, // delay before the first retry, doubled for every further retry
+    timeoutMs: 5000,
+    allowPrivateTargets: process.env.WEBHOOKS_ALLOW_PRIVATE_TARGETS === 'true' // by default, webhooks cannot be posted to loopback, link-local and private addresses
+  },
+
+  // housekeeping of the rooms store (see housekeepingScheduler.js)
+  // rooms without activity for longer than "inactivityThresholdMs" are marked for deletion.
+  // marked rooms are deleted after "gracePeriodMs" (any activity in the room removes the mark).
+  housekeeping: {
+    inactivityThresholdMs: daysToMs(process.env.ROOM_INACTIVITY_THRESHOLD_DAYS, 31),
+    gracePeriodMs: daysToMs(process.env.ROOM_DELETION_GRACE_PERIOD_DAYS, 7),
+    intervalMs: 1000 * 60 * 60 // once an hour
+  }
 };
 
 export default settings;
@@ -3,32 +3,61 @@ import {v4 as uuid} from 'uuid';
 import getLogger from './getLogger';
 import socketRegistryFactory from './socketRegistry';
 import commandProcessorFactory from './commandProcessor';
+import timerSchedulerFactory from './timerScheduler';
+import localPubSubFactory from './pubSub/localPubSub';
+import webhookDispatcherFactory from './webhookDispatcher';
+import settings from './settings';
 import commandHandlers, {baseCommandSchema} from './commandHandlers/commandHandlers';
 import eventHandlers from './eventHandlers/eventHandlers';
 
 const LOGGER = getLogger('socketManager');
 
 /**
+ * Events that are sent to a room are published over the pub/sub adapter. Every server instance receives them and sends them to its own sockets in the room.
+ * The socket registry only knows the sockets of this instance.
  *
  * @param store The rooms store
- * @param {function} sendEventToRoom
+ * @param {function} sendEventToRoom Sends the event to the sockets of this instance in the given room
  * @param {function} removeSocketFromRoomByIds
+ * @param {object} [pubSub] The pub/sub adapter (see pubSub/pubSubFactory.js). Defaults to the local, in-process adapter
  */
-export default function socketManagerFactory(store, sendEventToRoom, removeSocketFromRoomByIds) {
+export default function socketManagerFactory(
+  store,
+  sendEventToRoom,
+  removeSocketFromRoomByIds,
+  pubSub = localPubSubFactory()
+) {
   const registry = socketRegistryFactory();
 
+  const webhookDispatcher = webhookDispatcherFactory(settings.webhooks);
+
   const commandProcessor = commandProcessorFactory(
     commandHandlers,
     baseCommandSchema,
     eventHandlers,
-    store
+    store,
+    webhookDispatcher
+  );
+
+  const timerScheduler = timerSchedulerFactory((command, userId) =>
+    handleServerIssuedCommand(command, userId, true)
   );
 
+  const unsubscribe = pubSub.subscribe(onPublishedEvent);
+
   return {
     handleIncomingCommand,
-    onDisconnect
+    handleServerIssuedCommand,
+    onDisconnect,
+    close
   };
 
+  function close() {
+    unsubscribe();
+    timerScheduler.cancelAll();
+    webhookDispatcher.cancelAll();
+  }
+
   async function handleIncomingCommand(socket, msg) {
     try {
       const userId = getUserIdForMessage(socket.id, msg);
@@ -40,15 +69,41 @@ export default function socketManagerFactory(store, sendEventToRoom, removeSocke
 
       updateSocketRegistryJoining(userId, producedEvents, socket);
 
-      sendEvents(producedEvents, producedEvents[0].roomId, socket);
-
+      // the leaving socket leaves the room before the events are published, it gets its "leftRoom" event directly (see "sendEvents")
       updateSocketRegistryLeavingOrConnectionLost(userId, producedEvents, socket);
-      updateSocketRegistryKicking(userId, producedEvents);
+
+      sendEvents(producedEvents, socket);
+
+      timerScheduler.onEventsProduced(producedEvents);
     } catch (commandProcessingError) {
       handleCommandProcessingError(commandProcessingError, msg, socket);
     }
   }
 
+  /**
+   * Handles commands that are not received over a socket: Commands issued by the server itself (e.g. "reveal" on expiry of the estimation timer) and commands received over the REST api.
+   * Produced events are sent to all sockets in the room. Restricted events are not sent to any socket (there is no socket that sent the command), they are only returned.
+   * If processing fails, the returned promise rejects.
+   *
+   * @param {object} command
+   * @param {string} userId
+   * @param {boolean} [issuedByServer] True for commands issued by the server itself, false for commands received over the REST api (see commandProcessor)
+   * @return {Promise<object[]>} the produced events
+   */
+  async function handleServerIssuedCommand(command, userId, issuedByServer = false) {
+    const {producedEvents} = await commandProcessor(command, userId, issuedByServer);
+
+    if (!producedEvents || producedEvents.length < 1) {
+      return [];
+    }
+
+    producedEvents.filter((producedEvent) => !producedEvent.restricted).forEach(publishEvent);
+
+    timerScheduler.onEventsProduced(producedEvents);
+
+    return producedEvents;
+  }
+
   function updateSocketRegistryJoining(userId, producedEvents, socket) {
     const joinedRoomEvent = getJoinedRoomEvent(producedEvents);
     if (joinedRoomEvent) {
@@ -71,8 +126,28 @@ export default function socketManagerFactory(store, sendEventToRoom, removeSocke
     }
   }
 
-  function updateSocketRegistryKicking(userId, producedEvents) {
-    const kickedRoomEvent = getKickedRoomEvent(producedEvents);
+  /**
+   * Events that are sent to the whole room are published. Publishing errors are logged, the command was processed successfully nevertheless.
+   */
+  function publishEvent(event) {
+    Promise.resolve(pubSub.publish(event)).catch((err) =>
+      LOGGER.error(`Could not publish event ${event.name} in room ${event.roomId}: ${err.message}`)
+    );
+  }
+
+  /**
+   * Published events (from this or any other instance) are sent to the sockets of this instance in the room.
+   * If users are kicked or the room is deleted, the affected sockets of this instance leave the room.
+   */
+  function onPublishedEvent(event) {
+    sendEventToRoom(event.roomId, event);
+
+    updateSocketRegistryKicking(event);
+    updateSocketRegistryRoomDeleted(event);
+  }
+
+  function updateSocketRegistryKicking(event) {
+    const kickedRoomEvent = event.name === 'kicked' && event;
     if (kickedRoomEvent) {
       // find and remove sockets that match room and userId (for the kicked user, not the kicking user)
       // user could have opened multiple sockets, remove all that match userId and roomId
@@ -84,16 +159,25 @@ export default function socketManagerFactory(store, sendEventToRoom, removeSocke
     }
   }
 
+  function updateSocketRegistryRoomDeleted(event) {
+    const roomDeletedEvent = event.name === 'roomDeleted' && event;
+    if (roomDeletedEvent) {
+      // all sockets of all users leave the deleted room
+      const socketIds = registry.removeAllSocketMappingsForRoom(roomDeletedEvent.roomId);
+      socketIds.forEach((socketId) => removeSocketFromRoomByIds(socketId, roomDeletedEvent.roomId));
+    }
+  }
+
   function getJoinedRoomEvent(producedEvents) {
     return (producedEvents || []).find((e) => e.name === 'joinedRoom');
   }
 
   function getLeftRoomOrConnectionLostEvent(producedEvents) {
-    return (producedEvents || []).find((e) => e.name === 'leftRoom' || e.name === 'connectionLost');
+    return (producedEvents || []).find(isLeftRoomOrConnectionLostEvent);
   }
 
-  function getKickedRoomEvent(producedEvents) {
-    return (producedEvents || []).find((e) => e.name === 'kicked');
+  function isLeftRoomOrConnectionLostEvent(event) {
+    return event.name === 'leftRoom' || event.name === 'connectionLost';
   }
 
   /**
@@ -119,19 +203,22 @@ export default function socketManagerFactory(store, sendEventToRoom, removeSocke
   }
 
   /**
-   * Send produced events to all sockets in room (by default).
+   * Send produced events to all sockets in room (by default, they are published, see "onPublishedEvent").
    * In special cases, a event is "restricted", these get only sent back to the user that sent the correlating command.
+   * "leftRoom" and "connectionLost" are also sent directly to the socket that sent the command: it already left the room, and publishing can be asynchronous.
    *
    * @param producedEvents
-   * @param roomId
    * @param socket
    */
-  function sendEvents(producedEvents, roomId, socket) {
+  function sendEvents(producedEvents, socket) {
     producedEvents.forEach((producedEvent) => {
       if (producedEvent.restricted) {
         socket.emit('event', producedEvent);
       } else {
-        sendEventToRoom(roomId, producedEvent);
+        if (isLeftRoomOrConnectionLostEvent(producedEvent)) {
+          socket.emit('event', producedEvent);
+        }
+        publishEvent(producedEvent);
       }
     });
   }
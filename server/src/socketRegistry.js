@@ -21,6 +21,7 @@ export default function socketRegistryFactory() {
     registerSocketMapping,
     removeSocketMapping,
     removeAllMatchingSocketMappings,
+    removeAllSocketMappingsForRoom,
     isLastSocketForUserId,
     getMapping
   };
@@ -73,6 +74,23 @@ export default function socketRegistryFactory() {
     return matchingSocketEntries.map((e) => e[0]);
   }
 
+  /**
+   * will remove all mappings of the given room (all users)
+   *
+   * @param roomId
+   * @return {string[]} Array of removed socketIds
+   */
+  function removeAllSocketMappingsForRoom(roomId) {
+    LOGGER.debug(`Removing all mappings for room ${roomId}`);
+    const matchingSocketIds = Object.keys(registry).filter(
+      (socketId) => registry[socketId].roomId === roomId
+    );
+
+    matchingSocketIds.forEach(removeSocketMapping);
+
+    return matchingSocketIds;
+  }
+
   function isLastSocketForUserId(userId) {
     const socketsOfThatUser = Object.entries(registry).filter(
       (entry) => entry[1].userId === userId
@@ -1,19 +1,38 @@
 import socketIo from 'socket.io';
 
 import socketManagerFactory from './socketManager';
+import pubSubFactory from './pubSub/pubSubFactory';
+import settings from './settings';
 
 let io;
 let socketManager;
+let pubSub;
 
 export default {
   init,
-  close: () => io.close()
+  handleCommand: (command, userId) => socketManager.handleServerIssuedCommand(command, userId),
+  close: () => {
+    socketManager.close();
+    pubSub.close();
+    io.close();
+  }
 };
 
-function init(httpServer, store) {
+/**
+ * @param httpServer
+ * @param store the roomsStore object
+ * @param sseBroadcaster events sent to a room are also sent to the Server-Sent Events streams of that room
+ */
+function init(httpServer, store, sseBroadcaster) {
   io = socketIo(httpServer);
 
-  const sendEventToRoom = (roomId, event) => io.to(roomId).emit('event', event);
+  // events are distributed to all server instances over the pub/sub adapter. Every instance sends them to its own sockets in the room.
+  pubSub = pubSubFactory(settings.pubSub);
+
+  const sendEventToRoom = (roomId, event) => {
+    io.to(roomId).emit('event', event);
+    sseBroadcaster.sendEventToRoom(roomId, event);
+  };
 
   // we dont want to pass "io" down to factory and registry. pass down a cb instead...
   const removeSocketFromRoomByIds = (socketId, roomId) => {
@@ -23,7 +42,7 @@ function init(httpServer, store) {
     }
   };
 
-  socketManager = socketManagerFactory(store, sendEventToRoom, removeSocketFromRoomByIds);
+  socketManager = socketManagerFactory(store, sendEventToRoom, removeSocketFromRoomByIds, pubSub);
 
   io.on('connect', (socket) => {
     socket.on('disconnect', () => socketManager.onDisconnect(socket));
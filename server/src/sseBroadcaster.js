@@ -0,0 +1,144 @@
+import getLogger from './getLogger';
+
+const LOGGER = getLogger('sseBroadcaster');
+
+/**
+ * Holds the open Server-Sent Events streams (see "GET /api/room/:roomId/events" in rest.js) and sends room events to them.
+ * Lets dashboards and wallboards follow a room without a socket.io client.
+ *
+ * Every event is written as one SSE message, with the event id as "id" and the event object (same as sent to the sockets in the room) as JSON "data".
+ * Restricted events (e.g. "tokenIssued") are never sent.
+ * A comment line is written periodically, so that proxies do not close idle streams.
+ *
+ * Access to the room is checked when the stream is opened (see rest.js). Afterwards, streams are ended by the server
+ * - for all subscribers, after "roomDeleted"
+ * - for subscribers without token (opened while the room was not password-protected), after "passwordSet"
+ * - for subscribers with a token, after their user was kicked or left the room, and when the token expires
+ * Clients must then re-open the stream (with a valid token).
+ *
+ * @param {object} [options]
+ * @param {number} [options.keepAliveIntervalMs]
+ * @return {{subscribe: function, sendEventToRoom: function, closeAll: function, getSubscriberCount: function}}
+ */
+export default function sseBroadcasterFactory(options = {}) {
+  const {keepAliveIntervalMs = 30000} = options;
+
+  const subscribers = {}; // roomId -> Map of response object -> subscription {userId, expiryTimeout}
+
+  const keepAliveInterval = setInterval(sendKeepAlive, keepAliveIntervalMs);
+  keepAliveInterval.unref();
+
+  return {
+    subscribe,
+    sendEventToRoom,
+    closeAll,
+    getSubscriberCount
+  };
+
+  /**
+   * Starts a SSE stream on the given (express or node http) response object.
+   * The stream is removed as soon as the request is closed by the client.
+   *
+   * @param {string} roomId
+   * @param {object} req
+   * @param {object} res
+   * @param {object} [jwtPayload] The payload of the validated JWT, if the room is password-protected
+   */
+  function subscribe(roomId, req, res, jwtPayload) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // disable response buffering in nginx
+    });
+    res.write(': subscribed to room ' + roomId + '\n\n');
+
+    const subscription = {userId: jwtPayload ? jwtPayload.sub : undefined};
+    if (jwtPayload && jwtPayload.exp) {
+      subscription.expiryTimeout = setTimeout(
+        () => endStream(roomId, res),
+        jwtPayload.exp * 1000 - Date.now()
+      );
+      subscription.expiryTimeout.unref();
+    }
+
+    if (!subscribers[roomId]) {
+      subscribers[roomId] = new Map();
+    }
+    subscribers[roomId].set(res, subscription);
+    LOGGER.debug(`SSE subscriber added to room ${roomId}`);
+
+    req.on('close', () => unsubscribe(roomId, res));
+  }
+
+  function unsubscribe(roomId, res) {
+    const roomSubscribers = subscribers[roomId];
+    if (!roomSubscribers || !roomSubscribers.has(res)) {
+      return;
+    }
+    clearTimeout(roomSubscribers.get(res).expiryTimeout);
+    roomSubscribers.delete(res);
+    if (roomSubscribers.size < 1) {
+      delete subscribers[roomId];
+    }
+    LOGGER.debug(`SSE subscriber removed from room ${roomId}`);
+  }
+
+  function endStream(roomId, res) {
+    unsubscribe(roomId, res);
+    res.end();
+  }
+
+  /**
+   * @param {string} roomId
+   * @param {object} event
+   */
+  function sendEventToRoom(roomId, event) {
+    const roomSubscribers = subscribers[roomId];
+    if (!roomSubscribers || event.restricted) {
+      return;
+    }
+
+    const message = `id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`;
+    roomSubscribers.forEach((subscription, res) => res.write(message));
+
+    Array.from(roomSubscribers.entries())
+      .filter(([, subscription]) => mustEndStreamAfterEvent(event, subscription))
+      .forEach(([res]) => endStream(roomId, res));
+  }
+
+  function sendKeepAlive() {
+    Object.values(subscribers).forEach((roomSubscribers) =>
+      roomSubscribers.forEach((subscription, res) => res.write(': keep-alive\n\n'))
+    );
+  }
+
+  /**
+   * Ends all open streams (e.g. on server shutdown)
+   */
+  function closeAll() {
+    clearInterval(keepAliveInterval);
+    Object.keys(subscribers).forEach((roomId) =>
+      Array.from(subscribers[roomId].keys()).forEach((res) => endStream(roomId, res))
+    );
+  }
+
+  function getSubscriberCount(roomId) {
+    return subscribers[roomId] ? subscribers[roomId].size : 0;
+  }
+}
+
+function mustEndStreamAfterEvent(event, subscription) {
+  switch (event.name) {
+    case 'roomDeleted':
+      return true;
+    case 'passwordSet':
+      return !subscription.userId;
+    case 'kicked':
+      return !!subscription.userId && subscription.userId === event.payload.userId;
+    case 'leftRoom':
+      return !!subscription.userId && subscription.userId === event.userId;
+    default:
+      return false;
+  }
+}
@@ -0,0 +1,284 @@
+import fs from 'fs';
+import path from 'path';
+import {v4 as uuid} from 'uuid';
+
+import getLogger from '../getLogger';
+import settings from '../settings';
+import {isDueForDeletion, isDueForMarking} from './housekeepingRules';
+import {getRevision, throwIfRevisionConflict} from './revisionConflict';
+
+const ROOMS_DIRECTORY_NAME = 'rooms';
+const EVENTS_DIRECTORY_NAME = 'events';
+
+const LOGGER = getLogger('fileRoomsStore');
+
+let roomsDirectory;
+let eventsDirectory;
+let rooms = {};
+const pendingFileOperations = {}; // roomId -> promise of the last file operation on the room file
+
+/**
+ * implementation of a persistent room storage on the local file system (for self-hosted setups without mongoDB)
+ *
+ * Every room is stored as JSON file in "<directory>/rooms/", the event log of every room as file in "<directory>/events/" (one event per line).
+ * Rooms are read on init and held in memory, every change is written to the file of the room.
+ */
+export default {
+  init,
+  close,
+  saveRoom,
+  deleteRoom,
+  getRoomById,
+  getAllRooms,
+  appendEvents,
+  getEvents,
+  housekeeping,
+  getStoreType
+};
+
+async function init(config) {
+  if (!config || !config.directory) {
+    throw new Error('Please provide "directory"');
+  }
+
+  LOGGER.info(`Using file storage in ${config.directory}`);
+
+  roomsDirectory = path.join(config.directory, ROOMS_DIRECTORY_NAME);
+  eventsDirectory = path.join(config.directory, EVENTS_DIRECTORY_NAME);
+
+  try {
+    await fs.promises.mkdir(roomsDirectory, {recursive: true});
+    await fs.promises.mkdir(eventsDirectory, {recursive: true});
+
+    rooms = await readAllRooms();
+  } catch (error) {
+    throw new Error(`Could not initialize file storage in ${config.directory}: ${error.message}`);
+  }
+}
+
+async function close() {
+  rooms = {};
+}
+
+async function readAllRooms() {
+  const fileNames = (await fs.promises.readdir(roomsDirectory)).filter((fileName) =>
+    fileName.endsWith('.json')
+  );
+
+  const roomsMap = {};
+  for (const fileName of fileNames) {
+    const room = JSON.parse(
+      await fs.promises.readFile(path.join(roomsDirectory, fileName), 'utf8')
+    );
+    roomsMap[room.id] = room;
+  }
+  return roomsMap;
+}
+
+/**
+ * remove old/unused rooms (see housekeepingRules.js)
+ *
+ * @param {{inactivityThresholdMs: number, gracePeriodMs: number}} [config] Defaults to the housekeeping settings
+ * @return {Promise<{deleted: string[], markedForDeletion: string[]}>}
+ */
+async function housekeeping(config = settings.housekeeping) {
+  const now = Date.now();
+
+  // rooms can be changed by commands while we wait for the files, thus every room is checked again right before it is deleted or marked
+  const deletedIds = [];
+  for (const roomId of getRoomIdsMatching((room) => isDueForDeletion(room, now, config))) {
+    if (rooms[roomId] && isDueForDeletion(rooms[roomId], now, config)) {
+      deletedIds.push(roomId);
+      await deleteRoom(roomId);
+    }
+  }
+
+  const markedIds = [];
+  for (const roomId of getRoomIdsMatching((room) => isDueForMarking(room, now, config))) {
+    const room = rooms[roomId];
+    if (room && isDueForMarking(room, now, config)) {
+      markedIds.push(roomId);
+      await saveRoom(
+        {
+          ...room,
+          markedForDeletion: true,
+          markedForDeletionAt: now,
+          revision: getRevision(room) + 1
+        },
+        getRevision(room)
+      );
+    }
+  }
+
+  return {
+    markedForDeletion: markedIds,
+    deleted: deletedIds
+  };
+}
+
+const getRoomIdsMatching = (predicate) =>
+  Object.values(rooms)
+    .filter(predicate)
+    .map((room) => room.id);
+
+/**
+ * saves the given room object (replaces an already existing room with the same unique "id")
+ * The file is replaced atomically: a crash during writing does not leave a corrupt room file.
+ *
+ * @param {object} room
+ * @param {number} [expectedRevision] If set, the room is only saved if the stored room has this revision (see revisionConflict.js)
+ * @return {Promise<void>}
+ */
+async function saveRoom(room, expectedRevision) {
+  const previousRoom = rooms[room.id];
+  throwIfRevisionConflict(previousRoom, room.id, expectedRevision);
+
+  // the cached room is replaced before the first "await": a concurrent save with the same expected revision fails the check above
+  const detachedRoom = detatchObject(room);
+  rooms[room.id] = detachedRoom;
+
+  try {
+    await enqueueFileOperation(room.id, async () => {
+      const roomFilePath = getRoomFilePath(room.id);
+      const tempFilePath = `${roomFilePath}.${uuid()}.tmp`;
+
+      await fs.promises.writeFile(tempFilePath, JSON.stringify(detachedRoom), 'utf8');
+      await fs.promises.rename(tempFilePath, roomFilePath);
+    });
+  } catch (error) {
+    if (rooms[room.id] === detachedRoom) {
+      restoreCachedRoom(room.id, previousRoom);
+    }
+    throw error;
+  }
+}
+
+function restoreCachedRoom(roomId, room) {
+  if (room) {
+    rooms[roomId] = room;
+  } else {
+    delete rooms[roomId];
+  }
+}
+
+/**
+ * deletes the room with the given id and its events
+ *
+ * @param {string} roomId
+ * @return {Promise<void>}
+ */
+async function deleteRoom(roomId) {
+  delete rooms[roomId];
+
+  await enqueueFileOperation(roomId, async () => {
+    await removeFileIfExists(getRoomFilePath(roomId));
+    await removeFileIfExists(getEventsFilePath(roomId));
+  });
+}
+
+/**
+ * File operations on the room file are done in sequence per room (in the order of the calls), so that the file always ends up with the latest room.
+ * A failed operation does not prevent the following ones.
+ *
+ * @param {string} roomId
+ * @param {function} operation Async function
+ * @return {Promise<void>} resolves as soon as the given operation is done
+ */
+function enqueueFileOperation(roomId, operation) {
+  const previousOperation = pendingFileOperations[roomId] || Promise.resolve();
+  const currentOperation = previousOperation.catch(() => {}).then(operation);
+
+  pendingFileOperations[roomId] = currentOperation;
+  const cleanUp = () => {
+    if (pendingFileOperations[roomId] === currentOperation) {
+      delete pendingFileOperations[roomId];
+    }
+  };
+  currentOperation.then(cleanUp, cleanUp);
+
+  return currentOperation;
+}
+
+/**
+ * returns a room by its unique id
+ * @param {string} roomId
+ * @return {Promise<object | undefined>}
+ */
+async function getRoomById(roomId) {
+  if (!roomId || !rooms[roomId]) {
+    return undefined;
+  }
+
+  return detatchObject(rooms[roomId]);
+}
+
+async function getAllRooms() {
+  return detatchObject(rooms);
+}
+
+/**
+ * appends the given events to the event log of the room
+ *
+ * @param {string} roomId
+ * @param {object[]} events
+ * @return {Promise<void>}
+ */
+async function appendEvents(roomId, events) {
+  if (events.length < 1) {
+    return;
+  }
+
+  const lines = events.map((evt) => JSON.stringify({...evt, roomId}) + '\n').join('');
+  await fs.promises.appendFile(getEventsFilePath(roomId), lines, 'utf8');
+}
+
+/**
+ * returns events of the given room, in the order they were produced.
+ *
+ * @param {string} roomId
+ * @param {number} [offset] Defaults to 0
+ * @param {number} [limit] If not set, all events (starting from offset) are returned
+ * @return {Promise<{total: number, events: object[]}>}
+ */
+async function getEvents(roomId, offset = 0, limit = undefined) {
+  const lines = await readEventLines(roomId);
+  const end = limit === undefined ? lines.length : offset + limit;
+
+  return {
+    total: lines.length,
+    events: lines.slice(offset, end).map((line) => JSON.parse(line))
+  };
+}
+
+async function readEventLines(roomId) {
+  try {
+    const content = await fs.promises.readFile(getEventsFilePath(roomId), 'utf8');
+    return content.split('\n').filter((line) => line.length > 0);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return []; // no events for this room
+    }
+    throw error;
+  }
+}
+
+async function removeFileIfExists(filePath) {
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+}
+
+const getRoomFilePath = (roomId) => path.join(roomsDirectory, encodeURIComponent(roomId) + '.json');
+
+const getEventsFilePath = (roomId) =>
+  path.join(eventsDirectory, encodeURIComponent(roomId) + '.jsonl');
+
+function getStoreType() {
+  return 'FileRoomsStore';
+}
+
+const detatchObject = (obj) => JSON.parse(JSON.stringify(obj));
@@ -0,0 +1,29 @@
+/**
+ * Housekeeping rules for stores that filter rooms themselves (the persistent store on mongoDB implements the same rules as queries).
+ *
+ * Rooms without activity for longer than "inactivityThresholdMs" are marked for deletion.
+ * Marked rooms are deleted after "gracePeriodMs".
+ * Rooms that were marked before the timestamp "markedForDeletionAt" was introduced are marked again (with timestamp): their grace period starts now.
+ */
+
+/**
+ * @param {object} room
+ * @param {number} now
+ * @param {{gracePeriodMs: number}} config
+ * @return {boolean}
+ */
+export const isDueForDeletion = (room, now, config) =>
+  !!room.markedForDeletion &&
+  !!room.markedForDeletionAt &&
+  room.markedForDeletionAt <= now - config.gracePeriodMs;
+
+/**
+ * @param {object} room
+ * @param {number} now
+ * @param {{inactivityThresholdMs: number}} config
+ * @return {boolean}
+ */
+export const isDueForMarking = (room, now, config) =>
+  room.markedForDeletion
+    ? !room.markedForDeletionAt
+    : room.lastActivity < now - config.inactivityThresholdMs;
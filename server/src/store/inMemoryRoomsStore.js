@@ -1,11 +1,15 @@
 import getLogger from '../getLogger';
+import settings from '../settings';
+import {isDueForDeletion, isDueForMarking} from './housekeepingRules';
+import {getRevision, throwIfRevisionConflict} from './revisionConflict';
 
 /**
  *  This is the non-persistent (in-memory) roomsStore implementation.
- *  Switch between persistent / non-persistent store is done in settings.js
+ *  The store is selected in settings.js (see roomStoreFactory.js)
  */
 
 const rooms = {};
+const roomEvents = {};
 
 const LOGGER = getLogger('inMemoryRoomsStore');
 
@@ -14,7 +18,10 @@ export default {
   close,
   getRoomById,
   saveRoom,
+  deleteRoom,
   getAllRooms,
+  appendEvents,
+  getEvents,
   housekeeping,
   getStoreType
 };
@@ -28,12 +35,32 @@ async function close() {
   // nothing to do here
 }
 
-async function housekeeping() {
-  // nothing to do here so far. currently we assume that since this is in memory, storage gets erased regularly on application restart.
-  // since this currently happens at least once a day (since current deployment kills app if not used), no action needed here
+/**
+ * remove old/unused rooms (see housekeepingRules.js)
+ *
+ * @param {{inactivityThresholdMs: number, gracePeriodMs: number}} [config] Defaults to the housekeeping settings
+ * @return {Promise<{deleted: string[], markedForDeletion: string[]}>}
+ */
+async function housekeeping(config = settings.housekeeping) {
+  const now = Date.now();
+
+  const deletedIds = Object.values(rooms)
+    .filter((room) => isDueForDeletion(room, now, config))
+    .map((room) => room.id);
+  deletedIds.forEach(deleteRoomAndEvents);
+
+  const markedIds = Object.values(rooms)
+    .filter((room) => isDueForMarking(room, now, config))
+    .map((room) => room.id);
+  markedIds.forEach((roomId) => {
+    rooms[roomId].markedForDeletion = true;
+    rooms[roomId].markedForDeletionAt = now;
+    rooms[roomId].revision = getRevision(rooms[roomId]) + 1;
+  });
+
   return {
-    markedForDeletion: [],
-    deleted: []
+    markedForDeletion: markedIds,
+    deleted: deletedIds
   };
 }
 
@@ -50,14 +77,69 @@ async function getRoomById(roomId) {
   return detatchObject(room);
 }
 
-async function saveRoom(room) {
+/**
+ * saves the given room object (replaces an already existing room with the same unique "id")
+ *
+ * @param {object} room
+ * @param {number} [expectedRevision] If set, the room is only saved if the stored room has this revision (see revisionConflict.js)
+ * @return {Promise<void>}
+ */
+async function saveRoom(room, expectedRevision) {
+  throwIfRevisionConflict(rooms[room.id], room.id, expectedRevision);
   rooms[room.id] = detatchObject(room);
 }
 
+/**
+ * deletes the room with the given id and its events
+ *
+ * @param {string} roomId
+ * @return {Promise<void>}
+ */
+async function deleteRoom(roomId) {
+  deleteRoomAndEvents(roomId);
+}
+
+function deleteRoomAndEvents(roomId) {
+  delete rooms[roomId];
+  delete roomEvents[roomId];
+}
+
 async function getAllRooms() {
   return rooms;
 }
 
+/**
+ * appends the given events to the event log of the room
+ *
+ * @param {string} roomId
+ * @param {object[]} events
+ * @return {Promise<void>}
+ */
+async function appendEvents(roomId, events) {
+  if (!roomEvents[roomId]) {
+    roomEvents[roomId] = [];
+  }
+  roomEvents[roomId].push(...detatchObject(events));
+}
+
+/**
+ * returns events of the given room, in the order they were produced.
+ *
+ * @param {string} roomId
+ * @param {number} [offset] Defaults to 0
+ * @param {number} [limit] If not set, all events (starting from offset) are returned
+ * @return {Promise<{total: number, events: object[]}>}
+ */
+async function getEvents(roomId, offset = 0, limit = undefined) {
+  const allEvents = roomEvents[roomId] || [];
+  const end = limit === undefined ? allEvents.length : offset + limit;
+
+  return {
+    total: allEvents.length,
+    events: detatchObject(allEvents.slice(offset, end))
+  };
+}
+
 function getStoreType() {
   return 'InMemoryRoomsStore';
 }
@@ -1,14 +1,20 @@
 import {MongoClient} from 'mongodb';
 
 import getLogger from '../getLogger';
+import settings from '../settings';
+import {RevisionConflictError} from './revisionConflict';
 
 const COLLECTION_NAME = 'rooms';
+const EVENTS_COLLECTION_NAME = 'events';
+
+const DUPLICATE_KEY_ERROR_CODE = 11000;
 
 const LOGGER = getLogger('persistentRoomsStore');
 
 let clientInstance;
 let dbInstance;
 let roomsCollection;
+let eventsCollection;
 
 /**
  * implementation of a persistent room storage using mongoDB
@@ -23,8 +29,11 @@ export default {
   init,
   close,
   saveRoom,
+  deleteRoom,
   getRoomById,
   getAllRooms,
+  appendEvents,
+  getEvents,
   housekeeping,
   getStoreType
 };
@@ -52,6 +61,12 @@ async function init(config) {
     roomsCollection = dbInstance.collection(COLLECTION_NAME);
 
     await roomsCollection.createIndex('id', {unique: true, name: 'id_roomId'});
+
+    eventsCollection = dbInstance.collection(EVENTS_COLLECTION_NAME);
+    await eventsCollection.createIndex(
+      {roomId: 1, revision: 1, index: 1},
+      {name: 'roomId_revision_index'}
+    );
   } catch (error) {
     throw new Error('Could not connect to persistent Storage ' + config.connectionURI);
   }
@@ -85,15 +100,21 @@ function logDbConnection(clInstance) {
 
 /**
  * remove old/unused rooms
- * remove rooms that are marked for deletion.
- * mark rooms for deletion that have a "lastActivity" timestamp below threshold (currently older than 31 days)
+ * remove rooms that were marked for deletion longer than "gracePeriodMs" ago.
+ * mark rooms for deletion that have a "lastActivity" timestamp older than "inactivityThresholdMs" (rooms marked without timestamp are marked again, their grace period starts now)
+ * Same rules as in housekeepingRules.js
+ *
+ * Rooms can be changed by commands in the meantime (which removes the mark). Thus the conditions are checked again on delete and on update.
  *
- * @return {Promise<{deleted: *[], markedForDeletion: *[]}>}
+ * @param {{inactivityThresholdMs: number, gracePeriodMs: number}} [config] Defaults to the housekeeping settings
+ * @return {Promise<{deleted: string[], markedForDeletion: string[]}>}
  */
-async function housekeeping() {
-  const deletedIds = await houskeepingDeleteMarked();
+async function housekeeping(config = settings.housekeeping) {
+  const now = Date.now();
 
-  const markedIds = await housekeepingMarkForDeletion();
+  const deletedIds = await houskeepingDeleteMarked(now - config.gracePeriodMs);
+
+  const markedIds = await housekeepingMarkForDeletion(now, now - config.inactivityThresholdMs);
 
   return {
     markedForDeletion: markedIds,
@@ -101,62 +122,112 @@ async function housekeeping() {
   };
 }
 
-async function houskeepingDeleteMarked() {
-  const rooms = await roomsCollection
-    .find({markedForDeletion: true})
-    .project({_id: 1, id: 1})
-    .toArray();
-  const roomIds = rooms.map((r) => r.id);
+async function houskeepingDeleteMarked(markedBeforeTimestamp) {
+  const dueForDeletionFilter = {
+    markedForDeletion: true,
+    markedForDeletionAt: {$lte: markedBeforeTimestamp}
+  };
+
+  const rooms = await roomsCollection.find(dueForDeletionFilter).project({_id: 1, id: 1}).toArray();
+  if (rooms.length < 1) {
+    return [];
+  }
   const roomInternalIds = rooms.map((r) => r._id);
 
-  const deleteResult = await roomsCollection.deleteMany({_id: {$in: roomInternalIds}});
+  await roomsCollection.deleteMany({
+    _id: {$in: roomInternalIds}, // where _id is within list of found rooms
+    ...dueForDeletionFilter // AND still due for deletion
+  });
 
-  if (rooms.length !== deleteResult.deletedCount) {
-    LOGGER.warn('inconsistency during houskeepingDeleteMarked', rooms, deleteResult.deletedCount);
-  }
+  // rooms that were changed in the meantime are not deleted. only remove the events of the deleted rooms
+  const remainingRooms = await roomsCollection
+    .find({_id: {$in: roomInternalIds}})
+    .project({id: 1})
+    .toArray();
+  const remainingRoomIds = remainingRooms.map((r) => r.id);
+  const deletedRoomIds = rooms.map((r) => r.id).filter((id) => !remainingRoomIds.includes(id));
 
-  return roomIds;
-}
+  await eventsCollection.deleteMany({roomId: {$in: deletedRoomIds}});
 
-async function housekeepingMarkForDeletion() {
-  const MORE_THAN_THIRTY_DAYS = 1000 * 60 * 60 * 24 * 31; // 1000 ms * 60 seconds * 60 minutes * 24 h * 31 days
+  return deletedRoomIds;
+}
 
-  const thresholdTimeStamp = Date.now() - MORE_THAN_THIRTY_DAYS;
+async function housekeepingMarkForDeletion(now, thresholdTimeStamp) {
+  const dueForMarkingFilter = {
+    $or: [
+      {lastActivity: {$lt: thresholdTimeStamp}, markedForDeletion: {$ne: true}}, // not marked (flag not present or set to falsy value)
+      {markedForDeletion: true, markedForDeletionAt: null} // marked without timestamp (timestamp not present)
+    ]
+  };
 
-  const rooms = await roomsCollection
-    .find({lastActivity: {$lt: thresholdTimeStamp}})
-    .project({_id: 1, id: 1})
-    .toArray();
-  const roomIds = rooms.map((r) => r.id);
+  const rooms = await roomsCollection.find(dueForMarkingFilter).project({_id: 1, id: 1}).toArray();
+  if (rooms.length < 1) {
+    return [];
+  }
   const roomInternalIds = rooms.map((r) => r._id);
 
-  const updateResult = await roomsCollection.updateMany(
+  await roomsCollection.updateMany(
     {
       _id: {$in: roomInternalIds}, // where _id is within list of found rooms
-      markedForDeletion: {$ne: true} // AND not marked (flag not present or set to falsy value)
+      ...dueForMarkingFilter // AND still due for marking
     },
-    {$set: {markedForDeletion: true}}
+    {$set: {markedForDeletion: true, markedForDeletionAt: now}, $inc: {revision: 1}}
   );
 
-  if (roomIds.length !== updateResult.matchedCount) {
-    LOGGER.warn(
-      'inconsistency during housekeepingMarkForDeletion',
-      roomIds,
-      updateResult.matchedCount
-    );
-  }
+  const markedRooms = await roomsCollection
+    .find({_id: {$in: roomInternalIds}, markedForDeletionAt: now})
+    .project({id: 1})
+    .toArray();
 
-  return roomIds;
+  return markedRooms.map((r) => r.id);
 }
 
 /**
  * saves the given room object (replaces an already existing room with the same unique "id")
  *
+ * If "expectedRevision" is set, the room is only replaced if the stored room has this revision (conditional write, see revisionConflict.js).
+ * Revision 0 matches rooms without revision. Only then the room is inserted if it does not yet exist:
+ * if a room with another revision exists, the insert fails on the unique "id" index.
+ *
  * @param {object} room
+ * @param {number} [expectedRevision]
+ * @return {Promise<void>}
+ */
+async function saveRoom(room, expectedRevision) {
+  if (expectedRevision === undefined) {
+    await roomsCollection.replaceOne({id: room.id}, room, {upsert: true});
+    return;
+  }
+
+  const filter = {
+    id: room.id,
+    revision: expectedRevision > 0 ? expectedRevision : {$in: [0, null]} // null matches rooms without revision
+  };
+
+  let result;
+  try {
+    result = await roomsCollection.replaceOne(filter, room, {upsert: expectedRevision === 0});
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY_ERROR_CODE) {
+      throw new RevisionConflictError(room.id, expectedRevision);
+    }
+    throw error;
+  }
+
+  if (result.matchedCount < 1 && result.upsertedCount < 1) {
+    throw new RevisionConflictError(room.id, expectedRevision);
+  }
+}
+
+/**
+ * deletes the room with the given id and its events
+ *
+ * @param {string} roomId
  * @return {Promise<void>}
  */
-async function saveRoom(room) {
-  await roomsCollection.replaceOne({id: room.id}, room, {upsert: true});
+async function deleteRoom(roomId) {
+  await roomsCollection.deleteOne({id: roomId});
+  await eventsCollection.deleteMany({roomId});
 }
 
 /**
@@ -189,6 +260,51 @@ async function getAllRooms() {
   }, {});
 }
 
+/**
+ * appends the given events to the event log of the room
+ * The given events are the events of one command. Besides the revision of the room (set on the events by the commandProcessor), every event gets its index within the command.
+ *
+ * @param {string} roomId
+ * @param {object[]} events
+ * @return {Promise<void>}
+ */
+async function appendEvents(roomId, events) {
+  if (events.length < 1) {
+    return;
+  }
+
+  // insertMany does modify the given objects (adds "_id")
+  await eventsCollection.insertMany(events.map((evt, index) => ({...evt, roomId, index})));
+}
+
+/**
+ * returns events of the given room, in the order they were produced.
+ *
+ * @param {string} roomId
+ * @param {number} [offset] Defaults to 0
+ * @param {number} [limit] If not set, all events (starting from offset) are returned
+ * @return {Promise<{total: number, events: object[]}>}
+ */
+async function getEvents(roomId, offset = 0, limit = undefined) {
+  const total = await eventsCollection.countDocuments({roomId});
+
+  // with multiple server instances, the generated mongodb "_id" does not reflect the order of the commands. Events are ordered by the revision of the room and their index within the command.
+  // events that were logged before revisions were introduced have neither, they are sorted first (by "_id")
+  let cursor = eventsCollection
+    .find({roomId})
+    .project({_id: 0, index: 0})
+    .sort({revision: 1, index: 1, _id: 1})
+    .skip(offset);
+  if (limit !== undefined) {
+    cursor = cursor.limit(limit);
+  }
+
+  return {
+    total,
+    events: await cursor.toArray()
+  };
+}
+
 function getStoreType() {
   return 'PersistentRoomsStore on mongodb';
 }
@@ -0,0 +1,38 @@
+import util from 'util';
+
+/**
+ * Optimistic concurrency on room saves: Every room has a "revision" number that is incremented on every save by the commandProcessor.
+ * A store only saves the room, if the stored room still has the revision the room was loaded with (i.e. nobody else saved the room in the meantime).
+ * Rooms without a revision (stored before revisions were introduced, or not yet stored) have revision 0.
+ *
+ * @param {object | undefined} storedRoom The room as currently stored
+ * @param {string} roomId
+ * @param {number} [expectedRevision] If not set, the room is saved unconditionally
+ * @throws {RevisionConflictError}
+ */
+export function throwIfRevisionConflict(storedRoom, roomId, expectedRevision) {
+  if (expectedRevision === undefined) {
+    return;
+  }
+
+  const storedRevision = getRevision(storedRoom);
+  if (storedRevision !== expectedRevision) {
+    throw new RevisionConflictError(roomId, expectedRevision, storedRevision);
+  }
+}
+
+/**
+ * @param {object | undefined} room
+ * @return {number} the revision of the given room, 0 if the room does not exist or has no revision
+ */
+export const getRevision = (room) => (room && room.revision) || 0;
+
+export function RevisionConflictError(roomId, expectedRevision, storedRevision) {
+  Error.captureStackTrace(this, RevisionConflictError);
+  this.name = this.constructor.name;
+  this.message =
+    `Room ${roomId} was modified concurrently: expected revision ${expectedRevision}` +
+    (storedRevision === undefined ? '' : `, but found ${storedRevision}`);
+}
+
+util.inherits(RevisionConflictError, Error);
@@ -1,30 +1,34 @@
 import persistentRoomsStore from './persistentRoomsStore';
 import inMemoryRoomsStore from './inMemoryRoomsStore';
-import getLogger from '../getLogger';
+import fileRoomsStore from './fileRoomsStore';
 
-const LOGGER = getLogger('roomStoreFactory');
+/**
+ * All stores implement the same contract: init, close, getRoomById, saveRoom, deleteRoom, getAllRooms, appendEvents, getEvents, housekeeping, getStoreType
+ * "saveRoom" supports conditional writes on the room revision (see revisionConflict.js)
+ */
+const STORES = {
+  memory: inMemoryRoomsStore,
+  mongodb: persistentRoomsStore,
+  file: fileRoomsStore
+};
 
 /**
- * will return either a persistent or in-memory rooms store
- * @param {boolean | object} persistent  Either falsy, then inMemory storage is used, or a configuration object for the persistent storage.
- * @returns {{init, getRoomById, saveRoom, getAllRooms}}
+ * will return the rooms store of the configured type (see settings.js).
+ * Housekeeping (removal of old rooms) is run by the housekeepingScheduler.
+ *
+ * @param {boolean | object} config  Either falsy, then inMemory storage is used, or a configuration object with "type" ("memory", "mongodb" or "file") and the configuration of the respective store.
+ * @returns {{init, getRoomById, saveRoom, deleteRoom, getAllRooms, housekeeping}}
  */
-export default async function getNewRoomsStore(persistent) {
-  const store = persistent ? persistentRoomsStore : inMemoryRoomsStore;
-  await store.init(persistent);
+export default async function getNewRoomsStore(config) {
+  const type = config ? config.type : 'memory';
+  const store = STORES[type];
+  if (!store) {
+    throw new Error(
+      `Unknown rooms store type "${type}". Use one of ${Object.keys(STORES).join(', ')}`
+    );
+  }
 
-  const houseKeepingResult = await store.housekeeping();
-  logHouseKeepingResult(houseKeepingResult);
+  await store.init(config);
 
   return store;
 }
-
-function logHouseKeepingResult(result) {
-  LOGGER.info(
-    `houskeeping for roomStore done. Marked rooms for deletion ${JSON.stringify(
-      result.markedForDeletion
-    )} (${result.markedForDeletion.length}). Deleted rooms ${JSON.stringify(result.deleted)} (${
-      result.deleted.length
-    }).`
-  );
-}
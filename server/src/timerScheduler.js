@@ -0,0 +1,103 @@
+import {v4 as uuid} from 'uuid';
+
+import getLogger from './getLogger';
+
+const LOGGER = getLogger('timerScheduler');
+
+/**
+ * Schedules the expiry of estimation timers (see command "startTimer").
+ * The scheduler observes produced events. On "timerStarted", a timeout is set. If it expires, an "expireTimer" command is issued
+ * (in the name of the user that started the timer) through the given function (normally the commandProcessor, so the command passes all regular steps: validation, preconditions, etc.).
+ * The function must mark the command as issued by the server, "expireTimer" is rejected otherwise (see command "expireTimer").
+ *
+ * A scheduled expiry is canceled if the timer is stopped, the story is revealed, another story is selected or the room is deleted.
+ * There is at most one timer per room. A new "timerStarted" event replaces a scheduled expiry.
+ *
+ * Scheduled timers are held in memory. They do not survive a server restart.
+ *
+ * @param {function} issueCommand Function that accepts a command and a userId. Might return a promise.
+ * @return {{onEventsProduced: function, cancelAll: function, getScheduledRoomIds: function}}
+ */
+export default function timerSchedulerFactory(issueCommand) {
+  const scheduledTimeouts = {}; // roomId -> {storyId, timeoutHandle}
+
+  return {
+    onEventsProduced,
+    cancelAll,
+    getScheduledRoomIds: () => Object.keys(scheduledTimeouts)
+  };
+
+  /**
+   * @param {object[]} producedEvents
+   */
+  function onEventsProduced(producedEvents) {
+    (producedEvents || []).forEach((event) => {
+      switch (event.name) {
+        case 'timerStarted':
+          schedule(event.roomId, event.userId, event.payload.storyId, event.payload.duration);
+          break;
+        case 'timerStopped':
+        case 'roomDeleted':
+          cancel(event.roomId);
+          break;
+        case 'revealed':
+          cancelIf(event.roomId, (scheduled) => scheduled.storyId === event.payload.storyId);
+          break;
+        case 'storySelected':
+          cancelIf(event.roomId, (scheduled) => scheduled.storyId !== event.payload.storyId);
+          break;
+      }
+    });
+  }
+
+  function schedule(roomId, userId, storyId, durationInSeconds) {
+    cancel(roomId);
+
+    const timeoutHandle = setTimeout(
+      () => onExpired(roomId, userId, storyId),
+      durationInSeconds * 1000
+    );
+    scheduledTimeouts[roomId] = {storyId, timeoutHandle};
+  }
+
+  async function onExpired(roomId, userId, storyId) {
+    delete scheduledTimeouts[roomId];
+
+    try {
+      await issueCommand(
+        {
+          id: uuid(),
+          roomId,
+          name: 'expireTimer',
+          payload: {
+            storyId
+          }
+        },
+        userId
+      );
+    } catch (err) {
+      LOGGER.warn(
+        `Could not reveal story ${storyId} in room ${roomId} on timer expiry: ${err.message}`
+      );
+    }
+  }
+
+  function cancelIf(roomId, predicate) {
+    const scheduled = scheduledTimeouts[roomId];
+    if (scheduled && predicate(scheduled)) {
+      cancel(roomId);
+    }
+  }
+
+  function cancel(roomId) {
+    const scheduled = scheduledTimeouts[roomId];
+    if (scheduled) {
+      clearTimeout(scheduled.timeoutHandle);
+      delete scheduledTimeouts[roomId];
+    }
+  }
+
+  function cancelAll() {
+    Object.keys(scheduledTimeouts).forEach(cancel);
+  }
+}
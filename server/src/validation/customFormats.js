@@ -3,6 +3,7 @@ const EMAIL_MAX_LENGTH = 254;
 const ROOMID_REGEX = /^[-a-z0-9_]+$/;
 const UUIDv4_REGEX = /^[0-9A-F]{8}-[0-9A-F]{4}-4[0-9A-F]{3}-[89AB][0-9A-F]{3}-[0-9A-F]{12}$/i;
 const CsvDATAURL_REGEX = /^data:(text\/csv|application\/vnd.ms-excel|application\/csv|text\/x-csv|application\/x-csv|text\/comma-separated-values|text\/x-comma-separated-values);base64,/;
+const JsonDATAURL_REGEX = /^data:(application\/json|text\/json);base64,/;
 const USERNAME_REGEX = /^.{3,80}$/;
 
 /**
@@ -36,12 +37,20 @@ export function registerCustomFormats(tvi) {
     'csvDataUrl',
     validateStringFormat.bind(undefined, CsvDATAURL_REGEX, 'must be a valid text/csv data url')
   );
+  tvi.addFormat(
+    'jsonDataUrl',
+    validateStringFormat.bind(
+      undefined,
+      JsonDATAURL_REGEX,
+      'must be a valid application/json data url'
+    )
+  );
   tvi.addFormat(
     'username',
     validateStringFormat.bind(undefined, USERNAME_REGEX, 'must be a valid username')
   );
   tvi.addFormat('parseableNumber', parseableNumber);
-  tvi.addFormat('cardConfig', cardConfigUniqueValue);
+  tvi.addFormat('cardConfig', cardConfigUniqueValueAndPosition);
 }
 
 function validateStringFormat(formatRegex, errorMsg, data) {
@@ -58,11 +67,12 @@ function validateStringFormat(formatRegex, errorMsg, data) {
 
 /**
  * The whole cardConfig is validated through default tv4 mechanisms (see commandHandlers/setCardConfig.js  cardConfigSchema)
- * Here we check uniqueness of items in the array.
+ * Here we check uniqueness of items in the array: values identify the cards, positions define their order.
+ * Position is optional (missing positions are set by the order of the items, see "sanitizeCardConfig").
  *
  * @param {object[]} data
  */
-function cardConfigUniqueValue(data) {
+function cardConfigUniqueValueAndPosition(data) {
   if (!data) {
     return;
   }
@@ -70,6 +80,11 @@ function cardConfigUniqueValue(data) {
   if (new Set(valueArray).size !== valueArray.length) {
     return 'CardConfig must not contain two cards with the same value';
   }
+
+  const positionArray = data.map((i) => i.position).filter((p) => p !== undefined);
+  if (new Set(positionArray).size !== positionArray.length) {
+    return 'CardConfig must not contain two cards with the same position';
+  }
 }
 
 export function parseableNumber(data) {
@@ -100,7 +100,7 @@ function formatValidationErrorMessage(tv4Err) {
   return `${tv4Err.message} in ${tv4Err.dataPath || '-'}`;
 }
 
-function CommandValidationError(err, cmd) {
+export function CommandValidationError(err, cmd) {
   this.stack = err.stack;
   this.name = this.constructor.name;
   this.message = `Command validation Error during "${cmd.name}": ${err.message}`;
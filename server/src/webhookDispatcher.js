@@ -0,0 +1,255 @@
+import http from 'http';
+import https from 'https';
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import {v4 as uuid} from 'uuid';
+
+import getLogger from './getLogger';
+
+const LOGGER = getLogger('webhookDispatcher');
+
+/**
+ * Delivers produced events to the webhooks of a room (see commands "addWebhook" and "removeWebhook").
+ *
+ * Every webhook has an event filter: only events with a matching name are posted. Restricted events (e.g. "tokenIssued") are never posted.
+ * All matching events of one command are posted in one request (JSON body: {deliveryId, roomId, sentAt, events}).
+ *
+ * The body is signed with the secret of the webhook (HMAC SHA-256). The signature is sent in the header "X-Poinz-Signature" (e.g. "sha256=1f3a...").
+ * Failed deliveries (network errors, timeouts, status 408, 429 and 5xx) are retried with exponential backoff. Other responses are not retried.
+ *
+ * Pending retries are held in memory. They do not survive a server restart.
+ *
+ * Any moderator can add webhooks. To prevent requests into the network of the server, webhooks are not posted to loopback, link-local (e.g. cloud metadata services)
+ * and private addresses, unless "allowPrivateTargets" is set. Host names are checked after the DNS lookup, the request is sent to the checked address.
+ *
+ * @param {object} [options]
+ * @param {number} [options.maxAttempts] Number of attempts per delivery (including the first one)
+ * @param {number} [options.initialBackoffMs] Delay before the first retry. Doubled for every further retry.
+ * @param {number} [options.timeoutMs] Timeout per request
+ * @param {boolean} [options.allowPrivateTargets] If true, webhooks can be posted to private addresses (e.g. self-hosted setups with receivers in the same network)
+ * @return {{dispatch: function, cancelAll: function, getPendingRetryCount: function}}
+ */
+export default function webhookDispatcherFactory(options = {}) {
+  const {
+    maxAttempts = 4,
+    initialBackoffMs = 1000,
+    timeoutMs = 5000,
+    allowPrivateTargets = false
+  } = options;
+
+  const pendingRetries = new Map(); // timeoutHandle -> resolve function of the waiting delivery
+
+  return {
+    dispatch,
+    cancelAll,
+    getPendingRetryCount: () => pendingRetries.size
+  };
+
+  /**
+   * @param {object} room The room, after the produced events were applied
+   * @param {object[]} producedEvents
+   * @return {Promise<boolean[]>} Resolves as soon as all deliveries succeeded or were given up (one flag per delivery). Never rejects.
+   */
+  function dispatch(room, producedEvents) {
+    const deliverableEvents = (producedEvents || []).filter((event) => !event.restricted);
+
+    const deliveries = (room.webhooks || [])
+      .map((webhook) => ({
+        webhook,
+        events: deliverableEvents.filter((event) => webhook.events.includes(event.name))
+      }))
+      .filter((delivery) => delivery.events.length > 0)
+      .map((delivery) => deliver(room.id, delivery.webhook, delivery.events));
+
+    return Promise.all(deliveries);
+  }
+
+  async function deliver(roomId, webhook, events) {
+    const deliveryId = uuid();
+    const body = JSON.stringify({deliveryId, roomId, sentAt: Date.now(), events});
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'User-Agent': 'poinz-webhooks',
+      'X-Poinz-Delivery': deliveryId,
+      'X-Poinz-Signature': signBody(body, webhook.secret)
+    };
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        const statusCode = await post(webhook.url, body, headers);
+        if (statusCode >= 200 && statusCode < 300) {
+          return true;
+        }
+        if (!isRetryableStatus(statusCode)) {
+          LOGGER.warn(
+            `Webhook ${webhook.id} in room ${roomId} responded with ${statusCode}. Giving up delivery ${deliveryId}`
+          );
+          return false;
+        }
+        LOGGER.info(
+          `Webhook ${webhook.id} in room ${roomId} responded with ${statusCode} (attempt ${attempt}/${maxAttempts})`
+        );
+      } catch (err) {
+        if (err.forbiddenTarget) {
+          LOGGER.warn(
+            `Webhook ${webhook.id} in room ${roomId}: ${err.message}. Giving up delivery ${deliveryId}`
+          );
+          return false;
+        }
+        LOGGER.info(
+          `Could not post to webhook ${webhook.id} in room ${roomId}: ${err.message} (attempt ${attempt}/${maxAttempts})`
+        );
+      }
+
+      if (attempt < maxAttempts) {
+        const retryScheduled = await waitForRetry(initialBackoffMs * Math.pow(2, attempt - 1));
+        if (!retryScheduled) {
+          return false; // canceled
+        }
+      }
+    }
+
+    LOGGER.warn(
+      `Giving up delivery ${deliveryId} to webhook ${webhook.id} in room ${roomId} after ${maxAttempts} attempts`
+    );
+    return false;
+  }
+
+  /**
+   * @return {Promise<boolean>} resolves to true after the given delay, to false if canceled
+   */
+  function waitForRetry(delayMs) {
+    return new Promise((resolve) => {
+      const timeoutHandle = setTimeout(() => {
+        pendingRetries.delete(timeoutHandle);
+        resolve(true);
+      }, delayMs);
+      pendingRetries.set(timeoutHandle, resolve);
+    });
+  }
+
+  function cancelAll() {
+    pendingRetries.forEach((resolve, timeoutHandle) => {
+      clearTimeout(timeoutHandle);
+      resolve(false);
+    });
+    pendingRetries.clear();
+  }
+
+  function post(url, body, headers) {
+    return new Promise((resolve, reject) => {
+      const host = new URL(url).hostname.replace(/^\[|\]$/g, ''); // IPv6 addresses are enclosed in brackets
+      if (!allowPrivateTargets && net.isIP(host) && isPrivateAddress(host)) {
+        // no DNS lookup for ip addresses
+        reject(forbiddenTargetError(host));
+        return;
+      }
+
+      const client = url.startsWith('https:') ? https : http;
+      const requestOptions = {
+        method: 'POST',
+        headers,
+        timeout: timeoutMs,
+        lookup: allowPrivateTargets ? undefined : lookupPublicAddress
+      };
+      const request = client.request(url, requestOptions, (res) => {
+        res.resume(); // we are not interested in the response body
+        resolve(res.statusCode);
+      });
+      request.on('timeout', () => request.destroy(new Error(`Timeout after ${timeoutMs}ms`)));
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+}
+
+/**
+ * Same signature as dns.lookup, but fails for private addresses
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    // with option "all", an array of addresses is passed
+    const addresses = Array.isArray(address) ? address.map((entry) => entry.address) : [address];
+    const privateAddress = addresses.find(isPrivateAddress);
+    if (privateAddress) {
+      callback(forbiddenTargetError(`${hostname} (${privateAddress})`));
+      return;
+    }
+
+    callback(null, address, family);
+  });
+}
+
+function forbiddenTargetError(target) {
+  const error = new Error(`Posting to private address ${target} is not allowed`);
+  error.forbiddenTarget = true;
+  return error;
+}
+
+/**
+ * @param {string} address IPv4 or IPv6 address
+ * @return {boolean} true for loopback, link-local, private, shared (carrier-grade NAT), unspecified and multicast addresses
+ */
+export function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    return isPrivateIPv4Address(address);
+  }
+
+  const lowerCaseAddress = address.toLowerCase();
+
+  // IPv4-mapped IPv6 addresses, e.g. "::ffff:127.0.0.1" or "::ffff:7f00:1"
+  const mappedDotted = lowerCaseAddress.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mappedDotted) {
+    return isPrivateIPv4Address(mappedDotted[1]);
+  }
+  const mappedHex = lowerCaseAddress.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mappedHex) {
+    const high = parseInt(mappedHex[1], 16);
+    const low = parseInt(mappedHex[2], 16);
+    return isPrivateIPv4Address(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+  }
+
+  return (
+    lowerCaseAddress === '::' ||
+    lowerCaseAddress === '::1' ||
+    /^f[cd]/.test(lowerCaseAddress) || // unique local fc00::/7
+    /^fe[89ab]/.test(lowerCaseAddress) || // link-local fe80::/10
+    /^ff/.test(lowerCaseAddress) // multicast
+  );
+}
+
+function isPrivateIPv4Address(address) {
+  const [a, b] = address.split('.').map(Number);
+  return (
+    a === 0 ||
+    a === 10 ||
+    a === 127 ||
+    (a === 100 && b >= 64 && b <= 127) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    (a === 198 && (b === 18 || b === 19)) ||
+    a >= 224
+  );
+}
+
+/**
+ * Receivers can verify a delivery by computing the same signature over the raw request body.
+ *
+ * @param {string} body
+ * @param {string} secret
+ * @return {string}
+ */
+export function signBody(body, secret) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+const isRetryableStatus = (statusCode) =>
+  statusCode >= 500 || statusCode === 408 || statusCode === 429;
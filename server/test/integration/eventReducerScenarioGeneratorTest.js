@@ -121,16 +121,22 @@ test('estimatingTest: Adding Stories, estimate them', async () => {
   );
 
   // first user estimates first story
-  await client.cmdAndWait(client.cmds.giveEstimate(roomId, firstUserId, storyIdOne, 3));
+  await client.cmdAndWait(
+    client.cmds.giveEstimate(roomId, firstUserId, storyIdOne, 3),
+    2 // given and own estimate (restricted)
+  );
 
   // first user clears again
   await client.cmdAndWait(client.cmds.clearEstimate(roomId, firstUserId, storyIdOne));
 
   // both estimate 5
-  await client.cmdAndWait(client.cmds.giveEstimate(roomId, firstUserId, storyIdOne, 5));
+  await client.cmdAndWait(
+    client.cmds.giveEstimate(roomId, firstUserId, storyIdOne, 5),
+    2 // given and own estimate (restricted)
+  );
   await client.cmdAndWait(
     client.cmds.giveEstimate(roomId, secondUserId, storyIdOne, 5),
-    3 // given, revealed, consensus
+    4 // given, own estimate, revealed, consensus
   );
 
   // start new round
@@ -164,7 +170,8 @@ test('disconnectAndKickTest: two users, one disconnects, kick him', async () =>
     2 // added and selected
   );
   await clientB.cmdAndWait(
-    clientB.cmds.giveEstimate(roomId, secondUserId, storyAdded.payload.storyId, 8)
+    clientB.cmds.giveEstimate(roomId, secondUserId, storyAdded.payload.storyId, 8),
+    2 // given and own estimate (restricted)
   );
 
   // second user looses connection ("leaves" with "connectionLost"=true)
@@ -208,7 +215,7 @@ test('joinAndLeave ', async () => {
   );
   await clientA.cmdAndWait(
     clientA.cmds.giveEstimate(roomId, firstUserId, storyAdded.payload.storyId, 4),
-    3 // given, revealed, consensus
+    4 // given, own estimate, revealed, consensus
   );
 
   // second user joins room with already a story in it
@@ -1,6 +1,7 @@
 import {v4 as uuid} from 'uuid';
 
 import persistentRoomsStore from '../../src/store/persistentRoomsStore';
+import roomsStoreContract from '../roomsStoreContract';
 
 const LOCAL_MONGODB_CONNECTION_URI = 'mongodb://localhost:27017';
 const LOCAL_MONGODB_TEST_DB_NAME = 'poinz_integration_test';
@@ -29,170 +30,45 @@ describe('initialization', () => {
   });
 });
 
-describe('save, update and fetch', () => {
-  beforeAll(async () => {
-    await persistentRoomsStore.init({
+describe('rooms store contract', () => {
+  roomsStoreContract(
+    persistentRoomsStore,
+    () => ({
       connectionURI: LOCAL_MONGODB_CONNECTION_URI + '/' + LOCAL_MONGODB_TEST_DB_NAME
-    });
-  });
-
-  afterAll(async () => {
-    await persistentRoomsStore.close();
-  });
-
-  test('should save and get room back', async () => {
-    const roomObject = {
-      id: uuid(),
-      users: {},
-      other: 'data'
-    };
-    await persistentRoomsStore.saveRoom(roomObject);
-
-    const retrievedRoom = await persistentRoomsStore.getRoomById(roomObject.id);
-
-    expect(retrievedRoom).toBeDefined();
-    expect(retrievedRoom.id).toBe(roomObject.id);
-    expect(Object.prototype.hasOwnProperty.call(retrievedRoom, '_id')).toBe(false);
-  });
-
-  test('should resolve to undefined if room with given id does not exist', async () => {
-    const retrievedRoom = await persistentRoomsStore.getRoomById('no-room-has-this-id');
-
-    expect(retrievedRoom).toBeUndefined();
-  });
-
-  test('should save twice (update) and get room back', async () => {
-    const roomObject = {
-      id: uuid(),
-      users: {},
-      other: 'data'
-    };
-    await persistentRoomsStore.saveRoom(roomObject);
-
-    // now call saveRoom() again with a new object that has the same "id"
-    const roomObjectModified = {
-      ...roomObject,
-      additional: '....data...'
-    };
-    await persistentRoomsStore.saveRoom(roomObjectModified);
-
-    const retrievedRoom = await persistentRoomsStore.getRoomById(roomObject.id);
-
-    expect(retrievedRoom).toBeDefined();
-    expect(retrievedRoom.id).toBe(roomObject.id);
-    expect(retrievedRoom.other).toBe('data');
-    expect(retrievedRoom.additional).toBe('....data...');
-  });
-
-  test('should return all Rooms', async () => {
-    const roomObject = {
-      id: uuid(),
-      users: {},
-      other: 'data'
-    };
-    await persistentRoomsStore.saveRoom(roomObject);
-
-    const allRooms = await persistentRoomsStore.getAllRooms();
-
-    expect(allRooms).toBeDefined();
-    expect(Object.values(allRooms).length).toBeGreaterThan(0);
-
-    const matchingRoomFromMap = allRooms[roomObject.id];
-    expect(matchingRoomFromMap).toBeDefined();
-    expect(matchingRoomFromMap.id).toBe(roomObject.id);
-  });
+    }),
+    'PersistentRoomsStore on mongodb'
+  );
 });
 
-describe('housekeeping', () => {
-  beforeAll(async () => {
-    await persistentRoomsStore.init({
+describe('event log order', () => {
+  beforeAll(() =>
+    persistentRoomsStore.init({
       connectionURI: LOCAL_MONGODB_CONNECTION_URI + '/' + LOCAL_MONGODB_TEST_DB_NAME
-    });
-  });
-
-  afterAll(async () => {
-    await persistentRoomsStore.close();
-  });
-
-  test('should mark for deletion and then delete rooms that have not been used for a long time', async () => {
-    const oldRoomObject = {
-      id: uuid(),
-      users: {},
-      description: 'test room old created and last activity timestamps',
-      created: 0,
-      lastActivity: 0
-    };
-    const newerRoomObject = {
-      id: uuid(),
-      users: {},
-      description: 'test room  new',
-      created: Date.now(),
-      lastActivity: Date.now()
-    };
-    await persistentRoomsStore.saveRoom(oldRoomObject);
-    await persistentRoomsStore.saveRoom(newerRoomObject);
-
-    let houseKeepingReport = await persistentRoomsStore.housekeeping();
-    expect(houseKeepingReport.markedForDeletion.length).toBe(1);
-    expect(houseKeepingReport.markedForDeletion[0]).toEqual(oldRoomObject.id);
-    expect(houseKeepingReport.deleted.length).toBe(0);
-
-    // we can still fetch it, is marked for deletion
-    let retrievedRoom = await persistentRoomsStore.getRoomById(oldRoomObject.id);
-    expect(retrievedRoom).toBeDefined();
-    expect(retrievedRoom.markedForDeletion).toBe(true);
-
-    // --  call housekeeping a second time
-    houseKeepingReport = await persistentRoomsStore.housekeeping();
-    expect(houseKeepingReport.markedForDeletion.length).toBe(0);
-    expect(houseKeepingReport.deleted.length).toBe(1);
-    expect(houseKeepingReport.deleted[0]).toEqual(oldRoomObject.id);
-
-    // now it no longer exists
-    retrievedRoom = await persistentRoomsStore.getRoomById(oldRoomObject.id);
-    expect(retrievedRoom).toBeUndefined();
-
-    // just make sure to remove the other room as well to clean up after ourselves.
-    newerRoomObject.markedForDeletion = true;
-    await persistentRoomsStore.saveRoom(newerRoomObject);
-    await persistentRoomsStore.housekeeping();
-
-    retrievedRoom = await persistentRoomsStore.getRoomById(newerRoomObject.id);
-    expect(retrievedRoom).toBeUndefined();
+    })
+  );
+
+  afterAll(() => persistentRoomsStore.close());
+
+  test('should return events ordered by revision and index within the command, not by insertion', async () => {
+    const roomId = uuid();
+
+    // another instance appended the events of revision 3 before we appended the events of revision 2
+    await persistentRoomsStore.appendEvents(roomId, [
+      {id: 'three-a', name: 'storyAdded', revision: 3},
+      {id: 'three-b', name: 'storySelected', revision: 3}
+    ]);
+    await persistentRoomsStore.appendEvents(roomId, [
+      {id: 'two-a', name: 'usernameSet', revision: 2},
+      {id: 'two-b', name: 'avatarSet', revision: 2}
+    ]);
+    await persistentRoomsStore.appendEvents(roomId, [
+      {id: 'one', name: 'roomCreated', revision: 1}
+    ]);
+
+    const {events} = await persistentRoomsStore.getEvents(roomId);
+    expect(events.map((evt) => evt.id)).toEqual(['one', 'two-a', 'two-b', 'three-a', 'three-b']);
+    expect(events[0]).toEqual({id: 'one', name: 'roomCreated', revision: 1, roomId});
+
+    await persistentRoomsStore.deleteRoom(roomId);
   });
-
-  test('should keep old rooms with recent activity', async () => {
-    const oldRoomObject = {
-      id: uuid(),
-      users: {},
-      description: 'test room old created but recent activity',
-      created: 0,
-      lastActivity: Date.now()
-    };
-
-    await persistentRoomsStore.saveRoom(oldRoomObject);
-
-    // call housekeeping twice
-    await persistentRoomsStore.housekeeping();
-    const houseKeepingReport = await persistentRoomsStore.housekeeping();
-    expect(houseKeepingReport.markedForDeletion.length).toBe(0);
-    expect(houseKeepingReport.deleted.length).toBe(0);
-
-    let retrievedRoom = await persistentRoomsStore.getRoomById(oldRoomObject.id);
-    expect(retrievedRoom).toBeDefined();
-    expect(retrievedRoom.markedForDeletion).toBeUndefined(); // flag never set
-
-    // just make sure to remove the added room to clean up after ourselves.
-    oldRoomObject.markedForDeletion = true;
-    await persistentRoomsStore.saveRoom(oldRoomObject);
-    await persistentRoomsStore.housekeeping();
-
-    retrievedRoom = await persistentRoomsStore.getRoomById(oldRoomObject.id);
-    expect(retrievedRoom).toBeUndefined();
-  });
-});
-
-test('has getStoreType() function', async () => {
-  const storeTypeString = persistentRoomsStore.getStoreType();
-  expect(storeTypeString).toBe('PersistentRoomsStore on mongodb');
 });
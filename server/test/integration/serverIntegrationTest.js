@@ -233,6 +233,162 @@ describe('REST endpoint', () => {
     });
   });
 
+  test('should process command and send events to sockets in room', async () => {
+    const roomId = uuid();
+    const client = poinzSocketClientFactory(backendUrl);
+    await client.cmdAndWait(client.cmds.joinRoom(roomId, uuid()), 3);
+
+    // the bot joins over http and gets a token for subsequent commands
+    const joinBody = await joinRoomOverHttp(roomId);
+    expect(joinBody.token).toEqual(expect.any(String));
+
+    const commandId = uuid();
+    const eventsOnSocketPromise = client.waitForEvents(commandId, 2);
+
+    const {statusCode, body} = await httpPostJSON(
+      {
+        host: 'localhost',
+        port: 3000,
+        path: '/api/room/' + roomId + '/commands',
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: 'Bearer ' + joinBody.token
+        }
+      },
+      {
+        id: commandId,
+        name: 'addStory',
+        payload: {
+          title: 'story from a bot'
+        }
+      }
+    );
+
+    expect(statusCode).toBe(200);
+    expect(body.userId).toBe(joinBody.userId);
+    expect(body.events.map((evt) => evt.name)).toEqual(['storyAdded', 'storySelected']);
+
+    // events are also sent to the sockets in the room
+    const eventsOnSocket = await eventsOnSocketPromise;
+    expect(eventsOnSocket.map((evt) => evt.name)).toEqual(['storyAdded', 'storySelected']);
+    client.disconnect();
+  });
+
+  test('should reject command that fails validation', async () => {
+    const roomId = uuid();
+    const {token} = await joinRoomOverHttp(roomId);
+
+    const {statusCode, body} = await httpPostJSON(
+      {
+        host: 'localhost',
+        port: 3000,
+        path: '/api/room/' + roomId + '/commands',
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: 'Bearer ' + token
+        }
+      },
+      {
+        id: uuid(),
+        name: 'addStory',
+        payload: {}
+      }
+    );
+
+    expect(statusCode).toBe(400);
+    expect(body.message).toMatch(/Command validation Error/);
+  });
+
+  test('should reject command without token', async () => {
+    const roomId = uuid();
+    const userId = uuid();
+    const client = poinzSocketClientFactory(backendUrl);
+    await client.cmdAndWait(client.cmds.joinRoom(roomId, userId), 3);
+    client.disconnect();
+
+    const {statusCode} = await httpPostJSON(
+      {
+        host: 'localhost',
+        port: 3000,
+        path: '/api/room/' + roomId + '/commands',
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      },
+      {
+        id: uuid(),
+        userId, // the userId in the body is not trusted
+        name: 'addStory',
+        payload: {
+          title: 'story from an impostor'
+        }
+      }
+    );
+
+    expect(statusCode).toBe(401);
+  });
+
+  test('should stream room events as server-sent events', async () => {
+    const roomId = uuid();
+    const userId = uuid();
+    const client = poinzSocketClientFactory(backendUrl);
+    await client.cmdAndWait(client.cmds.joinRoom(roomId, userId), 3);
+
+    const receivedMessages = [];
+    const streamRequest = http.get({
+      host: 'localhost',
+      port: 3000,
+      path: '/api/room/' + roomId + '/events'
+    });
+    const response = await new Promise((resolve) => streamRequest.on('response', resolve));
+    expect(response.statusCode).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+    response.setEncoding('utf8');
+    response.on('data', (chunk) => receivedMessages.push(chunk));
+
+    await client.cmdAndWait(client.cmds.addStory(roomId, userId, 'streamed story'), 2);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    streamRequest.destroy();
+    client.disconnect();
+
+    const streamedEvents = receivedMessages
+      .join('')
+      .split('\n')
+      .filter((line) => line.startsWith('data: '))
+      .map((line) => JSON.parse(line.substring(6)));
+    expect(streamedEvents.map((evt) => evt.name)).toEqual(['storyAdded', 'storySelected']);
+  });
+
+  /**
+   * helper method to join a room over the REST api (like a bot). Resolves to the response body with "userId" and "token".
+   * @param {string} roomId
+   */
+  async function joinRoomOverHttp(roomId) {
+    const {statusCode, body} = await httpPostJSON(
+      {
+        host: 'localhost',
+        port: 3000,
+        path: '/api/room/' + roomId + '/commands',
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      },
+      {
+        id: uuid(),
+        name: 'joinRoom',
+        payload: {
+          username: 'bot'
+        }
+      }
+    );
+    expect(statusCode).toBe(200);
+    return body;
+  }
+
   /**
    * helper method to send HTTP GET requests to the backend under test.
    * parsed returned JSON body to object
@@ -248,11 +404,26 @@ describe('REST endpoint', () => {
     });
   }
 
+  /**
+   * helper method to send HTTP POST requests with a JSON body to the backend under test.
+   * parsed returned JSON body to object
+   *
+   * @param options
+   * @param requestBody
+   */
+  function httpPostJSON(options, requestBody) {
+    return httpGet(options, JSON.stringify(requestBody)).then((result) => ({
+      ...result,
+      body: result.body ? JSON.parse(result.body) : ''
+    }));
+  }
+
   /**
    * helper method to send HTTP GET requests to the backend under test
    * @param options
+   * @param [requestBody] optional, sent as request body
    */
-  function httpGet(options) {
+  function httpGet(options, requestBody) {
     return new Promise((resolve, reject) => {
       const req = http.request(options, (res) => {
         let output = '';
@@ -268,6 +439,9 @@ describe('REST endpoint', () => {
       });
 
       req.on('error', reject);
+      if (requestBody) {
+        req.write(requestBody);
+      }
       req.end();
     });
   }
@@ -10,17 +10,21 @@ import socketIoClient from 'socket.io-client';
 describe('serverPerformance', () => {
   const backendUrl = 'http://localhost:3000';
 
-  let socket, userId;
+  const sockets = [];
 
   afterAll(() => {
-    if (socket) {
-      socket.disconnect();
-    }
+    sockets.forEach((socket) => socket.disconnect());
   });
 
+  /**
+   * connects a new socket and joins a new room with a new user
+   *
+   * @param done Invoked with the roomId, the socket and the userId
+   */
   function prep(done) {
-    socket = socketIoClient(backendUrl);
-    userId = uuid();
+    const socket = socketIoClient(backendUrl);
+    const userId = uuid();
+    sockets.push(socket);
     let eventCount = 0;
 
     socket.on('event', (event) => {
@@ -32,7 +36,7 @@ describe('serverPerformance', () => {
       if (eventCount === 2) {
         // this is the "roomJoined" event
         expect(event.name).toBe('joinedRoom');
-        done(null, event.roomId);
+        done(null, event.roomId, socket, userId);
       }
     });
 
@@ -49,10 +53,11 @@ describe('serverPerformance', () => {
   }
 
   test('should handle 100 "addStory" commands', (done) => {
-    prep((err, roomId) => {
+    prep((err, roomId, socket, userId) => {
       sendCommandsInSequence(
         socket,
         roomId,
+        userId,
         100,
         'addStory',
         {
@@ -64,10 +69,11 @@ describe('serverPerformance', () => {
   });
 
   test('should handle 1000 "addStory" commands', (done) => {
-    prep((err, roomId) => {
+    prep((err, roomId, socket, userId) => {
       sendCommandsInSequence(
         socket,
         roomId,
+        userId,
         1000,
         'addStory',
         {
@@ -80,10 +86,11 @@ describe('serverPerformance', () => {
   }, 50000);
 
   test('should handle 4000 "setUsername" commands', (done) => {
-    prep((err, roomId) => {
+    prep((err, roomId, socket, userId) => {
       sendCommandsInSequence(
         socket,
         roomId,
+        userId,
         4000,
         'setUsername',
         {
@@ -94,6 +101,42 @@ describe('serverPerformance', () => {
     });
   }, 50000);
 
+  /**
+   * Commands of different rooms are processed in parallel (see commandProcessor.js).
+   * Compare the time of this test with the time of the 1000 "addStory" commands in a single room above.
+   */
+  test('should handle 10 x 100 "addStory" commands in 10 rooms in parallel', (done) => {
+    const roomCount = 10;
+    const testRunUniqueId = 'serverPerformanceTest_parallelRooms_' + uuid();
+    let doneRoomCount = 0;
+
+    console.time(testRunUniqueId);
+    for (let i = 0; i < roomCount; i++) {
+      prep((err, roomId, socket, userId) => {
+        sendCommandsInSequence(
+          socket,
+          roomId,
+          userId,
+          100,
+          'addStory',
+          {
+            title: 'newStory-123',
+            description: 'My super story'
+          },
+          onRoomDone
+        );
+      });
+    }
+
+    function onRoomDone() {
+      doneRoomCount++;
+      if (doneRoomCount === roomCount) {
+        console.timeEnd(testRunUniqueId);
+        done();
+      }
+    }
+  }, 50000);
+
   /**
    * sends multiple commands to the given socket in sequence.
    * will send commands as long as given "eventTotal" is not reached.
@@ -101,12 +144,21 @@ describe('serverPerformance', () => {
    *
    * @param socket
    * @param roomId
+   * @param userId
    * @param eventTotal
    * @param commandName
    * @param commandPayload
    * @param done
    */
-  function sendCommandsInSequence(socket, roomId, eventTotal, commandName, commandPayload, done) {
+  function sendCommandsInSequence(
+    socket,
+    roomId,
+    userId,
+    eventTotal,
+    commandName,
+    commandPayload,
+    done
+  ) {
     const testRunUniqueId = 'serverPerformanceTest_' + uuid();
 
     console.log(
@@ -0,0 +1,96 @@
+import {v4 as uuid} from 'uuid';
+
+import initDb from './db';
+import cardPositionWeight from '../../migrations/20261018140000-card-position-weight';
+import {throwIfBulkWriteResultInvalid} from './migrationTestUtil';
+
+test('DBMIGRATION: set position and weight on cards (up)', async () => {
+  const [db, roomz] = await initDb();
+
+  // insert room
+  const roomId = uuid();
+  const preRoom = {
+    id: roomId,
+    users: [],
+    stories: [],
+    cardConfig: [
+      {label: '?', value: -2, color: '#bdbfbf'},
+      {label: '1/2', value: 0.5, color: '#667a66'},
+      {label: '1', value: 1, color: '#839e7a'}
+    ]
+  };
+
+  await roomz.insertOne(preRoom);
+
+  // migrate "up"
+  const bWriteResult = await cardPositionWeight.up(db);
+  throwIfBulkWriteResultInvalid(bWriteResult);
+
+  const room = await roomz.findOne({id: roomId});
+
+  // position is the index, weight is the (non-negative) value
+  expect(room.cardConfig).toEqual([
+    {label: '?', value: -2, color: '#bdbfbf', position: 0},
+    {label: '1/2', value: 0.5, color: '#667a66', position: 1, weight: 0.5},
+    {label: '1', value: 1, color: '#839e7a', position: 2, weight: 1}
+  ]);
+});
+
+test('DBMIGRATION: do not change rooms without card config or with positions (up)', async () => {
+  const [db, roomz] = await initDb();
+
+  // insert rooms
+  const roomIdDefaultCards = uuid();
+  const roomIdMigratedCards = uuid();
+  const migratedCardConfig = [
+    {label: 'S', value: 1, color: '#839e7a', position: 1},
+    {label: 'M', value: 2, color: '#8cb876', position: 0}
+  ];
+
+  await roomz.insertOne({id: roomIdDefaultCards, users: [], stories: []});
+  await roomz.insertOne({
+    id: roomIdMigratedCards,
+    users: [],
+    stories: [],
+    cardConfig: migratedCardConfig
+  });
+
+  // migrate "up"
+  const bWriteResult = await cardPositionWeight.up(db);
+  expect(bWriteResult).toBeUndefined();
+
+  const roomWithDefaultCards = await roomz.findOne({id: roomIdDefaultCards});
+  expect(roomWithDefaultCards.cardConfig).toBeUndefined();
+  const roomWithMigratedCards = await roomz.findOne({id: roomIdMigratedCards});
+  expect(roomWithMigratedCards.cardConfig).toEqual(migratedCardConfig);
+});
+
+test('DBMIGRATION: remove position and weight on cards (down)', async () => {
+  const [db, roomz] = await initDb();
+  await roomz.deleteMany({}); // rooms with card configs from the tests above would be modified as well
+
+  // insert room
+  const roomId = uuid();
+  const preRoom = {
+    id: roomId,
+    users: [],
+    stories: [],
+    cardConfig: [
+      {label: '?', value: -2, color: '#bdbfbf', position: 0},
+      {label: '1', value: 1, color: '#839e7a', position: 1, weight: 1}
+    ]
+  };
+
+  await roomz.insertOne(preRoom);
+
+  // migrate "down"
+  const bWriteResult = await cardPositionWeight.down(db);
+  throwIfBulkWriteResultInvalid(bWriteResult);
+
+  const room = await roomz.findOne({id: roomId});
+
+  expect(room.cardConfig).toEqual([
+    {label: '?', value: -2, color: '#bdbfbf'},
+    {label: '1', value: 1, color: '#839e7a'}
+  ]);
+});
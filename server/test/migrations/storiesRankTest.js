@@ -0,0 +1,113 @@
+import {v4 as uuid} from 'uuid';
+
+import initDb from './db';
+import storiesRank from '../../migrations/20261018120000-stories-rank';
+import {throwIfBulkWriteResultInvalid} from './migrationTestUtil';
+
+test('DBMIGRATION: set rank on stories (up)', async () => {
+  const [db, roomz] = await initDb();
+
+  // insert room
+  const roomId = uuid();
+  const preRoom = {
+    id: roomId,
+    users: [],
+    stories: [
+      {id: uuid(), title: 'first', estimations: {}},
+      {id: uuid(), title: 'second', estimations: {}},
+      {id: uuid(), title: 'third', estimations: {}, trashed: true}
+    ]
+  };
+
+  await roomz.insertOne(preRoom);
+
+  // migrate "up"
+  const bWriteResult = await storiesRank.up(db);
+  throwIfBulkWriteResultInvalid(bWriteResult);
+
+  const room = await roomz.findOne({id: roomId});
+
+  // rank is the index, the order of the stories is kept
+  expect(room.stories).toEqual([
+    {...preRoom.stories[0], rank: 0},
+    {...preRoom.stories[1], rank: 1},
+    {...preRoom.stories[2], rank: 2}
+  ]);
+});
+
+test('DBMIGRATION: do not change rooms without stories or with ranked stories (up)', async () => {
+  const [db, roomz] = await initDb();
+
+  // insert rooms
+  const roomIdNoStories = uuid();
+  const roomIdRankedStories = uuid();
+  const rankedStories = [
+    {id: uuid(), title: 'first', estimations: {}, rank: 1},
+    {id: uuid(), title: 'second', estimations: {}, rank: 0}
+  ];
+
+  await roomz.insertOne({id: roomIdNoStories, users: [], stories: []});
+  await roomz.insertOne({id: roomIdRankedStories, users: [], stories: rankedStories});
+
+  // migrate "up"
+  const bWriteResult = await storiesRank.up(db);
+  expect(bWriteResult).toBeUndefined();
+
+  const roomWithoutStories = await roomz.findOne({id: roomIdNoStories});
+  expect(roomWithoutStories.stories).toEqual([]);
+  const roomWithRankedStories = await roomz.findOne({id: roomIdRankedStories});
+  expect(roomWithRankedStories.stories).toEqual(rankedStories);
+});
+
+test('DBMIGRATION: rank all stories of rooms with partially ranked stories (up)', async () => {
+  const [db, roomz] = await initDb();
+
+  // insert room
+  const roomId = uuid();
+  const preRoom = {
+    id: roomId,
+    users: [],
+    stories: [
+      {id: uuid(), title: 'first', estimations: {}, rank: 5},
+      {id: uuid(), title: 'second', estimations: {}}
+    ]
+  };
+
+  await roomz.insertOne(preRoom);
+
+  // migrate "up"
+  const bWriteResult = await storiesRank.up(db);
+  throwIfBulkWriteResultInvalid(bWriteResult);
+
+  const room = await roomz.findOne({id: roomId});
+  expect(room.stories.map((story) => story.rank)).toEqual([0, 1]);
+});
+
+test('DBMIGRATION: remove rank on stories (down)', async () => {
+  const [db, roomz] = await initDb();
+  await roomz.deleteMany({}); // rooms with stories from the tests above would be modified as well
+
+  // insert room
+  const roomId = uuid();
+  const preRoom = {
+    id: roomId,
+    users: [],
+    stories: [
+      {id: uuid(), title: 'first', estimations: {}, rank: 0},
+      {id: uuid(), title: 'second', estimations: {}, rank: 1}
+    ]
+  };
+
+  await roomz.insertOne(preRoom);
+
+  // migrate "down"
+  const bWriteResult = await storiesRank.down(db);
+  throwIfBulkWriteResultInvalid(bWriteResult);
+
+  const room = await roomz.findOne({id: roomId});
+
+  expect(room.stories).toEqual([
+    {id: preRoom.stories[0].id, title: 'first', estimations: {}},
+    {id: preRoom.stories[1].id, title: 'second', estimations: {}}
+  ]);
+});
@@ -0,0 +1,351 @@
+import {v4 as uuid} from 'uuid';
+
+import {RevisionConflictError} from '../src/store/revisionConflict';
+
+/**
+ * Shared contract test suite for all rooms store implementations (see store/roomStoreFactory.js).
+ * Every store test calls this within its own test file:
+ *
+ *   roomsStoreContract(store, () => initConfig, 'ExpectedStoreType');
+ *
+ * @param {object} store The rooms store under test
+ * @param {function} getInitConfig Returns the configuration that is passed to "init" (called in "beforeAll")
+ * @param {string} expectedStoreType
+ */
+export default function roomsStoreContract(store, getInitConfig, expectedStoreType) {
+  beforeAll(async () => {
+    await store.init(getInitConfig());
+  });
+
+  afterAll(async () => {
+    await store.close();
+  });
+
+  describe('save, update and fetch', () => {
+    test('should save and get room back', async () => {
+      const roomObject = {
+        id: uuid(),
+        users: {},
+        other: 'data',
+        nestedArray: [{a: 'some'}]
+      };
+      await store.saveRoom(roomObject);
+
+      const retrievedRoom = await store.getRoomById(roomObject.id);
+
+      expect(retrievedRoom).toEqual(roomObject);
+      expect(Object.prototype.hasOwnProperty.call(retrievedRoom, '_id')).toBe(false);
+    });
+
+    test('should resolve to undefined if room with given id does not exist', async () => {
+      const retrievedRoom = await store.getRoomById('no-room-has-this-id');
+
+      expect(retrievedRoom).toBeUndefined();
+    });
+
+    test('should save twice (update) and get room back', async () => {
+      const roomObject = {
+        id: uuid(),
+        users: {},
+        other: 'data'
+      };
+      await store.saveRoom(roomObject);
+
+      // now call saveRoom() again with a new object that has the same "id"
+      const roomObjectModified = {
+        ...roomObject,
+        additional: '....data...'
+      };
+      await store.saveRoom(roomObjectModified);
+
+      const retrievedRoom = await store.getRoomById(roomObject.id);
+
+      expect(retrievedRoom).toBeDefined();
+      expect(retrievedRoom.id).toBe(roomObject.id);
+      expect(retrievedRoom.other).toBe('data');
+      expect(retrievedRoom.additional).toBe('....data...');
+    });
+
+    test('should "detach" saved and retrieved objects', async () => {
+      const roomObject = {
+        id: uuid(),
+        users: {}
+      };
+      await store.saveRoom(roomObject);
+
+      // manipulate stored room object "outside" the store
+      roomObject.newAttribute = 'some value';
+      const retrievedRoom = await store.getRoomById(roomObject.id);
+      expect(Object.prototype.hasOwnProperty.call(retrievedRoom, 'newAttribute')).toBe(false);
+
+      // manipulate retrieved room object "outside" the store
+      retrievedRoom.secondNewAttribute = 'some nice value';
+      const retrievedRoomTwo = await store.getRoomById(roomObject.id);
+      expect(Object.prototype.hasOwnProperty.call(retrievedRoomTwo, 'secondNewAttribute')).toBe(
+        false
+      );
+    });
+
+    test('should return all Rooms', async () => {
+      const roomObject = {
+        id: uuid(),
+        users: {},
+        other: 'data'
+      };
+      await store.saveRoom(roomObject);
+
+      const allRooms = await store.getAllRooms();
+
+      expect(allRooms).toBeDefined();
+      expect(Object.values(allRooms).length).toBeGreaterThan(0);
+
+      const matchingRoomFromMap = allRooms[roomObject.id];
+      expect(matchingRoomFromMap).toBeDefined();
+      expect(matchingRoomFromMap.id).toBe(roomObject.id);
+    });
+
+    test('should delete room and its events', async () => {
+      const roomId = uuid();
+      await store.saveRoom({id: roomId, users: {}, created: 0, lastActivity: 0});
+      await store.appendEvents(roomId, [{id: uuid(), name: 'roomCreated'}]);
+
+      await store.deleteRoom(roomId);
+
+      expect(await store.getRoomById(roomId)).toBeUndefined();
+      expect((await store.getAllRooms())[roomId]).toBeUndefined();
+      const {total} = await store.getEvents(roomId);
+      expect(total).toBe(0);
+    });
+  });
+
+  describe('revision (conditional save)', () => {
+    test('should save new room with expected revision 0', async () => {
+      const roomObject = {id: uuid(), users: {}, revision: 1};
+      await store.saveRoom(roomObject, 0);
+
+      expect(await store.getRoomById(roomObject.id)).toEqual(roomObject);
+    });
+
+    test('should save room without revision with expected revision 0', async () => {
+      const roomObject = {id: uuid(), users: {}};
+      await store.saveRoom(roomObject);
+
+      await store.saveRoom({...roomObject, revision: 1}, 0);
+
+      expect((await store.getRoomById(roomObject.id)).revision).toBe(1);
+    });
+
+    test('should save room if stored revision matches', async () => {
+      const roomObject = {id: uuid(), users: {}, revision: 1};
+      await store.saveRoom(roomObject, 0);
+
+      await store.saveRoom({...roomObject, other: 'data', revision: 2}, 1);
+
+      const retrievedRoom = await store.getRoomById(roomObject.id);
+      expect(retrievedRoom.revision).toBe(2);
+      expect(retrievedRoom.other).toBe('data');
+    });
+
+    test('should throw on revision conflict and keep the stored room', async () => {
+      const roomObject = {id: uuid(), users: {}, revision: 2};
+      await store.saveRoom(roomObject);
+
+      await expect(store.saveRoom({...roomObject, other: 'data', revision: 2}, 1)).rejects.toThrow(
+        RevisionConflictError
+      );
+      await expect(store.saveRoom({...roomObject, other: 'data', revision: 1}, 0)).rejects.toThrow(
+        `Room ${roomObject.id} was modified concurrently: expected revision 0`
+      );
+
+      expect(await store.getRoomById(roomObject.id)).toEqual(roomObject);
+    });
+
+    test('should throw on revision conflict if room was deleted', async () => {
+      const roomObject = {id: uuid(), users: {}, revision: 1};
+      await store.saveRoom(roomObject);
+      await store.deleteRoom(roomObject.id);
+
+      await expect(store.saveRoom({...roomObject, revision: 2}, 1)).rejects.toThrow(
+        RevisionConflictError
+      );
+      expect(await store.getRoomById(roomObject.id)).toBeUndefined();
+    });
+
+    test('should increment revision when marking room for deletion', async () => {
+      const roomObject = {id: uuid(), users: {}, created: 0, lastActivity: 0, revision: 4};
+      await store.saveRoom(roomObject);
+
+      await store.housekeeping({inactivityThresholdMs: 1000, gracePeriodMs: 1000 * 60});
+
+      expect((await store.getRoomById(roomObject.id)).revision).toBe(5);
+      await store.deleteRoom(roomObject.id);
+    });
+  });
+
+  describe('housekeeping', () => {
+    const config = {inactivityThresholdMs: 1000 * 60 * 60 * 24 * 31, gracePeriodMs: 0};
+
+    test('should mark for deletion and then delete rooms that have not been used for a long time', async () => {
+      const oldRoomObject = {
+        id: uuid(),
+        users: {},
+        description: 'test room old created and last activity timestamps',
+        created: 0,
+        lastActivity: 0
+      };
+      const newerRoomObject = {
+        id: uuid(),
+        users: {},
+        description: 'test room  new',
+        created: Date.now(),
+        lastActivity: Date.now()
+      };
+      await store.saveRoom(oldRoomObject);
+      await store.saveRoom(newerRoomObject);
+
+      let houseKeepingReport = await store.housekeeping(config);
+      expect(houseKeepingReport.markedForDeletion).toContain(oldRoomObject.id);
+      expect(houseKeepingReport.markedForDeletion).not.toContain(newerRoomObject.id);
+      expect(houseKeepingReport.deleted).not.toContain(oldRoomObject.id);
+
+      // we can still fetch it, is marked for deletion
+      let retrievedRoom = await store.getRoomById(oldRoomObject.id);
+      expect(retrievedRoom).toBeDefined();
+      expect(retrievedRoom.markedForDeletion).toBe(true);
+
+      // --  call housekeeping a second time
+      houseKeepingReport = await store.housekeeping(config);
+      expect(houseKeepingReport.markedForDeletion).not.toContain(oldRoomObject.id);
+      expect(houseKeepingReport.deleted).toContain(oldRoomObject.id);
+
+      // now it no longer exists
+      retrievedRoom = await store.getRoomById(oldRoomObject.id);
+      expect(retrievedRoom).toBeUndefined();
+
+      // just make sure to remove the other room as well to clean up after ourselves.
+      await store.deleteRoom(newerRoomObject.id);
+    });
+
+    test('should keep old rooms with recent activity', async () => {
+      const oldRoomObject = {
+        id: uuid(),
+        users: {},
+        description: 'test room old created but recent activity',
+        created: 0,
+        lastActivity: Date.now()
+      };
+
+      await store.saveRoom(oldRoomObject);
+
+      // call housekeeping twice
+      await store.housekeeping(config);
+      const houseKeepingReport = await store.housekeeping(config);
+      expect(houseKeepingReport.markedForDeletion).not.toContain(oldRoomObject.id);
+      expect(houseKeepingReport.deleted).not.toContain(oldRoomObject.id);
+
+      const retrievedRoom = await store.getRoomById(oldRoomObject.id);
+      expect(retrievedRoom).toBeDefined();
+      expect(retrievedRoom.markedForDeletion).toBeUndefined(); // flag never set
+
+      // just make sure to remove the added room to clean up after ourselves.
+      await store.deleteRoom(oldRoomObject.id);
+    });
+
+    test('should delete marked rooms and their events only after the grace period', async () => {
+      const configWithGracePeriod = {
+        inactivityThresholdMs: 1000 * 60 * 60,
+        gracePeriodMs: 1000 * 60
+      };
+      const oldRoomObject = {
+        id: uuid(),
+        users: {},
+        created: 0,
+        lastActivity: 0
+      };
+      await store.saveRoom(oldRoomObject);
+      await store.appendEvents(oldRoomObject.id, [{id: uuid(), name: 'roomCreated'}]);
+
+      let houseKeepingReport = await store.housekeeping(configWithGracePeriod);
+      expect(houseKeepingReport.markedForDeletion).toContain(oldRoomObject.id);
+
+      // still within grace period, not marked again
+      houseKeepingReport = await store.housekeeping(configWithGracePeriod);
+      expect(houseKeepingReport.markedForDeletion).not.toContain(oldRoomObject.id);
+      expect(houseKeepingReport.deleted).not.toContain(oldRoomObject.id);
+
+      const markedRoom = await store.getRoomById(oldRoomObject.id);
+      expect(markedRoom.markedForDeletionAt).toBeDefined();
+
+      // grace period is over
+      await store.saveRoom({
+        ...markedRoom,
+        markedForDeletionAt: Date.now() - 1000 * 60
+      });
+      houseKeepingReport = await store.housekeeping(configWithGracePeriod);
+      expect(houseKeepingReport.deleted).toContain(oldRoomObject.id);
+
+      expect(await store.getRoomById(oldRoomObject.id)).toBeUndefined();
+      const {total} = await store.getEvents(oldRoomObject.id);
+      expect(total).toBe(0);
+    });
+  });
+
+  describe('housekeeping of rooms marked without timestamp', () => {
+    test('should not delete rooms that were marked without timestamp, but start their grace period', async () => {
+      const configWithGracePeriod = {
+        inactivityThresholdMs: 1000 * 60 * 60,
+        gracePeriodMs: 1000 * 60
+      };
+      const legacyMarkedRoom = {
+        id: uuid(),
+        users: {},
+        created: 0,
+        lastActivity: 0,
+        markedForDeletion: true // marked before "markedForDeletionAt" was introduced
+      };
+      await store.saveRoom(legacyMarkedRoom);
+      await store.appendEvents(legacyMarkedRoom.id, [{id: uuid(), name: 'roomCreated'}]);
+
+      const houseKeepingReport = await store.housekeeping(configWithGracePeriod);
+      expect(houseKeepingReport.deleted).not.toContain(legacyMarkedRoom.id);
+      expect(houseKeepingReport.markedForDeletion).toContain(legacyMarkedRoom.id);
+
+      const markedRoom = await store.getRoomById(legacyMarkedRoom.id);
+      expect(markedRoom.markedForDeletion).toBe(true);
+      expect(markedRoom.markedForDeletionAt).toBeGreaterThan(Date.now() - 1000 * 10);
+      const {total} = await store.getEvents(legacyMarkedRoom.id);
+      expect(total).toBe(1);
+
+      await store.deleteRoom(legacyMarkedRoom.id);
+    });
+  });
+
+  describe('event log', () => {
+    test('should append and page events', async () => {
+      const roomId = uuid();
+
+      await store.appendEvents(roomId, [
+        {id: 'one', name: 'roomCreated', roomId},
+        {id: 'two', name: 'joinedRoom', roomId}
+      ]);
+      await store.appendEvents(roomId, [{id: 'three', name: 'avatarSet', roomId}]);
+
+      const allEvents = await store.getEvents(roomId);
+      expect(allEvents.total).toBe(3);
+      expect(allEvents.events.map((evt) => evt.id)).toEqual(['one', 'two', 'three']);
+      expect(Object.prototype.hasOwnProperty.call(allEvents.events[0], '_id')).toBe(false);
+
+      const page = await store.getEvents(roomId, 1, 1);
+      expect(page.total).toBe(3);
+      expect(page.events.map((evt) => evt.id)).toEqual(['two']);
+    });
+
+    test('should return no events for unknown room', async () => {
+      expect(await store.getEvents(uuid())).toEqual({total: 0, events: []});
+    });
+  });
+
+  test('has getStoreType() function', () => {
+    expect(store.getStoreType()).toBe(expectedStoreType);
+  });
+}
@@ -435,6 +435,336 @@ test('concurrency handling', async () => {
   expect(mockRoomsStore.saveRoom.mock.calls.length).toBe(2);
 });
 
+test('concurrency handling: commands for different rooms are processed in parallel', async () => {
+  const newRoom = (roomId) => ({
+    id: roomId,
+    created: Date.now() - 12334,
+    lastActivity: Date.now(),
+    markedForDeletion: false,
+    users: [],
+    stories: []
+  });
+  const rooms = {
+    'slow-room': newRoom('slow-room'),
+    'fast-room': newRoom('fast-room')
+  };
+  const store = {
+    getRoomById: async (roomId) => rooms[roomId],
+    saveRoom: async (room) => {
+      if (room.id === 'slow-room') {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+      }
+      rooms[room.id] = room;
+    },
+    appendEvents: async () => {}
+  };
+
+  const processor = processorFactory(
+    {
+      setPropertyCommand: {
+        skipUserIdRoomCheck: true,
+        fn: (room, command) => room.applyEvent('propertySetEvent', command.payload),
+        schema: {}
+      }
+    },
+    baseCommandSchema,
+    {
+      propertySetEvent: (room, eventPayload) => ({
+        ...room,
+        stories: [
+          ...room.stories,
+          {title: eventPayload.property, id: uuid(), createdAt: Date.now()}
+        ]
+      })
+    },
+    store
+  );
+
+  const processedRoomIds = [];
+  const processRoomCommand = (roomId, property) =>
+    processor(
+      {
+        id: uuid(),
+        roomId,
+        name: 'setPropertyCommand',
+        payload: {property}
+      },
+      uuid()
+    ).then(() => processedRoomIds.push(roomId));
+
+  await Promise.all([
+    processRoomCommand('slow-room', 'value-1'),
+    processRoomCommand('fast-room', 'value-2'),
+    processRoomCommand('slow-room', 'value-3')
+  ]);
+
+  // the command for "fast-room" does not wait for the commands of "slow-room"
+  expect(processedRoomIds).toEqual(['fast-room', 'slow-room', 'slow-room']);
+
+  // commands for the same room are still processed in sequence
+  expect(rooms['slow-room'].stories.map((story) => story.title)).toEqual(['value-1', 'value-3']);
+});
+
+describe('optimistic concurrency (room revision)', () => {
+  const prepProcessor = () => {
+    const mockRoomsStore = newMockRoomsStore({
+      id: 'revision-test-room',
+      created: Date.now() - 12334,
+      lastActivity: Date.now(),
+      markedForDeletion: false,
+      revision: 3,
+      users: [],
+      stories: []
+    });
+
+    const processor = processorFactory(
+      {
+        addStoryCommand: {
+          skipUserIdRoomCheck: true,
+          fn: (room, command) => room.applyEvent('storyAddedEvent', command.payload),
+          schema: {}
+        }
+      },
+      baseCommandSchema,
+      {
+        storyAddedEvent: (room, eventPayload) => ({
+          ...room,
+          stories: [...room.stories, {title: eventPayload.title, id: uuid(), createdAt: Date.now()}]
+        })
+      },
+      mockRoomsStore
+    );
+
+    const sendCommand = (title) =>
+      processor(
+        {
+          id: uuid(),
+          roomId: 'revision-test-room',
+          name: 'addStoryCommand',
+          payload: {title}
+        },
+        uuid()
+      );
+
+    return {mockRoomsStore, sendCommand};
+  };
+
+  /**
+   * simulates another server instance that saves the room between "loading" and "saving" in our instance
+   */
+  const saveConcurrentlyOnNextSaves = (mockRoomsStore, times) => {
+    const originalSave = mockRoomsStore.saveRoom;
+    mockRoomsStore.saveRoom = jest.fn(async (rm, expectedRevision) => {
+      if (mockRoomsStore.saveRoom.mock.calls.length <= times) {
+        const storedRoom = await mockRoomsStore.getRoomById(rm.id);
+        await originalSave({
+          ...storedRoom,
+          revision: storedRoom.revision + 1,
+          stories: [...storedRoom.stories, {title: 'concurrent', id: uuid(), createdAt: Date.now()}]
+        });
+      }
+      return originalSave(rm, expectedRevision);
+    });
+  };
+
+  test('increments the revision and sets it on produced events', async () => {
+    const {sendCommand} = prepProcessor();
+
+    const {room, producedEvents} = await sendCommand('first');
+
+    expect(room.revision).toBe(4);
+    expect(producedEvents[0].revision).toBe(4);
+
+    const {room: roomTwo} = await sendCommand('second');
+    expect(roomTwo.revision).toBe(5);
+  });
+
+  test('handles the command again on the current room, if the room was modified concurrently', async () => {
+    const {mockRoomsStore, sendCommand} = prepProcessor();
+    saveConcurrentlyOnNextSaves(mockRoomsStore, 1);
+
+    const {room, producedEvents} = await sendCommand('ours');
+
+    // the concurrent change is not overwritten
+    expect(room.stories.map((story) => story.title)).toEqual(['concurrent', 'ours']);
+    expect(room.revision).toBe(5);
+    expect(producedEvents[0].revision).toBe(5);
+    expect(mockRoomsStore.saveRoom).toHaveBeenCalledTimes(2);
+
+    // events were appended to the event log only once
+    const {events} = await mockRoomsStore.getEvents('revision-test-room');
+    expect(events.map((evt) => evt.name)).toEqual(['storyAddedEvent']);
+    expect(await mockRoomsStore.getRoomById('revision-test-room')).toEqual(room);
+  });
+
+  test('gives up after 3 retries', async () => {
+    const {mockRoomsStore, sendCommand} = prepProcessor();
+    saveConcurrentlyOnNextSaves(mockRoomsStore, 4);
+
+    await expect(sendCommand('ours')).rejects.toThrow(
+      'Room revision-test-room was modified concurrently: expected revision 6, but found 7'
+    );
+    expect(mockRoomsStore.saveRoom).toHaveBeenCalledTimes(4);
+
+    const {events} = await mockRoomsStore.getEvents('revision-test-room');
+    expect(events.length).toBe(0);
+  });
+});
+
+test('appends produced events to the event log of the room', async () => {
+  const mockRoomsStore = newMockRoomsStore();
+  const processor = processorFactory(
+    {
+      setPropertyCommand: {
+        canCreateRoom: true,
+        skipUserIdRoomCheck: true,
+        fn: (room, command) => {
+          room.applyEvent('propertySetEvent', command.payload);
+          room.applyRestrictedEvent('secretSetEvent', {secret: 'psst'});
+        },
+        schema: {$ref: 'command'}
+      }
+    },
+    baseCommandSchema,
+    {
+      propertySetEvent: (room, eventPayload) => ({
+        id: room.id,
+        stories: [],
+        users: [],
+        created: Date.now(),
+        autoReveal: !!eventPayload.payloadProperty
+      }),
+      secretSetEvent: (room, eventPayload, userId, modifyEventPayload) => {
+        modifyEventPayload({});
+        return {...room};
+      }
+    },
+    mockRoomsStore
+  );
+
+  const commandId = uuid();
+  const {producedEvents} = await processor(
+    {
+      roomId: 'custom-room-id',
+      id: commandId,
+      name: 'setPropertyCommand',
+      payload: {
+        payloadProperty: 'command-payload-property'
+      }
+    },
+    'abc'
+  );
+
+  const {total, events} = await mockRoomsStore.getEvents('custom-room-id');
+
+  expect(total).toBe(2);
+  expect(events).toEqual([
+    {...producedEvents[0], timestamp: expect.any(Number)},
+    {
+      ...producedEvents[1],
+      timestamp: expect.any(Number),
+      replayPayload: {secret: 'psst'} // original payload is stored in the log, since payload was modified by event handler
+    }
+  ]);
+  expect(events[1].payload).toEqual({});
+});
+
+test('command succeeds, even if appending events to the event log fails', async () => {
+  const mockRoomsStore = newMockRoomsStore();
+  mockRoomsStore.appendEvents = () => Promise.reject(new Error('log not writable'));
+  const processor = processorFactory(
+    {
+      setPropertyCommand: {
+        canCreateRoom: true,
+        skipUserIdRoomCheck: true,
+        fn: (room, command) => room.applyEvent('propertySetEvent', command.payload),
+        schema: {$ref: 'command'}
+      }
+    },
+    baseCommandSchema,
+    {
+      propertySetEvent: (room, eventPayload) => ({
+        id: room.id,
+        stories: [],
+        users: [],
+        created: Date.now(),
+        autoReveal: !!eventPayload.payloadProperty
+      })
+    },
+    mockRoomsStore
+  );
+
+  const commandId = uuid();
+  const {producedEvents, room} = await processor(
+    {
+      roomId: 'custom-room-id',
+      id: commandId,
+      name: 'setPropertyCommand',
+      payload: {
+        payloadProperty: 'command-payload-property'
+      }
+    },
+    'abc'
+  );
+
+  // the room was saved, the events are returned (and will be sent to the clients)
+  expect(producedEvents).toMatchEvents(commandId, 'custom-room-id', 'propertySetEvent');
+  expect(room.autoReveal).toBe(true);
+  expect((await mockRoomsStore.getRoomById('custom-room-id')).autoReveal).toBe(true);
+});
+
+test('hands produced events over to the webhook dispatcher, if the room has webhooks', async () => {
+  const webhookDispatcher = {dispatch: jest.fn()};
+  const webhooks = [
+    {id: 'hook-1', url: 'http://localhost/hook', events: ['propertySetEvent'], secret: 'abcdefgh'}
+  ];
+  const processor = processorFactory(
+    {
+      setPropertyCommand: {
+        canCreateRoom: true,
+        skipUserIdRoomCheck: true,
+        fn: (room, command) => room.applyEvent('propertySetEvent', command.payload),
+        schema: {$ref: 'command'}
+      }
+    },
+    baseCommandSchema,
+    {
+      propertySetEvent: (room, eventPayload) => ({
+        id: room.id,
+        stories: [],
+        users: [],
+        created: Date.now(),
+        webhooks: eventPayload.withWebhooks ? webhooks : undefined
+      })
+    },
+    newMockRoomsStore(),
+    webhookDispatcher
+  );
+
+  await processor(
+    {
+      roomId: 'custom-room-id',
+      id: uuid(),
+      name: 'setPropertyCommand',
+      payload: {withWebhooks: false}
+    },
+    'abc'
+  );
+  expect(webhookDispatcher.dispatch).not.toHaveBeenCalled();
+
+  const {producedEvents, room} = await processor(
+    {
+      roomId: 'custom-room-id',
+      id: uuid(),
+      name: 'setPropertyCommand',
+      payload: {withWebhooks: true}
+    },
+    'abc'
+  );
+  expect(webhookDispatcher.dispatch).toHaveBeenCalledTimes(1);
+  expect(webhookDispatcher.dispatch).toHaveBeenCalledWith(room, producedEvents);
+});
+
 describe('sanitizeRoomId', () => {
   test('single whitespace', () => {
     const {roomId} = sanitizeRoomId({
@@ -26,7 +26,8 @@ test('Should produce storyAdded and storySelected event (since it is the first s
     storyId: EXPECT_UUID_MATCHING,
     title: 'SuperStory 232',
     description: 'This will be awesome',
-    estimations: {}
+    estimations: {},
+    rank: 0
   });
   expect(storySelectedEvent.payload).toMatchObject({
     storyId: EXPECT_UUID_MATCHING
@@ -81,13 +82,114 @@ test('Should produce storyAdded event', async () => {
     storyId: EXPECT_UUID_MATCHING,
     title: 'SuperStory 222',
     description: 'This will be awesome',
-    estimations: {}
+    estimations: {},
+    rank: 1 // added to the bottom of the backlog
   });
 
   expect(room.stories.length).toBe(2);
   expect(room.stories[1].id).toBe(storyAddedEvent.payload.storyId);
 });
 
+test('Should produce storyAdded event with labels', async () => {
+  const {userId, roomId, processor} = await prepOneUserInOneRoom();
+
+  const commandId = uuid();
+  const {producedEvents, room} = await processor(
+    {
+      id: commandId,
+      roomId,
+      name: 'addStory',
+      payload: {
+        title: 'SuperStory 232',
+        labels: ['frontend', 'sprint-42']
+      }
+    },
+    userId
+  );
+
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'storyAdded', 'storySelected');
+  expect(producedEvents[0].payload.labels).toEqual(['frontend', 'sprint-42']);
+  expect(room.stories[0].labels).toEqual(['frontend', 'sprint-42']);
+});
+
+test('Should produce storyAdded event with key and url', async () => {
+  const {userId, roomId, processor} = await prepOneUserInOneRoom();
+
+  const commandId = uuid();
+  const {producedEvents, room} = await processor(
+    {
+      id: commandId,
+      roomId,
+      name: 'addStory',
+      payload: {
+        title: 'SuperStory 232',
+        key: 'PRJ-232',
+        url: 'https://jira.example.com/browse/PRJ-232'
+      }
+    },
+    userId
+  );
+
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'storyAdded', 'storySelected');
+  expect(producedEvents[0].payload).toMatchObject({
+    key: 'PRJ-232',
+    url: 'https://jira.example.com/browse/PRJ-232'
+  });
+  expect(room.stories[0]).toMatchObject({
+    key: 'PRJ-232',
+    url: 'https://jira.example.com/browse/PRJ-232'
+  });
+});
+
+test('Should produce storyAdded event with own card deck', async () => {
+  const {userId, roomId, processor} = await prepOneUserInOneRoom();
+
+  const commandId = uuid();
+  const {producedEvents, room} = await processor(
+    {
+      id: commandId,
+      roomId,
+      name: 'addStory',
+      payload: {
+        title: 'Some bug',
+        cardConfig: [
+          {label: '1h', value: 1, color: 'green'},
+          {label: '1d', value: '8', color: 'red'}
+        ]
+      }
+    },
+    userId
+  );
+
+  const expectedCardConfig = [
+    {label: '1h', value: 1, color: 'green', position: 0, weight: 1},
+    {label: '1d', value: 8, color: 'red', position: 1, weight: 8}
+  ];
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'storyAdded', 'storySelected');
+  expect(producedEvents[0].payload.cardConfig).toEqual(expectedCardConfig);
+  expect(room.stories[0].cardConfig).toEqual(expectedCardConfig);
+});
+
+test('Should not set own card deck if given card config is empty', async () => {
+  const {userId, roomId, processor} = await prepOneUserInOneRoom();
+
+  const {producedEvents, room} = await processor(
+    {
+      id: uuid(),
+      roomId,
+      name: 'addStory',
+      payload: {
+        title: 'Some story',
+        cardConfig: []
+      }
+    },
+    userId
+  );
+
+  expect(producedEvents[0].payload.cardConfig).toBeUndefined();
+  expect(room.stories[0].cardConfig).toBeUndefined();
+});
+
 test('users excluded from estimations can still add stories', async () => {
   const {userId, roomId, processor, mockRoomsStore} = await prepOneUserInOneRoom();
 
@@ -171,4 +273,56 @@ describe('preconditions', () => {
       )
     ).rejects.toThrow('String is too long (2001 chars), maximum 2000 in /payload/description');
   });
+  test('Should fail, if url is not an absolute http(s) url', async () => {
+    const {processor, roomId, userId} = await prepOneUserInOneRoom();
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId: roomId,
+          name: 'addStory',
+          payload: {
+            title: 'test',
+            url: 'javascript:alert(1)'
+          }
+        },
+        userId
+      )
+    ).rejects.toThrow('String does not match pattern: ^(https?://\\S+)?$ in /payload/url');
+  });
+
+  test('Should fail, if labels contain duplicates or commas', async () => {
+    const {processor, roomId, userId} = await prepOneUserInOneRoom();
+
+    await expect(
+      processor(
+        {
+          id: uuid(),
+          roomId: roomId,
+          name: 'addStory',
+          payload: {
+            title: 'test',
+            labels: ['frontend', 'frontend']
+          }
+        },
+        userId
+      )
+    ).rejects.toThrow('Array items are not unique (indices 0 and 1) in /payload/labels');
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId: roomId,
+          name: 'addStory',
+          payload: {
+            title: 'test',
+            labels: ['frontend,spike']
+          }
+        },
+        userId
+      )
+    ).rejects.toThrow('String does not match pattern: ^[^,]+$ in /payload/labels/0');
+  });
 });
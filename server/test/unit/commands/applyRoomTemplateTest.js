@@ -0,0 +1,123 @@
+import {v4 as uuid} from 'uuid';
+import {prepOneUserInOneRoom, prepTwoUsersInOneRoomWithOneStory} from '../testUtils';
+
+const tShirtCardConfig = [
+  {label: 'S', value: 1, color: '#8cb876', position: 0},
+  {label: 'M', value: 2, color: '#c9c857', position: 1},
+  {label: 'L', value: 3, color: '#d9be3b', position: 2}
+];
+
+test('Should produce cardConfigSet, autoRevealOff and issueUrlTemplateSet events', async () => {
+  const {processor, roomId, userId} = await prepOneUserInOneRoom();
+
+  const commandId = uuid();
+  const {producedEvents, room} = await processor(
+    {
+      id: commandId,
+      roomId: roomId,
+      name: 'applyRoomTemplate',
+      payload: {
+        cardConfig: tShirtCardConfig,
+        autoReveal: false,
+        issueUrlTemplate: 'https://jira.example.com/browse/{key}'
+      }
+    },
+    userId
+  );
+
+  expect(producedEvents).toMatchEvents(
+    commandId,
+    roomId,
+    'cardConfigSet',
+    'autoRevealOff',
+    'issueUrlTemplateSet'
+  );
+  expect(room.cardConfig).toEqual(tShirtCardConfig);
+  expect(room.autoReveal).toBe(false);
+  expect(room.issueUrlTemplate).toBe('https://jira.example.com/browse/{key}');
+});
+
+test('Should only produce events for settings that change', async () => {
+  const {processor, roomId, userId} = await prepOneUserInOneRoom();
+
+  const commandId = uuid();
+  const {producedEvents, room} = await processor(
+    {
+      id: commandId,
+      roomId: roomId,
+      name: 'applyRoomTemplate',
+      payload: {
+        cardConfig: tShirtCardConfig,
+        autoReveal: true // new rooms have autoReveal enabled
+      }
+    },
+    userId
+  );
+
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'cardConfigSet');
+  expect(room.autoReveal).toBe(true);
+});
+
+test('Should parse card values given as strings', async () => {
+  const {processor, roomId, userId} = await prepOneUserInOneRoom();
+
+  const {room} = await processor(
+    {
+      id: uuid(),
+      roomId: roomId,
+      name: 'applyRoomTemplate',
+      payload: {
+        cardConfig: [{label: 'XS', value: '0.5', color: '#667a66'}],
+        autoReveal: true
+      }
+    },
+    userId
+  );
+
+  expect(room.cardConfig).toEqual([
+    {label: 'XS', value: 0.5, color: '#667a66', position: 0, weight: 0.5}
+  ]);
+});
+
+describe('preconditions', () => {
+  test('Should throw if user is not a moderator', async () => {
+    const {processor, roomId, userIdTwo} = await prepTwoUsersInOneRoomWithOneStory();
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId: roomId,
+          name: 'applyRoomTemplate',
+          payload: {
+            cardConfig: tShirtCardConfig,
+            autoReveal: true
+          }
+        },
+        userIdTwo
+      )
+    ).rejects.toThrow('Only moderators are allowed to do this!');
+  });
+
+  test('Should throw if card values are not unique', async () => {
+    const {processor, roomId, userId} = await prepOneUserInOneRoom();
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId: roomId,
+          name: 'applyRoomTemplate',
+          payload: {
+            cardConfig: [
+              {label: 'S', value: 1, color: '#8cb876'},
+              {label: 'M', value: 1, color: '#c9c857'}
+            ],
+            autoReveal: true
+          }
+        },
+        userId
+      )
+    ).rejects.toThrow('Command validation Error during "applyRoomTemplate"');
+  });
+});
@@ -1,5 +1,8 @@
 import {v4 as uuid} from 'uuid';
-import {prepTwoUsersInOneRoomWithOneStory} from '../testUtils';
+import {
+  prepTwoUsersInOneRoomWithOneStory,
+  prepTwoUsersInOneRoomWithOneStoryAndEstimate
+} from '../testUtils';
 
 test('Should produce storyChanged event', async () => {
   const {processor, roomId, userIdOne, storyId} = await prepTwoUsersInOneRoomWithOneStory(
@@ -35,6 +38,216 @@ test('Should produce storyChanged event', async () => {
   expect(room.stories[0].description).toEqual('New Description');
 });
 
+test('Should produce storyChanged event with labels', async () => {
+  const {processor, roomId, userIdOne, storyId} = await prepTwoUsersInOneRoomWithOneStory();
+
+  const commandId = uuid();
+  const {producedEvents, room} = await processor(
+    {
+      id: commandId,
+      roomId,
+      name: 'changeStory',
+      payload: {
+        storyId,
+        title: 'NewTitle',
+        description: 'New Description',
+        labels: ['backend']
+      }
+    },
+    userIdOne
+  );
+
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'storyChanged');
+  expect(room.stories[0].labels).toEqual(['backend']);
+
+  // labels are kept, if not given
+  const {room: roomAfterSecondChange} = await processor(
+    {
+      id: uuid(),
+      roomId,
+      name: 'changeStory',
+      payload: {
+        storyId,
+        title: 'NewerTitle',
+        description: 'New Description'
+      }
+    },
+    userIdOne
+  );
+  expect(roomAfterSecondChange.stories[0].title).toEqual('NewerTitle');
+  expect(roomAfterSecondChange.stories[0].labels).toEqual(['backend']);
+
+  // labels are removed, if empty list is given
+  const {room: roomAfterThirdChange} = await processor(
+    {
+      id: uuid(),
+      roomId,
+      name: 'changeStory',
+      payload: {
+        storyId,
+        title: 'NewerTitle',
+        description: 'New Description',
+        labels: []
+      }
+    },
+    userIdOne
+  );
+  expect(roomAfterThirdChange.stories[0].labels).toEqual([]);
+});
+
+test('Should produce storyChanged event with key and url', async () => {
+  const {processor, roomId, userIdOne, storyId} = await prepTwoUsersInOneRoomWithOneStory();
+
+  const {room} = await processor(
+    {
+      id: uuid(),
+      roomId,
+      name: 'changeStory',
+      payload: {
+        storyId,
+        title: 'NewTitle',
+        description: 'New Description',
+        key: 'PRJ-1',
+        url: 'https://jira.example.com/browse/PRJ-1'
+      }
+    },
+    userIdOne
+  );
+  expect(room.stories[0]).toMatchObject({
+    key: 'PRJ-1',
+    url: 'https://jira.example.com/browse/PRJ-1'
+  });
+
+  // key and url are kept, if not given
+  const {room: roomAfterSecondChange} = await processor(
+    {
+      id: uuid(),
+      roomId,
+      name: 'changeStory',
+      payload: {
+        storyId,
+        title: 'NewerTitle',
+        description: 'New Description'
+      }
+    },
+    userIdOne
+  );
+  expect(roomAfterSecondChange.stories[0]).toMatchObject({
+    key: 'PRJ-1',
+    url: 'https://jira.example.com/browse/PRJ-1'
+  });
+
+  // key and url are removed, if empty strings are given
+  const {room: roomAfterThirdChange} = await processor(
+    {
+      id: uuid(),
+      roomId,
+      name: 'changeStory',
+      payload: {
+        storyId,
+        title: 'NewerTitle',
+        description: 'New Description',
+        key: '',
+        url: ''
+      }
+    },
+    userIdOne
+  );
+  expect(roomAfterThirdChange.stories[0].key).toBeUndefined();
+  expect(roomAfterThirdChange.stories[0].url).toBeUndefined();
+});
+
+test('Should produce storyChanged event with own card deck', async () => {
+  const {processor, roomId, userIdOne, storyId} = await prepTwoUsersInOneRoomWithOneStory();
+
+  const commandId = uuid();
+  const {producedEvents, room} = await processor(
+    {
+      id: commandId,
+      roomId,
+      name: 'changeStory',
+      payload: {
+        storyId,
+        title: 'NewTitle',
+        description: 'New Description',
+        cardConfig: [
+          {label: 'S', value: 1, color: 'green', position: 0},
+          {label: 'M', value: 2, color: 'red', position: 1}
+        ]
+      }
+    },
+    userIdOne
+  );
+
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'storyChanged');
+  expect(room.stories[0].cardConfig).toEqual([
+    {label: 'S', value: 1, color: 'green', position: 0},
+    {label: 'M', value: 2, color: 'red', position: 1}
+  ]);
+
+  // card deck is kept, if not given
+  const {room: roomWithKeptCardConfig} = await processor(
+    {
+      id: uuid(),
+      roomId,
+      name: 'changeStory',
+      payload: {
+        storyId,
+        title: 'NewTitle',
+        description: 'New Description'
+      }
+    },
+    userIdOne
+  );
+  expect(roomWithKeptCardConfig.stories[0].cardConfig.length).toBe(2);
+
+  // card deck is removed, if empty array is given
+  const {room: roomWithoutCardConfig} = await processor(
+    {
+      id: uuid(),
+      roomId,
+      name: 'changeStory',
+      payload: {
+        storyId,
+        title: 'NewTitle',
+        description: 'New Description',
+        cardConfig: []
+      }
+    },
+    userIdOne
+  );
+  expect(roomWithoutCardConfig.stories[0].cardConfig).toBeUndefined();
+});
+
+test('Should clear estimations if some no longer match a card of the changed card deck', async () => {
+  const {
+    processor,
+    roomId,
+    userIdOne,
+    storyId
+  } = await prepTwoUsersInOneRoomWithOneStoryAndEstimate('jimmy', 'some story', 8);
+
+  const commandId = uuid();
+  const {producedEvents, room} = await processor(
+    {
+      id: commandId,
+      roomId,
+      name: 'changeStory',
+      payload: {
+        storyId,
+        title: 'some story',
+        description: '',
+        cardConfig: [{label: '1h', value: 1, color: 'green'}]
+      }
+    },
+    userIdOne
+  );
+
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'storyChanged');
+  expect(producedEvents[0].payload.storiesWithClearedEstimations).toEqual([storyId]);
+  expect(room.stories[0].estimations).toEqual({});
+});
+
 test('Users marked as excluded can still change stories', async () => {
   const {
     processor,
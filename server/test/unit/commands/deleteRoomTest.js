@@ -0,0 +1,71 @@
+import {v4 as uuid} from 'uuid';
+import {prepTwoUsersInOneRoomWithOneStory} from '../testUtils';
+
+test('Should produce roomDeleted event and remove room and events from the store', async () => {
+  const {roomId, userIdOne, processor, mockRoomsStore} = await prepTwoUsersInOneRoomWithOneStory();
+
+  const commandId = uuid();
+  const {producedEvents, room} = await processor(
+    {
+      id: commandId,
+      roomId,
+      name: 'deleteRoom',
+      payload: {}
+    },
+    userIdOne
+  );
+
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'roomDeleted');
+  expect(room.deleted).toBe(true);
+
+  expect(await mockRoomsStore.getRoomById(roomId)).toBeUndefined();
+  expect(await mockRoomsStore.getEvents(roomId)).toEqual({total: 0, events: []});
+});
+
+test('Deleted room can be created again by joining', async () => {
+  const {roomId, userIdOne, processor} = await prepTwoUsersInOneRoomWithOneStory();
+
+  await processor(
+    {
+      id: uuid(),
+      roomId,
+      name: 'deleteRoom',
+      payload: {}
+    },
+    userIdOne
+  );
+
+  const commandId = uuid();
+  const {producedEvents, room} = await processor(
+    {
+      id: commandId,
+      roomId,
+      name: 'joinRoom',
+      payload: {}
+    },
+    userIdOne
+  );
+
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'roomCreated', 'joinedRoom', 'avatarSet');
+  expect(room.stories).toEqual([]);
+});
+
+describe('preconditions', () => {
+  test('Should throw if user is not a moderator', async () => {
+    const {roomId, userIdTwo, processor} = await prepTwoUsersInOneRoomWithOneStory();
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId,
+          name: 'deleteRoom',
+          payload: {}
+        },
+        userIdTwo
+      )
+    ).rejects.toThrow(
+      'Precondition Error during "deleteRoom": Only moderators are allowed to do this!'
+    );
+  });
+});
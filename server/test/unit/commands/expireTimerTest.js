@@ -0,0 +1,191 @@
+import {v4 as uuid} from 'uuid';
+import {
+  prepOneUserInOneRoomWithOneStory,
+  prepTwoUsersInOneRoomWithOneStoryAndEstimate
+} from '../testUtils';
+
+const expiredTimer = (storyId, userId) => ({
+  storyId,
+  duration: 60,
+  startedAt: Date.now() - 60000,
+  startedBy: userId
+});
+
+test('Should produce revealed event', async () => {
+  const {
+    roomId,
+    userId,
+    storyId,
+    processor,
+    mockRoomsStore
+  } = await prepOneUserInOneRoomWithOneStory();
+
+  mockRoomsStore.manipulate((room) => {
+    room.timer = expiredTimer(storyId, userId);
+    return room;
+  });
+
+  const commandId = uuid();
+  const {producedEvents, room} = await processor(
+    {
+      id: commandId,
+      roomId,
+      name: 'expireTimer',
+      payload: {storyId}
+    },
+    userId,
+    true
+  );
+
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'revealed');
+  expect(producedEvents[0].payload.manually).toBe(false);
+  expect(producedEvents[0].payload.timerExpired).toBe(true);
+  expect(room.stories[0].revealed).toBe(true);
+  expect(room.timer).toBeUndefined();
+});
+
+test('Should produce revealed event, if the user that started the timer left the room', async () => {
+  const {
+    roomId,
+    userIdOne,
+    userIdTwo,
+    storyId,
+    processor,
+    mockRoomsStore
+  } = await prepTwoUsersInOneRoomWithOneStoryAndEstimate();
+
+  await processor(
+    {
+      id: uuid(),
+      roomId,
+      name: 'leaveRoom',
+      payload: {}
+    },
+    userIdTwo
+  );
+  mockRoomsStore.manipulate((room) => {
+    room.timer = expiredTimer(storyId, userIdTwo);
+    return room;
+  });
+
+  // timerScheduler issues the command in the name of the user that started the timer
+  const commandId = uuid();
+  const {producedEvents, room} = await processor(
+    {
+      id: commandId,
+      roomId,
+      name: 'expireTimer',
+      payload: {storyId}
+    },
+    userIdTwo,
+    true
+  );
+
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'revealed', 'consensusAchieved');
+  expect(room.stories[0].revealed).toBe(true);
+  expect(room.timer).toBeUndefined();
+  expect(room.users.map((user) => user.id)).toEqual([userIdOne]);
+});
+
+describe('preconditions', () => {
+  test('Should throw if not issued by the server', async () => {
+    const {
+      roomId,
+      userId,
+      processor,
+      storyId,
+      mockRoomsStore
+    } = await prepOneUserInOneRoomWithOneStory();
+
+    mockRoomsStore.manipulate((room) => {
+      room.timer = expiredTimer(storyId, userId);
+      return room;
+    });
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId,
+          name: 'expireTimer',
+          payload: {storyId}
+        },
+        userId
+      )
+    ).rejects.toThrow('Command expireTimer can only be issued by the server');
+  });
+
+  test('Should throw if the timer has not yet expired', async () => {
+    const {
+      roomId,
+      userId,
+      processor,
+      storyId,
+      mockRoomsStore
+    } = await prepOneUserInOneRoomWithOneStory();
+
+    mockRoomsStore.manipulate((room) => {
+      room.timer = {storyId, duration: 60, startedAt: Date.now() - 1000, startedBy: userId};
+      return room;
+    });
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId,
+          name: 'expireTimer',
+          payload: {storyId}
+        },
+        userId,
+        true
+      )
+    ).rejects.toThrow('The timer has not yet expired!');
+  });
+
+  test('Should throw if timer is no longer running', async () => {
+    const {roomId, userId, processor, storyId} = await prepOneUserInOneRoomWithOneStory();
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId,
+          name: 'expireTimer',
+          payload: {storyId}
+        },
+        userId,
+        true
+      )
+    ).rejects.toThrow('There is no running timer for this story!');
+  });
+
+  test('Should throw if story is already revealed', async () => {
+    const {
+      roomId,
+      userId,
+      processor,
+      storyId,
+      mockRoomsStore
+    } = await prepOneUserInOneRoomWithOneStory();
+
+    mockRoomsStore.manipulate((room) => {
+      room.timer = expiredTimer(storyId, userId);
+      room.stories[0].revealed = true;
+      return room;
+    });
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId,
+          name: 'expireTimer',
+          payload: {storyId}
+        },
+        userId,
+        true
+      )
+    ).rejects.toThrow('Story is already revealed');
+  });
+});
@@ -19,13 +19,15 @@ test('Should produce storyEstimateGiven event', async () => {
     userId
   );
 
-  expect(producedEvents).toMatchEvents(commandId, roomId, 'storyEstimateGiven');
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'storyEstimateGiven', 'ownEstimateGiven');
 
-  const [storyEstimateGivenEvent] = producedEvents;
+  const [storyEstimateGivenEvent, ownEstimateGivenEvent] = producedEvents;
 
   expect(storyEstimateGivenEvent.userId).toEqual(userId);
   expect(storyEstimateGivenEvent.payload.storyId).toEqual(storyId);
-  expect(storyEstimateGivenEvent.payload.value).toBe(2);
+  expect(storyEstimateGivenEvent.payload.value).toBeUndefined(); // value is sealed
+  expect(ownEstimateGivenEvent.restricted).toBe(true);
+  expect(ownEstimateGivenEvent.payload.value).toBe(2);
 
   expect(room.stories.length).toBe(1);
   expect(room.stories[0].estimations).toEqual({
@@ -50,7 +52,7 @@ test('Should produce "revealed" event if everybody (allowed) estimated ', async
       name: 'giveStoryEstimate',
       payload: {
         storyId: storyId,
-        value: 4
+        value: 5
       }
     },
     userIdOne // first user estimates story
@@ -69,12 +71,20 @@ test('Should produce "revealed" event if everybody (allowed) estimated ', async
     userIdTwo // second user estimates story
   );
 
-  expect(producedEvents).toMatchEvents(commandId, roomId, 'storyEstimateGiven', 'revealed');
+  expect(producedEvents).toMatchEvents(
+    commandId,
+    roomId,
+    'storyEstimateGiven',
+    'ownEstimateGiven',
+    'revealed'
+  );
 
-  const [storyEstimateGivenEvent, revealedEvent] = producedEvents;
+  const [storyEstimateGivenEvent, ownEstimateGivenEvent, revealedEvent] = producedEvents;
 
   expect(storyEstimateGivenEvent.payload.storyId).toEqual(storyId);
-  expect(storyEstimateGivenEvent.payload.value).toBe(2);
+  expect(storyEstimateGivenEvent.payload.value).toBeUndefined(); // value is sealed
+  expect(ownEstimateGivenEvent.restricted).toBe(true);
+  expect(ownEstimateGivenEvent.payload.value).toBe(2);
 
   expect(revealedEvent.payload.storyId).toEqual(storyId);
   expect(revealedEvent.payload.manually).toBe(false);
@@ -100,7 +110,7 @@ test('Should produce "revealed" event if first user estimated and lost connectio
       name: 'giveStoryEstimate',
       payload: {
         storyId: storyId,
-        value: 4
+        value: 5
       }
     },
     userIdOne // first user estimates story
@@ -132,12 +142,20 @@ test('Should produce "revealed" event if first user estimated and lost connectio
     userIdTwo // second user estimates story
   );
 
-  expect(producedEvents).toMatchEvents(commandId, roomId, 'storyEstimateGiven', 'revealed');
+  expect(producedEvents).toMatchEvents(
+    commandId,
+    roomId,
+    'storyEstimateGiven',
+    'ownEstimateGiven',
+    'revealed'
+  );
 
-  const [storyEstimateGivenEvent, revealedEvent] = producedEvents;
+  const [storyEstimateGivenEvent, ownEstimateGivenEvent, revealedEvent] = producedEvents;
 
   expect(storyEstimateGivenEvent.payload.storyId).toEqual(storyId);
-  expect(storyEstimateGivenEvent.payload.value).toBe(2);
+  expect(storyEstimateGivenEvent.payload.value).toBeUndefined(); // value is sealed
+  expect(ownEstimateGivenEvent.restricted).toBe(true);
+  expect(ownEstimateGivenEvent.payload.value).toBe(2);
 
   expect(revealedEvent.payload.storyId).toEqual(storyId);
   expect(revealedEvent.payload.manually).toBe(false);
@@ -186,14 +204,22 @@ test('Should produce "consensusAchieved" and "revealed" event if everybody (allo
     commandId,
     roomId,
     'storyEstimateGiven',
+    'ownEstimateGiven',
     'revealed',
     'consensusAchieved'
   );
 
-  const [storyEstimateGivenEvent, revealedEvent, consensusAchievedEvent] = producedEvents;
+  const [
+    storyEstimateGivenEvent,
+    ownEstimateGivenEvent,
+    revealedEvent,
+    consensusAchievedEvent
+  ] = producedEvents;
 
   expect(storyEstimateGivenEvent.payload.storyId).toEqual(storyId);
-  expect(storyEstimateGivenEvent.payload.value).toBe(2);
+  expect(storyEstimateGivenEvent.payload.value).toBeUndefined(); // value is sealed
+  expect(ownEstimateGivenEvent.restricted).toBe(true);
+  expect(ownEstimateGivenEvent.payload.value).toBe(2);
 
   expect(revealedEvent.payload.storyId).toEqual(storyId);
   expect(revealedEvent.payload.manually).toBe(false);
@@ -249,11 +275,13 @@ test('Should produce "consensusAchieved" and "revealed" event if manually reveal
     userIdTwo // second user estimates "2"
   );
 
-  expect(producedEvents).toMatchEvents(commandId, roomId, 'storyEstimateGiven');
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'storyEstimateGiven', 'ownEstimateGiven');
 
-  const [storyEstimateGivenEvent] = producedEvents;
+  const [storyEstimateGivenEvent, ownEstimateGivenEvent] = producedEvents;
   expect(storyEstimateGivenEvent.payload.storyId).toEqual(storyId);
-  expect(storyEstimateGivenEvent.payload.value).toBe(2);
+  expect(storyEstimateGivenEvent.payload.value).toBeUndefined(); // value is sealed
+  expect(ownEstimateGivenEvent.restricted).toBe(true);
+  expect(ownEstimateGivenEvent.payload.value).toBe(2);
 
   expect(room.stories[0].consensus).toBeUndefined();
   expect(room.stories[0].revealed).toBeUndefined();
@@ -304,13 +332,15 @@ test('Should not produce revealed event if user changes his estimation', async (
     userId
   );
 
-  expect(producedEvents).toMatchEvents(commandId, roomId, 'storyEstimateGiven');
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'storyEstimateGiven', 'ownEstimateGiven');
 
-  const [storyEstimateGivenEvent] = producedEvents;
+  const [storyEstimateGivenEvent, ownEstimateGivenEvent] = producedEvents;
 
   expect(storyEstimateGivenEvent.userId).toEqual(userId);
   expect(storyEstimateGivenEvent.payload.storyId).toEqual(storyId);
-  expect(storyEstimateGivenEvent.payload.value).toBe(2);
+  expect(storyEstimateGivenEvent.payload.value).toBeUndefined(); // value is sealed
+  expect(ownEstimateGivenEvent.restricted).toBe(true);
+  expect(ownEstimateGivenEvent.payload.value).toBe(2);
 
   expect(room.stories.length).toBe(1);
   expect(room.stories[0].estimations[userId]).toBe(2);
@@ -329,13 +359,20 @@ test('Should not produce revealed event if user changes his estimation', async (
     userId
   );
 
-  expect(scndProducedEvents).toMatchEvents(commandId, roomId, 'storyEstimateGiven');
+  expect(scndProducedEvents).toMatchEvents(
+    commandId,
+    roomId,
+    'storyEstimateGiven',
+    'ownEstimateGiven'
+  );
 
-  const [scndStoryGivenEvent] = scndProducedEvents;
+  const [scndStoryGivenEvent, scndOwnEstimateGivenEvent] = scndProducedEvents;
 
   expect(scndStoryGivenEvent.userId).toEqual(userId);
   expect(scndStoryGivenEvent.payload.storyId).toEqual(storyId);
-  expect(scndStoryGivenEvent.payload.value).toBe(5);
+  expect(scndStoryGivenEvent.payload.value).toBeUndefined(); // value is sealed
+  expect(scndOwnEstimateGivenEvent.restricted).toBe(true);
+  expect(scndOwnEstimateGivenEvent.payload.value).toBe(5);
 
   // estimated value is stored on story in room
   expect(roomAfterScndCommand.stories.length).toBe(1);
@@ -374,6 +411,7 @@ test('Should produce additional "revealed" and "consensusAchieved" events if all
     commandId,
     roomId,
     'storyEstimateGiven',
+    'ownEstimateGiven',
     'revealed',
     'consensusAchieved'
   );
@@ -416,6 +454,7 @@ test('Should produce additional "revealed" and "consensusAchieved" events if all
     commandId,
     roomId,
     'storyEstimateGiven',
+    'ownEstimateGiven',
     'revealed',
     'consensusAchieved'
   );
@@ -453,11 +492,85 @@ test('Should produce additional "revealed" and "consensusAchieved" events if all
     commandId,
     roomId,
     'storyEstimateGiven',
+    'ownEstimateGiven',
+    'revealed',
+    'consensusAchieved'
+  );
+});
+
+test('Should produce additional "revealed" and "consensusAchieved" events if all users estimated (other user is spectator)', async () => {
+  const {
+    roomId,
+    storyId,
+    userIdOne: userId,
+    processor,
+    mockRoomsStore
+  } = await prepTwoUsersInOneRoomWithOneStory();
+
+  mockRoomsStore.manipulate((room) => {
+    room.users[1].spectator = true;
+    return room;
+  });
+
+  const commandId = uuid();
+  const {producedEvents} = await processor(
+    {
+      id: commandId,
+      roomId: roomId,
+      name: 'giveStoryEstimate',
+      payload: {
+        storyId: storyId,
+        value: 2
+      }
+    },
+    userId
+  );
+
+  expect(producedEvents).toMatchEvents(
+    commandId,
+    roomId,
+    'storyEstimateGiven',
+    'ownEstimateGiven',
     'revealed',
     'consensusAchieved'
   );
 });
 
+test('Should accept values of the own card deck of the story', async () => {
+  const {
+    roomId,
+    storyId,
+    userIdOne: userId,
+    processor,
+    mockRoomsStore
+  } = await prepTwoUsersInOneRoomWithOneStory();
+
+  mockRoomsStore.manipulate((room) => {
+    room.stories[0].cardConfig = [
+      {label: '1h', value: 1, color: 'green', position: 0, weight: 1},
+      {label: '1w', value: 40, color: 'red', position: 1, weight: 40}
+    ];
+    return room;
+  });
+
+  const {room} = await processor(
+    {
+      id: uuid(),
+      roomId: roomId,
+      name: 'giveStoryEstimate',
+      payload: {
+        storyId,
+        value: 40
+      }
+    },
+    userId
+  );
+
+  expect(room.stories[0].estimations).toEqual({
+    [userId]: 40
+  });
+});
+
 describe('preconditions', () => {
   test('Should throw if storyId does not match "selectedStory"', async () => {
     const {
@@ -555,4 +668,92 @@ describe('preconditions', () => {
       )
     ).rejects.toThrow('Users that are excluded from estimations cannot give estimations!');
   });
+
+  test('Should throw if user is spectator', async () => {
+    const {
+      roomId,
+      storyId,
+      userIdTwo,
+      processor,
+      mockRoomsStore
+    } = await prepTwoUsersInOneRoomWithOneStory();
+
+    mockRoomsStore.manipulate((room) => {
+      room.users[1].spectator = true;
+      return room;
+    });
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId: roomId,
+          name: 'giveStoryEstimate',
+          payload: {
+            storyId: storyId,
+            value: 2
+          }
+        },
+        userIdTwo
+      )
+    ).rejects.toThrow(
+      'Precondition Error during "giveStoryEstimate": Spectators are not allowed to do this!'
+    );
+  });
+
+  test('Should throw if value does not match a card of the room', async () => {
+    const {
+      roomId,
+      storyId,
+      userIdOne: userId,
+      processor
+    } = await prepTwoUsersInOneRoomWithOneStory();
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId: roomId,
+          name: 'giveStoryEstimate',
+          payload: {
+            storyId: storyId,
+            value: 4
+          }
+        },
+        userId
+      )
+    ).rejects.toThrow(
+      'Precondition Error during "giveStoryEstimate": Given value 4 does not match any card of this room!'
+    );
+  });
+
+  test('Should throw if value does not match a card of the own card deck of the story', async () => {
+    const {
+      roomId,
+      storyId,
+      userIdOne: userId,
+      processor,
+      mockRoomsStore
+    } = await prepTwoUsersInOneRoomWithOneStory();
+
+    mockRoomsStore.manipulate((room) => {
+      room.stories[0].cardConfig = [{label: '1h', value: 1, color: 'green', position: 0}];
+      return room;
+    });
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId: roomId,
+          name: 'giveStoryEstimate',
+          payload: {
+            storyId: storyId,
+            value: 2 // part of the room's card config, but not of the story's
+          }
+        },
+        userId
+      )
+    ).rejects.toThrow('Given value 2 does not match any card of this story!');
+  });
 });
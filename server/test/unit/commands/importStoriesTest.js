@@ -1,7 +1,12 @@
 import {promises as fs} from 'fs';
 import path from 'path';
 import {v4 as uuid} from 'uuid';
-import {prepOneUserInOneRoom, textToCsvDataUrl} from '../testUtils';
+import {
+  objectToJsonDataUrl,
+  prepOneUserInOneRoom,
+  prepTwoUsersInOneRoomWithOneStory,
+  textToCsvDataUrl
+} from '../testUtils';
 
 test('Should produce storyAdded events for all stories in data', async () => {
   const csvContent = await fs.readFile(path.join(__dirname, '../testJiraIssueExport.csv'), 'utf-8');
@@ -36,7 +41,8 @@ test('Should produce storyAdded events for all stories in data', async () => {
   const storySelectedEvent = producedEvents[4];
 
   expect(storyAddedEvent1.payload).toMatchObject({
-    title: 'SMRGR-6275 Something something Summary',
+    title: 'Something something Summary',
+    key: 'SMRGR-6275',
     description: 'His account can be deactivated end of July.',
     estimations: {}
   });
@@ -115,9 +121,7 @@ test('should throw on invalid command payload format', async () => {
       },
       userId
     )
-  ).rejects.toThrow(
-    /Format validation failed \(must be a valid text\/csv data url\) in \/payload\/data/
-  );
+  ).rejects.toThrow(/Data does not match any schemas from "anyOf" in \/payload\/data/);
 });
 
 test('Should fix title and description length:', async () => {
@@ -156,12 +160,14 @@ test('Should fix title and description length:', async () => {
   const storySelectedEvent = producedEvents[2];
 
   expect(storyAddedEvent1.payload).toMatchObject({
-    title: 'ISSUE-1 first story',
+    title: 'first story',
+    key: 'ISSUE-1',
     description: 'description',
     estimations: {}
   });
   expect(storyAddedEvent2.payload).toMatchObject({
-    title: 'ISSUE-2 second story' + '-'.repeat(100 - 20),
+    title: 'second story' + '-'.repeat(100 - 12),
+    key: 'ISSUE-2',
     description: 'description' + '-'.repeat(2000 - 11),
     estimations: {}
   });
@@ -171,3 +177,178 @@ test('Should fix title and description length:', async () => {
 
   expect(room.stories.length).toBe(2);
 });
+
+describe('json room export', () => {
+  const roomExport = {
+    roomId: 'some-other-room',
+    exportedAt: 1600000000000,
+    stories: [
+      {
+        title: 'exported story',
+        description: 'exported description',
+        consensus: 3,
+        estimations: [
+          {username: 'firstUser', value: 3},
+          {username: 'userNotInRoom', value: 8}
+        ],
+        rounds: []
+      },
+      {
+        title: 'second exported story',
+        estimations: [],
+        rounds: []
+      }
+    ]
+  };
+
+  test('Should produce storyAdded events for all stories in the export', async () => {
+    const {userId, roomId, processor} = await prepOneUserInOneRoom();
+
+    const commandId = uuid();
+    const {producedEvents, room} = await processor(
+      {
+        id: commandId,
+        roomId,
+        name: 'importStories',
+        payload: {
+          data: objectToJsonDataUrl(roomExport)
+        }
+      },
+      userId
+    );
+
+    expect(producedEvents).toMatchEvents(
+      commandId,
+      roomId,
+      'storyAdded',
+      'storyAdded',
+      'storySelected'
+    );
+
+    expect(producedEvents[0].payload).toEqual({
+      storyId: expect.any(String),
+      title: 'exported story',
+      description: 'exported description',
+      estimations: {},
+      createdAt: expect.any(Number),
+      rank: 0
+    });
+    expect(room.stories.length).toBe(2);
+    expect(room.stories[0].consensus).toBeUndefined();
+    expect(room.stories[0].revealed).toBeUndefined();
+  });
+
+  test('Should keep consensus and estimations if flag is set', async () => {
+    const {userIdOne, roomId, processor} = await prepTwoUsersInOneRoomWithOneStory('firstUser');
+
+    const commandId = uuid();
+    const {producedEvents, room} = await processor(
+      {
+        id: commandId,
+        roomId,
+        name: 'importStories',
+        payload: {
+          data: objectToJsonDataUrl(roomExport),
+          withEstimations: true
+        }
+      },
+      userIdOne
+    );
+
+    expect(producedEvents).toMatchEvents(commandId, roomId, 'storyAdded', 'storyAdded');
+
+    expect(producedEvents[0].payload).toMatchObject({
+      title: 'exported story',
+      rank: 1, // added below the story that is already in the room
+      consensus: 3,
+      revealed: true,
+      estimations: {
+        [userIdOne]: 3
+      }
+    });
+
+    const importedStory = room.stories[1];
+    expect(importedStory).toMatchObject({
+      title: 'exported story',
+      consensus: 3,
+      revealed: true,
+      estimations: {
+        [userIdOne]: 3
+      }
+    });
+    expect(room.stories[2].revealed).toBeUndefined();
+  });
+});
+
+test('Should import stories with column mapping', async () => {
+  const {userId, roomId, processor} = await prepOneUserInOneRoom();
+
+  const dataUrl = textToCsvDataUrl(
+    'ID;Name;Details;Story Points\nYT-1;first story;some details;8\nYT-2;second story;;'
+  );
+
+  const commandId = uuid();
+  const {producedEvents, room} = await processor(
+    {
+      id: commandId,
+      roomId,
+      name: 'importStories',
+      payload: {
+        data: dataUrl,
+        mapping: {
+          title: 'Name',
+          key: 'ID',
+          description: 'Details',
+          estimate: 'Story Points'
+        }
+      }
+    },
+    userId
+  );
+
+  expect(producedEvents).toMatchEvents(
+    commandId,
+    roomId,
+    'storyAdded',
+    'storyAdded',
+    'storySelected'
+  );
+
+  expect(producedEvents[0].payload).toMatchObject({
+    title: 'first story',
+    key: 'YT-1',
+    description: 'some details',
+    consensus: 8,
+    revealed: true
+  });
+  expect(room.stories[0]).toMatchObject({
+    title: 'first story',
+    key: 'YT-1',
+    consensus: 8,
+    revealed: true
+  });
+  expect(room.stories[1].consensus).toBeUndefined();
+});
+
+test('Should produce importFailed event if mapped column is missing', async () => {
+  const {userId, roomId, processor} = await prepOneUserInOneRoom();
+
+  const commandId = uuid();
+  const {producedEvents} = await processor(
+    {
+      id: commandId,
+      roomId,
+      name: 'importStories',
+      payload: {
+        data: textToCsvDataUrl('Name,Details\nfirst story,some details'),
+        mapping: {
+          title: 'Title'
+        }
+      }
+    },
+    userId
+  );
+
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'importFailed');
+  expect(producedEvents[0].payload.message).toMatch(/Column "Title" not found in csv/);
+});
@@ -1,6 +1,11 @@
 import {v4 as uuid} from 'uuid';
 
-import {prepEmpty, prepOneUserInOneRoom} from '../testUtils';
+import {
+  prepEmpty,
+  prepOneUserInOneRoom,
+  prepTwoUsersInOneRoomWithOneStory,
+  prepTwoUsersInOneRoomWithOneStoryAndEstimate
+} from '../testUtils';
 import defaultCardConfig from '../../../src/defaultCardConfig';
 import {hashRoomPassword} from '../../../src/commandHandlers/auth/roomPasswordService';
 
@@ -52,13 +57,16 @@ test('nonexisting room', async () => {
       {
         disconnected: false,
         id: userId,
-        avatar: 0
+        avatar: 0,
+        role: 'moderator'
       }
     ],
     cardConfig: defaultCardConfig, // default config is part of "joined" event payload, although it is not persisted on the room object (only if someone changes it with "setCardConfig")
     autoReveal: true,
-    passwordProtected: false
+    passwordProtected: false,
+    revision: 1 // the revision of the new room after this command
   });
+  expect(joinedRoomEvent.revision).toBe(1);
 
   expect(usernameSetEvent.userId).toEqual(userId);
   expect(usernameSetEvent.payload).toEqual({
@@ -85,7 +93,8 @@ test('nonexisting room', async () => {
         avatar: 0,
         email: 'super@test.com',
         emailHash: '230016156266ce4617c6a181f81b6ee1',
-        username: 'tester'
+        username: 'tester',
+        role: 'moderator'
       }
     ],
     stories: [],
@@ -99,6 +108,69 @@ test('nonexisting room', async () => {
   expect(room.pristine).toBeUndefined();
 });
 
+test('nonexisting room : create room from template', async () => {
+  const {processor} = prepEmpty();
+
+  const roomId = uuid();
+  const commandId = uuid();
+  const userId = uuid();
+  const cardConfig = [
+    {label: 'S', value: 1, color: '#8cb876'},
+    {label: 'M', value: 2, color: '#c9c857'}
+  ];
+  const {producedEvents, room} = await processor(
+    {
+      id: commandId,
+      roomId,
+      name: 'joinRoom',
+      payload: {
+        template: {
+          cardConfig,
+          autoReveal: false,
+          issueUrlTemplate: 'https://jira.example.com/browse/{key}'
+        }
+      }
+    },
+    userId
+  );
+
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'roomCreated', 'joinedRoom', 'avatarSet');
+  expect(producedEvents[0].payload).toEqual({});
+  expect(producedEvents[1].payload).toMatchObject({
+    cardConfig,
+    autoReveal: false,
+    issueUrlTemplate: 'https://jira.example.com/browse/{key}'
+  });
+
+  expect(room).toMatchObject({
+    cardConfig,
+    autoReveal: false,
+    issueUrlTemplate: 'https://jira.example.com/browse/{key}'
+  });
+});
+
+test('existing room : template is ignored', async () => {
+  const {processor, roomId} = await prepOneUserInOneRoom();
+
+  const {room} = await processor(
+    {
+      id: uuid(),
+      roomId,
+      name: 'joinRoom',
+      payload: {
+        template: {
+          cardConfig: [{label: 'S', value: 1, color: '#8cb876'}],
+          autoReveal: false
+        }
+      }
+    },
+    uuid()
+  );
+
+  expect(room.cardConfig).toBeUndefined();
+  expect(room.autoReveal).toBe(true);
+});
+
 test('existing room with matching user already in room (re-join) ', async () => {
   const {processor, userId, roomId, mockRoomsStore} = await prepOneUserInOneRoom(
     'username-from-previous-join'
@@ -145,12 +217,15 @@ test('existing room with matching user already in room (re-join) ', async () =>
         email: 'super@test.com',
         id: userId,
         username: 'tester', // <- the payload of the join command takes precedence
-        avatar: 0
+        avatar: 0,
+        role: 'moderator'
       }
     ],
     cardConfig: defaultCardConfig,
     autoReveal: true,
-    passwordProtected: false
+    passwordProtected: false,
+    webhooks: [],
+    revision: joinedRoomEvent.revision
   });
 
   expect(usernameSetEvent.userId).toEqual(userId);
@@ -233,12 +308,15 @@ test('existing room with user match, command has no preset properties', async ()
         email: 'super@test.com',
         id: userId,
         username: 'custom-user-name',
-        avatar: 1
+        avatar: 1,
+        role: 'moderator'
       }
     ],
     cardConfig: defaultCardConfig,
     autoReveal: true,
-    passwordProtected: false
+    passwordProtected: false,
+    webhooks: [],
+    revision: joinedRoomEvent.revision
   });
 
   expect(usernameSetEvent.userId).toEqual(userId);
@@ -340,18 +418,22 @@ test('existing room but completely new user, command has no preset properties',
         id: userId,
         disconnected: false,
         username: 'firstUser',
-        avatar: 0
+        avatar: 0,
+        role: 'moderator'
       },
       {
         avatar: 0,
         disconnected: false,
         excluded: false,
+        spectator: false,
         id: newUserId
       }
     ],
     cardConfig: defaultCardConfig,
     autoReveal: true,
-    passwordProtected: false
+    passwordProtected: false,
+    webhooks: [],
+    revision: joinedRoomEvent.revision
   });
 
   expect(avatarSetEvent.userId).toEqual(newUserId);
@@ -380,6 +462,127 @@ test('existing room but completely new user, command has no preset properties',
   });
 });
 
+test('existing room without moderator : joining user becomes moderator', async () => {
+  const {processor, roomId, mockRoomsStore} = await prepOneUserInOneRoom();
+
+  // e.g. only spectators remained when the last moderator left the room
+  mockRoomsStore.manipulate((room) => {
+    room.users = [];
+    return room;
+  });
+
+  const spectatorId = uuid();
+  const {room: roomAfterSpectatorJoined} = await processor(
+    {id: uuid(), roomId, name: 'joinRoom', payload: {spectator: true}},
+    spectatorId
+  );
+  expect(roomAfterSpectatorJoined.users[0].role).toBeUndefined();
+
+  const newUserId = uuid();
+  const {producedEvents, room} = await processor(
+    {id: uuid(), roomId, name: 'joinRoom', payload: {}},
+    newUserId
+  );
+
+  expect(producedEvents[0].payload.users[1]).toMatchObject({id: newUserId, role: 'moderator'});
+  expect(room.users[1]).toMatchObject({id: newUserId, role: 'moderator'});
+});
+
+test('legacy room without moderator : joining user does not become moderator', async () => {
+  const {processor, roomId, mockRoomsStore} = await prepOneUserInOneRoom();
+
+  mockRoomsStore.manipulate((room) => {
+    delete room.moderated;
+    delete room.users[0].role;
+    return room;
+  });
+
+  const newUserId = uuid();
+  const {room} = await processor({id: uuid(), roomId, name: 'joinRoom', payload: {}}, newUserId);
+
+  expect(room.users[1].role).toBeUndefined();
+});
+
+test('existing room with estimations on unrevealed story: values are sealed', async () => {
+  const {
+    processor,
+    roomId,
+    userIdOne,
+    storyId,
+    mockRoomsStore
+  } = await prepTwoUsersInOneRoomWithOneStoryAndEstimate('jimmy', 'some story', 5);
+
+  mockRoomsStore.manipulate((room) => {
+    room.stories.push({
+      id: uuid(),
+      title: 'revealed story',
+      estimations: {[userIdOne]: 3},
+      createdAt: Date.now(),
+      revealed: true
+    });
+    return room;
+  });
+
+  const commandId = uuid();
+  const {producedEvents, room} = await processor(
+    {
+      id: commandId,
+      roomId,
+      name: 'joinRoom',
+      payload: {}
+    },
+    uuid()
+  );
+
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'joinedRoom', 'avatarSet');
+  const [joinedRoomEvent] = producedEvents;
+
+  expect(joinedRoomEvent.payload.stories[0].id).toBe(storyId);
+  expect(joinedRoomEvent.payload.stories[0].estimations).toEqual({[userIdOne]: true});
+  expect(joinedRoomEvent.payload.stories[1].estimations).toEqual({[userIdOne]: 3});
+
+  // actual values are still stored on the room
+  expect(room.stories[0].estimations).toEqual({[userIdOne]: 5});
+});
+
+test('existing room with running timer: remaining time is sent', async () => {
+  const {
+    processor,
+    roomId,
+    userIdOne,
+    storyId,
+    mockRoomsStore
+  } = await prepTwoUsersInOneRoomWithOneStoryAndEstimate();
+
+  const startedAt = Date.now() - 20000;
+  mockRoomsStore.manipulate((room) => {
+    room.timer = {storyId, duration: 60, startedAt, startedBy: userIdOne};
+    return room;
+  });
+
+  const commandId = uuid();
+  const {producedEvents} = await processor(
+    {
+      id: commandId,
+      roomId,
+      name: 'joinRoom',
+      payload: {}
+    },
+    uuid()
+  );
+
+  const [joinedRoomEvent] = producedEvents;
+  expect(joinedRoomEvent.payload.timer).toEqual({
+    storyId,
+    duration: 60,
+    startedAt,
+    startedBy: userIdOne,
+    remaining: expect.any(Number)
+  });
+  expect(joinedRoomEvent.payload.timer.remaining).toBeLessThanOrEqual(40000);
+  expect(joinedRoomEvent.payload.timer.remaining).toBeGreaterThan(30000);
+});
+
 test('nonexisting room : create room with password', async () => {
   const {processor} = prepEmpty();
 
@@ -599,3 +802,142 @@ test('existing room without password : password given in payload', async () => {
 
   expect(room.password).toBe(undefined);
 });
+
+describe('excluded', () => {
+  test('new room : user joins excluded from estimations', async () => {
+    const {processor} = prepEmpty();
+    const roomId = uuid();
+    const commandId = uuid();
+    const userId = uuid();
+
+    const {producedEvents, room} = await processor(
+      {id: commandId, roomId, name: 'joinRoom', payload: {excluded: true}},
+      userId
+    );
+
+    expect(producedEvents).toMatchEvents(
+      commandId,
+      roomId,
+      'roomCreated',
+      'joinedRoom',
+      'avatarSet',
+      'excludedFromEstimations'
+    );
+    expect(room.users[0].excluded).toBe(true);
+  });
+
+  test('existing room : new user joins excluded, re-joining user keeps setting unless flag is given', async () => {
+    const {processor, roomId} = await prepOneUserInOneRoom();
+    const botUserId = uuid();
+
+    let result = await processor(
+      {id: uuid(), roomId, name: 'joinRoom', payload: {excluded: true}},
+      botUserId
+    );
+    expect(result.producedEvents[result.producedEvents.length - 1].name).toBe(
+      'excludedFromEstimations'
+    );
+    expect(result.room.users[1].excluded).toBe(true);
+
+    result = await processor({id: uuid(), roomId, name: 'joinRoom', payload: {}}, botUserId);
+    expect(result.room.users[1].excluded).toBe(true);
+
+    result = await processor(
+      {id: uuid(), roomId, name: 'joinRoom', payload: {excluded: false}},
+      botUserId
+    );
+    expect(result.room.users[1].excluded).toBe(false);
+  });
+});
+
+describe('spectator', () => {
+  test('existing room : new user joins as spectator', async () => {
+    const {processor, roomId} = await prepOneUserInOneRoom();
+
+    const commandId = uuid();
+    const newUserId = uuid();
+    const {producedEvents, room} = await processor(
+      {
+        id: commandId,
+        roomId,
+        name: 'joinRoom',
+        payload: {
+          username: 'stakeholder',
+          spectator: true
+        }
+      },
+      newUserId
+    );
+
+    expect(producedEvents).toMatchEvents(
+      commandId,
+      roomId,
+      'joinedRoom',
+      'usernameSet',
+      'avatarSet'
+    );
+    expect(producedEvents[0].payload.users[1]).toMatchObject({
+      id: newUserId,
+      spectator: true
+    });
+    expect(room.users[1]).toMatchObject({
+      id: newUserId,
+      username: 'stakeholder',
+      spectator: true
+    });
+  });
+
+  test('re-joining spectator stays spectator, unless flag is given', async () => {
+    const {processor, roomId, userIdTwo} = await prepTwoUsersInOneRoomWithOneStory();
+
+    await processor({id: uuid(), roomId, name: 'joinRoom', payload: {spectator: true}}, userIdTwo);
+    const {room: roomAfterRejoin} = await processor(
+      {id: uuid(), roomId, name: 'joinRoom', payload: {}},
+      userIdTwo
+    );
+    expect(roomAfterRejoin.users[1].spectator).toBe(true);
+
+    const {room: roomAfterParticipantRejoin} = await processor(
+      {id: uuid(), roomId, name: 'joinRoom', payload: {spectator: false}},
+      userIdTwo
+    );
+    expect(roomAfterParticipantRejoin.users[1].spectator).toBe(false);
+  });
+
+  test('spectator cannot modify the room, but can change own properties', async () => {
+    const {processor, roomId} = await prepOneUserInOneRoom();
+    const spectatorId = uuid();
+    await processor(
+      {id: uuid(), roomId, name: 'joinRoom', payload: {spectator: true}},
+      spectatorId
+    );
+
+    await expect(
+      processor({id: uuid(), roomId, name: 'addStory', payload: {title: 'sneaky'}}, spectatorId)
+    ).rejects.toThrow(
+      'Precondition Error during "addStory": Spectators are not allowed to do this!'
+    );
+
+    const {producedEvents} = await processor(
+      {id: uuid(), roomId, name: 'setUsername', payload: {username: 'wallboard'}},
+      spectatorId
+    );
+    expect(producedEvents[0].name).toBe('usernameSet');
+  });
+
+  test('new room cannot be created by spectator', async () =>
+    expect(
+      prepEmpty().processor(
+        {id: uuid(), roomId: uuid(), name: 'joinRoom', payload: {spectator: true}},
+        uuid()
+      )
+    ).rejects.toThrow('A new room cannot be created by a spectator!'));
+
+  test('moderator cannot join as spectator', async () => {
+    const {processor, roomId, userId} = await prepOneUserInOneRoom();
+
+    return expect(
+      processor({id: uuid(), roomId, name: 'joinRoom', payload: {spectator: true}}, userId)
+    ).rejects.toThrow('Moderators cannot join as spectators!');
+  });
+});
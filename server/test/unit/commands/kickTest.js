@@ -135,4 +135,21 @@ describe('preconditions', () => {
       )
     ).rejects.toThrow('User cannot kick himself!');
   });
+
+  test('Should throw if user is not a moderator', async () => {
+    const {roomId, userIdOne, userIdTwo, processor} = await prepTwoUsersInOneRoomWithOneStory();
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId,
+          name: 'kick',
+          payload: {
+            userId: userIdOne
+          }
+        },
+        userIdTwo // second user joined an existing room, is not a moderator
+      )
+    ).rejects.toThrow('Only moderators are allowed to do this!');
+  });
 });
@@ -96,3 +96,107 @@ test('Should produce connectionLost event', async () => {
     username: 'secondUser'
   });
 });
+
+describe('moderator handover', () => {
+  test('Should assign moderator role to remaining user if last moderator leaves', async () => {
+    const {userIdOne, userIdTwo, processor, roomId} = await prepTwoUsersInOneRoomWithOneStory();
+    const commandId = uuid();
+
+    const {producedEvents, room} = await processor(
+      {
+        id: commandId,
+        roomId,
+        name: 'leaveRoom',
+        payload: {}
+      },
+      userIdOne
+    );
+
+    expect(producedEvents).toMatchEvents(commandId, roomId, 'leftRoom', 'moderatorAssigned');
+
+    const moderatorAssignedEvent = producedEvents[1];
+    expect(moderatorAssignedEvent.userId).toEqual(userIdOne);
+    expect(moderatorAssignedEvent.payload).toEqual({userId: userIdTwo});
+
+    expect(room.users).toEqual([expect.objectContaining({id: userIdTwo, role: 'moderator'})]);
+  });
+
+  test('Should prefer connected users and skip spectators', async () => {
+    const {
+      userIdOne,
+      userIdTwo,
+      processor,
+      roomId,
+      mockRoomsStore
+    } = await prepTwoUsersInOneRoomWithOneStory();
+    const spectatorId = uuid();
+    const userIdThree = uuid();
+
+    mockRoomsStore.manipulate((room) => {
+      room.users[1].disconnected = true;
+      room.users.push({id: spectatorId, spectator: true, disconnected: false, avatar: 0});
+      room.users.push({id: userIdThree, disconnected: false, avatar: 0});
+      return room;
+    });
+
+    const commandId = uuid();
+    const {producedEvents, room} = await processor(
+      {
+        id: commandId,
+        roomId,
+        name: 'leaveRoom',
+        payload: {}
+      },
+      userIdOne
+    );
+
+    expect(producedEvents).toMatchEvents(commandId, roomId, 'leftRoom', 'moderatorAssigned');
+    expect(producedEvents[1].payload).toEqual({userId: userIdThree});
+    expect(room.users.find((usr) => usr.id === userIdTwo).role).toBeUndefined();
+  });
+
+  test('Should not assign moderator role if only spectators remain', async () => {
+    const {
+      userIdOne,
+      processor,
+      roomId,
+      mockRoomsStore
+    } = await prepTwoUsersInOneRoomWithOneStory();
+
+    mockRoomsStore.manipulate((room) => {
+      room.users[1].spectator = true;
+      return room;
+    });
+
+    const commandId = uuid();
+    const {producedEvents} = await processor(
+      {
+        id: commandId,
+        roomId,
+        name: 'leaveRoom',
+        payload: {}
+      },
+      userIdOne
+    );
+
+    expect(producedEvents).toMatchEvents(commandId, roomId, 'leftRoom');
+  });
+
+  test('Should not assign moderator role on connection lost', async () => {
+    const {userIdOne, processor, roomId} = await prepTwoUsersInOneRoomWithOneStory();
+
+    const commandId = uuid();
+    const {producedEvents, room} = await processor(
+      {
+        id: commandId,
+        roomId,
+        name: 'leaveRoom',
+        payload: {connectionLost: true}
+      },
+      userIdOne
+    );
+
+    expect(producedEvents).toMatchEvents(commandId, roomId, 'connectionLost');
+    expect(room.users[0].role).toBe('moderator');
+  });
+});
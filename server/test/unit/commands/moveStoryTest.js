@@ -0,0 +1,230 @@
+import {v4 as uuid} from 'uuid';
+
+import {prepOneUserInOneRoomWithOneStory} from '../testUtils';
+
+/**
+ * prepares a room with four stories (ranks 0 to 3), one of them trashed
+ */
+async function prepRoomWithFourStories() {
+  const {
+    userId,
+    roomId,
+    storyId,
+    processor,
+    mockRoomsStore
+  } = await prepOneUserInOneRoomWithOneStory();
+
+  const storyIdTwo = uuid();
+  const storyIdThree = uuid();
+  const trashedStoryId = uuid();
+  mockRoomsStore.manipulate((room) => {
+    room.stories[0].rank = 0;
+    room.stories.push(
+      {id: storyIdTwo, title: 'second', estimations: {}, createdAt: Date.now(), rank: 1},
+      {
+        id: trashedStoryId,
+        title: 'trashed',
+        estimations: {},
+        createdAt: Date.now(),
+        rank: 2,
+        trashed: true
+      },
+      {id: storyIdThree, title: 'third', estimations: {}, createdAt: Date.now(), rank: 3}
+    );
+    return room;
+  });
+
+  return {userId, roomId, processor, storyIdOne: storyId, storyIdTwo, storyIdThree, trashedStoryId};
+}
+
+test('Should produce storyMoved event: move to the top', async () => {
+  const {
+    userId,
+    roomId,
+    processor,
+    storyIdOne,
+    storyIdTwo,
+    storyIdThree,
+    trashedStoryId
+  } = await prepRoomWithFourStories();
+
+  const commandId = uuid();
+  const {producedEvents, room} = await processor(
+    {
+      id: commandId,
+      roomId,
+      name: 'moveStory',
+      payload: {
+        storyId: storyIdThree,
+        beforeStoryId: storyIdOne
+      }
+    },
+    userId
+  );
+
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'storyMoved');
+
+  const [storyMovedEvent] = producedEvents;
+
+  expect(storyMovedEvent.payload).toEqual({
+    storyId: storyIdThree,
+    ranks: {
+      [storyIdThree]: 0,
+      [storyIdOne]: 1,
+      [storyIdTwo]: 2
+    }
+  });
+
+  const getRank = (id) => room.stories.find((s) => s.id === id).rank;
+  expect(getRank(storyIdThree)).toBe(0);
+  expect(getRank(storyIdOne)).toBe(1);
+  expect(getRank(storyIdTwo)).toBe(2);
+  expect(getRank(trashedStoryId)).toBe(2); // trashed stories keep their rank
+});
+
+test('Should produce storyMoved event: move to the bottom', async () => {
+  const {
+    userId,
+    roomId,
+    processor,
+    storyIdOne,
+    storyIdTwo,
+    storyIdThree
+  } = await prepRoomWithFourStories();
+
+  const commandId = uuid();
+  const {producedEvents} = await processor(
+    {
+      id: commandId,
+      roomId,
+      name: 'moveStory',
+      payload: {
+        storyId: storyIdOne
+      }
+    },
+    userId
+  );
+
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'storyMoved');
+  expect(producedEvents[0].payload.ranks).toEqual({
+    [storyIdTwo]: 0,
+    [storyIdThree]: 1,
+    [storyIdOne]: 2
+  });
+});
+
+test('Should produce storyMoved event: stories without rank keep their order', async () => {
+  const {
+    userId,
+    roomId,
+    storyId,
+    processor,
+    mockRoomsStore
+  } = await prepOneUserInOneRoomWithOneStory();
+
+  const olderStoryId = uuid();
+  const thirdStoryId = uuid();
+  mockRoomsStore.manipulate((room) => {
+    delete room.stories[0].rank;
+    room.stories.push({id: olderStoryId, title: 'older', estimations: {}, createdAt: 1000});
+    room.stories.push({id: thirdStoryId, title: 'third', estimations: {}, createdAt: 2000});
+    return room;
+  });
+
+  const {producedEvents} = await processor(
+    {
+      id: uuid(),
+      roomId,
+      name: 'moveStory',
+      payload: {
+        storyId: thirdStoryId,
+        beforeStoryId: olderStoryId
+      }
+    },
+    userId
+  );
+
+  expect(producedEvents[0].payload.ranks).toEqual({
+    [storyId]: 0,
+    [thirdStoryId]: 1,
+    [olderStoryId]: 2
+  });
+});
+
+describe('preconditions', () => {
+  test('Should throw if story is trashed', async () => {
+    const {userId, roomId, processor, trashedStoryId} = await prepRoomWithFourStories();
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId,
+          name: 'moveStory',
+          payload: {
+            storyId: trashedStoryId
+          }
+        },
+        userId
+      )
+    ).rejects.toThrow('is marked as "trashed" and cannot be selected or manipulated');
+  });
+
+  test('Should throw if "before" story is trashed', async () => {
+    const {userId, roomId, processor, storyIdOne, trashedStoryId} = await prepRoomWithFourStories();
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId,
+          name: 'moveStory',
+          payload: {
+            storyId: storyIdOne,
+            beforeStoryId: trashedStoryId
+          }
+        },
+        userId
+      )
+    ).rejects.toThrow('is marked as "trashed" and cannot be selected or manipulated');
+  });
+
+  test('Should throw if story is moved before itself', async () => {
+    const {userId, roomId, processor, storyIdOne} = await prepRoomWithFourStories();
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId,
+          name: 'moveStory',
+          payload: {
+            storyId: storyIdOne,
+            beforeStoryId: storyIdOne
+          }
+        },
+        userId
+      )
+    ).rejects.toThrow('Cannot move a story before itself!');
+  });
+
+  test('Should throw if story does not belong to room', async () => {
+    const {userId, roomId, processor, storyIdOne} = await prepRoomWithFourStories();
+    const unknownStoryId = uuid();
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId,
+          name: 'moveStory',
+          payload: {
+            storyId: storyIdOne,
+            beforeStoryId: unknownStoryId
+          }
+        },
+        userId
+      )
+    ).rejects.toThrow(`Given story ${unknownStoryId} does not belong to room ${roomId}`);
+  });
+});
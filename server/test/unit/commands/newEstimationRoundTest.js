@@ -12,6 +12,8 @@ test('Should produce newEstimationRoundStarted event', async () => {
 
   mockRoomsStore.manipulate((room) => {
     room.stories[0].consensus = 4;
+    room.stories[0].revealed = true;
+    room.stories[0].stats = {estimationCount: 1, distribution: [{value: 4, count: 1}]};
     return room;
   });
 
@@ -42,6 +44,81 @@ test('Should produce newEstimationRoundStarted event', async () => {
 
   // previously achieved consensus is reset
   expect(room.stories[0].consensus).toBeUndefined();
+
+  // estimation statistics are reset
+  expect(room.stories[0].stats).toBeUndefined();
+});
+
+test('Should archive revealed round', async () => {
+  const {
+    processor,
+    roomId,
+    storyId,
+    userIdOne,
+    userIdTwo
+  } = await prepTwoUsersInOneRoomWithOneStoryAndEstimate('jimmy', 'some story', 5);
+
+  // second user estimates, story is revealed automatically
+  const {room: revealedRoom} = await processor(
+    {
+      id: uuid(),
+      roomId,
+      name: 'giveStoryEstimate',
+      payload: {
+        storyId,
+        value: 8
+      }
+    },
+    userIdTwo
+  );
+  expect(revealedRoom.stories[0].revealed).toBe(true);
+  const revealedAt = revealedRoom.stories[0].revealedAt;
+  expect(revealedAt).toEqual(expect.any(Number));
+
+  const commandId = uuid();
+  const {producedEvents, room} = await processor(
+    {
+      id: commandId,
+      roomId,
+      name: 'newEstimationRound',
+      payload: {
+        storyId
+      }
+    },
+    userIdOne
+  );
+
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'newEstimationRoundStarted');
+
+  const expectedRound = {
+    estimations: {
+      [userIdOne]: 5,
+      [userIdTwo]: 8
+    },
+    revealedAt,
+    revealedBy: userIdTwo, // gave the last estimate
+    consensus: undefined,
+    stats: expect.objectContaining({mean: 6.5, min: 5, max: 8})
+  };
+  expect(producedEvents[0].payload.archivedRound).toEqual(expectedRound);
+  expect(room.stories[0].rounds).toEqual([expectedRound]);
+  expect(room.stories[0].revealedAt).toBeUndefined();
+  expect(room.stories[0].revealedBy).toBeUndefined();
+
+  // a second round that is not revealed, is not archived
+  const {producedEvents: producedEvents2, room: room2} = await processor(
+    {
+      id: commandId,
+      roomId,
+      name: 'newEstimationRound',
+      payload: {
+        storyId
+      }
+    },
+    userIdOne
+  );
+  expect(producedEvents2[0].payload.archivedRound).toBeUndefined();
+  expect(room2.stories[0].rounds.length).toBe(1);
 });
 
 test('Users marked as excluded can still start new estimation round', async () => {
@@ -0,0 +1,54 @@
+import {v4 as uuid} from 'uuid';
+import {prepOneUserInOneRoom} from '../testUtils';
+
+test('Should produce webhookRemoved event', async () => {
+  const {processor, roomId, userId, mockRoomsStore} = await prepOneUserInOneRoom();
+
+  mockRoomsStore.manipulate((room) => {
+    room.webhooks = [
+      {
+        id: 'hook-1',
+        url: 'https://tools.example.com/poinz-hook',
+        events: ['revealed'],
+        secret: 'my-super-secret'
+      }
+    ];
+    return room;
+  });
+
+  const commandId = uuid();
+  const {producedEvents, room} = await processor(
+    {
+      id: commandId,
+      roomId: roomId,
+      name: 'removeWebhook',
+      payload: {
+        webhookId: 'hook-1'
+      }
+    },
+    userId
+  );
+
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'webhookRemoved');
+  expect(room.webhooks).toEqual([]);
+});
+
+describe('preconditions', () => {
+  test('Should throw if webhook does not belong to room', async () => {
+    const {processor, roomId, userId} = await prepOneUserInOneRoom();
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId: roomId,
+          name: 'removeWebhook',
+          payload: {
+            webhookId: 'unknown-hook'
+          }
+        },
+        userId
+      )
+    ).rejects.toThrow(/Given webhook unknown-hook does not belong to room/);
+  });
+});
@@ -1,5 +1,8 @@
 import {v4 as uuid} from 'uuid';
-import {prepOneUserInOneRoomWithOneStory} from '../testUtils';
+import {
+  prepOneUserInOneRoomWithOneStory,
+  prepTwoUsersInOneRoomWithOneStoryAndEstimate
+} from '../testUtils';
 
 test('Should produce revealed event', async () => {
   const {roomId, userId, storyId, processor} = await prepOneUserInOneRoomWithOneStory();
@@ -26,6 +29,106 @@ test('Should produce revealed event', async () => {
 
   // flag set on story in room
   expect(room.stories[0].revealed).toBe(true);
+  expect(room.stories[0].revealedAt).toBe(revealedEvent.payload.revealedAt);
+  expect(room.stories[0].revealedBy).toBe(userId);
+});
+
+test('Should include all estimation values in revealed event', async () => {
+  const {
+    roomId,
+    userIdOne,
+    userIdTwo,
+    storyId,
+    processor
+  } = await prepTwoUsersInOneRoomWithOneStoryAndEstimate('jimmy', 'some story', 5);
+
+  const commandId = uuid();
+  const {producedEvents} = await processor(
+    {
+      id: commandId,
+      roomId: roomId,
+      name: 'reveal',
+      payload: {
+        storyId: storyId
+      }
+    },
+    userIdTwo
+  );
+
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'revealed', 'consensusAchieved');
+
+  const [revealedEvent] = producedEvents;
+  expect(revealedEvent.payload).toEqual({
+    storyId,
+    manually: true,
+    revealedAt: expect.any(Number),
+    estimations: {
+      [userIdOne]: 5
+    },
+    stats: {
+      estimationCount: 1,
+      mean: 5,
+      median: 5,
+      min: 5,
+      max: 5,
+      standardDeviation: 0,
+      distribution: [{value: 5, label: '5', count: 1}],
+      highest: '5',
+      lowest: '5',
+      highestVoters: [userIdOne],
+      lowestVoters: [userIdOne]
+    }
+  });
+});
+
+test('Should store estimation statistics on revealed story', async () => {
+  const {
+    roomId,
+    userIdOne,
+    userIdTwo,
+    storyId,
+    processor,
+    mockRoomsStore
+  } = await prepTwoUsersInOneRoomWithOneStoryAndEstimate('jimmy', 'some story', 3);
+
+  mockRoomsStore.manipulate((room) => {
+    room.stories[0].estimations[userIdTwo] = 8;
+    return room;
+  });
+
+  const commandId = uuid();
+  const {producedEvents, room} = await processor(
+    {
+      id: commandId,
+      roomId: roomId,
+      name: 'reveal',
+      payload: {
+        storyId: storyId
+      }
+    },
+    userIdTwo
+  );
+
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'revealed');
+
+  const expectedStats = {
+    estimationCount: 2,
+    mean: 5.5,
+    median: 5.5,
+    min: 3,
+    max: 8,
+    standardDeviation: 2.5,
+    distribution: [
+      {value: 3, label: '3', count: 1},
+      {value: 8, label: '8', count: 1}
+    ],
+    highest: '8',
+    lowest: '3',
+    highestVoters: [userIdTwo],
+    lowestVoters: [userIdOne]
+  };
+  expect(producedEvents[0].payload.stats).toEqual(expectedStats);
+  expect(room.stories[0].stats).toEqual(expectedStats);
 });
 
 test('Users marked as excluded should still be able to reveal', async () => {
@@ -59,6 +162,25 @@ test('Users marked as excluded should still be able to reveal', async () => {
 });
 
 describe('preconditions', () => {
+  test('Should throw if the command claims an expired timer (only the server can expire the timer)', async () => {
+    const {roomId, userId, processor, storyId} = await prepOneUserInOneRoomWithOneStory();
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId,
+          name: 'reveal',
+          payload: {
+            storyId,
+            timerExpired: true
+          }
+        },
+        userId
+      )
+    ).rejects.toThrow(/Command validation Error/);
+  });
+
   test('Should throw if storyId does not match currently selected story', async () => {
     const {roomId, userId, processor} = await prepOneUserInOneRoomWithOneStory();
 
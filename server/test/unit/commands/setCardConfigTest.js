@@ -1,5 +1,9 @@
 import {v4 as uuid} from 'uuid';
-import {prepOneUserInOneRoom} from '../testUtils';
+import {
+  prepOneUserInOneRoom,
+  prepTwoUsersInOneRoomWithOneStory,
+  prepTwoUsersInOneRoomWithOneStoryAndEstimate
+} from '../testUtils';
 
 test('Should produce cardConfigSet event', async () => {
   const {processor, roomId, userId} = await prepOneUserInOneRoom();
@@ -28,15 +32,44 @@ test('Should produce cardConfigSet event', async () => {
   const [cardConfigSetEvent] = producedEvents;
 
   const sanitizedConfig = [
-    {label: '?', value: -2, color: '#bdbfbf'},
-    {label: '1/2', value: 0.5, color: '#667a66'}, // we expect that the "value" properties are numbers, no longer strings
-    {label: '1', value: 1, color: '#667a66'}
+    {label: '?', value: -2, color: '#bdbfbf', position: 0},
+    {label: '1/2', value: 0.5, color: '#667a66', position: 1, weight: 0.5}, // we expect that the "value" properties are numbers, no longer strings
+    {label: '1', value: 1, color: '#667a66', position: 2, weight: 1} // without positions (older clients), non-negative values are used as weights
   ];
 
   expect(cardConfigSetEvent.payload.cardConfig).toEqual(sanitizedConfig);
   expect(room.cardConfig).toEqual(sanitizedConfig);
 });
 
+test('Should sort cards by position and keep cards without weight', async () => {
+  const {processor, roomId, userId} = await prepOneUserInOneRoom();
+
+  const commandId = uuid();
+  const {room} = await processor(
+    {
+      id: commandId,
+      roomId: roomId,
+      name: 'setCardConfig',
+      payload: {
+        cardConfig: [
+          {label: 'L', value: 3, color: 'red', position: 7},
+          {label: 'S', value: 1, color: 'green', position: 2},
+          {label: 'M', value: 2, color: 'yellow', position: 5, weight: 20},
+          {label: '?', value: -2, color: 'grey'}
+        ]
+      }
+    },
+    userId
+  );
+
+  expect(room.cardConfig).toEqual([
+    {label: 'S', value: 1, color: 'green', position: 0},
+    {label: 'M', value: 2, color: 'yellow', position: 1, weight: 20},
+    {label: 'L', value: 3, color: 'red', position: 2},
+    {label: '?', value: -2, color: 'grey', position: 3}
+  ]);
+});
+
 test('Should use defaultCardConfig if empty array in command (reset)', async () => {
   const {processor, roomId, userId} = await prepOneUserInOneRoom();
 
@@ -60,6 +93,63 @@ test('Should use defaultCardConfig if empty array in command (reset)', async ()
   expect(cardConfigSetEvent.payload.cardConfig.length).toBe(12);
 });
 
+test('Should clear estimations of unrevealed stories with estimations that no longer match a card', async () => {
+  const {
+    processor,
+    roomId,
+    userIdOne,
+    userIdTwo,
+    storyId,
+    mockRoomsStore
+  } = await prepTwoUsersInOneRoomWithOneStoryAndEstimate('jimmy', 'some story', 8);
+
+  const revealedStoryId = uuid();
+  const ownDeckStoryId = uuid();
+  mockRoomsStore.manipulate((room) => {
+    room.stories[0].estimations[userIdTwo] = 3;
+    room.stories.push({
+      id: revealedStoryId,
+      title: 'revealed story',
+      createdAt: Date.now(),
+      estimations: {[userIdOne]: 8},
+      revealed: true
+    });
+    room.stories.push({
+      id: ownDeckStoryId,
+      title: 'story with own card deck',
+      createdAt: Date.now(),
+      estimations: {[userIdOne]: 8},
+      cardConfig: [{label: '1d', value: 8, color: 'red', position: 0}]
+    });
+    return room;
+  });
+
+  const commandId = uuid();
+  const {producedEvents, room} = await processor(
+    {
+      id: commandId,
+      roomId: roomId,
+      name: 'setCardConfig',
+      payload: {
+        cardConfig: [
+          {label: '1', value: 1, color: 'green'},
+          {label: '3', value: 3, color: 'red'}
+        ]
+      }
+    },
+    userIdOne
+  );
+
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'cardConfigSet');
+  // the payload must not tell which users estimated a removed card
+  expect(producedEvents[0].payload.storiesWithClearedEstimations).toEqual([storyId]);
+  expect(JSON.stringify(producedEvents[0].payload)).not.toContain(userIdOne);
+
+  expect(room.stories[0].estimations).toEqual({});
+  expect(room.stories[1].estimations).toEqual({[userIdOne]: 8}); // revealed stories are kept
+  expect(room.stories[2].estimations).toEqual({[userIdOne]: 8}); // story has its own card deck
+});
+
 describe('preconditions', () => {
   test('Should throw if given cardConfig is not an array', async () => {
     const {processor, roomId, userId} = await prepOneUserInOneRoom();
@@ -98,4 +188,22 @@ describe('preconditions', () => {
       )
     ).rejects.toThrow(/Command validation Error during "setCardConfig"/g); // do not check for specific message. format validator is unit tested
   });
+
+  test('Should throw if user is not a moderator', async () => {
+    const {processor, roomId, userIdTwo} = await prepTwoUsersInOneRoomWithOneStory();
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId: roomId,
+          name: 'setCardConfig',
+          payload: {
+            cardConfig: []
+          }
+        },
+        userIdTwo
+      )
+    ).rejects.toThrow('Only moderators are allowed to do this!');
+  });
 });
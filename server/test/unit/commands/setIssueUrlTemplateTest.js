@@ -0,0 +1,88 @@
+import {v4 as uuid} from 'uuid';
+import {prepOneUserInOneRoom, prepTwoUsersInOneRoomWithOneStory} from '../testUtils';
+
+test('Should produce issueUrlTemplateSet event', async () => {
+  const {processor, roomId, userId} = await prepOneUserInOneRoom();
+
+  const commandId = uuid();
+  const {producedEvents, room} = await processor(
+    {
+      id: commandId,
+      roomId: roomId,
+      name: 'setIssueUrlTemplate',
+      payload: {
+        issueUrlTemplate: 'https://jira.example.com/browse/{key}'
+      }
+    },
+    userId
+  );
+
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'issueUrlTemplateSet');
+  expect(producedEvents[0].payload).toEqual({
+    issueUrlTemplate: 'https://jira.example.com/browse/{key}'
+  });
+  expect(room.issueUrlTemplate).toBe('https://jira.example.com/browse/{key}');
+});
+
+test('Should remove template if empty string is given', async () => {
+  const {processor, roomId, userId, mockRoomsStore} = await prepOneUserInOneRoom();
+
+  mockRoomsStore.manipulate((room) => {
+    room.issueUrlTemplate = 'https://jira.example.com/browse/{key}';
+    return room;
+  });
+
+  const commandId = uuid();
+  const {producedEvents, room} = await processor(
+    {
+      id: commandId,
+      roomId: roomId,
+      name: 'setIssueUrlTemplate',
+      payload: {
+        issueUrlTemplate: ''
+      }
+    },
+    userId
+  );
+
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'issueUrlTemplateSet');
+  expect(room.issueUrlTemplate).toBeUndefined();
+});
+
+describe('preconditions', () => {
+  test('Should throw if template does not contain the "{key}" placeholder', async () => {
+    const {processor, roomId, userId} = await prepOneUserInOneRoom();
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId: roomId,
+          name: 'setIssueUrlTemplate',
+          payload: {
+            issueUrlTemplate: 'https://jira.example.com/browse/'
+          }
+        },
+        userId
+      )
+    ).rejects.toThrow(/String does not match pattern: .* in \/payload\/issueUrlTemplate/);
+  });
+
+  test('Should throw if user is not a moderator', async () => {
+    const {processor, roomId, userIdTwo} = await prepTwoUsersInOneRoomWithOneStory();
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId: roomId,
+          name: 'setIssueUrlTemplate',
+          payload: {
+            issueUrlTemplate: ''
+          }
+        },
+        userIdTwo
+      )
+    ).rejects.toThrow('Only moderators are allowed to do this!');
+  });
+});
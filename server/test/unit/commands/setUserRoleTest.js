@@ -0,0 +1,242 @@
+import {v4 as uuid} from 'uuid';
+import {prepTwoUsersInOneRoomWithOneStory} from '../testUtils';
+
+test('Should produce userRoleSet event (moderator promotes other user)', async () => {
+  const {roomId, userIdOne, userIdTwo, processor} = await prepTwoUsersInOneRoomWithOneStory();
+  const commandId = uuid();
+
+  const {producedEvents, room} = await processor(
+    {
+      id: commandId,
+      roomId,
+      name: 'setUserRole',
+      payload: {
+        userId: userIdTwo,
+        role: 'moderator'
+      }
+    },
+    userIdOne
+  );
+
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'userRoleSet');
+
+  const [userRoleSetEvent] = producedEvents;
+
+  expect(userRoleSetEvent.userId).toEqual(userIdOne); // the moderator
+  expect(userRoleSetEvent.payload).toEqual({
+    userId: userIdTwo,
+    role: 'moderator'
+  });
+
+  expect(room.users[0].role).toBe('moderator');
+  expect(room.users[1].role).toBe('moderator');
+});
+
+test('Promoted user can demote the room creator', async () => {
+  const {roomId, userIdOne, userIdTwo, processor} = await prepTwoUsersInOneRoomWithOneStory();
+
+  await processor(
+    {
+      id: uuid(),
+      roomId,
+      name: 'setUserRole',
+      payload: {
+        userId: userIdTwo,
+        role: 'moderator'
+      }
+    },
+    userIdOne
+  );
+
+  const commandId = uuid();
+  const {producedEvents, room} = await processor(
+    {
+      id: commandId,
+      roomId,
+      name: 'setUserRole',
+      payload: {
+        userId: userIdOne,
+        role: 'participant'
+      }
+    },
+    userIdTwo
+  );
+
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'userRoleSet');
+  expect(room.users[0].role).toBe('participant');
+  expect(room.users[1].role).toBe('moderator');
+});
+
+test('Any user can send moderator-only commands in legacy rooms without moderator', async () => {
+  const {
+    roomId,
+    userIdTwo,
+    storyId,
+    processor,
+    mockRoomsStore
+  } = await prepTwoUsersInOneRoomWithOneStory();
+
+  // rooms that were created before roles were introduced
+  mockRoomsStore.manipulate((room) => {
+    delete room.moderated;
+    delete room.users[0].role;
+    return room;
+  });
+
+  const commandId = uuid();
+  const {producedEvents} = await processor(
+    {
+      id: commandId,
+      roomId,
+      name: 'trashStory',
+      payload: {
+        storyId
+      }
+    },
+    userIdTwo
+  );
+
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'storyTrashed', 'storySelected');
+});
+
+describe('preconditions', () => {
+  test('Should throw if moderated room has no moderator', async () => {
+    const {
+      roomId,
+      userIdTwo,
+      storyId,
+      processor,
+      mockRoomsStore
+    } = await prepTwoUsersInOneRoomWithOneStory();
+
+    mockRoomsStore.manipulate((room) => {
+      delete room.users[0].role;
+      return room;
+    });
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId,
+          name: 'trashStory',
+          payload: {
+            storyId
+          }
+        },
+        userIdTwo
+      )
+    ).rejects.toThrow(
+      'Precondition Error during "trashStory": Only moderators are allowed to do this!'
+    );
+  });
+
+  test('Should throw if user is not a moderator', async () => {
+    const {roomId, userIdTwo, processor} = await prepTwoUsersInOneRoomWithOneStory();
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId,
+          name: 'setUserRole',
+          payload: {
+            userId: userIdTwo,
+            role: 'moderator'
+          }
+        },
+        userIdTwo
+      )
+    ).rejects.toThrow(
+      'Precondition Error during "setUserRole": Only moderators are allowed to do this!'
+    );
+  });
+
+  test('Should throw if last moderator is demoted', async () => {
+    const {roomId, userIdOne, processor} = await prepTwoUsersInOneRoomWithOneStory();
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId,
+          name: 'setUserRole',
+          payload: {
+            userId: userIdOne,
+            role: 'participant'
+          }
+        },
+        userIdOne
+      )
+    ).rejects.toThrow('The last moderator of a room cannot be demoted!');
+  });
+
+  test('Should throw if spectator is promoted', async () => {
+    const {
+      roomId,
+      userIdOne,
+      userIdTwo,
+      processor,
+      mockRoomsStore
+    } = await prepTwoUsersInOneRoomWithOneStory();
+
+    mockRoomsStore.manipulate((room) => {
+      room.users[1].spectator = true;
+      return room;
+    });
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId,
+          name: 'setUserRole',
+          payload: {
+            userId: userIdTwo,
+            role: 'moderator'
+          }
+        },
+        userIdOne
+      )
+    ).rejects.toThrow('Spectators cannot be moderators!');
+  });
+
+  test('Should throw if userId does not match any user from the room', async () => {
+    const {roomId, userIdOne, processor} = await prepTwoUsersInOneRoomWithOneStory();
+    const unknownUserId = uuid();
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId,
+          name: 'setUserRole',
+          payload: {
+            userId: unknownUserId,
+            role: 'moderator'
+          }
+        },
+        userIdOne
+      )
+    ).rejects.toThrow(`Given user ${unknownUserId} does not belong to room ${roomId}`);
+  });
+
+  test('Should throw if role is invalid', async () => {
+    const {roomId, userIdOne, userIdTwo, processor} = await prepTwoUsersInOneRoomWithOneStory();
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId,
+          name: 'setUserRole',
+          payload: {
+            userId: userIdTwo,
+            role: 'admin'
+          }
+        },
+        userIdOne
+      )
+    ).rejects.toThrow(/Command validation Error during "setUserRole"/);
+  });
+});
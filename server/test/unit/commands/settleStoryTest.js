@@ -0,0 +1,247 @@
+import {v4 as uuid} from 'uuid';
+import {prepTwoUsersInOneRoomWithOneStoryAndEstimate} from '../testUtils';
+
+test('Should produce storySettled event', async () => {
+  const {
+    processor,
+    roomId,
+    storyId,
+    userIdOne,
+    mockRoomsStore
+  } = await prepTwoUsersInOneRoomWithOneStoryAndEstimate();
+
+  mockRoomsStore.manipulate((room) => {
+    room.stories[0].revealed = true;
+    return room;
+  });
+
+  const commandId = uuid();
+  const {producedEvents, room} = await processor(
+    {
+      id: commandId,
+      roomId,
+      name: 'settleStory',
+      payload: {
+        storyId,
+        value: 8
+      }
+    },
+    userIdOne
+  );
+
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'storySettled');
+
+  const [storySettledEvent] = producedEvents;
+
+  expect(storySettledEvent.payload).toEqual({
+    storyId,
+    value: 8
+  });
+
+  expect(room.stories[0].consensus).toBe(8);
+});
+
+test('Should overwrite previously achieved consensus', async () => {
+  const {
+    processor,
+    roomId,
+    storyId,
+    userIdTwo,
+    mockRoomsStore
+  } = await prepTwoUsersInOneRoomWithOneStoryAndEstimate();
+
+  mockRoomsStore.manipulate((room) => {
+    room.stories[0].revealed = true;
+    room.stories[0].consensus = 5;
+    return room;
+  });
+
+  const commandId = uuid();
+  const {producedEvents, room} = await processor(
+    {
+      id: commandId,
+      roomId,
+      name: 'settleStory',
+      payload: {
+        storyId,
+        value: 3
+      }
+    },
+    userIdTwo
+  );
+
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'storySettled');
+  expect(room.stories[0].consensus).toBe(3);
+});
+
+test('Should accept values of custom card config', async () => {
+  const {
+    processor,
+    roomId,
+    storyId,
+    userIdOne,
+    mockRoomsStore
+  } = await prepTwoUsersInOneRoomWithOneStoryAndEstimate();
+
+  mockRoomsStore.manipulate((room) => {
+    room.stories[0].revealed = true;
+    room.cardConfig = [
+      {label: 'small', value: 100, color: 'green'},
+      {label: 'large', value: 200, color: 'red'}
+    ];
+    return room;
+  });
+
+  const commandId = uuid();
+  const {room} = await processor(
+    {
+      id: commandId,
+      roomId,
+      name: 'settleStory',
+      payload: {
+        storyId,
+        value: 200
+      }
+    },
+    userIdOne
+  );
+
+  expect(room.stories[0].consensus).toBe(200);
+});
+
+describe('preconditions', () => {
+  test('Should throw if story is not revealed', async () => {
+    const {
+      processor,
+      roomId,
+      storyId,
+      userIdOne
+    } = await prepTwoUsersInOneRoomWithOneStoryAndEstimate();
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId,
+          name: 'settleStory',
+          payload: {
+            storyId,
+            value: 5
+          }
+        },
+        userIdOne
+      )
+    ).rejects.toThrow('You cannot settle a story that is not revealed!');
+  });
+
+  test('Should throw if value does not match a card', async () => {
+    const {
+      processor,
+      roomId,
+      storyId,
+      userIdOne,
+      mockRoomsStore
+    } = await prepTwoUsersInOneRoomWithOneStoryAndEstimate();
+
+    mockRoomsStore.manipulate((room) => {
+      room.stories[0].revealed = true;
+      return room;
+    });
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId,
+          name: 'settleStory',
+          payload: {
+            storyId,
+            value: 4
+          }
+        },
+        userIdOne
+      )
+    ).rejects.toThrow('Given value 4 does not match any card of this room!');
+  });
+
+  test('Should throw if value does not match a card of the own card deck of the story', async () => {
+    const {
+      processor,
+      roomId,
+      storyId,
+      userIdOne,
+      mockRoomsStore
+    } = await prepTwoUsersInOneRoomWithOneStoryAndEstimate();
+
+    mockRoomsStore.manipulate((room) => {
+      room.stories[0].revealed = true;
+      room.stories[0].cardConfig = [{label: 'S', value: 1, color: 'green', position: 0}];
+      return room;
+    });
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId,
+          name: 'settleStory',
+          payload: {
+            storyId,
+            value: 5 // part of the room's card config, but not of the story's
+          }
+        },
+        userIdOne
+      )
+    ).rejects.toThrow('Given value 5 does not match any card of this story!');
+  });
+
+  test('Should throw if story is trashed', async () => {
+    const {
+      processor,
+      roomId,
+      storyId,
+      userIdOne,
+      mockRoomsStore
+    } = await prepTwoUsersInOneRoomWithOneStoryAndEstimate();
+
+    mockRoomsStore.manipulate((room) => {
+      room.stories[0].revealed = true;
+      room.stories[0].trashed = true;
+      return room;
+    });
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId,
+          name: 'settleStory',
+          payload: {
+            storyId,
+            value: 5
+          }
+        },
+        userIdOne
+      )
+    ).rejects.toThrow('is marked as "trashed"');
+  });
+
+  test('Should throw if story does not belong to room', async () => {
+    const {processor, roomId, userIdOne} = await prepTwoUsersInOneRoomWithOneStoryAndEstimate();
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId,
+          name: 'settleStory',
+          payload: {
+            storyId: 'unknown-story',
+            value: 5
+          }
+        },
+        userIdOne
+      )
+    ).rejects.toThrow('Given story unknown-story does not belong to room');
+  });
+});
@@ -0,0 +1,180 @@
+import {v4 as uuid} from 'uuid';
+import {prepTwoUsersInOneRoomWithOneStory} from '../testUtils';
+
+test('Should produce timerStarted event', async () => {
+  const {roomId, storyId, userIdOne, processor} = await prepTwoUsersInOneRoomWithOneStory();
+  const commandId = uuid();
+
+  const {producedEvents, room} = await processor(
+    {
+      id: commandId,
+      roomId,
+      name: 'startTimer',
+      payload: {
+        storyId,
+        duration: 60
+      }
+    },
+    userIdOne
+  );
+
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'timerStarted');
+
+  const [timerStartedEvent] = producedEvents;
+  expect(timerStartedEvent.payload).toEqual({
+    storyId,
+    duration: 60,
+    startedAt: expect.any(Number)
+  });
+
+  expect(room.timer).toEqual({
+    storyId,
+    duration: 60,
+    startedAt: timerStartedEvent.payload.startedAt,
+    startedBy: userIdOne
+  });
+});
+
+test('Should remove timer on reveal', async () => {
+  const {roomId, storyId, userIdOne, processor} = await prepTwoUsersInOneRoomWithOneStory();
+
+  await processor(
+    {
+      id: uuid(),
+      roomId,
+      name: 'startTimer',
+      payload: {
+        storyId,
+        duration: 60
+      }
+    },
+    userIdOne
+  );
+
+  const {room} = await processor(
+    {
+      id: uuid(),
+      roomId,
+      name: 'reveal',
+      payload: {
+        storyId
+      }
+    },
+    userIdOne
+  );
+
+  expect(room.timer).toBeUndefined();
+});
+
+test('Should remove timer if another story is selected', async () => {
+  const {roomId, storyId, userIdOne, processor} = await prepTwoUsersInOneRoomWithOneStory();
+
+  await processor(
+    {
+      id: uuid(),
+      roomId,
+      name: 'startTimer',
+      payload: {
+        storyId,
+        duration: 60
+      }
+    },
+    userIdOne
+  );
+
+  const {producedEvents} = await processor(
+    {
+      id: uuid(),
+      roomId,
+      name: 'addStory',
+      payload: {
+        title: 'another story'
+      }
+    },
+    userIdOne
+  );
+
+  const {room} = await processor(
+    {
+      id: uuid(),
+      roomId,
+      name: 'selectStory',
+      payload: {
+        storyId: producedEvents[0].payload.storyId
+      }
+    },
+    userIdOne
+  );
+
+  expect(room.timer).toBeUndefined();
+});
+
+describe('preconditions', () => {
+  test('Should throw if story is not the selected story', async () => {
+    const {roomId, userIdOne, processor} = await prepTwoUsersInOneRoomWithOneStory();
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId,
+          name: 'startTimer',
+          payload: {
+            storyId: uuid(),
+            duration: 60
+          }
+        },
+        userIdOne
+      )
+    ).rejects.toThrow('Can only start the timer for currently selected story!');
+  });
+
+  test('Should throw if story is already revealed', async () => {
+    const {
+      roomId,
+      storyId,
+      userIdOne,
+      processor,
+      mockRoomsStore
+    } = await prepTwoUsersInOneRoomWithOneStory();
+
+    mockRoomsStore.manipulate((room) => {
+      room.stories[0].revealed = true;
+      return room;
+    });
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId,
+          name: 'startTimer',
+          payload: {
+            storyId,
+            duration: 60
+          }
+        },
+        userIdOne
+      )
+    ).rejects.toThrow('Cannot start the timer for a story that is already revealed!');
+  });
+
+  test('Should throw if duration is out of range', async () => {
+    const {roomId, storyId, userIdOne, processor} = await prepTwoUsersInOneRoomWithOneStory();
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId,
+          name: 'startTimer',
+          payload: {
+            storyId,
+            duration: 2
+          }
+        },
+        userIdOne
+      )
+    ).rejects.toThrow('Value 2 is less than minimum 5');
+  });
+});
@@ -0,0 +1,50 @@
+import {v4 as uuid} from 'uuid';
+import {prepTwoUsersInOneRoomWithOneStory} from '../testUtils';
+
+test('Should produce timerStopped event', async () => {
+  const {
+    roomId,
+    storyId,
+    userIdTwo,
+    processor,
+    mockRoomsStore
+  } = await prepTwoUsersInOneRoomWithOneStory();
+
+  mockRoomsStore.manipulate((room) => {
+    room.timer = {storyId, duration: 60, startedAt: Date.now()};
+    return room;
+  });
+
+  const commandId = uuid();
+  const {producedEvents, room} = await processor(
+    {
+      id: commandId,
+      roomId,
+      name: 'stopTimer',
+      payload: {}
+    },
+    userIdTwo
+  );
+
+  expect(producedEvents).toMatchEvents(commandId, roomId, 'timerStopped');
+  expect(producedEvents[0].payload).toEqual({storyId});
+  expect(room.timer).toBeUndefined();
+});
+
+describe('preconditions', () => {
+  test('Should throw if no timer is running', async () => {
+    const {roomId, userIdOne, processor} = await prepTwoUsersInOneRoomWithOneStory();
+
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId,
+          name: 'stopTimer',
+          payload: {}
+        },
+        userIdOne
+      )
+    ).rejects.toThrow('There is no running timer in this room!');
+  });
+});
@@ -58,7 +58,7 @@ test('Should not produce "revealed" event if autoReveal is off', async () => {
       name: 'giveStoryEstimate',
       payload: {
         storyId: storyId,
-        value: 4
+        value: 5
       }
     },
     userIdOne // first user estimates story
@@ -80,13 +80,16 @@ test('Should not produce "revealed" event if autoReveal is off', async () => {
   expect(producedEvents).toMatchEvents(
     commandId,
     roomId,
-    'storyEstimateGiven' /* no revealed event here  */
+    'storyEstimateGiven',
+    'ownEstimateGiven' /* no revealed event here  */
   );
 
-  const [storyEstimateGivenEvent] = producedEvents;
+  const [storyEstimateGivenEvent, ownEstimateGivenEvent] = producedEvents;
 
   expect(storyEstimateGivenEvent.payload.storyId).toEqual(storyId);
-  expect(storyEstimateGivenEvent.payload.value).toBe(2);
+  expect(storyEstimateGivenEvent.payload.value).toBeUndefined(); // value is sealed
+  expect(ownEstimateGivenEvent.restricted).toBe(true);
+  expect(ownEstimateGivenEvent.payload.value).toBe(2);
 
   expect(room.stories.length).toBe(1);
   expect(room.stories[0].revealed).toBeUndefined(); // story is not revealed
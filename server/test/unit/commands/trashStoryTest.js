@@ -1,6 +1,6 @@
 import {v4 as uuid} from 'uuid';
 
-import {prepOneUserInOneRoomWithOneStory} from '../testUtils';
+import {prepOneUserInOneRoomWithOneStory, prepTwoUsersInOneRoomWithOneStory} from '../testUtils';
 
 test('Should produce storyTrashed event', async () => {
   const {
@@ -179,4 +179,23 @@ describe('preconditions', () => {
       /Precondition Error during "trashStory": Given story .* does not belong to room .*/
     );
   });
+
+  test('Should throw if user is not a moderator', async () => {
+    const {userIdTwo, processor, roomId, storyId} = await prepTwoUsersInOneRoomWithOneStory();
+    return expect(
+      processor(
+        {
+          id: uuid(),
+          roomId,
+          name: 'trashStory',
+          payload: {
+            storyId
+          }
+        },
+        userIdTwo
+      )
+    ).rejects.toThrow(
+      'Precondition Error during "trashStory": Only moderators are allowed to do this!'
+    );
+  });
 });
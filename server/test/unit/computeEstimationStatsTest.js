@@ -0,0 +1,181 @@
+import computeEstimationStats from '../../src/eventHandlers/computeEstimationStats';
+
+test('no estimations', () => {
+  expect(computeEstimationStats({})).toEqual({
+    estimationCount: 0,
+    distribution: [],
+    highestVoters: [],
+    lowestVoters: []
+  });
+});
+
+test('numeric estimations', () => {
+  const stats = computeEstimationStats({
+    userA: 1,
+    userB: 5,
+    userC: 5,
+    userD: 13,
+    userE: 0.5
+  });
+
+  expect(stats).toEqual({
+    estimationCount: 5,
+    mean: 4.9,
+    median: 5,
+    min: 0.5,
+    max: 13,
+    standardDeviation: expect.any(Number),
+    distribution: [
+      {value: 0.5, label: '1/2', count: 1},
+      {value: 1, label: '1', count: 1},
+      {value: 5, label: '5', count: 2},
+      {value: 13, label: '13', count: 1}
+    ],
+    highest: '13',
+    lowest: '1/2',
+    highestVoters: ['userD'],
+    lowestVoters: ['userE']
+  });
+  expect(stats.standardDeviation).toBeCloseTo(4.477, 3);
+});
+
+test('median of even number of estimations', () => {
+  const stats = computeEstimationStats({
+    userA: 8,
+    userB: 2,
+    userC: 3,
+    userD: 1
+  });
+
+  expect(stats.median).toBe(2.5);
+  expect(stats.lowestVoters).toEqual(['userD']);
+  expect(stats.highestVoters).toEqual(['userA']);
+});
+
+test('special cards are only counted in distribution', () => {
+  const stats = computeEstimationStats({
+    userA: -2, // "?"
+    userB: -1, // "BIG"
+    userC: 3,
+    userD: 8,
+    userE: -1
+  });
+
+  expect(stats).toEqual({
+    estimationCount: 5,
+    mean: 5.5,
+    median: 5.5,
+    min: 3,
+    max: 8,
+    standardDeviation: 2.5,
+    distribution: [
+      {value: -2, label: '?', count: 1},
+      {value: 3, label: '3', count: 1},
+      {value: 8, label: '8', count: 1},
+      {value: -1, label: 'BIG', count: 2}
+    ],
+    highest: '8',
+    lowest: '3',
+    highestVoters: ['userD'],
+    lowestVoters: ['userC']
+  });
+});
+
+test('only special cards', () => {
+  expect(
+    computeEstimationStats({
+      userA: -2,
+      userB: -1
+    })
+  ).toEqual({
+    estimationCount: 2,
+    distribution: [
+      {value: -2, label: '?', count: 1},
+      {value: -1, label: 'BIG', count: 1}
+    ],
+    highestVoters: [],
+    lowestVoters: []
+  });
+});
+
+describe('non-numeric card deck', () => {
+  const tShirtCardConfig = [
+    {label: '?', value: -2, color: 'grey', position: 0},
+    {label: 'S', value: 7, color: 'green', position: 1},
+    {label: 'M', value: 3, color: 'yellow', position: 2},
+    {label: 'L', value: 1, color: 'red', position: 3}
+  ];
+
+  test('distribution and highest / lowest by card position, no numeric statistics without weights', () => {
+    expect(
+      computeEstimationStats(
+        {
+          userA: 1, // L
+          userB: 7, // S
+          userC: 3, // M
+          userD: 7, // S
+          userE: -2
+        },
+        tShirtCardConfig
+      )
+    ).toEqual({
+      estimationCount: 5,
+      distribution: [
+        {value: -2, label: '?', count: 1},
+        {value: 7, label: 'S', count: 2},
+        {value: 3, label: 'M', count: 1},
+        {value: 1, label: 'L', count: 1}
+      ],
+      highest: 'L',
+      lowest: 'S',
+      highestVoters: ['userA'],
+      lowestVoters: ['userB', 'userD']
+    });
+  });
+
+  test('numeric statistics over card weights', () => {
+    const weightedCardConfig = tShirtCardConfig.map((card, index) =>
+      card.value >= 0 ? {...card, weight: index * 10} : card
+    );
+
+    expect(
+      computeEstimationStats(
+        {
+          userA: 1, // L (30)
+          userB: 7 // S (10)
+        },
+        weightedCardConfig
+      )
+    ).toMatchObject({
+      mean: 20,
+      median: 20,
+      min: 10,
+      max: 30,
+      standardDeviation: 10,
+      highest: 'L',
+      lowest: 'S'
+    });
+  });
+
+  test('values that are no longer in the card config are only counted in distribution', () => {
+    expect(
+      computeEstimationStats(
+        {
+          userA: 5,
+          userB: 3
+        },
+        tShirtCardConfig
+      )
+    ).toEqual({
+      estimationCount: 2,
+      distribution: [
+        {value: 3, label: 'M', count: 1},
+        {value: 5, label: '5', count: 1}
+      ],
+      highest: 'M',
+      lowest: 'M',
+      highestVoters: ['userB'],
+      lowestVoters: ['userB']
+    });
+  });
+});
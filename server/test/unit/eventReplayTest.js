@@ -0,0 +1,146 @@
+import {v4 as uuid} from 'uuid';
+
+import {prepEmpty, prepTwoUsersInOneRoomWithOneStoryAndEstimate} from './testUtils';
+import eventHandlers from '../../src/eventHandlers/eventHandlers';
+import replayRoomEvents, {rebuildRoom} from '../../src/eventReplay';
+
+test('Should rebuild room from its events', async () => {
+  const {
+    roomId,
+    userIdTwo,
+    storyId,
+    processor,
+    mockRoomsStore
+  } = await prepTwoUsersInOneRoomWithOneStoryAndEstimate('jimmy', 'some story', 5);
+
+  await processor(
+    {
+      id: uuid(),
+      roomId,
+      name: 'giveStoryEstimate',
+      payload: {storyId, value: 3}
+    },
+    userIdTwo
+  );
+
+  const room = await mockRoomsStore.getRoomById(roomId);
+  const {events} = await mockRoomsStore.getEvents(roomId);
+
+  const rebuiltRoom = replayRoomEvents(eventHandlers, roomId, events);
+
+  expect(rebuiltRoom).toEqual({
+    ...room,
+    created: expect.any(Number) // timestamp of the "roomCreated" event (few ms after the creation)
+  });
+  expect(rebuiltRoom.stories[0].revealed).toBe(true);
+});
+
+test('Should rebuild room with password (payload modified by event handler)', async () => {
+  const {processor, mockRoomsStore} = prepEmpty();
+  const roomId = uuid();
+
+  await processor(
+    {
+      id: uuid(),
+      roomId,
+      name: 'joinRoom',
+      payload: {
+        username: 'jimmy',
+        password: 'super-secret'
+      }
+    },
+    uuid()
+  );
+
+  const room = await mockRoomsStore.getRoomById(roomId);
+  const {events} = await mockRoomsStore.getEvents(roomId);
+
+  expect(events[0].payload).toEqual({}); // password was removed for clients
+  expect(events[0].replayPayload.password).toBeDefined();
+
+  const rebuiltRoom = replayRoomEvents(eventHandlers, roomId, events);
+  expect(rebuiltRoom.password).toEqual(room.password);
+  expect(rebuiltRoom).toEqual({...room, created: expect.any(Number)});
+});
+
+test('Should rebuild room up to a given event', async () => {
+  const {
+    roomId,
+    userIdOne,
+    storyId,
+    processor,
+    mockRoomsStore
+  } = await prepTwoUsersInOneRoomWithOneStoryAndEstimate('jimmy', 'some story', 5);
+
+  await processor(
+    {
+      id: uuid(),
+      roomId,
+      name: 'trashStory',
+      payload: {storyId}
+    },
+    userIdOne
+  );
+
+  const {events} = await mockRoomsStore.getEvents(roomId);
+  const storyAddedEvent = events.find((evt) => evt.name === 'storyAdded');
+
+  const rebuiltRoom = replayRoomEvents(eventHandlers, roomId, events, storyAddedEvent.id);
+
+  expect(rebuiltRoom.stories.length).toBe(1);
+  expect(rebuiltRoom.stories[0].estimations).toEqual({});
+  expect(rebuiltRoom.stories[0].trashed).toBeUndefined();
+  expect(rebuiltRoom.lastActivity).toBe(storyAddedEvent.timestamp);
+});
+
+test('Should save rebuilt room to store', async () => {
+  const {
+    roomId,
+    processor,
+    userIdOne,
+    mockRoomsStore
+  } = await prepTwoUsersInOneRoomWithOneStoryAndEstimate();
+
+  // room in store is corrupted by a faulty manual db operation
+  const room = await mockRoomsStore.getRoomById(roomId);
+  mockRoomsStore.manipulate((rm) => ({...rm, stories: []}));
+
+  const rebuiltRoom = await rebuildRoom(eventHandlers, mockRoomsStore, roomId);
+
+  // saved with the next revision
+  expect(rebuiltRoom).toEqual({...room, created: expect.any(Number), revision: room.revision + 1});
+  expect(await mockRoomsStore.getRoomById(roomId)).toEqual(rebuiltRoom);
+
+  // room can be used as before
+  const {room: roomAfterCommand} = await processor(
+    {
+      id: uuid(),
+      roomId,
+      name: 'reveal',
+      payload: {storyId: room.stories[0].id}
+    },
+    userIdOne
+  );
+  expect(roomAfterCommand.stories[0].revealed).toBe(true);
+  expect(roomAfterCommand.revision).toBe(room.revision + 2);
+});
+
+test('Should throw if event log does not start with "roomCreated"', async () => {
+  const {roomId, mockRoomsStore} = await prepTwoUsersInOneRoomWithOneStoryAndEstimate();
+
+  const {events} = await mockRoomsStore.getEvents(roomId);
+
+  expect(() => replayRoomEvents(eventHandlers, roomId, events.slice(1))).toThrow(
+    'First event must be "roomCreated"'
+  );
+});
+
+test('Should throw on unknown event id', async () => {
+  const {roomId, mockRoomsStore} = await prepTwoUsersInOneRoomWithOneStoryAndEstimate();
+
+  const {events} = await mockRoomsStore.getEvents(roomId);
+
+  expect(() => replayRoomEvents(eventHandlers, roomId, events, 'unknown-id')).toThrow(
+    'No event with id unknown-id'
+  );
+});
@@ -0,0 +1,55 @@
+import {roomExportToCsv, roomExportToMarkdown} from '../../src/exportFormatters';
+
+const roomExport = {
+  roomId: 'custom-room',
+  exportedAt: 1599237099010,
+  stories: [
+    {
+      title: 'first',
+      key: 'PRJ-1',
+      url: 'https://jira.example.com/browse/PRJ-1',
+      description: 'with "quotes", commas\nand a newline',
+      labels: ['frontend', 'spike'],
+      consensus: '5',
+      estimations: [
+        {username: 'Sergio', value: '5'},
+        {username: 'Foxy', value: '5'}
+      ]
+    },
+    {
+      title: 'second | piped',
+      description: '',
+      estimations: [
+        {username: 'Foxy', value: '?'},
+        {username: 'Jim', value: '1/2'}
+      ]
+    },
+    {
+      title: 'third, not estimated',
+      estimations: []
+    }
+  ]
+};
+
+test('roomExportToCsv', () => {
+  const csv = roomExportToCsv(roomExport);
+
+  expect(csv).toBe(
+    'Key,Title,Description,URL,Labels,Final Estimate,Foxy,Jim,Sergio\r\n' +
+      'PRJ-1,first,"with ""quotes"", commas\nand a newline",https://jira.example.com/browse/PRJ-1,"frontend, spike",5,5,,5\r\n' +
+      ',second | piped,,,,,?,1/2,\r\n' +
+      ',"third, not estimated",,,,,,,\r\n'
+  );
+});
+
+test('roomExportToMarkdown', () => {
+  const markdown = roomExportToMarkdown(roomExport);
+
+  expect(markdown).toBe(
+    '| Key | Title | Description | URL | Labels | Final Estimate | Foxy | Jim | Sergio |\n' +
+      '| --- | --- | --- | --- | --- | --- | --- | --- | --- |\n' +
+      '| PRJ-1 | first | with "quotes", commas<br>and a newline | https://jira.example.com/browse/PRJ-1 | frontend, spike | 5 | 5 |  | 5 |\n' +
+      '|  | second \\| piped |  |  |  |  | ? | 1/2 |  |\n' +
+      '|  | third, not estimated |  |  |  |  |  |  |  |\n'
+  );
+});
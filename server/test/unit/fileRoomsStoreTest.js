@@ -0,0 +1,91 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {v4 as uuid} from 'uuid';
+
+import fileRoomsStore from '../../src/store/fileRoomsStore';
+import roomsStoreContract from '../roomsStoreContract';
+import {RevisionConflictError} from '../../src/store/revisionConflict';
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'poinz-file-store-test-'));
+
+afterAll(() => {
+  fs.rmdirSync(directory, {recursive: true});
+});
+
+describe('rooms store contract', () => {
+  roomsStoreContract(fileRoomsStore, () => ({directory}), 'FileRoomsStore');
+});
+
+test('should reject with missing directory in config', async () => {
+  return expect(fileRoomsStore.init({})).rejects.toThrow(/Please provide "directory"/);
+});
+
+test('should read rooms and events from the files on init', async () => {
+  const roomId = uuid();
+
+  await fileRoomsStore.init({directory});
+  await fileRoomsStore.saveRoom({id: roomId, users: {}, other: 'data'});
+  await fileRoomsStore.appendEvents(roomId, [{id: 'one', name: 'roomCreated'}]);
+  await fileRoomsStore.close();
+
+  expect(await fileRoomsStore.getRoomById(roomId)).toBeUndefined();
+
+  // "restart"
+  await fileRoomsStore.init({directory});
+
+  expect(await fileRoomsStore.getRoomById(roomId)).toEqual({id: roomId, users: {}, other: 'data'});
+  const {total, events} = await fileRoomsStore.getEvents(roomId);
+  expect(total).toBe(1);
+  expect(events[0]).toEqual({id: 'one', name: 'roomCreated', roomId});
+
+  await fileRoomsStore.close();
+});
+
+test('should detect revision conflict of concurrent saves', async () => {
+  const roomId = uuid();
+
+  await fileRoomsStore.init({directory});
+  await fileRoomsStore.saveRoom({id: roomId, users: {}, revision: 1});
+
+  // e.g. a command and the housekeeping save the room at the same time, both loaded revision 1
+  const results = await Promise.all([
+    fileRoomsStore.saveRoom({id: roomId, users: {}, revision: 2, by: 'command'}, 1).catch((e) => e),
+    fileRoomsStore
+      .saveRoom({id: roomId, users: {}, revision: 2, by: 'housekeeping'}, 1)
+      .catch((e) => e)
+  ]);
+
+  expect(results[0]).toBeUndefined();
+  expect(results[1]).toBeInstanceOf(RevisionConflictError);
+
+  // "restart", file contains the winning save
+  await fileRoomsStore.close();
+  await fileRoomsStore.init({directory});
+  expect(await fileRoomsStore.getRoomById(roomId)).toEqual({
+    id: roomId,
+    users: {},
+    revision: 2,
+    by: 'command'
+  });
+
+  await fileRoomsStore.close();
+});
+
+test('should write the latest room to the file on concurrent saves', async () => {
+  const roomId = uuid();
+
+  await fileRoomsStore.init({directory});
+  await Promise.all(
+    [1, 2, 3, 4, 5].map((revision) => fileRoomsStore.saveRoom({id: roomId, users: {}, revision}))
+  );
+  await fileRoomsStore.close();
+
+  await fileRoomsStore.init({directory});
+  expect((await fileRoomsStore.getRoomById(roomId)).revision).toBe(5);
+  expect(fs.readdirSync(path.join(directory, 'rooms')).filter((f) => f.endsWith('.tmp'))).toEqual(
+    []
+  );
+
+  await fileRoomsStore.close();
+});
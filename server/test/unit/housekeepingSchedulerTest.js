@@ -0,0 +1,54 @@
+import housekeepingSchedulerFactory from '../../src/housekeepingScheduler';
+
+const config = {inactivityThresholdMs: 1000, gracePeriodMs: 500, intervalMs: 60000};
+
+const mockStore = (housekeeping) => ({
+  housekeeping: jest.fn(
+    housekeeping || (() => Promise.resolve({markedForDeletion: [], deleted: []}))
+  )
+});
+
+let scheduler;
+
+afterEach(() => {
+  scheduler.stop();
+  jest.useRealTimers();
+});
+
+test('Should run housekeeping on start and then periodically', async () => {
+  jest.useFakeTimers();
+  const store = mockStore();
+  scheduler = housekeepingSchedulerFactory(store, config);
+
+  await scheduler.start();
+  expect(store.housekeeping).toHaveBeenCalledTimes(1);
+  expect(store.housekeeping).toHaveBeenCalledWith({
+    inactivityThresholdMs: 1000,
+    gracePeriodMs: 500
+  });
+
+  jest.advanceTimersByTime(60000);
+  expect(store.housekeeping).toHaveBeenCalledTimes(2);
+
+  jest.advanceTimersByTime(60000);
+  expect(store.housekeeping).toHaveBeenCalledTimes(3);
+});
+
+test('Should no longer run after stop', async () => {
+  jest.useFakeTimers();
+  const store = mockStore();
+  scheduler = housekeepingSchedulerFactory(store, config);
+
+  await scheduler.start();
+  scheduler.stop();
+
+  jest.advanceTimersByTime(120000);
+  expect(store.housekeeping).toHaveBeenCalledTimes(1);
+});
+
+test('Should not throw if housekeeping fails', async () => {
+  const store = mockStore(() => Promise.reject(new Error('Connection lost')));
+  scheduler = housekeepingSchedulerFactory(store, config);
+
+  await expect(scheduler.runNow()).resolves.toBeUndefined();
+});
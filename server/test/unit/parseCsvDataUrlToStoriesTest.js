@@ -1,7 +1,9 @@
 import {promises as fs} from 'fs';
 import path from 'path';
 
-import parseCsvDataUrlToStories from '../../src/commandHandlers/parseCsvDataUrlToStories';
+import parseCsvDataUrlToStories, {
+  detectDelimiter
+} from '../../src/commandHandlers/parseCsvDataUrlToStories';
 import {EXPECT_UUID_MATCHING, textToCsvDataUrl} from './testUtils';
 
 test('parse real jira csv', async () => {
@@ -17,13 +19,15 @@ test('parse real jira csv', async () => {
     description: 'His account can be deactivated end of July.',
     estimations: {},
     storyId: EXPECT_UUID_MATCHING,
-    title: 'SMRGR-6275 Something something Summary'
+    title: 'Something something Summary',
+    key: 'SMRGR-6275'
   });
   expect(stories[1]).toMatchObject({
     description: 'Hi Test,',
     estimations: {},
     storyId: EXPECT_UUID_MATCHING,
-    title: 'SMRGR-3672 Delete Users'
+    title: 'Delete Users',
+    key: 'SMRGR-3672'
   });
   expect(stories[2]).toMatchObject({
     description: `Dear test,
@@ -40,7 +44,8 @@ Sdgsdgsdg
 Much appreciated! =)`,
     estimations: {},
     storyId: EXPECT_UUID_MATCHING,
-    title: 'SMRGR-2643 timezone from AWST to HKT/SGT'
+    title: 'timezone from AWST to HKT/SGT',
+    key: 'SMRGR-2643'
   });
   expect(stories[3]).toMatchObject({
     description: `Use cases:
@@ -53,7 +58,8 @@ Steps to reproduce:
 Dsfh`,
     estimations: {},
     storyId: EXPECT_UUID_MATCHING,
-    title: 'SMRGR-2151 Optimize messages'
+    title: 'Optimize messages',
+    key: 'SMRGR-2151'
   });
 });
 
@@ -65,8 +71,10 @@ test('parse csv with missing fields: should skip stories without title', async (
   expect(stories.length).toBe(1);
 });
 
-test('parse csv with generic fields: "title" "description"  "key"', async () => {
-  const dataUrl = textToCsvDataUrl('title,key,description\nfirst story,PRJ-123,this is a test');
+test('parse csv with generic fields: "title" "description"  "key" "url"', async () => {
+  const dataUrl = textToCsvDataUrl(
+    'title,key,description,url\nfirst story,PRJ-123,this is a test,https://jira.example.com/browse/PRJ-123'
+  );
 
   const stories = parseCsvDataUrlToStories(dataUrl);
 
@@ -75,6 +83,120 @@ test('parse csv with generic fields: "title" "description"  "key"', async () =>
     description: 'this is a test',
     estimations: {},
     storyId: EXPECT_UUID_MATCHING,
-    title: 'PRJ-123 first story'
+    title: 'first story',
+    key: 'PRJ-123',
+    url: 'https://jira.example.com/browse/PRJ-123'
   });
 });
+
+test('parse semicolon separated csv (e.g. from Excel with german locale)', async () => {
+  const dataUrl = textToCsvDataUrl(
+    '\ufeffSummary;Issue key;Description\nfirst story;PRJ-1;some, description\nsecond story;PRJ-2;'
+  );
+
+  const stories = parseCsvDataUrlToStories(dataUrl);
+
+  expect(stories.length).toBe(2);
+  expect(stories[0]).toMatchObject({
+    title: 'first story',
+    key: 'PRJ-1',
+    description: 'some, description'
+  });
+  expect(stories[1].title).toBe('second story');
+  expect(stories[1].key).toBe('PRJ-2');
+});
+
+test('parse csv with column mapping', async () => {
+  const dataUrl = textToCsvDataUrl(
+    'ID,Work Item Type,Name,Details,Effort,Link\n' +
+      '42,User Story,first story,"some details, with comma",5,https://dev.example.com/items/42\n' +
+      '43,Bug,second story,,"0,5",not a url\n' +
+      '44,Bug,third story,,7,\n' +
+      '45,Bug,,no name,3,'
+  );
+
+  const stories = parseCsvDataUrlToStories(
+    dataUrl,
+    {title: 'Name', key: 'ID', url: 'Link', description: 'Details', estimate: 'Effort'},
+    [
+      {label: '1/2', value: 0.5},
+      {label: '3', value: 3},
+      {label: '5', value: 5}
+    ]
+  );
+
+  expect(stories.length).toBe(3);
+  expect(stories[0]).toMatchObject({
+    title: 'first story',
+    key: '42',
+    url: 'https://dev.example.com/items/42',
+    description: 'some details, with comma',
+    consensus: 5,
+    revealed: true,
+    estimations: {},
+    storyId: EXPECT_UUID_MATCHING
+  });
+  expect(stories[1]).toMatchObject({
+    title: 'second story',
+    key: '43',
+    description: '',
+    consensus: 0.5,
+    revealed: true
+  });
+  expect(stories[1].url).toBeUndefined();
+  // 7 does not match a card
+  expect(stories[2].title).toBe('third story');
+  expect(stories[2].consensus).toBeUndefined();
+  expect(stories[2].revealed).toBeUndefined();
+});
+
+test('parse csv with column mapping: title only', async () => {
+  const dataUrl = textToCsvDataUrl('Summary,Issue key,Name\nnot used,PRJ-1,the title');
+
+  const stories = parseCsvDataUrlToStories(dataUrl, {title: 'Name'});
+
+  expect(stories.length).toBe(1);
+  expect(stories[0]).toEqual({
+    title: 'the title',
+    description: '',
+    estimations: {},
+    storyId: EXPECT_UUID_MATCHING,
+    createdAt: expect.any(Number)
+  });
+});
+
+test('parse csv with column mapping: mapped column not in csv', async () => {
+  const dataUrl = textToCsvDataUrl('Name,Details\nfirst story,some details');
+
+  expect(() => parseCsvDataUrlToStories(dataUrl, {title: 'Name', description: 'Descr'})).toThrow(
+    /Could not parse to stories Error: Column "Descr" not found in csv/
+  );
+});
+
+test('detect delimiter', () => {
+  expect(detectDelimiter('a,b,c\n1;2;3;4;5')).toBe(',');
+  expect(detectDelimiter('a;b;c\n1,2,3,4,5')).toBe(';');
+  expect(detectDelimiter('a\tb\tc')).toBe('\t');
+  expect(detectDelimiter('"a;b;c",d,e')).toBe(',');
+  expect(detectDelimiter('title')).toBe(',');
+});
+
+test('parse csv with labels', async () => {
+  const dataUrl = textToCsvDataUrl(
+    'Summary,Labels\nfirst story,"frontend, spike"\nsecond story,backend sprint-42 backend\nthird story,'
+  );
+
+  const stories = parseCsvDataUrlToStories(dataUrl);
+
+  expect(stories[0].labels).toEqual(['frontend', 'spike']);
+  expect(stories[1].labels).toEqual(['backend', 'sprint-42']);
+  expect(stories[2].labels).toBeUndefined();
+});
+
+test('parse csv with column mapping: labels', async () => {
+  const dataUrl = textToCsvDataUrl('Name;Tags\nfirst story;ui ux');
+
+  const stories = parseCsvDataUrlToStories(dataUrl, {title: 'Name', labels: 'Tags'});
+
+  expect(stories[0].labels).toEqual(['ui', 'ux']);
+});
@@ -0,0 +1,167 @@
+import {v4 as uuid} from 'uuid';
+
+import parseJsonDataUrlToStories from '../../src/commandHandlers/parseJsonDataUrlToStories';
+import defaultCardConfig from '../../src/defaultCardConfig';
+import {EXPECT_UUID_MATCHING, objectToJsonDataUrl} from './testUtils';
+
+const roomExport = {
+  roomId: 'some-room',
+  exportedAt: 1600000000000,
+  stories: [
+    {
+      title: 'first story',
+      description: 'some description',
+      consensus: '5',
+      estimations: [
+        {username: 'jimmy', value: '1/2'},
+        {username: 'john', value: '3'}
+      ],
+      rounds: []
+    },
+    {
+      title: 'second story',
+      key: 'PRJ-2',
+      url: 'https://jira.example.com/browse/PRJ-2',
+      labels: ['frontend', ' spike ', ''],
+      estimations: [],
+      rounds: []
+    }
+  ]
+};
+
+test('parse room export', () => {
+  const stories = parseJsonDataUrlToStories(
+    objectToJsonDataUrl(roomExport),
+    false,
+    [],
+    defaultCardConfig
+  );
+
+  expect(stories.length).toBe(2);
+  expect(stories[0]).toEqual({
+    title: 'first story',
+    description: 'some description',
+    estimations: {},
+    storyId: EXPECT_UUID_MATCHING,
+    createdAt: expect.any(Number)
+  });
+  expect(stories[1]).toEqual({
+    title: 'second story',
+    description: '',
+    key: 'PRJ-2',
+    url: 'https://jira.example.com/browse/PRJ-2',
+    labels: ['frontend', 'spike'],
+    estimations: {},
+    storyId: EXPECT_UUID_MATCHING,
+    createdAt: expect.any(Number)
+  });
+});
+
+test('parse room export with estimations: keeps consensus and estimations of known usernames', () => {
+  const jimmysUserId = uuid();
+  const users = [
+    {id: jimmysUserId, username: 'jimmy'},
+    {id: uuid(), username: 'someoneElse'}
+  ];
+
+  const stories = parseJsonDataUrlToStories(
+    objectToJsonDataUrl(roomExport),
+    true,
+    users,
+    defaultCardConfig
+  );
+
+  expect(stories.length).toBe(2);
+  expect(stories[0]).toMatchObject({
+    title: 'first story',
+    consensus: 5,
+    revealed: true,
+    estimations: {
+      [jimmysUserId]: 0.5
+    }
+  });
+  expect(stories[1].revealed).toBeUndefined();
+  expect(stories[1].consensus).toBeUndefined();
+  expect(stories[1].estimations).toEqual({});
+});
+
+test('parse room export with estimations: matches card labels of non-numeric decks and card values of older exports', () => {
+  const jimmysUserId = uuid();
+  const johnsUserId = uuid();
+  const users = [
+    {id: jimmysUserId, username: 'jimmy'},
+    {id: johnsUserId, username: 'john'}
+  ];
+  const tShirtCardConfig = [
+    {label: 'S', value: 1, color: 'green', position: 0},
+    {label: 'M', value: 2, color: 'yellow', position: 1},
+    {label: 'L', value: 3, color: 'red', position: 2}
+  ];
+
+  const dataUrl = objectToJsonDataUrl({
+    stories: [
+      {
+        title: 'labels',
+        consensus: 'M',
+        estimations: [
+          {username: 'jimmy', value: 'M'},
+          {username: 'john', value: 'XXL'} // not in the card config
+        ]
+      },
+      {
+        title: 'values (older export)',
+        consensus: 3,
+        estimations: [{username: 'jimmy', value: 1}]
+      }
+    ]
+  });
+
+  const stories = parseJsonDataUrlToStories(dataUrl, true, users, tShirtCardConfig);
+
+  expect(stories[0]).toMatchObject({
+    consensus: 2,
+    revealed: true,
+    estimations: {
+      [jimmysUserId]: 2
+    }
+  });
+  expect(stories[0].estimations[johnsUserId]).toBeUndefined();
+  expect(stories[1]).toMatchObject({
+    consensus: 3,
+    revealed: true,
+    estimations: {
+      [jimmysUserId]: 1
+    }
+  });
+});
+
+test('parse room export: should skip stories without title, fix title and description length and drop invalid key and url', () => {
+  const dataUrl = objectToJsonDataUrl({
+    stories: [
+      {title: '  ', description: 'no title'},
+      {description: 'no title at all'},
+      {title: 'long story' + '-'.repeat(130), description: 'description' + '-'.repeat(2010)},
+      {title: 'invalid key and url', key: 'PRJ 1', url: 'javascript:alert(1)'}
+    ]
+  });
+
+  const stories = parseJsonDataUrlToStories(dataUrl, false, [], defaultCardConfig);
+
+  expect(stories.length).toBe(2);
+  expect(stories[0].title).toBe('long story' + '-'.repeat(100 - 10));
+  expect(stories[0].description).toBe('description' + '-'.repeat(2000 - 11));
+  expect(stories[1].key).toBeUndefined();
+  expect(stories[1].url).toBeUndefined();
+});
+
+test('parse json that is not a room export', () => {
+  expect(() =>
+    parseJsonDataUrlToStories(objectToJsonDataUrl({foo: 'bar'}), false, [], defaultCardConfig)
+  ).toThrow(/Could not parse to stories Error: Given json is not a room export/);
+
+  const invalidJsonDataUrl =
+    'data:application/json;base64,' + Buffer.from('{"stories": [').toString('base64');
+  expect(() => parseJsonDataUrlToStories(invalidJsonDataUrl, false, [], defaultCardConfig)).toThrow(
+    /Could not parse to stories SyntaxError/
+  );
+});
@@ -0,0 +1,45 @@
+import localPubSubFactory from '../../src/pubSub/localPubSub';
+import pubSubFactory from '../../src/pubSub/pubSubFactory';
+
+test('local pub/sub delivers published events to all subscribers', async () => {
+  const pubSub = localPubSubFactory();
+  const subscriberOne = jest.fn();
+  const subscriberTwo = jest.fn();
+  pubSub.subscribe(subscriberOne);
+  pubSub.subscribe(subscriberTwo);
+
+  const event = {id: 'one', roomId: 'some-room', name: 'storyAdded', payload: {}};
+  await pubSub.publish(event);
+
+  expect(subscriberOne).toHaveBeenCalledWith(event);
+  expect(subscriberTwo).toHaveBeenCalledWith(event);
+});
+
+test('local pub/sub does not deliver to unsubscribed or after close', async () => {
+  const pubSub = localPubSubFactory();
+  const subscriberOne = jest.fn();
+  const subscriberTwo = jest.fn();
+  const unsubscribeOne = pubSub.subscribe(subscriberOne);
+  pubSub.subscribe(subscriberTwo);
+
+  unsubscribeOne();
+  await pubSub.publish({id: 'one'});
+  expect(subscriberOne).not.toHaveBeenCalled();
+  expect(subscriberTwo).toHaveBeenCalledTimes(1);
+
+  await pubSub.close();
+  await pubSub.publish({id: 'two'});
+  expect(subscriberTwo).toHaveBeenCalledTimes(1);
+});
+
+test('factory returns local pub/sub by default', () => {
+  const pubSub = pubSubFactory();
+  expect(pubSub.publish).toBeDefined();
+  expect(pubSub.subscribe).toBeDefined();
+});
+
+test('factory throws on unknown type', () => {
+  expect(() => pubSubFactory({type: 'kafka'})).toThrow(
+    'Unknown pub/sub type "kafka". Use one of local, redis'
+  );
+});
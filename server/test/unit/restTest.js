@@ -1,5 +1,24 @@
-import {buildRoomExportObject, buildStatusObject} from '../../src/rest';
-import {newMockRoomsStore} from './testUtils';
+import {v4 as uuid} from 'uuid';
+
+import {
+  buildRoomExportFile,
+  buildRoomExportObject,
+  buildRoomHistoryObject,
+  buildRoomStateAtEventObject,
+  buildRoomStateObject,
+  buildStatusObject,
+  getCommandErrorStatus,
+  getCommandUserId,
+  applyRestCommandDefaults
+} from '../../src/rest';
+import {issueJwt} from '../../src/commandHandlers/auth/jwtService';
+import {RevisionConflictError} from '../../src/store/revisionConflict';
+import {
+  newMockRoomsStore,
+  prepEmpty,
+  prepOneUserInOneRoom,
+  prepTwoUsersInOneRoomWithOneStoryAndEstimate
+} from './testUtils';
 
 test('buildStatusObject', async () => {
   const roomsStore = newMockRoomsStore({
@@ -51,24 +70,40 @@ test('buildRoomExportObject', async () => {
       {
         title: 'second',
         description: 's2 description',
+        key: 'PRJ-2',
         id: 'cda908b1-bbf9-4b04-8cf7-bf636c5cd8bd',
         estimations: {
           '0afab6a7-2b26-4bbc-bb46-294ce255729c': 3,
           '8d85c095-87bf-4e8f-9957-1e2b621f83de': 3
         },
         createdAt: 1599237099010,
-        revealed: true
+        revealed: true,
+        consensus: 3
       },
       {
         title: 'first',
         description: 's1 descr',
+        key: 'PRJ-1',
+        url: 'https://issues.example.com/custom/1',
         id: 'a4ed287c-1cfd-49d4-b237-577b7190e76e',
         estimations: {
           '0afab6a7-2b26-4bbc-bb46-294ce255729c': 13,
           '8d85c095-87bf-4e8f-9957-1e2b621f83de': 5
         },
         createdAt: 1599237066010,
-        revealed: true
+        revealed: true,
+        revealedAt: 1599237080000,
+        revealedBy: '8d85c095-87bf-4e8f-9957-1e2b621f83de',
+        rounds: [
+          {
+            estimations: {
+              '0afab6a7-2b26-4bbc-bb46-294ce255729c': 1,
+              '8d85c095-87bf-4e8f-9957-1e2b621f83de': 8
+            },
+            revealedAt: 1599237070000,
+            revealedBy: '0afab6a7-2b26-4bbc-bb46-294ce255729c'
+          }
+        ]
       },
       {
         title: 'trashed',
@@ -82,7 +117,8 @@ test('buildRoomExportObject', async () => {
     created: 1599237063876,
     lastActivity: 1599237085043,
     markedForDeletion: false,
-    selectedStory: 'a4ed287c-1cfd-49d4-b237-577b7190e76e'
+    selectedStory: 'a4ed287c-1cfd-49d4-b237-577b7190e76e',
+    issueUrlTemplate: 'https://jira.example.com/browse/{key}'
   });
 
   const roomExport = await buildRoomExportObject(roomsStore, roomId);
@@ -94,28 +130,53 @@ test('buildRoomExportObject', async () => {
       {
         title: 'second',
         description: 's2 description',
+        key: 'PRJ-2',
+        url: 'https://jira.example.com/browse/PRJ-2',
+        consensus: '3',
         estimations: [
           {
             username: 'Foxy',
-            value: 3
+            value: '3'
           },
           {
             username: 'Sergio',
-            value: 3
+            value: '3'
           }
         ]
       },
       {
         title: 'first',
         description: 's1 descr',
+        key: 'PRJ-1',
+        url: 'https://issues.example.com/custom/1',
         estimations: [
           {
             username: 'Foxy',
-            value: 13
+            value: '13'
           },
           {
             username: 'Sergio',
-            value: 5
+            value: '5'
+          }
+        ],
+        rounds: [
+          {
+            round: 1,
+            revealedAt: 1599237070000,
+            revealedBy: 'Foxy',
+            estimations: [
+              {username: 'Foxy', value: '1'},
+              {username: 'Sergio', value: '8'}
+            ]
+          },
+          {
+            round: 2,
+            revealedAt: 1599237080000,
+            revealedBy: 'Sergio',
+            estimations: [
+              {username: 'Foxy', value: '13'},
+              {username: 'Sergio', value: '5'}
+            ]
           }
         ]
       }
@@ -123,3 +184,449 @@ test('buildRoomExportObject', async () => {
     ]
   });
 });
+
+test('buildRoomExportObject with non-numeric card deck: exports card labels', async () => {
+  const roomId = uuid();
+  const userId = uuid();
+  const roomsStore = newMockRoomsStore({
+    id: roomId,
+    users: [{id: userId, username: 'Sergio', avatar: 1}],
+    stories: [
+      {
+        title: 'sized story',
+        id: uuid(),
+        estimations: {[userId]: 3},
+        createdAt: 1599237099010,
+        revealed: true,
+        consensus: 2
+      }
+    ],
+    cardConfig: [
+      {label: 'S', value: 1, color: 'green', position: 0},
+      {label: 'M', value: 2, color: 'yellow', position: 1},
+      {label: 'L', value: 3, color: 'red', position: 2}
+    ],
+    created: 1599237063876,
+    lastActivity: 1599237085043,
+    markedForDeletion: false
+  });
+
+  const roomExport = await buildRoomExportObject(roomsStore, roomId);
+
+  expect(roomExport.stories[0]).toMatchObject({
+    consensus: 'M',
+    estimations: [{username: 'Sergio', value: 'L'}],
+    rounds: [{round: 1, consensus: 'M', estimations: [{username: 'Sergio', value: 'L'}]}]
+  });
+});
+
+test('buildRoomExportObject : unrevealed current round is not exported', async () => {
+  const roomId = uuid();
+  const userId = uuid();
+  const roomsStore = newMockRoomsStore({
+    id: roomId,
+    users: [{id: userId, username: 'Ann', avatar: 1}],
+    stories: [
+      {
+        title: 'second round in progress',
+        id: uuid(),
+        estimations: {[userId]: 8},
+        createdAt: 1599237099010,
+        rounds: [
+          {
+            estimations: {[userId]: 3},
+            revealedAt: 1599237070000,
+            revealedBy: userId
+          }
+        ]
+      }
+    ],
+    created: 1599237063876,
+    lastActivity: 1599237085043,
+    markedForDeletion: false
+  });
+
+  const roomExport = await buildRoomExportObject(roomsStore, roomId);
+
+  expect(roomExport.stories[0].rounds).toEqual([
+    {
+      round: 1,
+      revealedAt: 1599237070000,
+      revealedBy: 'Ann',
+      estimations: [{username: 'Ann', value: '3'}]
+    }
+  ]);
+});
+
+test('buildRoomExportFile', async () => {
+  const {roomId, mockRoomsStore} = await prepTwoUsersInOneRoomWithOneStoryAndEstimate(
+    'jimmy',
+    'some story',
+    5
+  );
+
+  const csvFile = await buildRoomExportFile(mockRoomsStore, roomId, 'csv');
+  expect(csvFile.contentType).toBe('text/csv');
+  expect(csvFile.fileName).toBe(roomId + '.csv');
+  expect(csvFile.content).toBe(
+    'Key,Title,Description,URL,Labels,Final Estimate\r\n,some story,This will be awesome,,,\r\n'
+  );
+
+  const markdownFile = await buildRoomExportFile(mockRoomsStore, roomId, 'markdown');
+  expect(markdownFile.contentType).toBe('text/markdown');
+  expect(markdownFile.fileName).toBe(roomId + '.md');
+
+  const jsonFile = await buildRoomExportFile(mockRoomsStore, roomId, 'json');
+  expect(jsonFile.contentType).toBe('application/json');
+  expect(JSON.parse(jsonFile.content).roomId).toBe(roomId);
+
+  expect(await buildRoomExportFile(mockRoomsStore, 'unknown-room', 'csv')).toBeUndefined();
+});
+
+test('buildRoomExportFile : estimations of unrevealed stories are not exported', async () => {
+  const roomId = uuid();
+  const userIdAnn = uuid();
+  const userIdBob = uuid();
+  const roomsStore = newMockRoomsStore({
+    id: roomId,
+    users: [
+      {id: userIdAnn, username: 'Ann', avatar: 1},
+      {id: userIdBob, username: 'Bob', avatar: 2}
+    ],
+    stories: [
+      {
+        title: 'revealed story',
+        id: uuid(),
+        estimations: {[userIdAnn]: 3},
+        createdAt: 1599237066010,
+        revealed: true
+      },
+      {
+        title: 'unrevealed story',
+        id: uuid(),
+        estimations: {[userIdAnn]: 8, [userIdBob]: 13},
+        createdAt: 1599237099010
+      }
+    ],
+    created: 1599237063876,
+    lastActivity: 1599237085043,
+    markedForDeletion: false
+  });
+
+  const jsonExport = JSON.parse((await buildRoomExportFile(roomsStore, roomId, 'json')).content);
+  expect(jsonExport.stories[1].title).toBe('unrevealed story');
+  expect(jsonExport.stories[1].estimations).toEqual([]);
+
+  const csvFile = await buildRoomExportFile(roomsStore, roomId, 'csv');
+  expect(csvFile.content).toBe(
+    'Key,Title,Description,URL,Labels,Final Estimate,Ann\r\n' +
+      ',revealed story,,,,,3\r\n' +
+      ',unrevealed story,,,,,\r\n'
+  );
+
+  const markdownFile = await buildRoomExportFile(roomsStore, roomId, 'markdown');
+  expect(markdownFile.content).toBe(
+    '| Key | Title | Description | URL | Labels | Final Estimate | Ann |\n' +
+      '| --- | --- | --- | --- | --- | --- | --- |\n' +
+      '|  | revealed story |  |  |  |  | 3 |\n' +
+      '|  | unrevealed story |  |  |  |  |  |\n'
+  );
+});
+
+test('buildRoomHistoryObject', async () => {
+  const {roomId, mockRoomsStore} = await prepTwoUsersInOneRoomWithOneStoryAndEstimate(
+    'jimmy',
+    'some story',
+    5
+  );
+
+  const history = await buildRoomHistoryObject(mockRoomsStore, roomId, 0, 50);
+
+  expect(history).toMatchObject({
+    roomId,
+    offset: 0,
+    limit: 50,
+    total: 11
+  });
+
+  // restricted event "ownEstimateGiven" is omitted
+  expect(history.events.map((evt) => evt.name)).toEqual([
+    'roomCreated',
+    'joinedRoom',
+    'usernameSet',
+    'avatarSet',
+    'joinedRoom',
+    'usernameSet',
+    'avatarSet',
+    'storyAdded',
+    'storySelected',
+    'storyEstimateGiven'
+  ]);
+  expect(history.events[9].payload).toEqual({storyId: expect.any(String)}); // still sealed
+
+  // paging
+  const secondPage = await buildRoomHistoryObject(mockRoomsStore, roomId, 7, 2);
+  expect(secondPage.total).toBe(11);
+  expect(secondPage.events.map((evt) => evt.name)).toEqual(['storyAdded', 'storySelected']);
+});
+
+test('buildRoomHistoryObject : must not contain replay payload', async () => {
+  const {processor, mockRoomsStore} = prepEmpty();
+  const roomId = uuid();
+
+  await processor(
+    {
+      id: uuid(),
+      roomId,
+      name: 'joinRoom',
+      payload: {
+        password: 'super-secret'
+      }
+    },
+    uuid()
+  );
+
+  const history = await buildRoomHistoryObject(mockRoomsStore, roomId, 0, 50);
+
+  expect(history.events[0].name).toBe('roomCreated');
+  expect(history.events[0].payload).toEqual({});
+  expect(history.events[0].replayPayload).toBeUndefined();
+  expect(history.events.find((evt) => evt.name === 'tokenIssued')).toBeUndefined();
+});
+
+test('buildRoomHistoryObject : webhook urls are masked', async () => {
+  const {roomId, userId, processor, mockRoomsStore} = await prepOneUserInOneRoom();
+
+  await processor(
+    {
+      id: uuid(),
+      roomId,
+      name: 'addWebhook',
+      payload: {
+        url: 'https://hooks.slack.com/services/T000/B000/XXXX',
+        events: ['revealed'],
+        secret: 'my-super-secret'
+      }
+    },
+    userId
+  );
+  // events that were logged before urls were masked
+  await mockRoomsStore.appendEvents(roomId, [
+    {
+      id: uuid(),
+      roomId,
+      name: 'webhookAdded',
+      payload: {
+        webhookId: uuid(),
+        url: 'https://tools.example.com/hook?token=abc',
+        events: ['revealed']
+      }
+    }
+  ]);
+
+  const history = await buildRoomHistoryObject(mockRoomsStore, roomId, 0, 50);
+
+  const webhookAddedEvents = history.events.filter((evt) => evt.name === 'webhookAdded');
+  expect(webhookAddedEvents.map((evt) => evt.payload.url)).toEqual([
+    'https://hooks.slack.com/***',
+    'https://tools.example.com/***'
+  ]);
+  expect(JSON.stringify(history)).not.toContain('XXXX');
+  expect((await buildRoomStateObject(mockRoomsStore, roomId)).webhooks[0].url).toBe(
+    'https://hooks.slack.com/***'
+  );
+});
+
+test('buildRoomStateObject : contains the revision of the room', async () => {
+  const {roomId, mockRoomsStore} = await prepTwoUsersInOneRoomWithOneStoryAndEstimate(
+    'jimmy',
+    'some story',
+    5
+  );
+
+  const {events} = await mockRoomsStore.getEvents(roomId);
+  const roomState = await buildRoomStateObject(mockRoomsStore, roomId);
+
+  expect(roomState.revision).toBeGreaterThan(0);
+  expect(roomState.revision).toBe(events[events.length - 1].revision);
+});
+
+test('buildRoomStateObject : contains the running timer with the remaining milliseconds', async () => {
+  const {
+    roomId,
+    userIdOne,
+    storyId,
+    processor,
+    mockRoomsStore
+  } = await prepTwoUsersInOneRoomWithOneStoryAndEstimate('jimmy', 'some story', 5);
+
+  await processor(
+    {
+      id: uuid(),
+      roomId,
+      name: 'startTimer',
+      payload: {storyId, duration: 60}
+    },
+    userIdOne
+  );
+
+  const roomState = await buildRoomStateObject(mockRoomsStore, roomId);
+
+  expect(roomState.timer).toEqual({
+    storyId,
+    duration: 60,
+    startedAt: expect.any(Number),
+    startedBy: userIdOne,
+    remaining: expect.any(Number)
+  });
+  expect(roomState.timer.remaining).toBeGreaterThan(50000);
+  expect(roomState.timer.remaining).toBeLessThanOrEqual(60000);
+});
+
+test('buildRoomStateAtEventObject', async () => {
+  const {
+    roomId,
+    userIdOne,
+    storyId,
+    mockRoomsStore
+  } = await prepTwoUsersInOneRoomWithOneStoryAndEstimate('jimmy', 'some story', 5);
+
+  const {events} = await mockRoomsStore.getEvents(roomId);
+  const storyAddedEvent = events.find((evt) => evt.name === 'storyAdded');
+
+  const roomStateBeforeSelection = await buildRoomStateAtEventObject(
+    mockRoomsStore,
+    roomId,
+    storyAddedEvent.id
+  );
+  expect(roomStateBeforeSelection.selectedStory).toBeUndefined();
+  expect(roomStateBeforeSelection.stories.length).toBe(1);
+  expect(roomStateBeforeSelection.revision).toBe(storyAddedEvent.revision);
+
+  const lastEvent = events[events.length - 1];
+  const roomState = await buildRoomStateAtEventObject(mockRoomsStore, roomId, lastEvent.id);
+  expect(roomState.selectedStory).toBe(storyId);
+  expect(roomState.stories[0].estimations).toEqual({[userIdOne]: true}); // sealed
+  expect(roomState.revision).toBe(lastEvent.revision);
+
+  expect(await buildRoomStateAtEventObject(mockRoomsStore, roomId, 'unknown')).toBeUndefined();
+});
+
+test('buildRoomStateAtEventObject : refuses rooms with incomplete event log', async () => {
+  const {roomId, mockRoomsStore} = await prepTwoUsersInOneRoomWithOneStoryAndEstimate();
+
+  // room existed before the event log was introduced: only later events were logged
+  const {events} = await mockRoomsStore.getEvents(roomId);
+  const storyAddedEvent = events.find((evt) => evt.name === 'storyAdded');
+  await mockRoomsStore.deleteRoom(roomId);
+  await mockRoomsStore.appendEvents(roomId, [storyAddedEvent]);
+
+  const error = await buildRoomStateAtEventObject(mockRoomsStore, roomId, storyAddedEvent.id).catch(
+    (err) => err
+  );
+  expect(error.status).toBe(409);
+  expect(error.message).toMatch(/The event log of this room is incomplete/);
+});
+
+test('buildRoomStateAtEventObject : replay errors hold status 500', async () => {
+  const {roomId, mockRoomsStore} = await prepOneUserInOneRoom();
+
+  const unknownEvent = {id: uuid(), name: 'someUnknownEvent', roomId, payload: {}};
+  await mockRoomsStore.appendEvents(roomId, [unknownEvent]);
+
+  const error = await buildRoomStateAtEventObject(mockRoomsStore, roomId, unknownEvent.id).catch(
+    (err) => err
+  );
+  expect(error.status).toBe(500);
+  expect(error.message).toBe('Cannot replay unknown event someUnknownEvent');
+});
+
+test('applyRestCommandDefaults : users that join over REST are excluded from estimations by default', () => {
+  const joinCommand = {name: 'joinRoom', payload: {username: 'bot'}};
+  applyRestCommandDefaults(joinCommand);
+  expect(joinCommand.payload).toEqual({username: 'bot', excluded: true});
+
+  const joinCommandNotExcluded = {name: 'joinRoom', payload: {excluded: false}};
+  applyRestCommandDefaults(joinCommandNotExcluded);
+  expect(joinCommandNotExcluded.payload).toEqual({excluded: false});
+
+  const otherCommand = {name: 'addStory', payload: {title: 'story'}};
+  applyRestCommandDefaults(otherCommand);
+  expect(otherCommand.payload).toEqual({title: 'story'});
+});
+
+describe('getCommandUserId', () => {
+  test('generates new userId for joinRoom without token', () => {
+    expect(getCommandUserId({roomId: 'some-room', name: 'joinRoom'}, undefined)).toEqual(
+      expect.any(String)
+    );
+  });
+
+  test('rejects joinRoom as existing user without token', async () => {
+    const {roomId, userId} = await prepOneUserInOneRoom();
+
+    expect(() => getCommandUserId({roomId, userId, name: 'joinRoom'}, undefined)).toThrow(
+      expect.objectContaining({status: 401})
+    );
+  });
+
+  test('rejects other commands without token, even if userId is given', async () => {
+    const {roomId, userId} = await prepOneUserInOneRoom();
+
+    expect(() => getCommandUserId({roomId, userId, name: 'setUsername'}, undefined)).toThrow(
+      expect.objectContaining({status: 401})
+    );
+  });
+
+  test('uses userId from valid token', async () => {
+    const {roomId, userId} = await prepOneUserInOneRoom();
+
+    const token = issueJwt(userId, roomId);
+    expect(getCommandUserId({roomId, name: 'setUsername'}, 'Bearer ' + token)).toBe(userId);
+    expect(getCommandUserId({roomId, userId, name: 'joinRoom'}, 'Bearer ' + token)).toBe(userId);
+  });
+
+  test('rejects invalid token or token for other user', async () => {
+    const {roomId, userId} = await prepOneUserInOneRoom();
+
+    expect(() => getCommandUserId({roomId, name: 'setUsername'}, 'Bearer nonsense')).toThrow(
+      expect.objectContaining({status: 401})
+    );
+
+    const tokenForOtherRoom = issueJwt(userId, 'other-room');
+    expect(() =>
+      getCommandUserId({roomId, name: 'setUsername'}, 'Bearer ' + tokenForOtherRoom)
+    ).toThrow(expect.objectContaining({status: 401}));
+
+    const token = issueJwt(uuid(), roomId);
+    expect(() =>
+      getCommandUserId({roomId, userId, name: 'setUsername'}, 'Bearer ' + token)
+    ).toThrow(expect.objectContaining({status: 403}));
+  });
+});
+
+describe('getCommandErrorStatus', () => {
+  test('invalid and rejected commands are errors of the client', async () => {
+    const {roomId, userIdTwo, processor} = await prepTwoUsersInOneRoomWithOneStoryAndEstimate(
+      'jimmy',
+      'some story'
+    );
+
+    const validationError = await processor(
+      {id: uuid(), roomId, name: 'addStory', payload: {}},
+      userIdTwo
+    ).catch((err) => err);
+    expect(getCommandErrorStatus(validationError)).toBe(400);
+
+    const preconditionError = await processor(
+      {id: uuid(), roomId, name: 'deleteRoom', payload: {}},
+      userIdTwo
+    ).catch((err) => err);
+    expect(getCommandErrorStatus(preconditionError)).toBe(400);
+  });
+
+  test('revision conflicts and other errors are not', () => {
+    expect(getCommandErrorStatus(new RevisionConflictError('some-room', 3, 4))).toBe(409);
+    expect(getCommandErrorStatus(new Error('Could not connect to store'))).toBe(500);
+  });
+});
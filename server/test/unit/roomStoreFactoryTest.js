@@ -0,0 +1,26 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import roomStoreFactory from '../../src/store/roomStoreFactory';
+
+test('should return in-memory store if no configuration is given', async () => {
+  const store = await roomStoreFactory(false);
+  expect(store.getStoreType()).toBe('InMemoryRoomsStore');
+});
+
+test('should return store of configured type', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'poinz-store-factory-test-'));
+
+  const store = await roomStoreFactory({type: 'file', directory});
+  expect(store.getStoreType()).toBe('FileRoomsStore');
+
+  await store.close();
+  fs.rmdirSync(directory, {recursive: true});
+});
+
+test('should reject unknown store type', async () => {
+  return expect(roomStoreFactory({type: 'cassandra'})).rejects.toThrow(
+    'Unknown rooms store type "cassandra". Use one of memory, mongodb, file'
+  );
+});
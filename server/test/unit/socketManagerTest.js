@@ -1,5 +1,6 @@
 import {v4 as uuid} from 'uuid';
 import socketManagerFactory from '../../src/socketManager';
+import localPubSubFactory from '../../src/pubSub/localPubSub';
 
 import {newMockRoomsStore} from './testUtils';
 
@@ -99,6 +100,55 @@ test('should correctly handle joining & leaving multiple rooms in sequence', asy
   expect(removeSocketFromRoomByIds.mock.calls.length).toBe(1);
 });
 
+describe.each([
+  ['local pub/sub', () => localPubSubFactory()],
+  ['asynchronous pub/sub', () => asyncPubSubStub()]
+])('leaving socket receives its "leftRoom" event exactly once (%s)', (name, createPubSub) => {
+  test('leaveRoom', async () => {
+    const userId = uuid();
+    const roomId = uuid();
+
+    // simulates the socket.IO "room"
+    const roomSockets = {};
+    const sendEventToRoom = jest.fn((rId, event) =>
+      Object.values(roomSockets).forEach((sckt) => sckt.emit('event', event))
+    );
+    const removeSocketFromRoomByIds = jest.fn((socketId) => delete roomSockets[socketId]);
+
+    const socketManager = socketManagerFactory(
+      newMockRoomsStore(),
+      sendEventToRoom,
+      removeSocketFromRoomByIds,
+      createPubSub()
+    );
+    const socket = getMockSocketObject();
+    socket.join.mockImplementation(() => (roomSockets[socket.id] = socket));
+
+    await socketManager.handleIncomingCommand(socket, {
+      id: uuid(),
+      userId,
+      roomId,
+      name: 'joinRoom',
+      payload: {}
+    });
+    await waitForPublishedEvents();
+    await socketManager.handleIncomingCommand(socket, {
+      id: uuid(),
+      userId,
+      roomId,
+      name: 'leaveRoom',
+      payload: {}
+    });
+    await waitForPublishedEvents();
+
+    expect(socket.emittedEvents.filter((evt) => evt.name === 'leftRoom').length).toBe(1);
+    expect(removeSocketFromRoomByIds).toHaveBeenCalledWith(socket.id, roomId);
+    expect(roomSockets).toEqual({});
+
+    socketManager.close();
+  });
+});
+
 test('should correctly use userId from command', async () => {
   const userId = uuid();
   const roomOneId = uuid();
@@ -200,6 +250,131 @@ test('should correctly handle "kick" case', async () => {
   expect(removeSocketFromRoomByIds.mock.calls[1][1]).toBe(roomId);
 });
 
+test('should remove all sockets from the socket.IO "room" if the room is deleted', async () => {
+  const userIdOne = uuid();
+  const userIdTwo = uuid();
+  const roomId = uuid();
+
+  const sendEventToRoom = jest.fn();
+  const removeSocketFromRoomByIds = jest.fn();
+
+  const socketManager = initSocketManagerUnderTest(sendEventToRoom, removeSocketFromRoomByIds);
+
+  const socketOne = getMockSocketObject();
+  const socketTwo = getMockSocketObject();
+
+  await socketManager.handleIncomingCommand(socketOne, {
+    id: uuid(),
+    userId: userIdOne,
+    roomId,
+    name: 'joinRoom',
+    payload: {}
+  });
+  await socketManager.handleIncomingCommand(socketTwo, {
+    id: uuid(),
+    userId: userIdTwo,
+    roomId,
+    name: 'joinRoom',
+    payload: {}
+  });
+
+  await socketManager.handleIncomingCommand(socketOne, {
+    id: uuid(),
+    userId: userIdOne,
+    roomId,
+    name: 'deleteRoom',
+    payload: {}
+  });
+
+  expect(socketOne.cmdRejectedEvts.length).toBe(0); // no commands rejected
+
+  // the "roomDeleted" event is sent to the room, before the sockets leave it
+  expect(sendEventToRoom).toHaveBeenLastCalledWith(
+    roomId,
+    expect.objectContaining({name: 'roomDeleted'})
+  );
+
+  expect(removeSocketFromRoomByIds.mock.calls).toEqual([
+    [socketOne.id, roomId],
+    [socketTwo.id, roomId]
+  ]);
+
+  // a disconnect after the deletion does not trigger a "leaveRoom" command for the deleted room
+  sendEventToRoom.mockClear();
+  await socketManager.onDisconnect(socketTwo);
+  expect(sendEventToRoom).not.toHaveBeenCalled();
+  expect(socketTwo.cmdRejectedEvts.length).toBe(0);
+});
+
+test('should send events to sockets of other instances (over the pub/sub adapter)', async () => {
+  const userIdOne = uuid();
+  const userIdTwo = uuid();
+  const roomId = uuid();
+
+  // two instances share the same store and the same pub/sub adapter
+  const store = newMockRoomsStore();
+  const pubSub = localPubSubFactory();
+  const sendEventToRoomOne = jest.fn();
+  const sendEventToRoomTwo = jest.fn();
+  const removeSocketFromRoomByIdsTwo = jest.fn();
+  const instanceOne = socketManagerFactory(store, sendEventToRoomOne, jest.fn(), pubSub);
+  const instanceTwo = socketManagerFactory(
+    store,
+    sendEventToRoomTwo,
+    removeSocketFromRoomByIdsTwo,
+    pubSub
+  );
+
+  const socketOne = getMockSocketObject();
+  const socketTwo = getMockSocketObject();
+
+  await instanceOne.handleIncomingCommand(socketOne, {
+    id: uuid(),
+    userId: userIdOne,
+    roomId,
+    name: 'joinRoom',
+    payload: {}
+  });
+  await instanceTwo.handleIncomingCommand(socketTwo, {
+    id: uuid(),
+    userId: userIdTwo,
+    roomId,
+    name: 'joinRoom',
+    payload: {}
+  });
+
+  // events produced on instance two are also sent to the sockets of instance one, and vice versa
+  expect(sendEventToRoomOne.mock.calls.map((call) => call[1].name)).toEqual([
+    'roomCreated',
+    'joinedRoom',
+    'avatarSet',
+    'joinedRoom',
+    'avatarSet'
+  ]);
+  expect(sendEventToRoomTwo.mock.calls.map((call) => call[1].name)).toEqual(
+    sendEventToRoomOne.mock.calls.map((call) => call[1].name)
+  );
+
+  // user one (on instance one) kicks user two (connected to instance two)
+  await instanceOne.handleIncomingCommand(socketOne, {
+    id: uuid(),
+    userId: userIdOne,
+    roomId,
+    name: 'kick',
+    payload: {userId: userIdTwo}
+  });
+
+  expect(socketOne.cmdRejectedEvts.length).toBe(0);
+  expect(sendEventToRoomTwo).toHaveBeenLastCalledWith(
+    roomId,
+    expect.objectContaining({name: 'kicked'})
+  );
+  expect(removeSocketFromRoomByIdsTwo.mock.calls).toEqual([[socketTwo.id, roomId]]);
+
+  instanceOne.close();
+  instanceTwo.close();
+});
+
 test('emits commandRejected if no userId is present in "normal" command', async () => {
   const userId = uuid();
   const roomOneId = uuid();
@@ -282,20 +457,101 @@ test('should handle disconnect for mapped user', async () => {
   });
 });
 
+test('should reveal story on expiry of estimation timer and broadcast events to room', async () => {
+  jest.useFakeTimers();
+
+  const roomId = uuid();
+  const userId = uuid();
+  const sendEventToRoom = jest.fn();
+  const socketManager = initSocketManagerUnderTest(sendEventToRoom);
+  const socket = getMockSocketObject();
+
+  await socketManager.handleIncomingCommand(socket, {
+    id: uuid(),
+    roomId,
+    userId,
+    name: 'joinRoom',
+    payload: {}
+  });
+  await socketManager.handleIncomingCommand(socket, {
+    id: uuid(),
+    roomId,
+    userId,
+    name: 'addStory',
+    payload: {title: 'some story'}
+  });
+  const storyId = sendEventToRoom.mock.calls.find((call) => call[1].name === 'storyAdded')[1]
+    .payload.storyId;
+
+  await socketManager.handleIncomingCommand(socket, {
+    id: uuid(),
+    roomId,
+    userId,
+    name: 'startTimer',
+    payload: {storyId, duration: 30}
+  });
+  expect(socket.cmdRejectedEvts.length).toBe(0);
+
+  sendEventToRoom.mockClear();
+  const realNow = Date.now();
+  const nowSpy = jest.spyOn(Date, 'now').mockImplementation(() => realNow + 30000); // legacy fake timers do not advance the clock
+  jest.advanceTimersByTime(30000);
+  jest.useRealTimers();
+
+  // the "reveal" command is processed asynchronously
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  expect(sendEventToRoom.mock.calls.length).toBe(1);
+  const [eventRoomId, revealedEvent] = sendEventToRoom.mock.calls[0];
+  expect(eventRoomId).toBe(roomId);
+  expect(revealedEvent.name).toBe('revealed');
+  expect(revealedEvent.userId).toBe(userId);
+  expect(revealedEvent.payload).toMatchObject({storyId, manually: false, timerExpired: true});
+  nowSpy.mockRestore();
+
+  socketManager.close();
+});
+
 function getMockSocketObject(socketId = uuid()) {
   const cmdRejectedEvts = [];
+  const emittedEvents = [];
   return {
     id: socketId,
     join: jest.fn(),
     emit: (msgName, event) => {
+      emittedEvents.push(event);
       if (event.name === 'commandRejected') {
         cmdRejectedEvts.push(event);
       }
     },
-    cmdRejectedEvts
+    cmdRejectedEvts,
+    emittedEvents
   };
 }
 
+/**
+ * pub/sub stub that delivers published events asynchronously (like the redis adapter)
+ */
+function asyncPubSubStub() {
+  const subscribers = [];
+  return {
+    publish: (event) =>
+      new Promise((resolve) =>
+        setImmediate(() => {
+          subscribers.forEach((subscriber) => subscriber(event));
+          resolve();
+        })
+      ),
+    subscribe: (subscriber) => {
+      subscribers.push(subscriber);
+      return () => {};
+    },
+    close: async () => {}
+  };
+}
+
+const waitForPublishedEvents = () => new Promise((resolve) => setImmediate(resolve));
+
 function initSocketManagerUnderTest(
   sendEventToRoom = jest.fn(),
   removeSocketFromRoomByIds = jest.fn()
@@ -0,0 +1,174 @@
+import {EventEmitter} from 'events';
+import {v4 as uuid} from 'uuid';
+
+import sseBroadcasterFactory from '../../src/sseBroadcaster';
+
+/**
+ * minimal stand-in for a request / response pair of an open http connection
+ */
+function mockConnection() {
+  const req = new EventEmitter();
+  const res = {
+    written: [],
+    ended: false,
+    writeHead: jest.fn(),
+    write: (chunk) => res.written.push(chunk),
+    end: () => (res.ended = true)
+  };
+  return {req, res};
+}
+
+const event = (roomId, name, restricted = undefined, payload = {}, userId = uuid()) => ({
+  id: uuid(),
+  userId,
+  correlationId: uuid(),
+  name,
+  roomId,
+  restricted,
+  payload
+});
+
+const jwtPayload = (userId, expiresInSeconds = 3600) => ({
+  sub: userId,
+  exp: Math.floor(Date.now() / 1000) + expiresInSeconds
+});
+
+let broadcaster;
+
+beforeEach(() => {
+  broadcaster = sseBroadcasterFactory();
+});
+
+afterEach(() => {
+  broadcaster.closeAll();
+});
+
+test('sends events to subscribers of the room', () => {
+  const {req, res} = mockConnection();
+  const {req: otherReq, res: otherRes} = mockConnection();
+  broadcaster.subscribe('room-one', req, res);
+  broadcaster.subscribe('room-two', otherReq, otherRes);
+
+  expect(res.writeHead).toHaveBeenCalledWith(
+    200,
+    expect.objectContaining({'Content-Type': 'text/event-stream'})
+  );
+
+  const storyAdded = event('room-one', 'storyAdded');
+  broadcaster.sendEventToRoom('room-one', storyAdded);
+
+  expect(res.written).toEqual([
+    ': subscribed to room room-one\n\n',
+    `id: ${storyAdded.id}\ndata: ${JSON.stringify(storyAdded)}\n\n`
+  ]);
+  expect(otherRes.written).toEqual([': subscribed to room room-two\n\n']);
+});
+
+test('does not send restricted events', () => {
+  const {req, res} = mockConnection();
+  broadcaster.subscribe('room-one', req, res);
+
+  broadcaster.sendEventToRoom('room-one', event('room-one', 'tokenIssued', true));
+
+  expect(res.written.length).toBe(1); // only the initial comment
+});
+
+test('removes subscriber on closed request', () => {
+  const {req, res} = mockConnection();
+  broadcaster.subscribe('room-one', req, res);
+  expect(broadcaster.getSubscriberCount('room-one')).toBe(1);
+
+  req.emit('close');
+
+  expect(broadcaster.getSubscriberCount('room-one')).toBe(0);
+  broadcaster.sendEventToRoom('room-one', event('room-one', 'storyAdded'));
+  expect(res.written.length).toBe(1);
+});
+
+test('sends keep-alive comments', async () => {
+  broadcaster.closeAll();
+  broadcaster = sseBroadcasterFactory({keepAliveIntervalMs: 10});
+
+  const {req, res} = mockConnection();
+  broadcaster.subscribe('room-one', req, res);
+
+  await new Promise((resolve) => setTimeout(resolve, 35));
+
+  expect(res.written).toContain(': keep-alive\n\n');
+});
+
+test('closeAll ends all streams', () => {
+  const {req, res} = mockConnection();
+  broadcaster.subscribe('room-one', req, res);
+
+  broadcaster.closeAll();
+
+  expect(res.ended).toBe(true);
+  expect(broadcaster.getSubscriberCount('room-one')).toBe(0);
+});
+
+test('ends all streams of the room after roomDeleted', () => {
+  const {req, res} = mockConnection();
+  const {req: otherReq, res: otherRes} = mockConnection();
+  broadcaster.subscribe('room-one', req, res);
+  broadcaster.subscribe('room-two', otherReq, otherRes);
+
+  const roomDeleted = event('room-one', 'roomDeleted');
+  broadcaster.sendEventToRoom('room-one', roomDeleted);
+
+  expect(res.written[1]).toEqual(`id: ${roomDeleted.id}\ndata: ${JSON.stringify(roomDeleted)}\n\n`);
+  expect(res.ended).toBe(true);
+  expect(broadcaster.getSubscriberCount('room-one')).toBe(0);
+  expect(otherRes.ended).toBe(false);
+});
+
+test('ends streams opened without token after passwordSet', () => {
+  const userId = uuid();
+  const {req, res} = mockConnection();
+  const {req: tokenReq, res: tokenRes} = mockConnection();
+  broadcaster.subscribe('room-one', req, res);
+  broadcaster.subscribe('room-one', tokenReq, tokenRes, jwtPayload(userId));
+
+  broadcaster.sendEventToRoom('room-one', event('room-one', 'passwordSet'));
+
+  expect(res.ended).toBe(true);
+  expect(tokenRes.ended).toBe(false);
+  expect(broadcaster.getSubscriberCount('room-one')).toBe(1);
+});
+
+test('ends streams of kicked users and users that left the room', () => {
+  const kickedUserId = uuid();
+  const leavingUserId = uuid();
+  const otherUserId = uuid();
+  const {req: kickedReq, res: kickedRes} = mockConnection();
+  const {req: leavingReq, res: leavingRes} = mockConnection();
+  const {req: otherReq, res: otherRes} = mockConnection();
+  broadcaster.subscribe('room-one', kickedReq, kickedRes, jwtPayload(kickedUserId));
+  broadcaster.subscribe('room-one', leavingReq, leavingRes, jwtPayload(leavingUserId));
+  broadcaster.subscribe('room-one', otherReq, otherRes, jwtPayload(otherUserId));
+
+  broadcaster.sendEventToRoom(
+    'room-one',
+    event('room-one', 'kicked', undefined, {userId: kickedUserId}, otherUserId)
+  );
+  broadcaster.sendEventToRoom(
+    'room-one',
+    event('room-one', 'leftRoom', undefined, {}, leavingUserId)
+  );
+
+  expect(kickedRes.ended).toBe(true);
+  expect(leavingRes.ended).toBe(true);
+  expect(otherRes.ended).toBe(false);
+  expect(broadcaster.getSubscriberCount('room-one')).toBe(1);
+});
+
+test('ends streams when the token expires', async () => {
+  const {req, res} = mockConnection();
+  broadcaster.subscribe('room-one', req, res, {sub: uuid(), exp: Date.now() / 1000 + 0.02});
+
+  expect(res.ended).toBe(false);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  expect(res.ended).toBe(true);
+  expect(broadcaster.getSubscriberCount('room-one')).toBe(0);
+});
@@ -6,6 +6,7 @@ import commandHandlers, {baseCommandSchema} from '../../src/commandHandlers/comm
 import eventHandlers from '../../src/eventHandlers/eventHandlers';
 import commandProcessorFactory from '../../src/commandProcessor';
 import {roomSchemaValidatorFactory} from '../../src/validation/schemaValidators';
+import {throwIfRevisionConflict} from '../../src/store/revisionConflict';
 
 const validateRoom = roomSchemaValidatorFactory();
 
@@ -18,6 +19,11 @@ export function textToCsvDataUrl(csvContent) {
   return 'data:text/csv;base64,' + base64data;
 }
 
+export function objectToJsonDataUrl(jsonContent) {
+  const base64data = Buffer.from(JSON.stringify(jsonContent)).toString('base64');
+  return 'data:application/json;base64,' + base64data;
+}
+
 /**
  * our mock roomsStore contains only one room.
  * commandProcessor will load this room (if set), and store back manipulated room.
@@ -28,6 +34,7 @@ export function textToCsvDataUrl(csvContent) {
  */
 export function newMockRoomsStore(initialRoom) {
   let room;
+  let events = [];
 
   if (initialRoom) {
     validateRoom(initialRoom); // just make sure that all of our tests work with valid room objects!
@@ -41,11 +48,23 @@ export function newMockRoomsStore(initialRoom) {
       }
       return Promise.resolve(detatchObject(room));
     },
-    saveRoom: (rm) => {
+    saveRoom: (rm, expectedRevision) => {
       validateRoom(rm);
+      throwIfRevisionConflict(
+        room && room.id === rm.id ? room : undefined,
+        rm.id,
+        expectedRevision
+      );
       room = detatchObject(rm);
       return Promise.resolve();
     },
+    deleteRoom: (id) => {
+      if (room && room.id === id) {
+        room = undefined;
+      }
+      events = events.filter((evt) => evt.roomId !== id);
+      return Promise.resolve();
+    },
     getAllRooms: () => {
       if (!room) {
         return Promise.resolve({});
@@ -55,6 +74,18 @@ export function newMockRoomsStore(initialRoom) {
         [room.id]: detatchObject(room)
       });
     },
+    appendEvents: (roomId, evts) => {
+      events = [...events, ...detatchObject(evts)];
+      return Promise.resolve();
+    },
+    getEvents: (roomId, offset = 0, limit = undefined) => {
+      const roomEvents = events.filter((evt) => evt.roomId === roomId);
+      const end = limit === undefined ? roomEvents.length : offset + limit;
+      return Promise.resolve({
+        total: roomEvents.length,
+        events: detatchObject(roomEvents.slice(offset, end))
+      });
+    },
     manipulate: (fn) => {
       const modifiedRoom = fn(room);
       if (!modifiedRoom) {
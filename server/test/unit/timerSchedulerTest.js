@@ -0,0 +1,152 @@
+import {v4 as uuid} from 'uuid';
+
+import timerSchedulerFactory from '../../src/timerScheduler';
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+const timerStartedEvent = (roomId, userId, storyId, duration) => ({
+  id: uuid(),
+  roomId,
+  userId,
+  name: 'timerStarted',
+  payload: {storyId, duration, startedAt: Date.now()}
+});
+
+test('Should issue "expireTimer" command on expiry', () => {
+  const issueCommand = jest.fn();
+  const scheduler = timerSchedulerFactory(issueCommand);
+  const roomId = uuid();
+  const userId = uuid();
+  const storyId = uuid();
+
+  scheduler.onEventsProduced([timerStartedEvent(roomId, userId, storyId, 60)]);
+  expect(scheduler.getScheduledRoomIds()).toEqual([roomId]);
+
+  jest.advanceTimersByTime(59999);
+  expect(issueCommand).not.toHaveBeenCalled();
+
+  jest.advanceTimersByTime(1);
+  expect(issueCommand).toHaveBeenCalledTimes(1);
+  expect(issueCommand).toHaveBeenCalledWith(
+    {
+      id: expect.any(String),
+      roomId,
+      name: 'expireTimer',
+      payload: {
+        storyId
+      }
+    },
+    userId
+  );
+  expect(scheduler.getScheduledRoomIds()).toEqual([]);
+});
+
+test('Should not throw if issued command fails', async () => {
+  const issueCommand = jest.fn(() => Promise.reject(new Error('Story is already revealed')));
+  const scheduler = timerSchedulerFactory(issueCommand);
+
+  scheduler.onEventsProduced([timerStartedEvent(uuid(), uuid(), uuid(), 10)]);
+  jest.runAllTimers();
+
+  expect(issueCommand).toHaveBeenCalledTimes(1);
+  await Promise.resolve(); // rejection is caught and logged
+});
+
+test('Should cancel on "timerStopped"', () => {
+  const issueCommand = jest.fn();
+  const scheduler = timerSchedulerFactory(issueCommand);
+  const roomId = uuid();
+  const storyId = uuid();
+
+  scheduler.onEventsProduced([timerStartedEvent(roomId, uuid(), storyId, 30)]);
+  scheduler.onEventsProduced([{roomId, name: 'timerStopped', payload: {storyId}}]);
+
+  jest.runAllTimers();
+  expect(issueCommand).not.toHaveBeenCalled();
+});
+
+test('Should cancel on "roomDeleted"', () => {
+  const issueCommand = jest.fn();
+  const scheduler = timerSchedulerFactory(issueCommand);
+  const roomId = uuid();
+
+  scheduler.onEventsProduced([timerStartedEvent(roomId, uuid(), uuid(), 30)]);
+  scheduler.onEventsProduced([{roomId, name: 'roomDeleted', payload: {}}]);
+
+  expect(scheduler.getScheduledRoomIds()).toEqual([]);
+  jest.runAllTimers();
+  expect(issueCommand).not.toHaveBeenCalled();
+});
+
+test('Should cancel on "revealed" for the same story', () => {
+  const issueCommand = jest.fn();
+  const scheduler = timerSchedulerFactory(issueCommand);
+  const roomId = uuid();
+  const storyId = uuid();
+
+  scheduler.onEventsProduced([timerStartedEvent(roomId, uuid(), storyId, 30)]);
+
+  scheduler.onEventsProduced([{roomId, name: 'revealed', payload: {storyId: uuid()}}]);
+  expect(scheduler.getScheduledRoomIds()).toEqual([roomId]); // other story, still scheduled
+
+  scheduler.onEventsProduced([{roomId, name: 'revealed', payload: {storyId}}]);
+  jest.runAllTimers();
+  expect(issueCommand).not.toHaveBeenCalled();
+});
+
+test('Should cancel on "storySelected" for another story', () => {
+  const issueCommand = jest.fn();
+  const scheduler = timerSchedulerFactory(issueCommand);
+  const roomId = uuid();
+  const storyId = uuid();
+
+  scheduler.onEventsProduced([timerStartedEvent(roomId, uuid(), storyId, 30)]);
+
+  scheduler.onEventsProduced([{roomId, name: 'storySelected', payload: {storyId}}]);
+  expect(scheduler.getScheduledRoomIds()).toEqual([roomId]); // same story, still scheduled
+
+  scheduler.onEventsProduced([{roomId, name: 'storySelected', payload: {storyId: uuid()}}]);
+  jest.runAllTimers();
+  expect(issueCommand).not.toHaveBeenCalled();
+});
+
+test('Should replace running timer of same room', () => {
+  const issueCommand = jest.fn();
+  const scheduler = timerSchedulerFactory(issueCommand);
+  const roomId = uuid();
+  const storyId = uuid();
+
+  scheduler.onEventsProduced([timerStartedEvent(roomId, uuid(), storyId, 30)]);
+  jest.advanceTimersByTime(20000);
+  scheduler.onEventsProduced([timerStartedEvent(roomId, uuid(), storyId, 30)]);
+
+  jest.advanceTimersByTime(20000);
+  expect(issueCommand).not.toHaveBeenCalled(); // first timer would have expired by now
+
+  jest.advanceTimersByTime(10000);
+  expect(issueCommand).toHaveBeenCalledTimes(1);
+});
+
+test('Should handle timers of multiple rooms independently and cancel all', () => {
+  const issueCommand = jest.fn();
+  const scheduler = timerSchedulerFactory(issueCommand);
+  const roomOneId = uuid();
+  const roomTwoId = uuid();
+
+  scheduler.onEventsProduced([timerStartedEvent(roomOneId, uuid(), uuid(), 10)]);
+  scheduler.onEventsProduced([timerStartedEvent(roomTwoId, uuid(), uuid(), 20)]);
+
+  jest.advanceTimersByTime(10000);
+  expect(issueCommand).toHaveBeenCalledTimes(1);
+  expect(issueCommand.mock.calls[0][0].roomId).toBe(roomOneId);
+
+  scheduler.cancelAll();
+  jest.runAllTimers();
+  expect(issueCommand).toHaveBeenCalledTimes(1);
+});
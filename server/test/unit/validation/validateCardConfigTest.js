@@ -132,3 +132,37 @@ test('duplicate values', () => {
     /Format validation failed \(CardConfig must not contain two cards with the same value\)/
   );
 });
+
+test('position and weight', () => {
+  const res = validateCardConfig([
+    {label: 'S', value: 1, color: 'red', position: 1, weight: 2},
+    {label: 'M', value: 2, color: 'blue', position: 0}
+  ]);
+
+  expect(res).toBeUndefined();
+});
+
+test('"position" not a non-negative integer', () => {
+  let res = validateCardConfig([{label: 'S', value: 1, color: 'red', position: 1.5}]);
+  expect(res).toMatch(/Invalid type: number \(expected integer\)/);
+
+  res = validateCardConfig([{label: 'S', value: 1, color: 'red', position: -1}]);
+  expect(res).toMatch(/Value -1 is less than minimum 0/);
+});
+
+test('"weight" not a Number', () => {
+  const res = validateCardConfig([{label: 'S', value: 1, color: 'red', weight: 'heavy'}]);
+
+  expect(res).toMatch(/Invalid type: string \(expected number\)/);
+});
+
+test('duplicate positions', () => {
+  const res = validateCardConfig([
+    {label: 'S', value: 1, color: 'red', position: 0},
+    {label: 'M', value: 2, color: 'blue', position: 0}
+  ]);
+
+  expect(res).toMatch(
+    /Format validation failed \(CardConfig must not contain two cards with the same position\)/
+  );
+});
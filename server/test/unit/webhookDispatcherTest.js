@@ -0,0 +1,232 @@
+import http from 'http';
+import {v4 as uuid} from 'uuid';
+
+import webhookDispatcherFactory, {isPrivateAddress, signBody} from '../../src/webhookDispatcher';
+
+/**
+ * A local http server that stands in for the receiving end of a webhook.
+ * Responds with the given status codes, one per request (the last one is repeated).
+ */
+function startReceiver(statusCodes = [200]) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      requests.push({headers: req.headers, body});
+      res.statusCode = statusCodes[Math.min(requests.length - 1, statusCodes.length - 1)];
+      res.end();
+    });
+  });
+
+  return new Promise((resolve) =>
+    server.listen(0, '127.0.0.1', () =>
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        requests,
+        close: () => new Promise((resolveClose) => server.close(resolveClose))
+      })
+    )
+  );
+}
+
+const event = (name, restricted = undefined) => ({
+  id: uuid(),
+  userId: uuid(),
+  correlationId: uuid(),
+  name,
+  roomId: 'webhook-room',
+  restricted,
+  payload: {}
+});
+
+const roomWithWebhook = (url, events) => ({
+  id: 'webhook-room',
+  webhooks: [{id: 'hook-1', url, events, secret: 'super-secret'}]
+});
+
+let receiver;
+
+afterEach(async () => {
+  if (receiver) {
+    await receiver.close();
+    receiver = undefined;
+  }
+});
+
+test('Should post matching events, signed with the secret of the webhook', async () => {
+  receiver = await startReceiver();
+  const dispatcher = webhookDispatcherFactory({allowPrivateTargets: true});
+
+  const results = await dispatcher.dispatch(
+    roomWithWebhook(receiver.url, ['revealed', 'consensusAchieved']),
+    [event('storyEstimateGiven'), event('revealed'), event('consensusAchieved')]
+  );
+
+  expect(results).toEqual([true]);
+  expect(receiver.requests.length).toBe(1);
+
+  const {headers, body} = receiver.requests[0];
+  const postedBody = JSON.parse(body);
+  expect(postedBody).toEqual({
+    deliveryId: headers['x-poinz-delivery'],
+    roomId: 'webhook-room',
+    sentAt: expect.any(Number),
+    events: [
+      expect.objectContaining({name: 'revealed'}),
+      expect.objectContaining({name: 'consensusAchieved'})
+    ]
+  });
+  expect(headers['content-type']).toBe('application/json');
+  expect(headers['x-poinz-signature']).toBe(signBody(body, 'super-secret'));
+});
+
+test('Should not post if no event matches and never post restricted events', async () => {
+  receiver = await startReceiver();
+  const dispatcher = webhookDispatcherFactory({allowPrivateTargets: true});
+
+  const results = await dispatcher.dispatch(
+    roomWithWebhook(receiver.url, ['storyAdded', 'tokenIssued']),
+    [event('revealed'), event('tokenIssued', true)]
+  );
+
+  expect(results).toEqual([]);
+  expect(receiver.requests.length).toBe(0);
+});
+
+test('Should retry with backoff on server errors', async () => {
+  receiver = await startReceiver([500, 503, 200]);
+  const dispatcher = webhookDispatcherFactory({
+    maxAttempts: 4,
+    initialBackoffMs: 10,
+    allowPrivateTargets: true
+  });
+
+  const results = await dispatcher.dispatch(roomWithWebhook(receiver.url, ['storyAdded']), [
+    event('storyAdded')
+  ]);
+
+  expect(results).toEqual([true]);
+  expect(receiver.requests.length).toBe(3);
+  // every attempt is the same delivery
+  expect(new Set(receiver.requests.map((req) => req.headers['x-poinz-delivery'])).size).toBe(1);
+});
+
+test('Should give up after max attempts', async () => {
+  receiver = await startReceiver([500]);
+  const dispatcher = webhookDispatcherFactory({
+    maxAttempts: 3,
+    initialBackoffMs: 10,
+    allowPrivateTargets: true
+  });
+
+  const results = await dispatcher.dispatch(roomWithWebhook(receiver.url, ['storyAdded']), [
+    event('storyAdded')
+  ]);
+
+  expect(results).toEqual([false]);
+  expect(receiver.requests.length).toBe(3);
+  expect(dispatcher.getPendingRetryCount()).toBe(0);
+});
+
+test('Should not retry on client errors', async () => {
+  receiver = await startReceiver([404]);
+  const dispatcher = webhookDispatcherFactory({
+    maxAttempts: 3,
+    initialBackoffMs: 10,
+    allowPrivateTargets: true
+  });
+
+  const results = await dispatcher.dispatch(roomWithWebhook(receiver.url, ['storyAdded']), [
+    event('storyAdded')
+  ]);
+
+  expect(results).toEqual([false]);
+  expect(receiver.requests.length).toBe(1);
+});
+
+test('Should retry if receiver is not reachable, cancelAll stops pending retries', async () => {
+  receiver = await startReceiver();
+  const unreachableUrl = receiver.url;
+  await receiver.close();
+  receiver = undefined;
+
+  const dispatcher = webhookDispatcherFactory({
+    maxAttempts: 3,
+    initialBackoffMs: 60000,
+    allowPrivateTargets: true
+  });
+
+  const resultsPromise = dispatcher.dispatch(roomWithWebhook(unreachableUrl, ['storyAdded']), [
+    event('storyAdded')
+  ]);
+
+  // wait until the first attempt failed and a retry is pending
+  while (dispatcher.getPendingRetryCount() < 1) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+
+  dispatcher.cancelAll();
+
+  expect(await resultsPromise).toEqual([false]);
+  expect(dispatcher.getPendingRetryCount()).toBe(0);
+});
+
+describe('private targets', () => {
+  // the receiver listens on 127.0.0.1 (loopback)
+  test('Should not post to private addresses and not retry', async () => {
+    receiver = await startReceiver();
+    const dispatcher = webhookDispatcherFactory({maxAttempts: 3, initialBackoffMs: 10});
+
+    const results = await dispatcher.dispatch(roomWithWebhook(receiver.url, ['storyAdded']), [
+      event('storyAdded')
+    ]);
+
+    expect(results).toEqual([false]);
+    expect(receiver.requests.length).toBe(0);
+    expect(dispatcher.getPendingRetryCount()).toBe(0);
+  });
+
+  test('Should not post to host names that resolve to private addresses', async () => {
+    receiver = await startReceiver();
+    const dispatcher = webhookDispatcherFactory({maxAttempts: 3, initialBackoffMs: 10});
+
+    const results = await dispatcher.dispatch(
+      roomWithWebhook(receiver.url.replace('127.0.0.1', 'localhost'), ['storyAdded']),
+      [event('storyAdded')]
+    );
+
+    expect(results).toEqual([false]);
+    expect(receiver.requests.length).toBe(0);
+  });
+
+  test('isPrivateAddress', () => {
+    [
+      '127.0.0.1',
+      '10.1.2.3',
+      '172.16.0.1',
+      '172.31.255.255',
+      '192.168.1.1',
+      '169.254.169.254',
+      '100.64.0.1',
+      '0.0.0.0',
+      '224.0.0.1',
+      '::1',
+      '::',
+      'fe80::1',
+      'fd00::1',
+      '::ffff:127.0.0.1',
+      '::ffff:a9fe:a9fe'
+    ].forEach((address) => expect([address, isPrivateAddress(address)]).toEqual([address, true]));
+
+    [
+      '8.8.8.8',
+      '172.32.0.1',
+      '192.169.0.1',
+      '100.128.0.1',
+      '2001:4860:4860::8888',
+      '::ffff:808:808'
+    ].forEach((address) => expect([address, isPrivateAddress(address)]).toEqual([address, false]));
+  });
+});